@@ -1,11 +1,23 @@
 'use strict'
 
+exports.ApiKeyAuth = require('./lib/api-key-auth')
 exports.BaseChannelAuth = require('./lib/base-channel-auth')
+exports.BaseHttpTransport = require('./lib/base-http-transport')
+exports.BearerTokenAuth = require('./lib/bearer-token-auth')
+exports.CallbackAuth = require('./lib/callback-auth')
 exports.Channel = require('./lib/channel')
 exports.ChannelAuth = require('./lib/channel-auth')
+exports.codecs = require('./lib/codecs')
+exports.CompositeAuth = require('./lib/composite-auth')
 exports.ConsumerError = require('./lib/consumer-error')
+exports.DecodeError = require('./lib/decode-error')
+exports.HttpTransport = require('./lib/http-transport')
+exports.Metrics = require('./lib/metrics')
+exports.OAuth2ClientCredentialsAuth = require('./lib/oauth2-client-credentials-auth')
 exports.PermanentAuthenticationError = require('./lib/permanent-authentication-error')
 exports.PermanentError = require('./lib/permanent-error')
+exports.Producer = require('./lib/producer')
+exports.Record = require('./lib/record')
 exports.StopError = require('./lib/stop-error')
 exports.TemporaryAuthenticationError = require('./lib/temporary-authentication-error')
 exports.TemporaryError = require('./lib/temporary-error')
@@ -0,0 +1,70 @@
+'use strict'
+
+var inherits = require('inherits')
+var BaseChannelAuth = require('./base-channel-auth')
+var PermanentError = require('./permanent-error')
+
+/**
+ * @classdesc Authentication class which supplies an API key in an HTTP header
+ * with channel requests.
+ * @example
+ * var channel = new Channel(CHANNEL_URL, {
+ *   auth: new ApiKeyAuth(process.env.STREAMING_API_KEY,
+ *     {header: 'x-api-key'}),
+ *   consumerGroup: 'my-group'
+ * })
+ * @param {String} apiKey - The API key.
+ * @param {Object} [options] - Additional options.
+ * @param {String} [options.header=X-API-Key] - Name of the header in which
+ *   the API key is supplied.
+ * @param {String} [options.prefix] - Text to prepend to the API key in the
+ *   header value, for example, 'ApiKey ' for an `Authorization` header.
+ * @implements {BaseChannelAuth}
+ * @constructor
+ * @throws {PermanentError} If the `apiKey` or `options.header` is not a
+ *   non-empty string.
+ */
+function ApiKeyAuth (apiKey, options) {
+  BaseChannelAuth.call(this)
+  options = options || {}
+  if (!apiKey || (typeof apiKey !== 'string')) {
+    throw new PermanentError('Value for apiKey must be a non-empty string')
+  }
+  var header = options.header || 'X-API-Key'
+  if (typeof header !== 'string') {
+    throw new PermanentError('Value for header must be a non-empty string')
+  }
+  this._header = header
+  this._value = (options.prefix || '') + apiKey
+}
+
+inherits(ApiKeyAuth, BaseChannelAuth)
+
+/**
+ * Authenticate the user for an HTTP channel request. The supplied callback
+ * should be invoked with the results of the authentication attempt. See
+ * {@link BaseChannelAuth~authCallback} for more information on the
+ * content provided to the callback.
+ * @param {Object} requestOptions - Options included in the HTTP channel
+ *   request.
+ * @param {BaseChannelAuth~authCallback} callback - Callback function
+ *   invoked with the results of the authentication attempt.
+ */
+ApiKeyAuth.prototype.authenticate = function (requestOptions, callback) {
+  var headers = {}
+  var existing = requestOptions.headers || {}
+  Object.keys(existing).forEach(function (name) {
+    headers[name] = existing[name]
+  })
+  headers[this._header] = this._value
+  requestOptions.headers = headers
+  callback(null, requestOptions)
+}
+
+/**
+ * Purge any credentials cached from a previous authentication. The API key
+ * is fixed, so there is nothing to purge.
+ */
+ApiKeyAuth.prototype.reset = function () {}
+
+module.exports = ApiKeyAuth
@@ -0,0 +1,87 @@
+'use strict'
+
+/**
+ * Validate that the named setting, if set, is a positive number.
+ * @param {Object} options - Settings object.
+ * @param {String} name - Name of the setting.
+ * @returns {Number} The setting value, or `0` if the setting is not set.
+ * @throws {TypeError} If the setting is set to a value which is not a
+ *   positive number.
+ * @private
+ */
+function positiveNumberSetting (options, name) {
+  if ((typeof options[name] === 'undefined') || (options[name] === null)) {
+    return 0
+  }
+  var value = Number(options[name])
+  if (isNaN(value) || (value <= 0)) {
+    throw new TypeError(name + ' must be a positive number')
+  }
+  return value
+}
+
+/**
+ * @classdesc Policy which controls when the offsets for the records consumed
+ * during a {@link Channel#run} are committed. See the `autoCommit` option for
+ * {@link Channel#run} for details on the supported settings.
+ *
+ * If neither a record count nor an interval is configured, the policy is
+ * disabled and offsets are committed after every batch of records.
+ * @param {Object} [options] - Settings for the policy.
+ * @param {Number} [options.records] - Number of consumed records after which
+ *   the offsets should be committed.
+ * @param {Number} [options.interval] - Number of seconds after which the
+ *   offsets should be committed.
+ * @constructor
+ * @private
+ */
+function AutoCommitPolicy (options) {
+  options = options || {}
+
+  this._records = positiveNumberSetting(options, 'records')
+  this._interval = positiveNumberSetting(options, 'interval')
+
+  /**
+   * Whether or not commits are deferred according to the policy, rather
+   * than being made after every batch.
+   * @type {boolean}
+   */
+  this.enabled = Boolean(this._records || this._interval)
+
+  this.committed()
+}
+
+/**
+ * Record that a batch of records has been consumed.
+ * @param {Number} count - Number of records in the batch.
+ */
+AutoCommitPolicy.prototype.recordsConsumed = function (count) {
+  this._pendingRecords += count
+}
+
+/**
+ * Determine whether or not the offsets should be committed now.
+ * @returns {Boolean} `true` if the policy is disabled, the configured record
+ *   count has been reached, or the configured interval has elapsed since the
+ *   previous commit.
+ */
+AutoCommitPolicy.prototype.due = function () {
+  if (!this.enabled) {
+    return true
+  }
+  return Boolean(
+    (this._records && (this._pendingRecords >= this._records)) ||
+    (this._interval &&
+      (Date.now() - this._lastCommitTime >= this._interval * 1000))
+  )
+}
+
+/**
+ * Record that the offsets have been committed.
+ */
+AutoCommitPolicy.prototype.committed = function () {
+  this._pendingRecords = 0
+  this._lastCommitTime = Date.now()
+}
+
+module.exports = AutoCommitPolicy
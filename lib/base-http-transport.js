@@ -0,0 +1,47 @@
+'use strict'
+
+/**
+ * Interface for transports which send the HTTP requests made by a
+ * {@link Channel} and by the authentication classes. The default transport,
+ * {@link HttpTransport}, uses the Node.js `http` and `https` modules. A
+ * different transport can be supplied via the `transport` option, for
+ * example, to trace requests, to return canned responses in tests, or to
+ * send requests via an alternative HTTP client.
+ *
+ * The request supplied to the transport is complete: the URL includes any
+ * query string, and the headers include any authentication, cookie, and
+ * content type headers. Cookies set by responses and the encoding and
+ * decoding of JSON content are handled by the caller.
+ * @interface
+ */
+function BaseHttpTransport () {}
+
+/**
+ * Send an HTTP request.
+ * @param {Object} request - The request.
+ * @param {String} request.method - HTTP method, for example, 'GET'.
+ * @param {String} request.url - Absolute URL of the request.
+ * @param {Object} request.headers - Object whose properties are the headers
+ *   to include with the request.
+ * @param {Buffer} [request.body] - Body to send with the request, if any.
+ * @param {BaseHttpTransport~responseCallback} callback - Callback function
+ *   invoked with the response to the request.
+ */
+BaseHttpTransport.prototype.request = function (request, callback) {
+  throw new Error('Not implemented')
+}
+
+/**
+ * Callback invoked with the result of a call to
+ * {@link BaseHttpTransport#request}.
+ * @callback BaseHttpTransport~responseCallback
+ * @param {Error} [error] - If the request could not be sent or no response
+ *   was received, an `Error` describing the failure, else `null`.
+ * @param {Object} [response] - If a response was received, an object with
+ *   the following properties, else `null`: `statusCode` - the HTTP status
+ *   code; `headers` - an object whose properties are the response headers,
+ *   with lower-case names (the value of the `set-cookie` header is an array);
+ *   and `body` - the response body, as a `Buffer` or string.
+ */
+
+module.exports = BaseHttpTransport
@@ -0,0 +1,51 @@
+'use strict'
+
+var inherits = require('inherits')
+var BaseChannelAuth = require('./base-channel-auth')
+var PermanentError = require('./permanent-error')
+
+/**
+ * @classdesc Authentication class which supplies a fixed bearer token with
+ * channel requests, for example, a long-lived token issued out of band.
+ * @example
+ * var channel = new Channel(CHANNEL_URL, {
+ *   auth: new BearerTokenAuth(process.env.STREAMING_TOKEN),
+ *   consumerGroup: 'my-group'
+ * })
+ * @param {String} token - The bearer token.
+ * @implements {BaseChannelAuth}
+ * @constructor
+ * @throws {PermanentError} If the `token` is not a non-empty string.
+ */
+function BearerTokenAuth (token) {
+  BaseChannelAuth.call(this)
+  if (!token || (typeof token !== 'string')) {
+    throw new PermanentError('Value for token must be a non-empty string')
+  }
+  this._token = token
+}
+
+inherits(BearerTokenAuth, BaseChannelAuth)
+
+/**
+ * Authenticate the user for an HTTP channel request. The supplied callback
+ * should be invoked with the results of the authentication attempt. See
+ * {@link BaseChannelAuth~authCallback} for more information on the
+ * content provided to the callback.
+ * @param {Object} requestOptions - Options included in the HTTP channel
+ *   request.
+ * @param {BaseChannelAuth~authCallback} callback - Callback function
+ *   invoked with the results of the authentication attempt.
+ */
+BearerTokenAuth.prototype.authenticate = function (requestOptions, callback) {
+  requestOptions.auth = {bearer: this._token}
+  callback(null, requestOptions)
+}
+
+/**
+ * Purge any credentials cached from a previous authentication. The token is
+ * fixed, so there is nothing to purge.
+ */
+BearerTokenAuth.prototype.reset = function () {}
+
+module.exports = BearerTokenAuth
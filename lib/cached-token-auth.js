@@ -0,0 +1,334 @@
+'use strict'
+
+var inherits = require('inherits')
+var Buffer = require('safe-buffer').Buffer
+var BaseChannelAuth = require('./base-channel-auth')
+var logger = require('./logger')
+
+// Default number of seconds before a token expires at which the token is
+// refreshed
+var DEFAULT_REFRESH_AHEAD = 60
+
+// Number of seconds to wait before retrying a failed refresh of a token
+// which has not yet expired
+var REFRESH_RETRY_INTERVAL = 5
+
+/**
+ * Validate that the named option, if set, is a number which is greater than
+ * (or, if `allowZero` is set, equal to) zero.
+ * @param {Object} options - Options object.
+ * @param {String} name - Name of the option.
+ * @param {Boolean} allowZero - Whether or not zero is allowed.
+ * @param {Number} defaultValue - Value to use if the option is not set.
+ * @returns {Number} The option value.
+ * @throws {TypeError} If the option is set to a value which is not valid.
+ * @private
+ */
+function numberOption (options, name, allowZero, defaultValue) {
+  if ((typeof options[name] === 'undefined') || (options[name] === null)) {
+    return defaultValue
+  }
+  var value = Number(options[name])
+  if (isNaN(value) || (value < 0) || (!allowZero && (value === 0))) {
+    throw new TypeError(name + ' must be a ' +
+      (allowZero ? 'non-negative' : 'positive') + ' number')
+  }
+  return value
+}
+
+/**
+ * Returns the expiry time from the `exp` claim of a JSON Web Token.
+ * @param {String} token - The token.
+ * @returns {Number} The expiry time, in milliseconds since the epoch, or
+ *   `null` if the token is not a JSON Web Token with an `exp` claim.
+ * @private
+ */
+function jwtExpiry (token) {
+  var parts = String(token).split('.')
+  if (parts.length !== 3) {
+    return null
+  }
+  try {
+    var claims = JSON.parse(Buffer.from(
+      parts[1].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString())
+    if (claims && (typeof claims.exp === 'number')) {
+      return claims.exp * 1000
+    }
+  } catch (e) {
+    // Not a JSON Web Token, so the expiry is unknown
+  }
+  return null
+}
+
+/**
+ * @classdesc Base class for authentication classes which supply a bearer
+ * token, acquired from an external source, with channel requests. The token
+ * is cached until it expires, and is refreshed ahead of its expiry.
+ * Concurrent authentication attempts share a single token request.
+ *
+ * Subclasses implement the `_acquireToken` method, which is invoked with a
+ * callback to deliver an `Error` (if no token could be acquired), the token,
+ * and, optionally, the number of seconds for which the token is valid.
+ * @param {Object} [options] - Options for the token cache.
+ * @param {Object} [options.logger] - Logger to which diagnostic messages are
+ *   written. See the `logger` option for the {@link Channel} constructor for
+ *   details.
+ * @param {Boolean} [options.logMessageFirst] - Whether or not to invoke the
+ *   `options.logger` methods with the message string first. See the
+ *   {@link Channel} constructor for details.
+ * @param {Number} [options.tokenTtl] - Number of seconds for which a token
+ *   is valid after it has been acquired. Only used if the lifetime of the
+ *   token is not otherwise known: from the token source or the `exp` claim
+ *   of a JSON Web Token. If the lifetime is not known, a token is used until
+ *   the streaming service rejects it.
+ * @param {Number} [options.refreshAhead=60] - Number of seconds before a
+ *   token expires at which a new token is requested. Requests made in the
+ *   meantime continue to use the current token. The value is capped at half
+ *   of the lifetime of the token.
+ * @implements {BaseChannelAuth}
+ * @constructor
+ * @private
+ * @throws {TypeError} If the `options.tokenTtl` is not a positive number or
+ *   the `options.refreshAhead` is not a non-negative number.
+ */
+function CachedTokenAuth (options) {
+  BaseChannelAuth.call(this)
+  options = options || {}
+
+  this._token = null
+  this._logger = logger.create(options.logger, options.logMessageFirst)
+  this._tokenTtl = numberOption(options, 'tokenTtl', false, 0)
+  this._refreshAhead = numberOption(options, 'refreshAhead', true,
+    DEFAULT_REFRESH_AHEAD)
+
+  /**
+   * Time at which the current token expires, in milliseconds since the
+   * epoch, or `null` if the expiry is not known.
+   * @type {Number}
+   * @private
+   */
+  this._tokenExpiresAt = null
+
+  /**
+   * Time at which the current token should be refreshed, in milliseconds
+   * since the epoch, or `null` if the token is not refreshed ahead of expiry.
+   * @type {Number}
+   * @private
+   */
+  this._tokenRefreshAt = null
+
+  /**
+   * Callbacks waiting for the token request which is in progress, or `null`
+   * if no token request is in progress.
+   * @type {Array<Function>}
+   * @private
+   */
+  this._loginCallbacks = null
+
+  /**
+   * Number of times that the cached credentials have been purged via
+   * {@link CachedTokenAuth#reset}. A token request which was in progress
+   * when the credentials were purged does not store its token.
+   * @type {Number}
+   * @private
+   */
+  this._generation = 0
+
+  /**
+   * Watcher for the TLS files used for token requests, or `null` if no such
+   * files are watched.
+   * @type {TlsFileWatcher}
+   * @private
+   */
+  this._tlsWatcher = null
+}
+
+inherits(CachedTokenAuth, BaseChannelAuth)
+
+/**
+ * Authenticate the user for an HTTP channel request. The supplied callback
+ * should be invoked with the results of the authentication attempt. See
+ * {@link BaseChannelAuth~authCallback} for more information on the
+ * content provided to the callback.
+ * @param {Object} requestOptions - Options included in the HTTP channel
+ *   request.
+ * @param {BaseChannelAuth~authCallback} callback - Callback function
+ *   invoked with the results of the authentication attempt.
+ */
+CachedTokenAuth.prototype.authenticate = function (requestOptions, callback) {
+  var that = this
+  var now = Date.now()
+  if (this._token && !(this._tokenExpiresAt && (now >= this._tokenExpiresAt))) {
+    // Token was acquired previously and has not expired, so use it for the
+    // request
+    if (this._tokenRefreshAt && (now >= this._tokenRefreshAt)) {
+      // The token expires soon, so request a new one in the background.
+      this._login(function (loginError) {
+        if (loginError) {
+          that._logger.warn({statusCode: loginError.statusCode,
+            error: loginError},
+          'Unable to refresh authentication token ahead of expiry: ' +
+            loginError.message)
+          if (that._tokenRefreshAt) {
+            that._tokenRefreshAt = Math.min(that._tokenExpiresAt,
+              Date.now() + REFRESH_RETRY_INTERVAL * 1000)
+          }
+        }
+      })
+    }
+    this._addBearerAuthToken(requestOptions, callback)
+  } else {
+    // Token was not acquired previously (or has expired), so request a
+    // token.
+    this._login(function (loginError) {
+      if (loginError) {
+        callback(loginError)
+      } else {
+        that._addBearerAuthToken(requestOptions, callback)
+      }
+    })
+  }
+}
+
+/**
+ * Append the current token to the `bearer` property in the supplied
+ * `requestOptions` object.
+ * @param {Object} requestOptions - The request options.
+ * @param {BaseChannelAuth~authCallback} callback - A callback to invoke
+ *   with the modified `requestOptions`.
+ * @private
+ */
+CachedTokenAuth.prototype._addBearerAuthToken = function (requestOptions,
+                                                          callback) {
+  requestOptions.auth = {bearer: this._token}
+  callback(null, requestOptions)
+}
+
+/**
+ * Request a new token via `_acquireToken`. If a token request is already in
+ * progress, the callback is instead invoked with the result of that request.
+ * If the cached credentials are purged via {@link CachedTokenAuth#reset}
+ * while the request is in progress, the token is discarded and a new token
+ * is requested.
+ * @param {Function} callback - Callback to invoke when the token request has
+ *   completed. The first parameter supplied to the callback is an `Error` if
+ *   no token could be acquired, else `null`.
+ * @private
+ */
+CachedTokenAuth.prototype._login = function (callback) {
+  if (this._loginCallbacks) {
+    this._loginCallbacks.push(callback)
+    return
+  }
+  this._loginCallbacks = [callback]
+
+  var that = this
+  var generation = this._generation
+  var completed = false
+  var complete = function (authError, token, expiresIn) {
+    completed = true
+    var callbacks = that._loginCallbacks
+    that._loginCallbacks = null
+    if (!authError && (generation !== that._generation)) {
+      that._logger.debug({}, 'Discarding authentication token requested ' +
+        'before credentials were reset')
+      callbacks.forEach(function (loginCallback) {
+        that._login(loginCallback)
+      })
+      return
+    }
+    if (!authError) {
+      that._setToken(token, expiresIn)
+    }
+    callbacks.forEach(function (loginCallback) {
+      loginCallback(authError || null)
+    })
+  }
+
+  try {
+    this._acquireToken(complete)
+  } catch (acquireError) {
+    if (completed) {
+      throw acquireError
+    }
+    process.nextTick(function () {
+      complete(acquireError)
+    })
+  }
+}
+
+/**
+ * Store a newly acquired token and determine when it expires and should be
+ * refreshed.
+ * @param {String} token - The token.
+ * @param {Number} [expiresIn] - Number of seconds for which the token is
+ *   valid, if known.
+ * @private
+ */
+CachedTokenAuth.prototype._setToken = function (token, expiresIn) {
+  var now = Date.now()
+  var expiresAt = null
+  if ((typeof expiresIn === 'number') && (expiresIn > 0)) {
+    expiresAt = now + (expiresIn * 1000)
+  } else {
+    expiresAt = jwtExpiry(token)
+    if ((expiresAt === null) && this._tokenTtl) {
+      expiresAt = now + (this._tokenTtl * 1000)
+    }
+  }
+  this._token = token
+  this._tokenExpiresAt = expiresAt
+  this._tokenRefreshAt = null
+  if (expiresAt !== null) {
+    var lifetime = Math.max(expiresAt - now, 0)
+    this._tokenRefreshAt = expiresAt -
+      Math.min(this._refreshAhead * 1000, lifetime / 2)
+  }
+  this._logger.debug({expiresAt: expiresAt}, 'Acquired authentication token')
+}
+
+/**
+ * Returns the state of the token used to authenticate channel requests.
+ * @returns {Object} Object with the following properties:
+ *   `hasToken` - whether or not a token has been acquired; `expiresAt` - the
+ *   `Date` at which the token expires, or `null` if no token has been
+ *   acquired or its expiry is not known; `refreshAt` - the `Date` at which
+ *   the token will be refreshed, or `null` if it is not refreshed ahead of
+ *   expiry; `expired` - whether or not the token has expired; and
+ *   `refreshing` - whether or not a token request is in progress.
+ */
+CachedTokenAuth.prototype.getTokenState = function () {
+  var hasToken = Boolean(this._token)
+  var expiresAt = hasToken ? this._tokenExpiresAt : null
+  var refreshAt = hasToken ? this._tokenRefreshAt : null
+  return {
+    hasToken: hasToken,
+    expiresAt: (expiresAt === null) ? null : new Date(expiresAt),
+    refreshAt: (refreshAt === null) ? null : new Date(refreshAt),
+    expired: (expiresAt !== null) && (Date.now() >= expiresAt),
+    refreshing: Boolean(this._loginCallbacks)
+  }
+}
+
+/**
+ * Purge any credentials cached from a previous authentication.
+ */
+CachedTokenAuth.prototype.reset = function () {
+  this._generation++
+  this._token = null
+  this._tokenExpiresAt = null
+  this._tokenRefreshAt = null
+}
+
+/**
+ * Stop watching the files named in the `keyFile`, `certFile`, and `caFile`
+ * options, if any, for changes. The object can still be used afterwards,
+ * with the most recently loaded TLS credentials.
+ */
+CachedTokenAuth.prototype.close = function () {
+  if (this._tlsWatcher) {
+    this._tlsWatcher.close()
+  }
+}
+
+module.exports = CachedTokenAuth
@@ -0,0 +1,113 @@
+'use strict'
+
+var inherits = require('inherits')
+var CachedTokenAuth = require('./cached-token-auth')
+var PermanentError = require('./permanent-error')
+var TemporaryAuthenticationError = require('./temporary-authentication-error')
+
+/**
+ * @classdesc Authentication class which delegates the acquisition of bearer
+ * tokens for channel requests to a user-supplied function. The token is
+ * cached and refreshed ahead of its expiry in the same way as for
+ * {@link ChannelAuth}.
+ * @example
+ * var channel = new Channel(CHANNEL_URL, {
+ *   auth: new CallbackAuth(function () {
+ *     return vault.read('streaming-token').then(function (secret) {
+ *       return {token: secret.value, expiresIn: secret.ttl}
+ *     })
+ *   }),
+ *   consumerGroup: 'my-group'
+ * })
+ * @param {Function} getToken - Function to invoke to acquire a token. The
+ *   function is invoked with a callback, which should be invoked with an
+ *   `Error` if no token could be acquired, else `null`, the token, and,
+ *   optionally, the number of seconds for which the token is valid. The
+ *   function may instead return a `Promise` which resolves to the token or
+ *   to an object with `token` and `expiresIn` properties. An `Error` which
+ *   is not a {@link PermanentAuthenticationError} or
+ *   {@link TemporaryAuthenticationError} is delivered to the channel as a
+ *   {@link TemporaryAuthenticationError}, so that the request is retried.
+ * @param {Object} [options] - Additional options.
+ * @param {Object} [options.logger] - Logger to which diagnostic messages are
+ *   written. See the `logger` option for the {@link Channel} constructor for
+ *   details.
+ * @param {Boolean} [options.logMessageFirst] - Whether or not to invoke the
+ *   `options.logger` methods with the message string first. See the
+ *   {@link Channel} constructor for details.
+ * @param {Number} [options.tokenTtl] - Number of seconds for which a token is
+ *   valid, if the `getToken` function does not supply an expiry. See
+ *   {@link ChannelAuth}.
+ * @param {Number} [options.refreshAhead=60] - Number of seconds before a
+ *   token expires at which a new token is requested. See
+ *   {@link ChannelAuth}.
+ * @augments CachedTokenAuth
+ * @constructor
+ * @throws {PermanentError} If the `getToken` is not a function.
+ * @throws {TypeError} If the `options.tokenTtl` or `options.refreshAhead` is
+ *   not valid.
+ */
+function CallbackAuth (getToken, options) {
+  CachedTokenAuth.call(this, options)
+  if (typeof getToken !== 'function') {
+    throw new PermanentError('Value for getToken must be a function')
+  }
+  this._getToken = getToken
+}
+
+inherits(CallbackAuth, CachedTokenAuth)
+
+/**
+ * Acquire a new token from the `getToken` function.
+ * @param {Function} callback - Callback to invoke with an `Error` if no token
+ *   could be acquired, else `null`, the token, and the number of seconds for
+ *   which the token is valid, if known.
+ * @private
+ */
+CallbackAuth.prototype._acquireToken = function (callback) {
+  var finished = false
+  var complete = function (error, token, expiresIn) {
+    if (finished) {
+      return
+    }
+    finished = true
+    if (!error && !token) {
+      error = new TemporaryAuthenticationError('getToken supplied no token')
+    }
+    if (error) {
+      if (!(error instanceof PermanentError) &&
+        !(error instanceof TemporaryAuthenticationError)) {
+        error = new TemporaryAuthenticationError(
+          'Unable to acquire token: ' + (error.message || error))
+      }
+      callback(error)
+    } else {
+      callback(null, token, expiresIn)
+    }
+  }
+  var result
+  try {
+    result = this._getToken(complete)
+  } catch (error) {
+    if (finished) {
+      // The result was already delivered, so the error (for example, from
+      // the code which the result was delivered to) is not swallowed.
+      throw error
+    }
+    complete(error)
+    return
+  }
+  if (result && typeof result.then === 'function') {
+    result.then(function (value) {
+      if (value && (typeof value === 'object')) {
+        complete(null, value.token, value.expiresIn)
+      } else {
+        complete(null, value)
+      }
+    }, function (error) {
+      complete(error || new Error('getToken rejected without an error'))
+    })
+  }
+}
+
+module.exports = CallbackAuth
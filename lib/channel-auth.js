@@ -1,10 +1,12 @@
 'use strict'
 
 var inherits = require('inherits')
-var request = require('request')
-var BaseChannelAuth = require('./base-channel-auth')
+var CachedTokenAuth = require('./cached-token-auth')
+var HttpClient = require('./http-client')
 var PermanentAuthenticationError = require('./permanent-authentication-error')
 var TemporaryAuthenticationError = require('./temporary-authentication-error')
+var TlsFileWatcher = require('./tls-file-watcher')
+var Metrics = require('./metrics')
 var util = require('./util')
 
 var LOGIN_PATH_FRAGMENT = '/identity/v1/login'
@@ -16,6 +18,17 @@ var LOGIN_PATH_FRAGMENT = '/identity/v1/login'
  * @param {String} password - Password to supply for request authentication.
  * @param {Object} [options] - Additional options to supply for request
  *   authentication.
+ * @param {Object} [options.logger] - Logger to which diagnostic messages are
+ *   written. See the `logger` option for the {@link Channel} constructor for
+ *   details.
+ * @param {Boolean} [options.logMessageFirst] - Whether or not to invoke the
+ *   `options.logger` methods with the message string first. See the
+ *   {@link Channel} constructor for details.
+ * @param {(Boolean|Metrics)} [options.metrics=false] - Whether or not to
+ *   collect metrics for the login requests made by the object. See the
+ *   `metrics` option for the {@link Channel} constructor for details. Supply
+ *   the same {@link Metrics} object to the channel and its `auth` object in
+ *   order to collect all of the metrics together.
  * @param {String} [options.key] - Optional client private keys in PEM format.
  *   See
  *   {@link https://nodejs.org/api/tls.html#tls_tls_createsecurecontext_options}.
@@ -37,101 +50,146 @@ var LOGIN_PATH_FRAGMENT = '/identity/v1/login'
  *   be used when checking the server's hostname against the certificate.
  *   See
  *   {@link https://nodejs.org/api/tls.html#tls_tls_connect_options_callback}.
- * @implements {BaseChannelAuth}
+ * @param {String} [options.keyFile] - Path to a file containing the client
+ *   private key in PEM format, used in place of the `options.key`. See the
+ *   `keyFile` option for the {@link Channel} constructor for details.
+ * @param {String} [options.certFile] - Path to a file containing the client
+ *   cert chain in PEM format, used in place of the `options.cert`.
+ * @param {String} [options.caFile] - Path to a file containing the trusted
+ *   CA certificates in PEM format, used in place of the `options.ca`.
+ * @param {Number} [options.tlsWatchInterval=10] - Number of seconds between
+ *   checks for changes to the TLS files. Use {@link ChannelAuth#close} to stop
+ *   watching the files.
+ * @param {String} [options.proxy] - URL of the HTTP(S) proxy through which to
+ *   make login requests. See the `proxy` option for the {@link Channel}
+ *   constructor.
+ * @param {(String|Array<String>)} [options.noProxy] - Hosts for which the
+ *   proxy should not be used. See {@link Channel}.
+ * @param {Boolean} [options.useEnvProxy=false] - Whether or not to use the
+ *   proxy environment variables if no `options.proxy` is set. See
+ *   {@link Channel}.
+ * @param {Object} [options.agent] - `http.Agent` (or `https.Agent`) through
+ *   which to make login requests.
+ * @param {Boolean} [options.keepAlive=false] - Whether or not to keep
+ *   connections alive between login requests.
+ * @param {Number} [options.maxSockets] - Maximum number of concurrent
+ *   connections for login requests.
+ * @param {Object} [options.headers] - Object whose properties are headers to
+ *   include with every login request.
+ * @param {BaseHttpTransport} [options.transport] - Transport through which to
+ *   send login requests. If supplied, the TLS, proxy, agent, and connection pool
+ *   options are not used. See the `transport` option for the {@link Channel}
+ *   constructor.
+ * @param {Number} [options.tokenTtl] - Number of seconds for which a token
+ *   is valid after it has been acquired. Only used if the token is not a JSON
+ *   Web Token with an `exp` claim. If neither is available, a token is used
+ *   until the streaming service rejects it.
+ * @param {Number} [options.refreshAhead=60] - Number of seconds before a
+ *   token expires at which a new token is requested. Requests made in the
+ *   meantime continue to use the current token. The value is capped at half
+ *   of the lifetime of the token.
+ * @augments CachedTokenAuth
  * @constructor
+ * @throws {PermanentError} If a TLS file cannot be read or the TLS files do
+ *   not form valid TLS credentials.
+ * @throws {TypeError} If the `options.tokenTtl` is not a positive number, the
+ *   `options.refreshAhead` is not a non-negative number, the
+ *   `options.tlsWatchInterval` is not a positive number, or an HTTP
+ *   connection option, such as the `options.proxy`, is not valid.
  */
 function ChannelAuth (base, username, password, options) {
-  BaseChannelAuth.call(this)
-  this._loginRequest = request.defaults(
-    util.addTlsOptions({
-      baseUrl: base,
-      uri: LOGIN_PATH_FRAGMENT
-    }, options)
-  )
+  CachedTokenAuth.call(this, options)
+  var auth = this
+  var createLoginRequest = function (tlsOptions) {
+    var previousRequest = auth._loginRequest
+    auth._loginRequest = new HttpClient(
+      util.addTlsOptions(util.addHttpOptions({
+        baseUrl: base,
+        uri: LOGIN_PATH_FRAGMENT
+      }, options, base), tlsOptions)
+    )
+    if (previousRequest) {
+      previousRequest.close()
+    }
+  }
+  this._tlsWatcher = (options && options.transport) ? null
+    : TlsFileWatcher.fromOptions(options, this._logger)
+  if (this._tlsWatcher) {
+    createLoginRequest(this._tlsWatcher.tlsOptions())
+    this._tlsWatcher.watch(createLoginRequest)
+  } else {
+    createLoginRequest(options)
+  }
 
   this._username = username
   this._password = password
-  this._token = null
 
   /**
-   * Append the current token to the `bearer` property in the supplied
-   * `requestOptions` object.
-   * @param {Object} requestOptions - The request options.
-   * @param {BaseChannelAuth~authCallback} callback - A callback to invoke
-   *   with the modified `requestOptions`.
+   * Metrics collected for login requests, or `null` if metric collection is
+   * disabled.
+   * @type {Metrics}
    * @private
    */
-  this._addBearerAuthToken = function (requestOptions, callback) {
-    requestOptions.auth = {bearer: this._token}
-    callback(null, requestOptions)
-  }
+  this._metrics = Metrics.fromOption((options || {}).metrics)
 }
 
-inherits(ChannelAuth, BaseChannelAuth)
+inherits(ChannelAuth, CachedTokenAuth)
 
 /**
- * Authenticate the user for an HTTP channel request. The supplied callback
- * should be invoked with the results of the authentication attempt. See
- * {@link BaseChannelAuth~authCallback} for more information on the
- * content provided to the callback.
- * @param {Object} requestOptions - Options included in the HTTP channel
- *   request.
- * @param {BaseChannelAuth~authCallback} callback - Callback function
- *   invoked with the results of the authentication attempt.
+ * Make a login request to acquire a new token.
+ * @param {Function} callback - Callback to invoke with an `Error` if no token
+ *   could be acquired, else `null` and the token.
+ * @private
  */
-ChannelAuth.prototype.authenticate = function (requestOptions, callback) {
+ChannelAuth.prototype._acquireToken = function (callback) {
   var that = this
-  if (this._token) {
-    // Token was acquired previously, so use it for the request
-    this._addBearerAuthToken(requestOptions, callback)
-  } else {
-    // Token was not acquired previously, so make a login request to get
-    // a token.
-    this._loginRequest.get(
-      {
-        auth: {
-          user: this._username,
-          password: this._password
-        },
-        json: true
+  this._logger.debug({}, 'Requesting authentication token')
+  var requestComplete = this._metrics && this._metrics.startRequest('login')
+  this._loginRequest.get(
+    {
+      auth: {
+        user: this._username,
+        password: this._password
       },
-      function (error, response, body) {
-        if (error) {
-          callback(new TemporaryAuthenticationError(
-            'Unexpected error: ' + error.message
-          ))
-        } else if (response.statusCode === 200) {
-          if (body.AuthorizationToken) {
-            // Token was acquired successfully, so set it into the options
-            // for the original request and invoke the request callback to
-            // continue.
-            that._token = body.AuthorizationToken
-            that._addBearerAuthToken(requestOptions, callback)
-          } else {
-            callback(new PermanentAuthenticationError(
-              'Unable to locate AuthorizationToken in login response'
-            ))
-          }
-        } else if ([401, 403].indexOf(response.statusCode) >= 0) {
-          callback(new PermanentAuthenticationError(
-            'Unauthorized ' + response.statusCode + ': ' + body
-          ))
+      json: true
+    },
+    function (error, response, body) {
+      if (requestComplete) {
+        requestComplete(error, response)
+      }
+      var authError = null
+      if (error) {
+        authError = new TemporaryAuthenticationError(
+          'Unexpected error: ' + error.message
+        )
+      } else if (response.statusCode === 200) {
+        if (body.AuthorizationToken) {
+          callback(null, body.AuthorizationToken)
         } else {
-          callback(new TemporaryAuthenticationError(
-            'Unexpected status code ' + response.statusCode + ': ' +
-            JSON.stringify(body)
-          ))
+          authError = new PermanentAuthenticationError(
+            'Unable to locate AuthorizationToken in login response'
+          )
         }
+      } else if ([401, 403].indexOf(response.statusCode) >= 0) {
+        authError = new PermanentAuthenticationError(
+          'Unauthorized ' + response.statusCode + ': ' + body
+        )
+      } else {
+        authError = new TemporaryAuthenticationError(
+          'Unexpected status code ' + response.statusCode + ': ' +
+          JSON.stringify(body)
+        )
       }
-    )
-  }
-}
-
-/**
- * Purge any credentials cached from a previous authentication.
- */
-ChannelAuth.prototype.reset = function () {
-  this._token = null
+      if (authError) {
+        if (response) {
+          authError.statusCode = response.statusCode
+        }
+        that._logger.debug({statusCode: authError.statusCode,
+          error: authError}, 'Authentication token request failed')
+        callback(authError)
+      }
+    }
+  )
 }
 
 module.exports = ChannelAuth
@@ -1,13 +1,30 @@
 'use strict'
 
-var request = require('request')
-var retry = require('retry')
-var Buffer = require('safe-buffer').Buffer
+var EventEmitter = require('events').EventEmitter
+var inherits = require('inherits')
+var Readable = require('stream').Readable
+var codecs = require('./codecs')
+var logger = require('./logger')
 var util = require('./util')
+var AutoCommitPolicy = require('./auto-commit-policy')
 var ConsumerError = require('./consumer-error')
+var CookieJar = require('./cookie-jar')
+var DeadLetterPolicy = require('./dead-letter-policy')
+var DecodeError = require('./decode-error')
+var HttpClient = require('./http-client')
+var Metrics = require('./metrics')
+var OffsetTracker = require('./offset-tracker')
 var PermanentError = require('./permanent-error')
+var PollPolicy = require('./poll-policy')
+var Producer = require('./producer')
+var Record = require('./record')
+var RecordDispatcher = require('./record-dispatcher')
+var RecordPuller = require('./record-puller')
+var RetryPolicy = require('./retry-policy')
 var StopError = require('./stop-error')
 var TemporaryError = require('./temporary-error')
+var TlsFileWatcher = require('./tls-file-watcher')
+var TopicMatcher = require('./topic-matcher')
 
 var DEFAULT_CONSUMER_PATH_PREFIX = '/databus/consumer-service/v1'
 var DEFAULT_PRODUCER_PATH_PREFIX = '/databus/cloudproxy/v1'
@@ -22,9 +39,9 @@ var SESSION_TIMEOUT_CONFIG_SETTING = 'session.timeout.ms'
 // streaming service
 var DEFAULT_WAIT_BETWEEN_QUERIES = 30
 
-var RETRY_FACTOR = 2
-var MIN_RETRY_TIMEOUT = 1000
-var MAX_RETRY_TIMEOUT = 10000
+// Default number of seconds after which topic patterns are matched again
+// against the available topics during a run
+var DEFAULT_TOPIC_REFRESH_INTERVAL = 60
 
 /**
  * Asynchronously invoke the supplied callback.
@@ -39,6 +56,103 @@ function callbackAsync (callback) {
   }
 }
 
+/**
+ * Returns whether or not two arrays of topics supplied for subscriptions
+ * contain the same topics, in the same order.
+ * @param {Array<(String|RegExp)>} topics - The first array of topics.
+ * @param {Array<(String|RegExp)>} otherTopics - The second array of topics.
+ * @returns {Boolean} Whether or not the topics are the same.
+ * @private
+ */
+function sameTopics (topics, otherTopics) {
+  if (topics.length !== otherTopics.length) {
+    return false
+  }
+  for (var i = 0; i < topics.length; i++) {
+    if (TopicMatcher.key(topics[i]) !== TopicMatcher.key(otherTopics[i])) {
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * Build a key which identifies a topic partition.
+ * @param {String} topic - Topic of the partition.
+ * @param {Number} partition - The partition.
+ * @returns {String} The key.
+ * @private
+ */
+function partitionKey (topic, partition) {
+  return JSON.stringify([topic, partition])
+}
+
+/**
+ * Validate an array of topic partitions supplied to one of the positioning
+ * methods.
+ * @param {Array<Object>} [partitions] - Array of objects, each with `topic`
+ *   and `partition` properties.
+ * @returns {Array<Object>} Array of objects, each with the `topic` and
+ *   `partition` of one of the supplied partitions, or an empty array if no
+ *   partitions were supplied.
+ * @throws {PermanentError} If `partitions` is not an array or any entry does
+ *   not have a non-empty `topic` and a numeric `partition`.
+ * @private
+ */
+function validatePartitions (partitions) {
+  if (!partitions) {
+    return []
+  }
+  if (!Array.isArray(partitions)) {
+    throw new PermanentError('Value for partitions must be an array')
+  }
+  return partitions.map(function (entry) {
+    if (!entry || !entry.topic || (typeof entry.topic !== 'string')) {
+      throw new PermanentError(
+        'Value for partition topic must be a non-empty string')
+    }
+    if ((typeof entry.partition !== 'number') || isNaN(entry.partition)) {
+      throw new PermanentError('Value for partition must be a number')
+    }
+    return {topic: entry.topic, partition: entry.partition}
+  })
+}
+
+/**
+ * Validate the topics supplied to one of the methods which pause, resume, or
+ * change the subscription for topics.
+ * @param {(String|RegExp|Array<(String|RegExp)>)} topics - Topic or array of
+ *   topics.
+ * @param {Boolean} [allowPatterns=false] - Whether or not a `RegExp` is
+ *   accepted as a topic.
+ * @returns {Array<(String|RegExp)>} Array of topics.
+ * @throws {PermanentError} If any of the topics is not a non-empty string
+ *   (or a `RegExp`, if `allowPatterns` is set).
+ * @private
+ */
+function validateTopics (topics, allowPatterns) {
+  if ((typeof topics === 'string') ||
+    (allowPatterns && (topics instanceof RegExp))) {
+    topics = [topics]
+  }
+  if (!Array.isArray(topics)) {
+    throw new PermanentError('Value for topics must be a string or an array')
+  }
+  topics.forEach(function (topic) {
+    if (allowPatterns && (topic instanceof RegExp)) {
+      return
+    }
+    if (!topic || (typeof topic !== 'string')) {
+      var message = 'Value for topic must be a non-empty string'
+      if (allowPatterns) {
+        message += ' or a RegExp'
+      }
+      throw new PermanentError(message)
+    }
+  })
+  return topics
+}
+
 /**
  * @classdesc The `Channel` class is responsible for all communication with the
  * streaming service.
@@ -55,6 +169,15 @@ function callbackAsync (callback) {
  *
  * // Create a new consumer on the consumer group
  * channel.create()
+ *
+ * The channel is an `EventEmitter` which emits events as it communicates with
+ * the streaming service, for example, {@link Channel#event:consumerCreated}
+ * and {@link Channel#event:retry}. No `error` events are emitted; errors are
+ * delivered to the callbacks (or `Promise` objects) for the channel methods.
+ * A method called without a callback returns a `Promise`; if the `Promise` is
+ * ignored, as for the `channel.create()` call above, any error is discarded
+ * rather than reported as an unhandled rejection. Supply a callback (or
+ * handle the `Promise`) to find out whether the call succeeded.
  * @param {String} base - Base URL at which the streaming service resides.
  * @param {Object} [options] - Options to use for the channel.
  * @param {BaseChannelAuth} [options.auth] - Authentication object to use for
@@ -76,6 +199,52 @@ function callbackAsync (callback) {
  * @param {String} [options.offset=latest] - Offset for the next record to
  *   retrieve from the streaming service for the new {@link Channel#consume}
  *   call. Must be one of 'latest', 'earliest', or 'none'.
+ * @param {String} [options.recordFormat=payload] - Format of the records
+ *   delivered by the {@link Channel#consume}, {@link Channel#run}, and
+ *   {@link Channel#records} methods ({@link Channel#createReadStream} always
+ *   delivers {@link Record} objects). Must be one of 'payload' or 'record'.
+ *   For 'payload', each record is delivered as its payload, decoded by the
+ *   `options.codec`. For 'record', each record is delivered as a
+ *   {@link Record} object which includes the topic, partition, offset,
+ *   sharding key, headers, raw payload, and decoded value of the record.
+ *   Defaults to 'record' if `options.ackMode` is 'manual'.
+ * @param {String} [options.ackMode=batch] - How the offsets of consumed
+ *   records are committed. Must be one of 'batch' or 'manual'. For 'batch',
+ *   a {@link Channel#commit} commits the offsets of all of the records
+ *   consumed since the previous commit. For 'manual', records are delivered
+ *   as {@link Record} objects (the `options.recordFormat` must not be
+ *   'payload') and each record must be acknowledged via {@link Record#ack}.
+ *   A commit then only includes, for each topic partition, the offset of the
+ *   last record in the contiguous run of acknowledged records which follows
+ *   the previous commit. A record which is negatively acknowledged via
+ *   {@link Record#nack} is redelivered at the start of the next batch
+ *   consumed from the channel. This provides at-least-once processing: a
+ *   record which is never acknowledged is not committed, so it is delivered
+ *   again by the streaming service to the next consumer created for the
+ *   consumer group. For a {@link DecodeError}, the record can be
+ *   acknowledged via its `record` property.
+ * @param {String} [options.topicPatterns=resolve] - How topic patterns
+ *   supplied for a subscription (see {@link Channel#subscribe}) are handled.
+ *   Must be one of 'resolve' or 'service'. For 'resolve', the patterns are
+ *   matched against the topics returned by {@link Channel#listTopics} and the
+ *   consumer is subscribed to the matching topics. During a
+ *   {@link Channel#run} (or record iteration), the patterns are matched again
+ *   every `options.topicRefreshInterval` seconds, so that topics created
+ *   after the subscription which match are added to it. For 'service', the
+ *   topics are sent to the streaming service as a single regular expression,
+ *   in the `topic_pattern` property of the subscription request, for a
+ *   streaming service which resolves topic patterns itself.
+ * @param {Number} [options.topicRefreshInterval=60] - Number of seconds
+ *   after which the topic patterns for a subscription are matched again
+ *   against the available topics during a {@link Channel#run}. Only used
+ *   when `options.topicPatterns` is 'resolve'.
+ * @param {(String|module:Codecs~Codec)} [options.codec=string] - Codec used to
+ *   decode the payloads of consumed records and to encode values produced via
+ *   {@link Channel#send}. Must be the name of a registered codec (for example,
+ *   'string', 'buffer', or 'json') or an object with `encode` and `decode`
+ *   functions. See {@link module:Codecs}. If the payload for a consumed record
+ *   cannot be decoded, a {@link DecodeError} is delivered in place of the
+ *   record.
  * @param {Number} [options.requestTimeout] - The configuration controls the
  *   maximum amount of time the client (consumer) will wait for the broker
  *   response of a request. If the response is not received before the
@@ -102,8 +271,75 @@ function callbackAsync (callback) {
  *   less than the `options.requestTimeout`, values for both (or neither)
  *   of the `options.requestTimeout` and `options.sessionTimeout` parameters
  *   should be specified.
+ * @param {Number} [options.longPollTimeout] - Number of seconds for which
+ *   the streaming service should hold open a consume request which has no
+ *   records to return, waiting for records to arrive, before responding. The
+ *   value is sent, in milliseconds, as the `timeout` query parameter of the
+ *   consume request. Long polling delivers records as soon as they arrive
+ *   without repeated queries; it is typically combined with the
+ *   `adaptivePolling` option for {@link Channel#run}, with a small
+ *   `minWait`. If set to `null` or `undefined` (the default), the parameter
+ *   is not sent and the service determines how long to wait.
+ * @param {Object} [options.producer] - Options for the {@link Producer} used
+ *   by the {@link Channel#send} method, for example, to enable batching of
+ *   records. See {@link Producer} for the available options.
  * @param {Boolean} [options.retryOnFail=true] - Whether or not the channel
  *   will automatically retry a call which failed due to a temporary error.
+ * @param {Object} [options.retryPolicy] - Policy controlling how calls which
+ *   fail are retried when `options.retryOnFail` is `true`. A
+ *   {@link ConsumerError} is never retried.
+ * @param {Number} [options.retryPolicy.maxAttempts] - Maximum number of
+ *   attempts to make for a call, including the initial attempt. If not
+ *   specified, calls are retried until they succeed.
+ * @param {Number} [options.retryPolicy.maxElapsedTime] - Maximum number of
+ *   seconds, from the initial attempt for a call, after which no further
+ *   retries are made. If not specified, the elapsed time is not limited.
+ * @param {Number} [options.retryPolicy.minTimeout=1] - Number of seconds to
+ *   wait before the first retry.
+ * @param {Number} [options.retryPolicy.maxTimeout=10] - Maximum number of
+ *   seconds to wait between retries.
+ * @param {Number} [options.retryPolicy.factor=2] - Exponential factor by
+ *   which the wait between retries is increased.
+ * @param {Boolean} [options.retryPolicy.jitter=false] - Whether or not to
+ *   randomize each wait between retries by a factor of between 1 and 2.
+ * @param {Function} [options.retryPolicy.shouldRetry] - Predicate invoked with
+ *   the `Error` from a failed attempt and the name of the operation (for
+ *   example, 'consume'). The call is only retried if the predicate returns
+ *   `true`. If not specified, any error other than a {@link ConsumerError} is
+ *   retried.
+ * @param {Object} [options.retryPolicy.operations] - Object whose properties
+ *   override the policy settings above for individual operations. The
+ *   supported property names are 'create', 'subscribe', 'consume', 'commit',
+ *   'committed', 'seek', 'listTopics', and 'produce', each of which may have
+ *   any of the settings above. Produce
+ *   calls are only retried if a `maxAttempts` greater than 1 is specified for
+ *   the 'produce' operation, for example:
+ *
+ *   ```js
+ *   {maxAttempts: 3, operations: {produce: {maxAttempts: 5}}}
+ *   ```
+ * @param {Object} [options.logger] - Logger to which the channel writes
+ *   diagnostic messages. The object should have `debug`, `info`, `warn`, and
+ *   `error` methods, each of which is invoked with an object containing
+ *   structured fields (for example, `consumerId`, `operation`, `attempt`,
+ *   `statusCode`, and `error`) as the first parameter and the message string
+ *   as the second parameter. This matches the calling convention of loggers
+ *   such as pino and bunyan. A winston logger is detected and invoked with
+ *   the message string first and the structured fields second, as winston
+ *   expects; for other loggers which expect that order, set the
+ *   `options.logMessageFirst`. If not specified, messages at the `info` level
+ *   and above are written to the console. If set to `null` or `false`, no
+ *   messages are written.
+ * @param {Boolean} [options.logMessageFirst] - Whether or not to invoke the
+ *   `options.logger` methods with the message string as the first parameter
+ *   and the structured fields as the second. Defaults to `true` for a winston
+ *   logger, else `false`.
+ * @param {(Boolean|Metrics)} [options.metrics=false] - Whether or not to
+ *   collect metrics for the requests made and records processed by the
+ *   channel. If `true`, metrics are collected into a new {@link Metrics}
+ *   object. A {@link Metrics} object can also be supplied, for example, to
+ *   share the same metrics between the channel and its `auth` object. The
+ *   metrics can be retrieved via {@link Channel#getMetrics}.
  * @param {Object} [options.extraConfigs] - Object with properties containing
  *   any custom configuration settings which should be sent to the streaming
  *   service when a consumer is created. Note that any values specified for the
@@ -131,9 +367,59 @@ function callbackAsync (callback) {
  *   be used when checking the server's hostname against the certificate.
  *   See
  *   {@link https://nodejs.org/api/tls.html#tls_tls_connect_options_callback}.
+ * @param {String} [options.keyFile] - Path to a file containing the client
+ *   private key in PEM format, used in place of the `options.key`. The file
+ *   is watched for changes, and the reloaded key is used for subsequent
+ *   requests, without recreating the consumer.
+ * @param {String} [options.certFile] - Path to a file containing the client
+ *   cert chain in PEM format, used in place of the `options.cert`. The file
+ *   is watched for changes in the same way as the `options.keyFile`.
+ * @param {String} [options.caFile] - Path to a file containing the trusted
+ *   CA certificates in PEM format, used in place of the `options.ca`. The
+ *   file is watched for changes in the same way as the `options.keyFile`.
+ * @param {Number} [options.tlsWatchInterval=10] - Number of seconds between
+ *   checks for changes to the `options.keyFile`, `options.certFile`, and
+ *   `options.caFile`. Changed files are only applied if together they form
+ *   valid TLS credentials (for example, once both a rotated key and its
+ *   certificate have been written); otherwise, the previous credentials
+ *   remain in use.
+ * @param {String} [options.proxy] - URL of the HTTP(S) proxy through which to
+ *   make requests to the streaming service, for example,
+ *   'http://proxy.example.com:3128'.
+ * @param {(String|Array<String>)} [options.noProxy] - Comma-separated list (or
+ *   array) of hosts for which the proxy should not be used. An entry matches
+ *   the host and any of its subdomains, and may include a port. An entry of
+ *   '*' matches all hosts.
+ * @param {Boolean} [options.useEnvProxy=false] - Whether or not to use the
+ *   proxy named in the `HTTPS_PROXY` (or, for an `http` URL, `HTTP_PROXY`)
+ *   environment variable, along with the hosts named in the `NO_PROXY`
+ *   environment variable, if no `options.proxy` is set. The proxy
+ *   environment variables are ignored unless this option is set.
+ * @param {Object} [options.agent] - `http.Agent` (or `https.Agent`) through
+ *   which to make requests, for example, to share a connection pool between
+ *   channels. The agent should be configured with any required TLS settings.
+ * @param {Boolean} [options.keepAlive=false] - Whether or not to keep
+ *   connections to the streaming service alive between requests. Ignored if
+ *   an `options.agent` is supplied.
+ * @param {Number} [options.maxSockets] - Maximum number of concurrent
+ *   connections to the streaming service. Ignored if an `options.agent` is
+ *   supplied.
+ * @param {Object} [options.headers] - Object whose properties are headers to
+ *   include with every request to the streaming service, for example, a
+ *   `User-Agent`. Headers set by the channel for individual requests take
+ *   precedence.
+ * @param {BaseHttpTransport} [options.transport] - Transport through which to
+ *   send requests to the streaming service, for example, to trace requests or
+ *   to use an alternative HTTP client. The channel still manages cookies,
+ *   JSON content, and authentication headers. If a transport is supplied, the
+ *   TLS, proxy, agent, and connection pool options are not used, and should
+ *   instead be applied by the transport. Defaults to an
+ *   {@link HttpTransport} created from those options.
+ * @extends EventEmitter
  * @constructor
  */
 function Channel (base, options) {
+  EventEmitter.call(this)
   var channel = this
 
   if (!base) {
@@ -146,12 +432,81 @@ function Channel (base, options) {
   this._auth = options.auth
   this._consumerGroup = options.consumerGroup
 
+  /**
+   * Logger to which diagnostic messages are written.
+   * @type {Object}
+   * @private
+   */
+  this._logger = logger.create(options.logger, options.logMessageFirst)
+
   var offsetValues = ['latest', 'earliest', 'none']
   if (options.offset && offsetValues.indexOf(options.offset) < 0) {
     throw new PermanentError('Value for \'offset\' must be one of ' +
       offsetValues.join(', '))
   }
 
+  var recordFormatValues = ['payload', 'record']
+  if (options.recordFormat &&
+    recordFormatValues.indexOf(options.recordFormat) < 0) {
+    throw new PermanentError('Value for \'recordFormat\' must be one of ' +
+      recordFormatValues.join(', '))
+  }
+
+  var ackModeValues = ['batch', 'manual']
+  if (options.ackMode && ackModeValues.indexOf(options.ackMode) < 0) {
+    throw new PermanentError('Value for \'ackMode\' must be one of ' +
+      ackModeValues.join(', '))
+  }
+  this._ackMode = options.ackMode || 'batch'
+  if (this._ackMode === 'manual') {
+    if (options.recordFormat === 'payload') {
+      throw new PermanentError(
+        'Value for \'recordFormat\' must be \'record\' when \'ackMode\' ' +
+        'is \'manual\'')
+    }
+    this._recordFormat = 'record'
+  } else {
+    this._recordFormat = options.recordFormat || 'payload'
+  }
+
+  var topicPatternsValues = ['resolve', 'service']
+  if (options.topicPatterns &&
+    topicPatternsValues.indexOf(options.topicPatterns) < 0) {
+    throw new PermanentError('Value for \'topicPatterns\' must be one of ' +
+      topicPatternsValues.join(', '))
+  }
+
+  /**
+   * How topic patterns supplied for a subscription are handled, 'resolve' or
+   * 'service'.
+   * @type {String}
+   * @private
+   */
+  this._topicPatterns = options.topicPatterns || 'resolve'
+
+  /**
+   * Number of seconds after which the topic patterns for a subscription are
+   * matched again during a run.
+   * @type {Number}
+   * @private
+   */
+  this._topicRefreshInterval = DEFAULT_TOPIC_REFRESH_INTERVAL
+  if ((typeof options.topicRefreshInterval !== 'undefined') &&
+    (options.topicRefreshInterval !== null)) {
+    this._topicRefreshInterval = Number(options.topicRefreshInterval)
+    if (isNaN(this._topicRefreshInterval) ||
+      (this._topicRefreshInterval <= 0)) {
+      throw new TypeError('topicRefreshInterval must be a positive number')
+    }
+  }
+
+  /**
+   * Codec used to decode consumed payloads and encode produced values.
+   * @type {module:Codecs~Codec}
+   * @private
+   */
+  this._codec = codecs.get(options.codec || 'string')
+
   var pathPrefix = options.pathPrefix
   if (pathPrefix) {
     this._consumerPathPrefix = pathPrefix
@@ -201,6 +556,22 @@ function Channel (base, options) {
       (requestTimeout * 1000).toString()
   }
 
+  /**
+   * Number of seconds for which the streaming service should hold open a
+   * consume request waiting for records, or `null` to leave this to the
+   * service.
+   * @type {Number}
+   * @private
+   */
+  this._longPollTimeout = null
+  if ((typeof options.longPollTimeout !== 'undefined') &&
+    (options.longPollTimeout !== null)) {
+    this._longPollTimeout = Number(options.longPollTimeout)
+    if (isNaN(this._longPollTimeout) || (this._longPollTimeout <= 0)) {
+      throw new TypeError('longPollTimeout must be a positive number')
+    }
+  }
+
   /**
    * Whether or not the channel will automatically retry a call which
    * failed due to a temporary error.
@@ -209,17 +580,70 @@ function Channel (base, options) {
     'retryOnFail') ? options.retryOnFail : true
 
   /**
-   * Setup the defaults to be used in each HTTP request to be made to the
-   * channel. A `jar` is defined in order to manage cookies which may be
-   * provided from the server when establishing a channel consumer.
+   * Policy controlling how failed calls are retried.
+   * @type {RetryPolicy}
+   * @private
+   */
+  this._retryPolicy = new RetryPolicy(options.retryPolicy)
+
+  /**
+   * Metrics collected for the channel, or `null` if metric collection is
+   * disabled.
+   * @type {Metrics}
+   * @private
+   */
+  this._metrics = Metrics.fromOption(options.metrics)
+
+  /**
+   * Cookie jar for channel requests, which manages cookies which may be
+   * provided from the server when establishing a channel consumer. The jar
+   * is retained when the HTTP client is replaced after the TLS files have
+   * been reloaded.
+   * @type {CookieJar}
    * @private
    */
-  this._request = request.defaults(
-    util.addTlsOptions({
-      baseUrl: this._base,
-      jar: request.jar()
-    }, options)
-  )
+  this._jar = new CookieJar()
+
+  /**
+   * Watcher for the files named in the TLS file options, or `null` if no
+   * such files were named or a custom transport is used.
+   * @type {TlsFileWatcher}
+   * @private
+   */
+  this._tlsWatcher = options.transport ? null
+    : TlsFileWatcher.fromOptions(options, this._logger)
+
+  /**
+   * Create the HTTP client for channel requests.
+   * @param {Object} tlsOptions - TLS options for the requests.
+   * @private
+   */
+  this._createRequest = function (tlsOptions) {
+    var previousRequest = this._request
+    this._request = new HttpClient(
+      util.addTlsOptions(util.addHttpOptions({
+        baseUrl: this._base,
+        jar: this._jar
+      }, options, this._base), tlsOptions)
+    )
+    if (previousRequest) {
+      // Release the connections kept alive for the previous client once its
+      // requests in progress have completed.
+      previousRequest.close()
+    }
+  }
+
+  if (this._tlsWatcher) {
+    this._createRequest(this._tlsWatcher.tlsOptions())
+    this._tlsWatcher.watch(function (tlsOptions) {
+      // Only requests made from now on use the new credentials. The
+      // consumer and any offsets which have not been committed are kept.
+      channel._createRequest(tlsOptions)
+      channel.emit('tlsReloaded')
+    })
+  } else {
+    this._createRequest(options)
+  }
 
   /**
    * Most recent consumer id returned from the streaming service for a
@@ -230,13 +654,43 @@ function Channel (base, options) {
   this._consumerId = null
 
   /**
-   * Array of strings containing the topics for which a channel consumer is
-   * actively subscribed.
-   * @type {Array<String>}
+   * Array containing the topics for which a channel consumer is actively
+   * subscribed, as supplied for the subscription. Each entry may be a topic
+   * name or a topic pattern.
+   * @type {Array<(String|RegExp)>}
    * @private
    */
   this._activeSubscriptions = []
 
+  /**
+   * Array containing the names of the topics that the consumer is
+   * subscribed to: the {@link Channel#_activeSubscriptions} with any topic
+   * patterns replaced by the topics which they matched. If the patterns are
+   * resolved by the streaming service, this contains the patterns instead.
+   * @type {Array<(String|RegExp)>}
+   * @private
+   */
+  this._matchedTopics = []
+
+  /**
+   * Array containing the names of the topics in the subscription last sent
+   * to the streaming service: the {@link Channel#_matchedTopics} less any
+   * topics which were paused at the time. If the patterns are resolved by
+   * the streaming service, paused topics cannot be left out of the
+   * subscription, so this is `null`.
+   * @type {Array<String>}
+   * @private
+   */
+  this._fetchedTopics = []
+
+  /**
+   * Time (in milliseconds since the epoch) at which the topic patterns for
+   * the active subscription were last matched against the available topics.
+   * @type {Number}
+   * @private
+   */
+  this._matchedAt = 0
+
   /**
    * Array of strings containing the topics that the channel consumer has
    * requested to be subscribed to. Once the server has provided a successful
@@ -247,6 +701,26 @@ function Channel (base, options) {
    */
   this._requestedSubscriptions = []
 
+  /**
+   * Array of strings containing the topics that the consumer should be
+   * subscribed to during an active {@link Channel#run} (or record
+   * iteration). Unlike the {@link Channel#_requestedSubscriptions}, this is
+   * retained when the consumer is reset, so that a new consumer can be
+   * subscribed to the same topics. Changed via {@link Channel#addTopics},
+   * {@link Channel#removeTopics}, and {@link Channel#setTopics}.
+   * @type {Array<String>}
+   * @private
+   */
+  this._runTopics = []
+
+  /**
+   * Callbacks to invoke once a change to the {@link Channel#_runTopics}
+   * requested during an active run has taken effect.
+   * @type {Array<Function>}
+   * @private
+   */
+  this._topicChangeCallbacks = []
+
   /**
    * Array of records which have been consumed from the channel but whose
    * offsets have not yet been committed back to the channel.
@@ -255,6 +729,61 @@ function Channel (base, options) {
    */
   this._recordsCommitLog = []
 
+  /**
+   * Tracker for the acknowledgement state of consumed records, used when the
+   * channel `ackMode` is 'manual'.
+   * @type {OffsetTracker}
+   * @private
+   */
+  this._offsetTracker = new OffsetTracker()
+
+  /**
+   * Whether or not the offsets of consumed records are tracked by the
+   * {@link Channel#_offsetTracker} (rather than the
+   * {@link Channel#_recordsCommitLog}) even though the channel `ackMode` is
+   * not 'manual', because a {@link Channel#run} with the `concurrency`
+   * option is in progress.
+   * @type {boolean}
+   * @private
+   */
+  this._trackCompletions = false
+
+  /**
+   * Records which have been negatively acknowledged and are waiting to be
+   * redelivered by the next consume, used when the channel `ackMode` is
+   * 'manual'.
+   * @type {Array<(Record|DecodeError)>}
+   * @private
+   */
+  this._redeliveries = []
+
+  /**
+   * Offset of the next record expected to be consumed for each topic
+   * partition, keyed by the string returned from `partitionKey`. Updated as
+   * records are consumed and when the position is moved via
+   * {@link Channel#seek}.
+   * @type {Object}
+   * @private
+   */
+  this._positions = {}
+
+  /**
+   * Topics for which consumption has been paused via {@link Channel#pause}.
+   * @type {Array<String>}
+   * @private
+   */
+  this._pausedTopics = []
+
+  /**
+   * Records for paused topics which were returned by a consume request and
+   * are held back in memory, since the consumer position could not be moved
+   * back to consume them again. The records are delivered ahead of newly
+   * consumed records once their topic is resumed.
+   * @type {Array<Object>}
+   * @private
+   */
+  this._withheldRecords = []
+
   /**
    * Whether or not the channel is currently active. Once the channel has
    * been destroyed, this is set to `false`.
@@ -287,8 +816,7 @@ function Channel (base, options) {
 
   /**
    * Function invoked while a {@link Channel#run} is in progress to resume
-   * consumption of records after waiting for the configured
-   * `waitBetweenQueries`.
+   * consumption of records after waiting between consume requests.
    * @type {Function}
    * @private
    */
@@ -300,6 +828,48 @@ function Channel (base, options) {
    */
   this._runLoopTimeout = null
 
+  /**
+   * Retries which are waiting for the retry delay of the dead-letter policy
+   * for an active {@link Channel#run} to elapse. Each entry has the `retry`
+   * function to invoke and the `timeout` object for the wait.
+   * @type {Array<Object>}
+   * @private
+   */
+  this._processRetries = []
+
+  /**
+   * Function which completes an active {@link Channel#run} (or record
+   * iteration) without waiting for the run to stop, or `null` if no run is
+   * active. Invoked when a {@link Channel#shutdown} times out, before the
+   * consumer is deleted.
+   * @type {Function}
+   * @private
+   */
+  this._abandonRunFunc = null
+
+  /**
+   * Whether or not the active {@link Channel#run} (or record iteration) has
+   * been completed via {@link Channel#_abandonRun} while its work was still
+   * in progress.
+   * @type {boolean}
+   * @private
+   */
+  this._runAbandoned = false
+
+  /**
+   * Options for the producer used for {@link Channel#send} calls.
+   * @type {Object}
+   * @private
+   */
+  this._producerOptions = options.producer
+
+  /**
+   * Producer used for {@link Channel#send} calls. Created on first use.
+   * @type {Producer}
+   * @private
+   */
+  this._producer = null
+
   /**
    * Returns whether or not the channel is still active.
    * @param {Function} [callback] - Callback to invoke with an error if the
@@ -314,9 +884,26 @@ function Channel (base, options) {
     return this._active
   }
 
+  /**
+   * Create a {@link TemporaryError} for an unsuccessful HTTP response.
+   * @param {String} message - The error message.
+   * @param {Number} statusCode - The HTTP status code from the response. This
+   *   is stored in the `statusCode` property of the error.
+   * @returns {TemporaryError} The error.
+   * @private
+   */
+  this._statusCodeError = function (message, statusCode) {
+    var error = new TemporaryError(message)
+    error.statusCode = statusCode
+    return error
+  }
+
   /**
    * Send an HTTP request to the channel. The request options should include
    * info for the user, if authenticated -- for example, a channel token.
+   * @param {String} operationName - Name of the operation that the request is
+   *   made for, for example, 'consume'. This is used to label the metrics
+   *   recorded for the request.
    * @param {Function} sendFunc - Function to invoke in order to send the
    *   request.
    *
@@ -345,10 +932,15 @@ function Channel (base, options) {
    *   The first parameter to the callback is the HTTP response object.
    * @private
    */
-  this._sendRequestWithAuthInfo = function (sendFunc, options,
+  this._sendRequestWithAuthInfo = function (operationName, sendFunc, options,
                                             successCallback, errorCallback,
                                             notFoundCallback) {
+    var requestComplete = channel._metrics &&
+      channel._metrics.startRequest(operationName)
     sendFunc(options, function (error, response) {
+      if (requestComplete) {
+        requestComplete(error, response)
+      }
       if (error) {
         if (errorCallback) {
           errorCallback(error)
@@ -359,24 +951,29 @@ function Channel (base, options) {
         }
       } else if ([401, 403].indexOf(response.statusCode) >= 0) {
         if (errorCallback) {
-          errorCallback(new TemporaryError(
+          errorCallback(channel._statusCodeError(
             'Token potentially expired (' + response.statusCode + '): ' +
-            JSON.stringify(response.body)
+            JSON.stringify(response.body), response.statusCode
           ))
         }
         // Call reset on the channel authenticator in order to allow it to
         // clear out any cached credentials (for example, a token) before
         // attempting to retry a request.
         if (channel._auth && channel._auth.reset) {
+          channel._logger.debug({
+            consumerId: channel._consumerId,
+            statusCode: response.statusCode
+          }, 'Resetting channel authentication')
           channel._auth.reset()
+          channel.emit('authReset', {statusCode: response.statusCode})
         }
       } else if ((response.statusCode === 404) && notFoundCallback) {
         notFoundCallback(response)
       } else {
         if (errorCallback) {
-          errorCallback(new TemporaryError(
+          errorCallback(channel._statusCodeError(
             'Unexpected temporary error ' + response.statusCode + ': ' +
-            JSON.stringify(response.body)
+            JSON.stringify(response.body), response.statusCode
           ))
         }
       }
@@ -385,6 +982,8 @@ function Channel (base, options) {
 
   /**
    * Send an HTTP request to the channel.
+   * @param {String} operationName - Name of the operation that the request is
+   *   made for, for example, 'consume'.
    * @param {Function} sendFunc - Function to invoke in order to send the
    *   request.
    *
@@ -413,7 +1012,7 @@ function Channel (base, options) {
    *   The first parameter to the callback is the HTTP response object.
    * @private
    */
-  this._sendRequest = function (sendFunc, options,
+  this._sendRequest = function (operationName, sendFunc, options,
                                 successCallback, errorCallback,
                                 notFoundCallback) {
     if (typeof options === 'string') {
@@ -428,13 +1027,14 @@ function Channel (base, options) {
               errorCallback(error)
             }
           } else {
-            channel._sendRequestWithAuthInfo(sendFunc, optionsWithAuth,
+            channel._sendRequestWithAuthInfo(operationName, sendFunc,
+              optionsWithAuth,
               successCallback, errorCallback, notFoundCallback)
           }
         }
       )
     } else {
-      this._sendRequestWithAuthInfo(sendFunc, options,
+      this._sendRequestWithAuthInfo(operationName, sendFunc, options,
         successCallback, errorCallback, notFoundCallback)
     }
   }
@@ -449,9 +1049,16 @@ function Channel (base, options) {
    * 2. A {@link ConsumerError} instance is delivered to the
    *   `completionCallback`.
    * 3. The {@link Channel#retryOnFail} property is set to `false`.
-   * 4. An {@link Channel#run} call is active but a stop has been requested,
-   *    for example, due to a call to {@link Channel#stop}.
+   * 4. The retry policy for the operation indicates that the error should not
+   *    be retried or that its attempt or elapsed time limits have been
+   *    reached.
+   * 5. An {@link Channel#run} call is active but a stop has been requested,
+   *    for example, due to a call to {@link Channel#stop}. This does not apply
+   *    to the 'produce' operation or if `stoppable` is `false`.
    *
+   * @param {String} operationName - Name of the operation, used to look up
+   *   the retry policy settings for the operation. One of 'create',
+   *   'subscribe', 'consume', 'commit', 'committed', 'seek', or 'produce'.
    * @param {Function} [operationCallback] - Function to invoke for each
    *   operation attempt. The first parameter delivered to the
    *   `operationCallback` is a callback which is invoked when the operation
@@ -466,35 +1073,68 @@ function Channel (base, options) {
    *   `operationCallback` is an object containing the `result` from the last
    *   operation attempt (or `null` if the operation was stopped prior to a
    *   final attempt).
+   * @param {Boolean} [stoppable] - Whether or not a stop requested for an
+   *   active {@link Channel#run} should end the operation. Defaults to `true`
+   *   for every operation other than 'produce'.
    * @private
    */
-  this._retryOnFailure = function (operationCallback, completeCallback) {
+  this._retryOnFailure = function (operationName, operationCallback,
+                                  completeCallback, stoppable) {
     if (!operationCallback) {
       if (completeCallback) {
         callbackAsync(completeCallback)
       }
     } else if (this._stillActive(completeCallback)) {
-      var operation = retry.operation({
-        factor: RETRY_FACTOR,
-        forever: true,
-        minTimeout: MIN_RETRY_TIMEOUT,
-        maxTimeout: MAX_RETRY_TIMEOUT
-      })
+      var operation = this._retryPolicy.createOperation(operationName)
+      if (typeof stoppable === 'undefined') {
+        // Producing records is independent of consumption, so a stop
+        // requested for an active run should not interrupt it.
+        stoppable = operationName !== 'produce'
+      }
 
-      operation.attempt(function () {
+      operation.attempt(function (attempt) {
         if (channel._stillActive(completeCallback)) {
-          if (channel._running && channel._stopRequested) {
+          if (stoppable && channel._running && channel._stopRequested) {
             if (completeCallback) {
               completeCallback(new StopError())
             }
           } else {
+            channel._logger.debug({
+              consumerId: channel._consumerId,
+              operation: operationName,
+              attempt: attempt
+            }, 'Attempting ' + operationName)
             operationCallback(function (error, result) {
-              if (error && (!(error instanceof ConsumerError)) &&
-                channel.retryOnFail && operation.retry(error)) {
-                console.log('Retrying due to: ' + error.message)
+              var logFields = error ? {
+                consumerId: channel._consumerId,
+                operation: operationName,
+                attempt: attempt,
+                statusCode: error.statusCode,
+                error: error
+              } : null
+              if (error && channel.retryOnFail &&
+                channel._retryPolicy.shouldRetry(operationName, error) &&
+                operation.retry(error)) {
+                channel._logger.warn(logFields,
+                  'Retrying due to: ' + error.message)
+                if (channel._metrics) {
+                  channel._metrics.increment('dxlstreaming_retries_total',
+                    {operation: operationName})
+                }
+                channel.emit('retry', {
+                  operation: operationName,
+                  attempt: attempt,
+                  error: error
+                })
               } else {
                 if (error) {
-                  console.log('Will not retry due to: ' + error.message +
+                  if (channel._metrics) {
+                    channel._metrics.increment(
+                      'dxlstreaming_operation_failures_total',
+                      {operation: operationName})
+                  }
+                  channel._logger.error(logFields,
+                    'Will not retry due to: ' + error.message +
                     (channel.retryOnFail ? '' : ' (retries disabled)')
                   )
                 }
@@ -510,53 +1150,169 @@ function Channel (base, options) {
   }
 
   /**
-   * Determine if the channel is already subscribed to consume an array
-   * of `topics`.
-   * @param {Array<String>} topics - Array of topics.
-   * @returns {boolean} true if the channel is subscribed to the supplied
-   *   list of topics, false if there are any differences between the
-   *   supplied topics and the array of active topics.
+   * Decode a record returned from the streaming service into the form
+   * delivered to consumers, based on the `recordFormat` and `codec` options
+   * for the channel.
+   * @param {Object} rawRecord - Record, as returned in the body of a consume
+   *   response.
+   * @returns {(Record|DecodeError|*)} A {@link Record} object if the
+   *   `recordFormat` is 'record', else the decoded payload. If the payload
+   *   could not be decoded, a {@link DecodeError} is returned.
    * @private
    */
-  this._alreadySubscribed = function (topics) {
-    var returnValue = true
-    if (topics.length === this._activeSubscriptions.length) {
-      for (var i = 0; i < topics.length; i++) {
-        if (topics[i] !== this._activeSubscriptions[i]) {
-          returnValue = false
-          break
+  this._decodeRecord = function (rawRecord) {
+    var record = new Record(rawRecord)
+    try {
+      record.value = this._codec.decode(record.payload)
+    } catch (decodeError) {
+      return new DecodeError('Unable to decode payload for record at offset ' +
+        record.offset + ' in topic ' + record.topic + ': ' +
+        decodeError.message, record, decodeError)
+    }
+    return this._recordFormat === 'record' ? record : record.value
+  }
+
+  /**
+   * Returns whether or not the offsets of consumed records are tracked per
+   * record by the {@link Channel#_offsetTracker}: when the channel `ackMode`
+   * is 'manual' or a {@link Channel#run} with the `concurrency` option is in
+   * progress.
+   * @returns {Boolean} Whether or not the offset tracker is in use.
+   * @private
+   */
+  this._usesOffsetTracker = function () {
+    return (this._ackMode === 'manual') || this._trackCompletions
+  }
+
+  /**
+   * Start tracking the acknowledgement state for a consumed record. When
+   * the channel `ackMode` is 'manual', the {@link Record#ack} and
+   * {@link Record#nack} methods of the record are connected to the channel.
+   * @param {(Record|DecodeError|*)} item - The item delivered for the record.
+   * @param {Object} rawRecord - Record, as returned in the body of a consume
+   *   response.
+   * @returns {Function} Function which acknowledges the record, unless it
+   *   has already been acknowledged (or negatively acknowledged).
+   * @private
+   */
+  this._trackRecord = function (item, rawRecord) {
+    var tracker = this._offsetTracker
+    var entry = tracker.track(rawRecord.routingData.topic, rawRecord.partition,
+      rawRecord.offset)
+    var settle = function (ack) {
+      // A record consumed before the consumer was reset is delivered again
+      // by the streaming service, so it should not be acknowledged or
+      // redelivered here.
+      if (tracker.isCurrent(entry)) {
+        if (ack) {
+          tracker.ack(entry)
+        } else {
+          channel._redeliveries.push(item)
         }
       }
+    }
+    if (this._ackMode !== 'manual') {
+      return function () {
+        settle(true)
+      }
+    }
+    var record = item instanceof DecodeError ? item.record : item
+    record._settle = settle
+    return record._settleOnce.bind(record, true)
+  }
+
+  /**
+   * Returns the offsets to include in the next commit, based on the channel
+   * `ackMode`.
+   * @returns {Array<Object>} Array of objects, each with `topic`,
+   *   `partition`, and `offset` properties.
+   * @private
+   */
+  this._commitOffsets = function () {
+    if (this._usesOffsetTracker()) {
+      return this._offsetTracker.committable()
+    }
+    return this._recordsCommitLog
+  }
+
+  /**
+   * Discard the local state for records consumed from topic partitions whose
+   * consumer position has been moved: uncommitted offsets, acknowledgement
+   * tracking, pending redeliveries, records held back for paused topics, and
+   * known positions. Records consumed before the move are delivered again
+   * if the new position precedes them, so their offsets must not be
+   * committed.
+   * @param {Array<Object>} partitions - Array of objects, each with `topic`
+   *   and `partition` properties. If empty, the state for all partitions is
+   *   discarded.
+   * @param {Number} [offset] - New position for the partitions, if known.
+   * @private
+   */
+  this._positionsMoved = function (partitions, offset) {
+    var keys = null
+    if (partitions.length) {
+      keys = partitions.map(function (entry) {
+        return partitionKey(entry.topic, entry.partition)
+      })
+    }
+    var moved = function (topic, partition) {
+      return !keys || keys.indexOf(partitionKey(topic, partition)) >= 0
+    }
+    this._recordsCommitLog = this._recordsCommitLog.filter(function (entry) {
+      return !moved(entry.topic, entry.partition)
+    })
+    this._redeliveries = this._redeliveries.filter(function (item) {
+      var record = item instanceof DecodeError ? item.record : item
+      return !moved(record.topic, record.partition)
+    })
+    this._withheldRecords = this._withheldRecords.filter(function (record) {
+      return !moved(record.routingData.topic, record.partition)
+    })
+    if (keys) {
+      partitions.forEach(function (entry) {
+        channel._offsetTracker.forget(entry.topic, entry.partition)
+        var key = partitionKey(entry.topic, entry.partition)
+        if (typeof offset === 'number') {
+          channel._positions[key] = offset
+        } else {
+          delete channel._positions[key]
+        }
+      })
     } else {
-      returnValue = false
+      this._offsetTracker.reset()
+      this._positions = {}
     }
-    return returnValue
   }
 
   /**
-   * Internal helper for subscribing the consumer to an array of topics.
-   * @param {Array<String>} topics - Topic array.
-   * @param {Function} [callback] - Callback function invoked when the
-   *   subscription attempt is complete. The first parameter in the call to the
-   *   results callback is an `Error` object, if an error occurred during the
-   *   send attempt, else `null`.
+   * Send a request to move the consumer position for one or more topic
+   * partitions.
+   * @param {String} path - Path of the positions resource, relative to the
+   *   consumer.
+   * @param {Object} body - Body for the request.
+   * @param {Function} callback - Callback function invoked when the seek
+   *   attempt is complete. The first parameter in the call to the callback is
+   *   an `Error` object, if an error occurred during the seek, else `null`.
+   * @param {Boolean} [stoppable=true] - Whether or not the seek should be
+   *   abandoned if a stop has been requested for an active
+   *   {@link Channel#run}.
    * @private
    */
-  this._subscribe = function (topics, callback) {
-    this._requestedSubscriptions = topics
+  this._seek = function (path, body, callback, stoppable) {
     this._retryOnFailure(
+      'seek',
       function (retryCallback) {
         var consumerId = channel._consumerId
         channel._sendRequest(
+          'seek',
           channel._request.post,
           {
             uri: util.appendUrlSubpath(channel._consumerPathPrefix,
-              'consumers/' + consumerId + '/subscription'),
+              'consumers/' + consumerId + '/' + path),
             json: true,
-            body: {topics: topics}
+            body: body
           },
           function () {
-            channel._activeSubscriptions = topics
             retryCallback(null)
           },
           retryCallback,
@@ -567,90 +1323,1022 @@ function Channel (base, options) {
           }
         )
       },
-      callback
+      callback,
+      stoppable
     )
   }
 
   /**
-   * Function which processes the response from the `processCallback`
-   * invoked during a run/consume operation. This function attempts to
-   * perform a {@link Channel#commit} for outstanding records which have
-   * been consumed but not previously committed and waits before calling
-   * the `doneCallback` to continue until the supplied `waitBetweenQueries`
-   * has elapsed.
-   * @param {Boolean} continueRunning - Whether or not to try to consume
-   *   more records.
-   * @param {Function} doneCallback - Callback function to invoke when
-   *   done processing the response. The first parameter delivered to the
-   *   `doneCallback` is an `Error` object, if an error occurred during
-   *   processing the response, else `null`. The second parameter
-   *   delivered to the `doneCallback` is a `boolean` indicating whether
-   *   or not to try to consume more records.
-   * @param {Number} waitBetweenQueries - Number of seconds to wait between
-   *   calls to consume records.
+   * Send a request to move the consumer position for one or more topic
+   * partitions at the request of the user, discarding the local state for
+   * records consumed from the partitions before the move.
+   * @param {String} path - Path of the positions resource, relative to the
+   *   consumer.
+   * @param {Object} body - Body for the request.
+   * @param {Array<Object>} partitions - Partitions whose position is moved,
+   *   each with `topic` and `partition` properties. If empty, the position for
+   *   all partitions assigned to the consumer is moved.
+   * @param {Number} [offset] - New position for the partitions, if known.
+   * @param {Function} callback - Callback function invoked when the seek
+   *   attempt is complete. The first parameter in the call to the callback is
+   *   an `Error` object, if an error occurred during the seek, else `null`.
    * @private
    */
-  this._handleProcessCallbackResponse = function (
-    continueRunning, doneCallback, waitBetweenQueries) {
-    if (this._stopRequested) {
-      continueRunning = false
-    }
-    this.commit(function (commitError) {
-      if (commitError || !continueRunning) {
-        doneCallback(commitError, continueRunning)
-      } else {
-        channel._runLoopFunc = function () {
-          channel._runLoopFunc = null
-          channel._runLoopTimeout = null
-          doneCallback(null, !channel._stopRequested)
-        }
-        channel._runLoopTimeout = setTimeout(channel._runLoopFunc,
-          waitBetweenQueries * 1000
-        )
+  this._moveTo = function (path, body, partitions, offset, callback) {
+    this._seek(path, body, function (seekError) {
+      if (!seekError) {
+        channel._positionsMoved(partitions, offset)
       }
+      callback(seekError)
     })
   }
 
   /**
-   * Repeatedly consume records from subscribed topics during an
-   * active {@link Channel#run}.
-   * @param {Function} processCallback - Callback to invoke with an array
-   *   of payloads from records which have been consumed.
-   * @param {Function} doneCallback - Callback function to invoke when
-   *   done performing the consume attempt. The first parameter delivered to the
+   * Returns whether or not consumption of a topic has been paused via
+   * {@link Channel#pause}.
+   * @param {String} topic - The topic.
+   * @returns {Boolean} Whether or not the topic is paused.
+   * @private
+   */
+  this._isPaused = function (topic) {
+    return this._pausedTopics.indexOf(topic) >= 0
+  }
+
+  /**
+   * Returns the topics in an array which have not been paused via
+   * {@link Channel#pause}.
+   * @param {Array<(String|RegExp)>} topics - The topics.
+   * @returns {Array<(String|RegExp)>} The topics which are not paused.
+   * @private
+   */
+  this._unpausedTopics = function (topics) {
+    return topics.filter(function (topic) {
+      return !channel._isPaused(topic)
+    })
+  }
+
+  /**
+   * Remove the records for paused topics from the records returned by a
+   * consume request. Records for paused topics are only returned if the
+   * topic was paused while the request was outstanding or if the streaming
+   * service resolves the patterns in the subscription. The consumer position
+   * for each partition which had records removed is moved back to the oldest
+   * removed record, so that the records are consumed again once the topic is
+   * resumed. If the position cannot be moved back, the removed records are
+   * held back in memory instead.
+   *
+   * Records held back earlier for topics which have since been resumed are
+   * included ahead of the records from the consume request.
+   * @param {Array<Object>} rawRecords - Records, as returned in the body of a
+   *   consume response.
+   * @param {Function} callback - Callback function invoked with the array of
+   *   records to deliver.
+   * @private
+   */
+  this._withholdPausedRecords = function (rawRecords, callback) {
+    var released = []
+    var withheld = []
+    this._withheldRecords.forEach(function (record) {
+      if (channel._isPaused(record.routingData.topic)) {
+        withheld.push(record)
+      } else {
+        released.push(record)
+      }
+    })
+    this._withheldRecords = withheld
+
+    var rewinds = {}
+    var paused = []
+    var records = released.concat(rawRecords.filter(function (record) {
+      var topic = record.routingData.topic
+      if (!channel._isPaused(topic)) {
+        return true
+      }
+      paused.push(record)
+      var key = partitionKey(topic, record.partition)
+      if (!rewinds[key] || (record.offset < rewinds[key].offset)) {
+        rewinds[key] = {
+          topic: topic,
+          partition: record.partition,
+          offset: record.offset
+        }
+      }
+      return false
+    }))
+    var offsets = Object.keys(rewinds).map(function (key) {
+      return rewinds[key]
+    })
+    if (!offsets.length) {
+      callback(records)
+      return
+    }
+    this._seek('positions', {offsets: offsets}, function (seekError) {
+      if (seekError) {
+        channel._logger.warn({
+          consumerId: channel._consumerId,
+          error: seekError
+        }, 'Unable to rewind paused topics, holding back their records: ' +
+          seekError.message)
+        channel._withheldRecords = channel._withheldRecords.concat(paused)
+      } else {
+        offsets.forEach(function (entry) {
+          channel._positions[partitionKey(entry.topic, entry.partition)] =
+            entry.offset
+        })
+      }
+      callback(records)
+    }, false)
+  }
+
+  /**
+   * Convert the records returned by a consume request into the items
+   * delivered to consumers, based on the `recordFormat` and `codec` options
+   * for the channel, and track their offsets for the next commit. When the
+   * channel `ackMode` is 'manual', negatively acknowledged records waiting to
+   * be redelivered are included ahead of the new records.
+   * @param {Array<Object>} rawRecords - Records, as returned in the body of a
+   *   consume response.
+   * @param {Array<Object>} [deliveries] - Array to add an entry to for each
+   *   item delivered, for dispatch via a {@link RecordDispatcher} or for
+   *   dead-lettering. Each entry has the `item`, the {@link Record} that the
+   *   item was decoded from, and a `complete` function which acknowledges the
+   *   record (or `null` if offsets are not tracked per record).
+   * @returns {Array} The items to deliver.
+   * @private
+   */
+  this._deliverRecords = function (rawRecords, deliveries) {
+    var manualAck = this._ackMode === 'manual'
+    var payloads = []
+    var deliver = function (item, record, complete) {
+      payloads.push(item)
+      if (deliveries) {
+        deliveries.push({item: item, record: record, complete: complete})
+      }
+    }
+    if (manualAck) {
+      // Negatively acknowledged records are redelivered ahead of any newly
+      // consumed records. Records for paused topics are held back until the
+      // topic is resumed.
+      var redeliveries = this._redeliveries
+      this._redeliveries = []
+      redeliveries.forEach(function (item) {
+        var record = item instanceof DecodeError ? item.record : item
+        if (channel._isPaused(record.topic)) {
+          channel._redeliveries.push(item)
+        } else {
+          record.deliveryCount++
+          record._settled = false
+          deliver(item, record, record._settleOnce.bind(record, true))
+        }
+      })
+    }
+    rawRecords.forEach(function (record) {
+      var key = partitionKey(record.routingData.topic, record.partition)
+      channel._positions[key] = record.offset + 1
+      var payload = channel._decodeRecord(record)
+      var complete = null
+      if (channel._usesOffsetTracker()) {
+        complete = channel._trackRecord(payload, record)
+      } else {
+        channel._recordsCommitLog.push({
+          topic: record.routingData.topic,
+          partition: record.partition,
+          offset: record.offset
+        })
+      }
+      var delivered = null
+      if (deliveries) {
+        if (payload instanceof Record) {
+          delivered = payload
+        } else if (payload instanceof DecodeError) {
+          delivered = payload.record
+        } else {
+          delivered = new Record(record)
+          delivered.value = payload
+        }
+      }
+      deliver(payload, delivered, complete)
+      if (channel._metrics) {
+        channel._metrics.increment('dxlstreaming_records_consumed_total',
+          {topic: record.routingData.topic})
+      }
+    })
+    return payloads
+  }
+
+  /**
+   * Internal helper for consuming records from the subscribed topics.
+   * @param {Array<Object>} [deliveries] - Array to add an entry to for each
+   *   item delivered, as described for {@link Channel#_deliverRecords}.
+   * @param {Function} callback - Callback function invoked with the results
+   *   of the consume attempt, as for {@link Channel#consume}.
+   * @private
+   */
+  this._consume = function (deliveries, callback) {
+    var unpaused = channel._unpausedTopics(channel._matchedTopics)
+    if (!unpaused.length) {
+      // Skip the request since any records returned for the paused topics
+      // would have to be withheld (or, if no topics match the patterns in
+      // the subscription, no request was made to subscribe to topics).
+      setImmediate(function () {
+        channel.emit('records', [])
+        callback(null, [])
+      })
+      return
+    }
+    if (channel._fetchedTopics &&
+      !sameTopics(unpaused, channel._fetchedTopics)) {
+      // Topics have been paused or resumed since the subscription was last
+      // sent, so the subscription is changed before consuming any records.
+      channel._changeFetchedTopics(unpaused, function (error) {
+        if (error) {
+          callback(error)
+        } else {
+          channel._consume(deliveries, callback)
+        }
+      })
+      return
+    }
+    channel._retryOnFailure(
+      'consume',
+      function (retryCallback) {
+        var consumerId = channel._consumerId
+        var requestOptions = {
+          uri: util.appendUrlSubpath(channel._consumerPathPrefix,
+            'consumers/' + consumerId + '/records'),
+          json: true
+        }
+        if (channel._longPollTimeout) {
+          // Ask the service to hold the request open until records arrive
+          // or the timeout (in milliseconds) elapses.
+          requestOptions.qs = {timeout: channel._longPollTimeout * 1000}
+        }
+        channel._sendRequest(
+          'consume',
+          channel._request.get,
+          requestOptions,
+          function (response) {
+            var records = response.body.records
+            if (channel._metrics && !records.length) {
+              channel._metrics.increment('dxlstreaming_empty_polls_total')
+            }
+            channel._withholdPausedRecords(records, function (records) {
+              var payloads = channel._deliverRecords(records, deliveries)
+              channel.emit('records', payloads)
+              retryCallback(null, payloads)
+            })
+          },
+          retryCallback,
+          function () {
+            retryCallback(new ConsumerError("Consumer '" + consumerId +
+              "' does not exist"
+            ))
+          }
+        )
+      },
+      callback
+    )
+  }
+
+  /**
+   * Determine if the channel is already subscribed to consume an array
+   * of `topics`.
+   * @param {Array<(String|RegExp)>} topics - Array of topics.
+   * @returns {boolean} true if the channel is subscribed to the supplied
+   *   list of topics, false if there are any differences between the
+   *   supplied topics and the array of active topics.
+   * @private
+   */
+  this._alreadySubscribed = function (topics) {
+    return sameTopics(topics, this._activeSubscriptions)
+  }
+
+  /**
+   * Discard the local state for records consumed from topics which the
+   * consumer is no longer subscribed to.
+   * @param {Array<String>} topics - The topics.
+   * @private
+   */
+  this._forgetTopics = function (topics) {
+    if (!topics.length) {
+      return
+    }
+    var forgotten = function (topic) {
+      return topics.indexOf(topic) >= 0
+    }
+    this._recordsCommitLog = this._recordsCommitLog.filter(function (entry) {
+      return !forgotten(entry.topic)
+    })
+    this._redeliveries = this._redeliveries.filter(function (item) {
+      var record = item instanceof DecodeError ? item.record : item
+      return !forgotten(record.topic)
+    })
+    this._withheldRecords = this._withheldRecords.filter(function (record) {
+      return !forgotten(record.routingData.topic)
+    })
+    Object.keys(this._positions).forEach(function (key) {
+      if (forgotten(JSON.parse(key)[0])) {
+        delete channel._positions[key]
+      }
+    })
+    topics.forEach(function (topic) {
+      channel._offsetTracker.forget(topic)
+    })
+  }
+
+  /**
+   * Invoke the callbacks for any changes to the topics for an active run
+   * which are waiting to take effect.
+   * @param {Error} [error] - The error which prevented the change from
+   *   taking effect, if any.
+   * @private
+   */
+  this._topicChangeComplete = function (error) {
+    var callbacks = this._topicChangeCallbacks
+    this._topicChangeCallbacks = []
+    callbacks.forEach(function (callback) {
+      callback(error || null)
+    })
+  }
+
+  /**
+   * Change the subscription of the consumer to the topics requested for the
+   * active run, if they have changed since the consumer was last subscribed.
+   * If they have not changed but the topic refresh interval has elapsed, the
+   * topic patterns in the subscription are matched again. Outstanding offsets
+   * are committed before the subscription is changed. This is invoked at a
+   * poll boundary, before records are next consumed.
+   * @param {Function} callback - Callback function invoked when the
+   *   subscription is up to date. The first parameter in the call to the
+   *   callback is an `Error` object, if an error occurred during the commit
+   *   or subscription attempt, else `null`.
+   * @private
+   */
+  this._updateRunSubscription = function (callback) {
+    if (this._alreadySubscribed(this._runTopics)) {
+      if (Date.now() - this._matchedAt >=
+        this._topicRefreshInterval * 1000) {
+        this._refreshTopics(function (error) {
+          if (error && !(error instanceof ConsumerError) &&
+            !(error instanceof StopError)) {
+            // Keep consuming from the topics matched previously rather than
+            // failing the run.
+            channel._logger.warn({consumerId: channel._consumerId,
+              error: error}, 'Failed to refresh topic pattern matches')
+            error = null
+          }
+          callback(error)
+        })
+      } else {
+        callback(null)
+      }
+    } else {
+      this._commit(true, function (commitError) {
+        if (commitError) {
+          callback(commitError)
+        } else {
+          channel.subscribe(channel._runTopics, callback)
+        }
+      })
+    }
+  }
+
+  /**
+   * Match the topic patterns in the active subscription against the topics
+   * which are currently available. If the matching topics have changed, the
+   * outstanding offsets are committed and the consumer is subscribed to the
+   * new matching topics.
+   * @param {Function} callback - Callback function invoked when the refresh
+   *   is complete. The first parameter in the call to the callback is an
+   *   `Error` object, if an error occurred, else `null`.
+   * @private
+   */
+  this._refreshTopics = function (callback) {
+    var topics = this._activeSubscriptions
+    var matcher = new TopicMatcher(topics)
+    this._matchedAt = Date.now()
+    if (!matcher.hasPatterns() || (this._topicPatterns !== 'resolve')) {
+      callbackAsync(callback)
+      return
+    }
+    this.listTopics(function (listError, availableTopics) {
+      if (listError) {
+        callback(listError)
+        return
+      }
+      var matchedTopics = matcher.resolve(availableTopics)
+      if (!channel._alreadySubscribed(topics) ||
+        sameTopics(matchedTopics, channel._matchedTopics)) {
+        callback(null)
+      } else {
+        channel._logger.debug({consumerId: channel._consumerId,
+          topics: matchedTopics}, 'Topics matching subscription changed')
+        channel._commit(true, function (commitError) {
+          if (commitError) {
+            callback(commitError)
+          } else {
+            channel._subscribeTopics(topics, matchedTopics, callback)
+          }
+        })
+      }
+    })
+  }
+
+  /**
+   * Internal helper for subscribing the consumer to an array of topics.
+   * Topic patterns are resolved first, unless they are to be resolved by the
+   * streaming service.
+   * @param {Array<(String|RegExp)>} topics - Topic array.
+   * @param {Function} [callback] - Callback function invoked when the
+   *   subscription attempt is complete. The first parameter in the call to the
+   *   results callback is an `Error` object, if an error occurred during the
+   *   send attempt, else `null`.
+   * @private
+   */
+  this._subscribe = function (topics, callback) {
+    this._requestedSubscriptions = topics
+    var matcher = new TopicMatcher(topics)
+    if (!matcher.hasPatterns()) {
+      this._subscribeTopics(topics, topics, callback)
+    } else if (this._topicPatterns === 'resolve') {
+      this.listTopics(function (listError, availableTopics) {
+        if (listError) {
+          if (callback) {
+            callback(listError)
+          }
+        } else {
+          channel._subscribeTopics(topics, matcher.resolve(availableTopics),
+            callback)
+        }
+      })
+    } else {
+      this._subscribeTopics(topics, null, callback)
+    }
+  }
+
+  /**
+   * Send a subscription request for the consumer.
+   * @param {Object} body - Body for the request, containing either the
+   *   `topics` or a `topic_pattern` to subscribe to.
+   * @param {Function} subscribed - Function invoked when the subscription
+   *   request has succeeded.
+   * @param {Function} [callback] - Callback function invoked when the
+   *   subscription attempt is complete. The first parameter in the call to the
+   *   results callback is an `Error` object, if an error occurred during the
+   *   send attempt, else `null`.
+   * @private
+   */
+  this._sendSubscription = function (body, subscribed, callback) {
+    this._retryOnFailure(
+      'subscribe',
+      function (retryCallback) {
+        var consumerId = channel._consumerId
+        channel._sendRequest(
+          'subscribe',
+          channel._request.post,
+          {
+            uri: util.appendUrlSubpath(channel._consumerPathPrefix,
+              'consumers/' + consumerId + '/subscription'),
+            json: true,
+            body: body
+          },
+          function () {
+            subscribed()
+            retryCallback(null)
+          },
+          retryCallback,
+          function () {
+            retryCallback(new ConsumerError("Consumer '" + consumerId +
+              "' does not exist"
+            ))
+          }
+        )
+      },
+      callback
+    )
+  }
+
+  /**
+   * Internal helper for sending a subscription request for an array of
+   * topics. Topics which are paused are left out of the request. If no
+   * topics match the patterns in the subscription, or all of the matching
+   * topics are paused, no request is sent and no records are consumed until
+   * a matching topic is found or resumed.
+   * @param {Array<(String|RegExp)>} topics - Topics as supplied for the
+   *   subscription.
+   * @param {Array<String>} matchedTopics - Names of the topics to subscribe
+   *   to, or `null` if the streaming service should resolve the patterns in
+   *   the `topics`.
+   * @param {Function} [callback] - Callback function invoked when the
+   *   subscription attempt is complete. The first parameter in the call to the
+   *   results callback is an `Error` object, if an error occurred during the
+   *   send attempt, else `null`.
+   * @private
+   */
+  this._subscribeTopics = function (topics, matchedTopics, callback) {
+    var fetchedTopics = matchedTopics ? this._unpausedTopics(matchedTopics)
+      : null
+    var subscribed = function () {
+      var newTopics = matchedTopics || topics
+      var removedTopics = channel._matchedTopics.filter(function (topic) {
+        return newTopics.indexOf(topic) < 0
+      })
+      channel._activeSubscriptions = topics
+      channel._matchedTopics = newTopics
+      channel._fetchedTopics = fetchedTopics
+      channel._matchedAt = Date.now()
+      channel._forgetTopics(removedTopics)
+      channel.emit('subscribed', newTopics)
+      if (channel._alreadySubscribed(channel._runTopics)) {
+        channel._topicChangeComplete(null)
+      }
+    }
+    if (fetchedTopics && !fetchedTopics.length) {
+      channel._logger.debug({consumerId: channel._consumerId},
+        matchedTopics.length ? 'All topics in subscription are paused'
+          : 'No topics match subscription')
+      subscribed()
+      callbackAsync(callback)
+      return
+    }
+    this._sendSubscription(fetchedTopics ? {topics: fetchedTopics}
+      : {topic_pattern: new TopicMatcher(topics).toPatternSource()},
+      subscribed, callback)
+  }
+
+  /**
+   * Change the topics in the subscription sent to the streaming service to
+   * the subscribed topics which are not paused, leaving the
+   * {@link Channel#_matchedTopics} unchanged. The offsets for the records
+   * consumed so far are committed first. The consumer position for each
+   * topic left out of the subscription is discarded, so consumption of the
+   * topic continues from its committed offsets once it is added back.
+   * @param {Array<String>} fetchedTopics - Names of the topics to fetch.
+   * @param {Function} callback - Callback function invoked when the
+   *   subscription attempt is complete. The first parameter in the call to the
+   *   results callback is an `Error` object, if an error occurred during the
+   *   commit or subscription attempt, else `null`.
+   * @private
+   */
+  this._changeFetchedTopics = function (fetchedTopics, callback) {
+    this._commit(true, function (commitError) {
+      if (commitError) {
+        callback(commitError)
+        return
+      }
+      channel._logger.debug({
+        consumerId: channel._consumerId,
+        topics: fetchedTopics
+      }, 'Changing fetched topics due to pause or resume')
+      channel._sendSubscription({topics: fetchedTopics}, function () {
+        var removedTopics = channel._fetchedTopics.filter(function (topic) {
+          return fetchedTopics.indexOf(topic) < 0
+        })
+        channel._fetchedTopics = fetchedTopics
+        channel._forgetTopics(removedTopics)
+      }, callback)
+    })
+  }
+
+  /**
+   * Internal helper for committing the record offsets to the channel.
+   * @param {Boolean} stoppable - Whether or not the commit should be
+   *   abandoned if a stop has been requested for an active
+   *   {@link Channel#run}. This is `false` for the commit made as a run with
+   *   an `autoCommit` policy is completing.
+   * @param {Function} callback - Callback function invoked when the commit
+   *   attempt is complete. The first parameter in the call to the callback
+   *   is an `Error` object, if an error occurred during the commit attempt,
+   *   else `null`.
+   * @fires Channel#committed
+   * @private
+   */
+  this._commit = function (stoppable, callback) {
+    if (channel._commitOffsets().length) {
+      channel._retryOnFailure(
+        'commit',
+        function (retryCallback) {
+          var consumerId = channel._consumerId
+          var offsets = channel._commitOffsets()
+          channel._sendRequest(
+            'commit',
+            channel._request.post,
+            {
+              uri: util.appendUrlSubpath(channel._consumerPathPrefix,
+                'consumers/' + consumerId + '/offsets'),
+              json: true,
+              body: {offsets: offsets}
+            },
+            function () {
+              if (channel._usesOffsetTracker()) {
+                channel._offsetTracker.committed(offsets)
+              } else {
+                channel._recordsCommitLog = []
+              }
+              if (channel._metrics) {
+                channel._metrics.increment(
+                  'dxlstreaming_offsets_committed_total', {}, offsets.length)
+              }
+              channel.emit('committed', offsets)
+              retryCallback(null)
+            },
+            retryCallback,
+            function () {
+              retryCallback(new ConsumerError("Consumer '" + consumerId +
+                "' does not exist"
+              ))
+            }
+          )
+        },
+        callback,
+        stoppable
+      )
+    } else {
+      callbackAsync(callback)
+    }
+  }
+
+  /**
+   * Cut short the wait between consume requests during a {@link Channel#run},
+   * resuming the run immediately.
+   * @param {Error} [error] - Error with which to complete the run, if any.
+   * @private
+   */
+  this._wakeRunLoop = function (error) {
+    if (this._runLoopTimeout) {
+      clearTimeout(this._runLoopTimeout)
+      this._runLoopTimeout = null
+      var runLoopFunc = this._runLoopFunc
+      this._runLoopFunc = null
+      if (runLoopFunc) {
+        callbackAsync(function () {
+          runLoopFunc(error)
+        })
+      }
+    }
+  }
+
+  /**
+   * Function which processes the response from the `processCallback`
+   * invoked during a run/consume operation. If the `commitPolicy` indicates
+   * that a commit is due, this function attempts to perform a
+   * {@link Channel#commit} for outstanding records which have been consumed
+   * but not previously committed. It then waits for the interval determined
+   * by the `pollPolicy` before calling the `doneCallback` to continue.
+   * @param {Boolean} continueRunning - Whether or not to try to consume
+   *   more records.
+   * @param {Function} doneCallback - Callback function to invoke when
+   *   done processing the response. The first parameter delivered to the
+   *   `doneCallback` is an `Error` object, if an error occurred during
+   *   processing the response, else `null`. The second parameter
+   *   delivered to the `doneCallback` is a `boolean` indicating whether
+   *   or not to try to consume more records.
+   * @param {PollPolicy} pollPolicy - Policy controlling how long to wait
+   *   between calls to consume records.
+   * @param {AutoCommitPolicy} commitPolicy - Policy controlling when offsets
+   *   are committed.
+   * @private
+   */
+  this._handleProcessCallbackResponse = function (
+    continueRunning, doneCallback, pollPolicy, commitPolicy) {
+    if (this._stopRequested) {
+      continueRunning = false
+    }
+    // When an auto-commit policy is enabled, the outstanding offsets are
+    // committed as the run completes, so no commit is needed here once the
+    // run is no longer continuing.
+    var commitDue = !commitPolicy.enabled
+    if (continueRunning) {
+      commitDue = commitPolicy.due()
+    }
+    var commit = commitDue ? this._commit.bind(this, true) : callbackAsync
+    commit(function (commitError) {
+      if (commitDue && !commitError) {
+        commitPolicy.committed()
+      }
+      if (commitError || !continueRunning) {
+        doneCallback(commitError, continueRunning)
+      } else {
+        channel._runLoopFunc = function (error) {
+          channel._runLoopFunc = null
+          channel._runLoopTimeout = null
+          doneCallback(error || null, !channel._stopRequested)
+        }
+        channel._runLoopTimeout = setTimeout(channel._runLoopFunc,
+          pollPolicy.wait() * 1000
+        )
+      }
+    })
+  }
+
+  /**
+   * Invoke the `processCallback` for a {@link Channel#run}, normalizing the
+   * ways in which it may report completion.
+   * @param {Function} processCallback - Callback to invoke.
+   * @param {*} arg - The payloads (or individual payload) to supply to the
+   *   `processCallback`.
+   * @param {Function} callback - Callback to invoke once the
+   *   `processCallback` has completed: when it invokes the callback supplied
+   *   to it, settles a returned `Promise`, or synchronously returns a value
+   *   other than `undefined`. The first parameter delivered to the callback
+   *   is an `Error` if processing failed, else `null`. The second parameter
+   *   is the value that the `processCallback` completed with.
+   * @private
+   */
+  this._invokeProcessCallback = function (processCallback, arg, callback) {
+    try {
+      var result = processCallback(arg, callback)
+      if (result && typeof result.then === 'function') {
+        // A `Promise` (for example, from an `async` function) was
+        // returned, so wait for it to settle before continuing.
+        result.then(
+          function (continueRunning) {
+            callback(null, continueRunning)
+          },
+          function (processError) {
+            callback(processError ||
+              new Error('processCallback rejected without an error'), false)
+          }
+        )
+      } else if (typeof result !== 'undefined') {
+        callback(null, result)
+      }
+    } catch (processError) {
+      callback(processError, false)
+    }
+  }
+
+  /**
+   * Process a single record during a {@link Channel#run}. If a dead-letter
+   * policy is supplied, processing of the record is attempted up to the
+   * configured number of times, after which the record is produced to the
+   * dead-letter topic. If a stop is requested for the run before a retry,
+   * the record is abandoned: it is neither processed again nor
+   * dead-lettered, and its offset is not committed.
+   * @param {Function} processCallback - Callback to invoke.
+   * @param {*} arg - The value to supply to the `processCallback` for the
+   *   record.
+   * @param {Object} delivery - Delivery for the record, as described for
+   *   {@link Channel#_deliverRecords}.
+   * @param {DeadLetterPolicy} [deadLetterPolicy] - Policy for records which
+   *   repeatedly fail processing.
+   * @param {Function} callback - Callback to invoke once the record has been
+   *   processed or dead-lettered. The first parameter delivered to the
+   *   callback is an `Error` if processing failed and the record was not
+   *   dead-lettered, else `null`. The second parameter is the value that the
+   *   `processCallback` completed with, or `true` if the record was
+   *   dead-lettered. The third parameter is `true` if the record was
+   *   dead-lettered, else `false`. If the record was abandoned due to a
+   *   stop request, the first parameter is a {@link StopError}.
+   * @private
+   */
+  this._processRecord = function (processCallback, arg, delivery,
+                                  deadLetterPolicy, callback) {
+    var attempts = 0
+    var stopping = function () {
+      return channel._running && channel._stopRequested
+    }
+    var abandon = function () {
+      channel._logger.debug({
+        consumerId: channel._consumerId,
+        attempt: attempts
+      }, 'Abandoning processing of record at offset ' +
+        delivery.record.offset + ' in topic ' + delivery.record.topic +
+        ' due to stop request')
+      callback(new StopError(), false, false)
+    }
+    var attempt = function () {
+      attempts++
+      channel._invokeProcessCallback(processCallback, arg,
+        function (processError, continueRunning) {
+          if (!processError || !deadLetterPolicy) {
+            callback(processError, continueRunning, false)
+          } else if (attempts < deadLetterPolicy.maxAttempts) {
+            if (stopping()) {
+              abandon()
+              return
+            }
+            channel._logger.warn({
+              consumerId: channel._consumerId,
+              attempt: attempts,
+              error: processError
+            }, 'Retrying processing of record at offset ' +
+              delivery.record.offset + ' in topic ' + delivery.record.topic +
+              ' due to: ' + processError.message)
+            // A stop request invokes the retry without waiting for the
+            // delay to elapse, so that the record is abandoned promptly.
+            var pending = {
+              retry: function () {
+                var index = channel._processRetries.indexOf(pending)
+                if (index >= 0) {
+                  channel._processRetries.splice(index, 1)
+                }
+                if (stopping()) {
+                  abandon()
+                } else {
+                  attempt()
+                }
+              }
+            }
+            pending.timeout = setTimeout(pending.retry,
+              deadLetterPolicy.retryDelay * 1000)
+            channel._processRetries.push(pending)
+          } else {
+            channel._deadLetter(deadLetterPolicy, delivery.record,
+              processError, attempts, function (produceError) {
+                callback(produceError, true, !produceError)
+              })
+          }
+        })
+    }
+    attempt()
+  }
+
+  /**
+   * Produce a record which repeatedly failed processing to the dead-letter
+   * topic.
+   * @param {DeadLetterPolicy} deadLetterPolicy - Policy for records which
+   *   repeatedly fail processing.
+   * @param {Record} record - The record.
+   * @param {Error} processError - The error from the final processing
+   *   attempt.
+   * @param {Number} attempts - Number of attempts made to process the record.
+   * @param {Function} callback - Callback to invoke once the record has been
+   *   produced. The first parameter delivered to the callback is an `Error`
+   *   if the record could not be produced, else `null`.
+   * @private
+   */
+  this._deadLetter = function (deadLetterPolicy, record, processError,
+                               attempts, callback) {
+    var deadLetterRecord = deadLetterPolicy.createRecord(record, processError,
+      attempts)
+    this.produce({records: [deadLetterRecord]}, function (produceError) {
+      if (!produceError) {
+        channel._logger.error({
+          consumerId: channel._consumerId,
+          attempts: attempts,
+          error: processError
+        }, 'Produced record at offset ' + record.offset + ' in topic ' +
+          record.topic + ' to dead-letter topic ' + deadLetterPolicy.topic +
+          ' after ' + attempts + ' failed attempts: ' + processError.message)
+        if (channel._metrics) {
+          channel._metrics.increment('dxlstreaming_records_dead_lettered_total',
+            {topic: record.topic})
+        }
+        channel.emit('deadLetter', {
+          record: record,
+          error: processError,
+          attempts: attempts,
+          topic: deadLetterPolicy.topic
+        })
+      }
+      callback(produceError)
+    })
+  }
+
+  /**
+   * Stop tracking the offsets of records which were not processed because a
+   * stop was requested for the run, so that the offsets are not committed
+   * and the records are delivered again. Records whose offsets are tracked
+   * per record are left alone, since their offsets are only committed once
+   * the record is complete.
+   * @param {Array<Object>} deliveries - Deliveries for the records, as
+   *   described for {@link Channel#_deliverRecords}.
+   * @private
+   */
+  this._abandonDeliveries = function (deliveries) {
+    var abandoned = deliveries.filter(function (delivery) {
+      return !delivery.complete
+    }).map(function (delivery) {
+      return JSON.stringify([delivery.record.topic, delivery.record.partition,
+        delivery.record.offset])
+    })
+    this._recordsCommitLog = this._recordsCommitLog.filter(function (entry) {
+      return abandoned.indexOf(JSON.stringify([entry.topic, entry.partition,
+        entry.offset])) < 0
+    })
+  }
+
+  /**
+   * Process the records from a batch one at a time, after the
+   * `processCallback` failed for the batch as a whole, so that only the
+   * records which repeatedly fail processing are dead-lettered.
+   * @param {Function} processCallback - Callback to invoke with an array
+   *   containing the payload for each record.
+   * @param {Array<Object>} deliveries - Deliveries for the records in the
+   *   batch, as described for {@link Channel#_deliverRecords}.
+   * @param {DeadLetterPolicy} deadLetterPolicy - Policy for records which
+   *   repeatedly fail processing.
+   * @param {Function} callback - Callback to invoke once all of the records
+   *   have been processed or dead-lettered. The first parameter delivered to
+   *   the callback is an `Error` if a record could not be dead-lettered, else
+   *   `null`. The second parameter is `false` if the `processCallback`
+   *   completed with a falsy value for any of the records, else `true`.
+   * @private
+   */
+  this._processIndividually = function (processCallback, deliveries,
+                                        deadLetterPolicy, callback) {
+    var index = 0
+    var allContinue = true
+    var next = function () {
+      if (index >= deliveries.length) {
+        callback(null, allContinue)
+        return
+      }
+      var delivery = deliveries[index++]
+      channel._processRecord(processCallback, [delivery.item], delivery,
+        deadLetterPolicy,
+        function (processError, continueRunning, deadLettered) {
+          if (processError) {
+            if (processError instanceof StopError) {
+              channel._abandonDeliveries(deliveries.slice(index - 1))
+            }
+            callback(processError, false)
+            return
+          }
+          allContinue = allContinue && Boolean(continueRunning)
+          if (deadLettered && delivery.complete) {
+            delivery.complete()
+          }
+          setImmediate(next)
+        })
+    }
+    next()
+  }
+
+  /**
+   * Repeatedly consume records from subscribed topics during an
+   * active {@link Channel#run}.
+   * @param {Function} processCallback - Callback to invoke with an array
+   *   of payloads from records which have been consumed.
+   * @param {Function} doneCallback - Callback function to invoke when
+   *   done performing the consume attempt. The first parameter delivered to the
    *   `doneCallback` is an `Error` object, if an error occurred during the
    *   consume attempt, else `null`. The second parameter delivered to the
    *   `doneCallback` is a `boolean` indicating whether or not to try to consume
    *   more records.
-   * @param {Number} waitBetweenQueries - Number of seconds to wait between
-   *   calls to consume records.
+   * @param {PollPolicy} pollPolicy - Policy controlling how long to wait
+   *   between calls to consume records.
+   * @param {AutoCommitPolicy} commitPolicy - Policy controlling when offsets
+   *   are committed.
+   * @param {RecordDispatcher} [dispatcher] - Dispatcher for the individual
+   *   records, when the run has the `concurrency` option set. If set, the
+   *   `processCallback` is not invoked with the batch of payloads; the
+   *   records are handed to the dispatcher instead.
+   * @param {DeadLetterPolicy} [deadLetterPolicy] - Policy for records which
+   *   repeatedly fail processing, when the run has the `deadLetter` option
+   *   set.
    * @private
    */
   this._consumeForRun = function (processCallback, doneCallback,
-                                  waitBetweenQueries) {
-    this.consume(function (consumeError, payloads) {
+                                  pollPolicy, commitPolicy, dispatcher,
+                                  deadLetterPolicy) {
+    var deliveries = (dispatcher || deadLetterPolicy) ? [] : null
+    this._consume(deliveries, function (consumeError, payloads) {
       if (consumeError) {
         doneCallback(consumeError, false)
-      } else {
-        try {
-          var continueRunning = processCallback(payloads,
-            function (processError, continueRunning) {
-              if (processError) {
-                doneCallback(processError, false)
-              } else {
-                channel._handleProcessCallbackResponse(continueRunning,
-                  doneCallback, waitBetweenQueries)
-              }
-            })
-          if (typeof continueRunning !== 'undefined') {
-            channel._handleProcessCallbackResponse(
-              continueRunning, doneCallback, waitBetweenQueries
-            )
+        return
+      }
+      pollPolicy.recordsConsumed(payloads.length)
+      commitPolicy.recordsConsumed(payloads.length)
+      if (dispatcher) {
+        dispatcher.dispatch(deliveries)
+        // Consume the next batch once the dispatcher has room for more
+        // records. Only the offsets of records which have been processed
+        // (and of no record which precedes an unprocessed record from the
+        // same partition) are committed in the meantime.
+        dispatcher.whenReady(function (workerError) {
+          if (workerError) {
+            doneCallback(workerError, false)
+          } else {
+            channel._handleProcessCallbackResponse(true, doneCallback,
+              pollPolicy, commitPolicy)
           }
-        } catch (processError) {
+        })
+        return
+      }
+      var handleResponse = function (processError, continueRunning) {
+        if (processError) {
           doneCallback(processError, false)
+        } else {
+          channel._handleProcessCallbackResponse(continueRunning,
+            doneCallback, pollPolicy, commitPolicy)
         }
       }
+      channel._invokeProcessCallback(processCallback, payloads,
+        function (processError, continueRunning) {
+          if (processError && deadLetterPolicy && deliveries.length) {
+            channel._logger.warn({
+              consumerId: channel._consumerId,
+              error: processError
+            }, 'Processing records individually due to: ' +
+              processError.message)
+            channel._processIndividually(processCallback, deliveries,
+              deadLetterPolicy, handleResponse)
+          } else {
+            handleResponse(processError, continueRunning)
+          }
+        })
     })
   }
 
@@ -667,49 +2355,280 @@ function Channel (base, options) {
     // If a `ConsumerError` occurred, reset the stored consumer info and
     // continue running. As the run is continued, a new consumer should be
     // established.
-    if (error instanceof ConsumerError) {
-      this.reset()
+    if ((error instanceof ConsumerError) && !this._runAbandoned) {
+      this._consumerLost(error)
       runLoop()
     } else {
-      this._running = false
-      var stopCallbacks = this._stopCallbacks
-      this._stopCallbacks = []
-      this._stopRequested = false
-      // Invoke registered stop callbacks to let them know that the current
-      // run has been stopped.
-      stopCallbacks.forEach(function (stopCallback) {
-        try {
-          stopCallback()
-        } catch (stopError) {
-          console.log('Error thrown from stop callback: ' + stopError)
-        }
-      })
-      if (doneCallback) {
-        // If the error was due to the stop being requested, don't bother
-        // passing that on to the `doneCallback` since this is was a
-        // requested shutdown (as opposed to a more critical channel-related
-        // error).
-        if (error instanceof StopError) {
-          error = null
-        }
-        doneCallback(error)
+      this._finishRun(error, doneCallback)
+    }
+  }
+
+  /**
+   * Reset the stored consumer info after the consumer is no longer recognized
+   * by the streaming service, so that a new consumer can be established.
+   * @param {ConsumerError} error - The error which indicated that the
+   *   consumer was lost.
+   * @fires Channel#consumerLost
+   * @private
+   */
+  this._consumerLost = function (error) {
+    var consumerId = this._consumerId
+    this._logger.debug({consumerId: consumerId, error: error},
+      'Consumer no longer recognized, creating a new consumer')
+    this.reset()
+    this.emit('consumerLost', {consumerId: consumerId, error: error})
+  }
+
+  /**
+   * Mark an active {@link Channel#run} (or record iteration) as complete,
+   * invoking any callbacks registered via {@link Channel#stop}.
+   * @fires Channel#stopped
+   * @param {Error} [error] - The error which terminated the run, if any.
+   * @param {Function} [doneCallback] - Function to invoke once the run has
+   *   been marked as complete. The first parameter delivered to the
+   *   `doneCallback` is the `error`, or `null` if the run completed normally
+   *   or was stopped.
+   * @private
+   */
+  this._finishRun = function (error, doneCallback) {
+    var abandoned = this._runAbandoned
+    this._running = false
+    this._runAbandoned = false
+    this._abandonRunFunc = null
+    this._stopRequested = false
+    if (abandoned) {
+      // The run was completed when it was abandoned by a shutdown. The work
+      // which was in progress at the time has now come back, so only the
+      // callbacks for any stop requested since then remain to be invoked.
+      this._invokeStopCallbacks()
+      return
+    }
+    this._runStopped(error, doneCallback)
+  }
+
+  /**
+   * Complete an active {@link Channel#run} (or record iteration) whose
+   * processing, consume, or commit is still in progress, as when a
+   * {@link Channel#shutdown} times out. The channel remains stopping, so
+   * that the work which is in progress does not continue the run and no
+   * other run can be started, until the work has come back and
+   * {@link Channel#_finishRun} is invoked for it.
+   * @fires Channel#stopped
+   * @param {Function} [doneCallback] - Function to invoke once the run has
+   *   been marked as complete, with `null` as the first parameter.
+   * @private
+   */
+  this._abandonRun = function (doneCallback) {
+    this._runAbandoned = true
+    this._abandonRunFunc = null
+    this._stopRequested = true
+    this._runStopped(null, doneCallback)
+  }
+
+  /**
+   * Release the state for a run which has completed and notify the stop
+   * callbacks, the `stopped` event listeners, and the `doneCallback` for the
+   * run.
+   * @fires Channel#stopped
+   * @param {Error} [error] - The error which terminated the run, if any.
+   * @param {Function} [doneCallback] - Function to invoke once the run has
+   *   been marked as complete.
+   * @private
+   */
+  this._runStopped = function (error, doneCallback) {
+    if (this._trackCompletions) {
+      this._trackCompletions = false
+      if (this._ackMode !== 'manual') {
+        // Records whose processing did not complete are delivered again by
+        // the streaming service, so stop tracking them.
+        this._offsetTracker.reset()
+      }
+    }
+    this._topicChangeComplete(error instanceof StopError ? null : error)
+    this._invokeStopCallbacks()
+    // If the error was due to the stop being requested, don't bother
+    // passing that on to the `doneCallback` since this is was a
+    // requested shutdown (as opposed to a more critical channel-related
+    // error).
+    if (!error || (error instanceof StopError)) {
+      error = null
+    }
+    this.emit('stopped', error)
+    if (doneCallback) {
+      doneCallback(error)
+    }
+  }
+
+  /**
+   * Invoke the callbacks registered via {@link Channel#stop} to let them
+   * know that the current run has been stopped.
+   * @private
+   */
+  this._invokeStopCallbacks = function () {
+    var stopCallbacks = this._stopCallbacks
+    this._stopCallbacks = []
+    stopCallbacks.forEach(function (stopCallback) {
+      try {
+        stopCallback()
+      } catch (stopError) {
+        channel._logger.error({error: stopError},
+          'Error thrown from stop callback: ' + stopError)
+      }
+    })
+  }
+
+  /**
+   * Validate the topics requested for a {@link Channel#run} (or record
+   * iteration) and store them as the requested subscriptions.
+   * @param {(String|Array<String>)} [topics] - Topic or array of topics. If
+   *   set to an empty value, the topics previously subscribed via a call to
+   *   the {@link Channel#subscribe} method are used.
+   * @throws {PermanentError} If an empty array of topics was supplied or no
+   *   topics were supplied and the channel is not subscribed to any topic.
+   * @private
+   */
+  this._requestRunSubscriptions = function (topics) {
+    if (typeof topics === 'string') {
+      topics = [topics]
+    }
+    if (topics) {
+      if (topics.length) {
+        this._requestedSubscriptions = topics
+      } else {
+        throw new PermanentError('At least one topic must be specified')
       }
+    } else if (!this._activeSubscriptions.length) {
+      throw new PermanentError('Channel is not subscribed to any topic')
     }
+    this._runTopics = (topics || this._activeSubscriptions).slice()
   }
 }
 
+inherits(Channel, EventEmitter)
+
+/**
+ * Event emitted when a new consumer has been created on the consumer group.
+ * @event Channel#consumerCreated
+ * @type {String}
+ * @property {String} consumerId - Id of the new consumer.
+ */
+
+/**
+ * Event emitted with the names of the topics that the consumer has been
+ * subscribed to. If the subscription includes topic patterns which are
+ * resolved by the channel, the array contains the topics which matched the
+ * patterns. The event is also emitted when the topics matching the patterns
+ * change.
+ * @event Channel#subscribed
+ * @type {Array<String>}
+ */
+
+/**
+ * Event emitted with the array of records delivered by a successful consume
+ * request. The array has the same content as the one delivered to the
+ * {@link Channel#consume} callback.
+ * @event Channel#records
+ * @type {Array}
+ */
+
+/**
+ * Event emitted when record offsets have been committed. The event data is
+ * an array of objects, each with `topic`, `partition`, and `offset`
+ * properties.
+ * @event Channel#committed
+ * @type {Array<Object>}
+ */
+
+/**
+ * Event emitted when a failed operation is about to be retried.
+ * @event Channel#retry
+ * @type {Object}
+ * @property {String} operation - Name of the operation, for example,
+ *   'consume'.
+ * @property {Number} attempt - Number of the attempt which failed.
+ * @property {Error} error - The error from the failed attempt.
+ */
+
+/**
+ * Event emitted when the cached credentials for the channel authentication
+ * object have been reset after the streaming service responded with an HTTP
+ * 401 or 403 status code.
+ * @event Channel#authReset
+ * @type {Object}
+ * @property {Number} statusCode - The HTTP status code.
+ */
+
+/**
+ * Event emitted during a {@link Channel#run} (or record iteration) when the
+ * consumer is no longer recognized by the streaming service. A new consumer
+ * is created automatically.
+ * @event Channel#consumerLost
+ * @type {Object}
+ * @property {String} consumerId - Id of the consumer which was lost.
+ * @property {ConsumerError} error - The error which indicated that the
+ *   consumer was lost.
+ */
+
+/**
+ * Event emitted during a {@link Channel#run} with the `deadLetter` option
+ * set when a record which repeatedly failed processing has been produced to
+ * the dead-letter topic. The produced record has the following headers in
+ * addition to those of the original record: `dead-letter-topic`,
+ * `dead-letter-partition`, and `dead-letter-offset` (identifying the
+ * original record), `dead-letter-error` and `dead-letter-error-message`
+ * (the name and message of the error from the final attempt), and
+ * `dead-letter-attempts`.
+ * @event Channel#deadLetter
+ * @type {Object}
+ * @property {Record} record - The original record.
+ * @property {Error} error - The error from the final processing attempt.
+ * @property {Number} attempts - Number of attempts made to process the
+ *   record.
+ * @property {String} topic - The dead-letter topic.
+ */
+
+/**
+ * Event emitted when a {@link Channel#run} (or record iteration) has
+ * completed. The event data is the `Error` which terminated the run, or
+ * `null` if the run completed normally or was stopped.
+ * @event Channel#stopped
+ * @type {Error}
+ */
+
+/**
+ * Event emitted when the channel has been destroyed.
+ * @event Channel#destroyed
+ */
+
+/**
+ * Event emitted when the files named in the `keyFile`, `certFile`, and
+ * `caFile` options for the channel have changed and the reloaded TLS
+ * credentials have been applied to subsequent requests.
+ * @event Channel#tlsReloaded
+ */
+
 /**
  * Resets local consumer data stored for the channel.
  */
 Channel.prototype.reset = function () {
   this._consumerId = null
   this._activeSubscriptions = []
+  this._matchedTopics = []
+  this._fetchedTopics = []
   this._requestedSubscriptions = []
   this._recordsCommitLog = []
+  this._offsetTracker.reset()
+  this._redeliveries = []
+  this._withheldRecords = []
+  this._positions = {}
 }
 
 /**
  * Creates a new consumer on the consumer group.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the consumer has been created or rejected with the `Error`
+ * which would otherwise have been delivered to the `callback`.
  * @param {Function} [callback] - Callback function to invoke when the creation
  *   attempt has completed. The first parameter in the call to the
  *   results callback is an `Error` object, if an error occurred during the
@@ -718,6 +2637,9 @@ Channel.prototype.reset = function () {
  *   * {@link TemporaryError} - If the creation attempt fails and
  *     {@link Channel#retryOnFail} is set to False.
  *   * {@link PermanentError} - If the channel has been destroyed.
+ * @fires Channel#consumerCreated
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
  */
 Channel.prototype.create = function (callback) {
   if (!this._consumerGroup) {
@@ -727,39 +2649,72 @@ Channel.prototype.create = function (callback) {
 
   this.reset()
   var channel = this
-  this._retryOnFailure(
-    function (retryCallback) {
-      channel._sendRequest(
-        channel._request.post,
-        {
-          uri: util.appendUrlSubpath(channel._consumerPathPrefix, 'consumers'),
-          json: true,
-          body: {
-            consumerGroup: channel._consumerGroup,
-            configs: channel._configs
-          }
-        },
-        function (response) {
-          var consumerInstanceId = response.body.consumerInstanceId
-          if (consumerInstanceId) {
-            channel._consumerId = consumerInstanceId
-            retryCallback(null)
-          } else {
-            retryCallback(new PermanentError(
-              'Unable to locate consumerInstanceId in create consumer response'
-            ))
-          }
-        },
-        retryCallback
-      )
-    },
-    callback
-  )
+  return util.callbackOrPromise(callback, function (callback) {
+    channel._retryOnFailure(
+      'create',
+      function (retryCallback) {
+        channel._sendRequest(
+          'create',
+          channel._request.post,
+          {
+            uri: util.appendUrlSubpath(channel._consumerPathPrefix,
+              'consumers'),
+            json: true,
+            body: {
+              consumerGroup: channel._consumerGroup,
+              configs: channel._configs
+            }
+          },
+          function (response) {
+            var consumerInstanceId = response.body.consumerInstanceId
+            if (consumerInstanceId) {
+              channel._consumerId = consumerInstanceId
+              channel.emit('consumerCreated', consumerInstanceId)
+              retryCallback(null)
+            } else {
+              retryCallback(new PermanentError(
+                'Unable to locate consumerInstanceId in create consumer ' +
+                'response'
+              ))
+            }
+          },
+          retryCallback
+        )
+      },
+      callback
+    )
+  })
 }
 
 /**
  * Subscribes the consumer to an array of topics.
- * @param {(String|Array<String>)} topics - Topic or array of topics.
+ *
+ * Each topic may be a topic name or a topic pattern: either a glob pattern (a
+ * string containing a `*`, which matches any sequence of characters, or a
+ * `?`, which matches any single character) or a `RegExp`. A pattern must
+ * match the whole of a topic name. How patterns are matched to topics is
+ * controlled by the `topicPatterns` option for the channel. By default, the
+ * consumer is subscribed to the topics returned by {@link Channel#listTopics}
+ * which match the patterns. If no topics match, no records are consumed
+ * until a matching topic is found. During a {@link Channel#run}, the
+ * patterns are matched again periodically, so that topics created later
+ * which match are added to the subscription. Outside of a run, the patterns
+ * can be matched again via {@link Channel#refreshTopics}.
+ *
+ * If called while a {@link Channel#run} is in progress, the subscription is
+ * changed immediately and the run continues with the new topics. To change
+ * the topics at the next poll boundary instead, after committing the
+ * outstanding offsets, use {@link Channel#setTopics}.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the subscription is complete or rejected with the `Error`
+ * which would otherwise have been delivered to the `callback`.
+ * @example
+ * // Consume from the events topic for every tenant, including tenants
+ * // added later
+ * channel.subscribe(['case-mgmt-events-*'])
+ * @param {(String|RegExp|Array<(String|RegExp)>)} topics - Topic or array of
+ *   topics.
  * @param {Function} [callback] - Callback function invoked when the
  *   subscription attempt is complete. The first parameter in the call to the
  *   results callback is an `Error` object, if an error occurred during the
@@ -771,37 +2726,263 @@ Channel.prototype.create = function (callback) {
  *   * {@link TemporaryError} - If the subscription attempt fails and
  *     {@link Channel#retryOnFail} is set to False.
  *   * {@link PermanentError} - If the channel has been destroyed.
+ * @fires Channel#consumerCreated
+ * @fires Channel#subscribed
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
  */
 Channel.prototype.subscribe = function (topics, callback) {
   if (!topics) {
     throw new PermanentError('Value must be specified for topics')
   }
-  if (typeof topics === 'string') {
+  if ((typeof topics === 'string') || (topics instanceof RegExp)) {
     topics = [topics]
   } else if (!topics.length) {
     throw new PermanentError('At least one topic must be specified')
   }
 
-  // As an optimization, avoid re-subscribing if the array of topics
-  // to subcribe for is identical to what the consumer is already subscribed to.
-  if (this._alreadySubscribed(topics)) {
-    callbackAsync(callback)
-  } else {
-    if (this._consumerId) {
-      this._subscribe(topics, callback)
+  var channel = this
+  if (this._running) {
+    // Keep the active run subscribed to the new topics, for example, when a
+    // new consumer is created after the consumer is lost.
+    this._runTopics = topics
+  }
+  return util.callbackOrPromise(callback, function (callback) {
+    // As an optimization, avoid re-subscribing if the array of topics
+    // to subcribe for is identical to what the consumer is already subscribed
+    // to.
+    if (channel._alreadySubscribed(topics)) {
+      callbackAsync(callback)
+    } else if (channel._consumerId) {
+      channel._subscribe(topics, callback)
     } else {
-      var channel = this
-      this.create(function (error) {
+      channel.create(function (error) {
         if (error) {
-          if (callback) {
-            callback(error)
-          }
+          callback(error)
         } else {
           channel._subscribe(topics, callback)
         }
       })
     }
+  })
+}
+
+/**
+ * Change the topics that the consumer is subscribed to. See
+ * {@link Channel#setTopics} for details.
+ * @param {Array<(String|RegExp)>} topics - The new array of topics.
+ * @param {Function} [callback] - Callback function invoked when the change
+ *   has taken effect.
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
+ * @private
+ */
+Channel.prototype._changeTopics = function (topics, callback) {
+  var channel = this
+  return util.callbackOrPromise(callback, function (callback) {
+    if (channel._running) {
+      channel._runTopics = topics
+      channel._topicChangeCallbacks.push(callback)
+      if (channel._alreadySubscribed(topics)) {
+        // The change has been undone by a later change before taking effect.
+        setImmediate(function () {
+          channel._topicChangeComplete(null)
+        })
+      }
+    } else {
+      channel._commit(true, function (commitError) {
+        if (commitError) {
+          callback(commitError)
+        } else {
+          channel.subscribe(topics, callback)
+        }
+      })
+    }
+  })
+}
+
+/**
+ * Returns the topics which a change made via {@link Channel#addTopics} or
+ * {@link Channel#removeTopics} should be applied to.
+ * @returns {Array<(String|RegExp)>} The topics.
+ * @private
+ */
+Channel.prototype._currentTopics = function () {
+  return (this._running ? this._runTopics : this._activeSubscriptions).slice()
+}
+
+/**
+ * Adds one or more topics to the subscription of the consumer. See
+ * {@link Channel#setTopics} for details on when the change takes effect.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the change has taken effect or rejected with the `Error`
+ * which would otherwise have been delivered to the `callback`.
+ * @param {(String|RegExp|Array<(String|RegExp)>)} topics - Topic or array
+ *   of topics to add. See {@link Channel#subscribe} for the supported topic
+ *   patterns.
+ * @param {Function} [callback] - Callback function invoked when the change
+ *   has taken effect. The first parameter supplied to the callback is an
+ *   `Error` object, if an error occurred, else `null`.
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
+ * @throws {PermanentError} If any of the topics is not a non-empty string or
+ *   a `RegExp`.
+ */
+Channel.prototype.addTopics = function (topics, callback) {
+  var current = this._currentTopics()
+  var keys = current.map(TopicMatcher.key)
+  validateTopics(topics, true).forEach(function (topic) {
+    if (keys.indexOf(TopicMatcher.key(topic)) < 0) {
+      keys.push(TopicMatcher.key(topic))
+      current.push(topic)
+    }
+  })
+  return this._changeTopics(current, callback)
+}
+
+/**
+ * Removes one or more topics from the subscription of the consumer. See
+ * {@link Channel#setTopics} for details on when the change takes effect.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the change has taken effect or rejected with the `Error`
+ * which would otherwise have been delivered to the `callback`.
+ * @param {(String|RegExp|Array<(String|RegExp)>)} topics - Topic or array
+ *   of topics to remove. A topic pattern is only removed if it is the same as
+ *   a pattern in the subscription; topics which match a pattern cannot be
+ *   removed individually.
+ * @param {Function} [callback] - Callback function invoked when the change
+ *   has taken effect. The first parameter supplied to the callback is an
+ *   `Error` object, if an error occurred, else `null`.
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
+ * @throws {PermanentError} If any of the topics is not a non-empty string or
+ *   a `RegExp`, or no topics would remain in the subscription.
+ */
+Channel.prototype.removeTopics = function (topics, callback) {
+  var keys = validateTopics(topics, true).map(TopicMatcher.key)
+  var remaining = this._currentTopics().filter(function (topic) {
+    return keys.indexOf(TopicMatcher.key(topic)) < 0
+  })
+  if (!remaining.length) {
+    throw new PermanentError('At least one topic must remain subscribed')
+  }
+  return this._changeTopics(remaining, callback)
+}
+
+/**
+ * Replaces the topics that the consumer is subscribed to.
+ *
+ * If a {@link Channel#run} (or record iteration) is in progress, the change
+ * takes effect at the next poll boundary: once the records from the current
+ * batch have been processed, the outstanding offsets are committed and the
+ * consumer is subscribed to the new topics before more records are
+ * consumed. Offsets for records from removed topics which could not be
+ * committed (for example, unacknowledged records when the channel `ackMode`
+ * is 'manual') are discarded, so those records are delivered again to the
+ * consumer group. If the run completes before the change takes effect, the
+ * new topics are used for the next run.
+ *
+ * If no run is in progress, the outstanding offsets are committed and the
+ * consumer is subscribed to the new topics immediately.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the change has taken effect or rejected with the `Error`
+ * which would otherwise have been delivered to the `callback`.
+ * @example
+ * // Start consuming from an additional topic without restarting the run
+ * channel.setTopics(['topic1', 'topic2']).then(function () {
+ *   console.log('Now consuming from topic1 and topic2')
+ * })
+ * @param {(String|RegExp|Array<(String|RegExp)>)} topics - Topic or array
+ *   of topics. See {@link Channel#subscribe} for the supported topic
+ *   patterns.
+ * @param {Function} [callback] - Callback function invoked when the change
+ *   has taken effect (or, if the run completes first, when the run
+ *   completes). The first parameter supplied to the callback is an `Error`
+ *   object, if an error occurred, else `null`.
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
+ * @throws {PermanentError} If no topics are supplied or any of the topics is
+ *   not a non-empty string or a `RegExp`.
+ */
+Channel.prototype.setTopics = function (topics, callback) {
+  topics = validateTopics(topics, true).slice()
+  if (!topics.length) {
+    throw new PermanentError('At least one topic must be specified')
   }
+  return this._changeTopics(topics, callback)
+}
+
+/**
+ * Retrieves the names of the topics available from the streaming service.
+ * The topic patterns supplied for a subscription are matched against these
+ * topics when the `topicPatterns` option for the channel is 'resolve'.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved with the array of topic names or rejected with the `Error`
+ * which would otherwise have been delivered to the `callback`.
+ * @param {Function} [callback] - Callback function invoked when the request
+ *   is complete. The first parameter supplied to the callback is an `Error`
+ *   object, if an error occurred during the request, else `null`. The second
+ *   parameter is the array of topic names.
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
+ */
+Channel.prototype.listTopics = function (callback) {
+  var channel = this
+  return util.callbackOrPromise(callback, function (callback) {
+    channel._retryOnFailure(
+      'listTopics',
+      function (retryCallback) {
+        channel._sendRequest(
+          'listTopics',
+          channel._request.get,
+          {
+            uri: util.appendUrlSubpath(channel._consumerPathPrefix, 'topics'),
+            json: true
+          },
+          function (response) {
+            var body = response.body || []
+            var topics = Array.isArray(body) ? body : (body.topics || [])
+            retryCallback(null, topics.map(String))
+          },
+          retryCallback
+        )
+      },
+      callback
+    )
+  })
+}
+
+/**
+ * Matches the topic patterns in the subscription for the consumer against
+ * the topics which are currently available, for example, to pick up a newly
+ * created topic without waiting for the next periodic refresh. If the
+ * matching topics have changed, the outstanding offsets are committed and the
+ * consumer is subscribed to the new matching topics. This has no effect if
+ * the subscription has no topic patterns or the patterns are resolved by the
+ * streaming service.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the refresh is complete or rejected with the `Error` which
+ * would otherwise have been delivered to the `callback`.
+ * @param {Function} [callback] - Callback function invoked when the refresh
+ *   is complete. The first parameter supplied to the callback is an `Error`
+ *   object, if an error occurred, else `null`.
+ * @fires Channel#subscribed
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
+ * @throws {PermanentError} If the channel has not been subscribed to any
+ *   topics.
+ */
+Channel.prototype.refreshTopics = function (callback) {
+  this._checkSubscribed()
+  var channel = this
+  return util.callbackOrPromise(callback, function (callback) {
+    channel._refreshTopics(callback)
+  })
 }
 
 /**
@@ -821,8 +3002,19 @@ Channel.prototype.subscribe = function (topics, callback) {
  *   * {@link PermanentError} - If the channel has been destroyed.
  *
  * The second parameter supplied to the callback is, for a successful consume,
- * an array of payloads (decoded as objects) from records returned from the
- * server. For a failed consume, the second parameter is `null`.
+ * an array of payloads (decoded by the channel codec) from records returned
+ * from the server. If the channel was constructed with the `recordFormat`
+ * option set to 'record', the array contains {@link Record} objects instead.
+ * A {@link DecodeError} is included in the array in place of any record whose
+ * payload could not be decoded. For a failed consume, the second parameter is
+ * `null`.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved with the array of payloads or rejected with the `Error` which
+ * would otherwise have been delivered to the `callback`.
+ * @fires Channel#records
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
  * @throws {PermanentError} If the channel has not been subscribed to any
  *   topics.
  */
@@ -832,43 +3024,20 @@ Channel.prototype.consume = function (callback) {
   }
 
   var channel = this
-  this._retryOnFailure(
-    function (retryCallback) {
-      var consumerId = channel._consumerId
-      channel._sendRequest(
-        channel._request.get,
-        {
-          uri: util.appendUrlSubpath(channel._consumerPathPrefix, 'consumers/' +
-            consumerId + '/records'),
-          json: true
-        },
-        function (response) {
-          var payloads = []
-          var records = response.body.records
-          records.forEach(function (record) {
-            channel._recordsCommitLog.push({
-              topic: record.routingData.topic,
-              partition: record.partition,
-              offset: record.offset
-            })
-            payloads.push(Buffer.from(record.message.payload, 'base64').toString())
-          })
-          retryCallback(null, payloads)
-        },
-        retryCallback,
-        function () {
-          retryCallback(new ConsumerError("Consumer '" + consumerId +
-            "' does not exist"
-          ))
-        }
-      )
-    },
-    callback
-  )
+  return util.callbackOrPromise(callback, function (callback) {
+    channel._consume(null, callback)
+  })
 }
 
 /**
- * Commits the record offsets to the channel.
+ * Commits the record offsets to the channel. If the channel `ackMode` is
+ * 'manual', only the offsets of records which have been acknowledged via
+ * {@link Record#ack} (and which are not preceded by an unacknowledged record
+ * from the same topic partition) are committed.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the commit is complete or rejected with the `Error` which
+ * would otherwise have been delivered to the `callback`.
  * @param {Function} [callback] - Callback function invoked when the
  *   commit attempt is complete.
  *
@@ -882,24 +3051,268 @@ Channel.prototype.consume = function (callback) {
  *   * {@link TemporaryError} - If the commit attempt fails
  *     and {@link Channel#retryOnFail} is set to False.
  *   * {@link PermanentError} - If the channel has been destroyed.
+ * @fires Channel#committed
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
  */
 Channel.prototype.commit = function (callback) {
-  if (this._recordsCommitLog.length) {
-    var channel = this
-    this._retryOnFailure(
+  var channel = this
+  return util.callbackOrPromise(callback, function (callback) {
+    channel._commit(true, callback)
+  })
+}
+
+/**
+ * Throw an error if the channel does not have a subscribed consumer whose
+ * position can be moved or queried.
+ * @throws {PermanentError} If the channel has not been subscribed to any
+ *   topics.
+ * @private
+ */
+Channel.prototype._checkSubscribed = function () {
+  if (!this._activeSubscriptions.length) {
+    throw new PermanentError('Channel is not subscribed to any topic')
+  }
+}
+
+/**
+ * Moves the consumer position for a topic partition, so that the next
+ * {@link Channel#consume} returns records starting from the supplied
+ * `offset`. Offsets of records consumed from the partition before the seek
+ * which have not yet been committed are discarded.
+ *
+ * The seek methods `POST` to a `positions` resource of the consumer:
+ * `positions` for {@link Channel#seek}, `positions/beginning` for
+ * {@link Channel#seekToBeginning}, `positions/end` for
+ * {@link Channel#seekToEnd}, and `positions/timestamp` for
+ * {@link Channel#seekToTimestamp}. These follow the consumer positions API of
+ * the Kafka REST proxy, with the timestamp seek as an extension. The
+ * streaming service must support these resources; if it does not, the seek
+ * fails.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the seek is complete or rejected with the `Error` which
+ * would otherwise have been delivered to the `callback`.
+ * @example
+ * // Reprocess partition 0 of 'my-topic' from offset 1000
+ * channel.seek('my-topic', 0, 1000, function (error) {
+ *   console.log(error ? 'Error: ' + error : 'Seek complete.')
+ * })
+ * @param {String} topic - Topic of the partition.
+ * @param {Number} partition - The partition.
+ * @param {Number} offset - Offset of the next record to consume.
+ * @param {Function} [callback] - Callback function invoked when the seek
+ *   attempt is complete. The first parameter supplied to the callback is an
+ *   `Error` object, if an error occurred during the seek attempt, else
+ *   `null`. Possible `Error` types include:
+ *
+ *   * {@link ConsumerError} - If the consumer associated with the channel
+ *     does not exist on the server and {@link Channel#retryOnFail} is set to
+ *     `false`.
+ *   * {@link TemporaryError} - If the seek attempt fails and
+ *     {@link Channel#retryOnFail} is set to `false`.
+ *   * {@link PermanentError} - If the channel has been destroyed.
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
+ * @throws {PermanentError} If the channel has not been subscribed to any
+ *   topics or the topic, partition, or offset are not valid.
+ */
+Channel.prototype.seek = function (topic, partition, offset, callback) {
+  this._checkSubscribed()
+  var partitions = validatePartitions([{topic: topic, partition: partition}])
+  if ((typeof offset !== 'number') || isNaN(offset) || (offset < 0)) {
+    throw new PermanentError('Value for offset must be a non-negative number')
+  }
+
+  var channel = this
+  return util.callbackOrPromise(callback, function (callback) {
+    var offsets = [{topic: topic, partition: partition, offset: offset}]
+    channel._moveTo('positions', {offsets: offsets}, partitions, offset,
+      callback)
+  })
+}
+
+/**
+ * Moves the consumer position for one or more topic partitions to the oldest
+ * record available in each partition. See {@link Channel#seek} for more
+ * information.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the seek is complete or rejected with the `Error` which
+ * would otherwise have been delivered to the `callback`.
+ * @param {Array<Object>} [partitions] - Array of objects, each with the
+ *   `topic` and `partition` to seek. If not specified, the position for all
+ *   of the partitions assigned to the consumer is moved.
+ * @param {Function} [callback] - Callback function invoked when the seek
+ *   attempt is complete. The first parameter supplied to the callback is an
+ *   `Error` object, if an error occurred during the seek attempt, else
+ *   `null`.
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
+ * @throws {PermanentError} If the channel has not been subscribed to any
+ *   topics or the partitions are not valid.
+ */
+Channel.prototype.seekToBeginning = function (partitions, callback) {
+  if (typeof partitions === 'function') {
+    callback = partitions
+    partitions = null
+  }
+  this._checkSubscribed()
+  partitions = validatePartitions(partitions)
+
+  var channel = this
+  return util.callbackOrPromise(callback, function (callback) {
+    channel._moveTo('positions/beginning', {partitions: partitions},
+      partitions, null, callback)
+  })
+}
+
+/**
+ * Moves the consumer position for one or more topic partitions past the
+ * newest record available in each partition, so that only records produced
+ * after the seek are consumed. See {@link Channel#seek} for more information.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the seek is complete or rejected with the `Error` which
+ * would otherwise have been delivered to the `callback`.
+ * @param {Array<Object>} [partitions] - Array of objects, each with the
+ *   `topic` and `partition` to seek. If not specified, the position for all
+ *   of the partitions assigned to the consumer is moved.
+ * @param {Function} [callback] - Callback function invoked when the seek
+ *   attempt is complete. The first parameter supplied to the callback is an
+ *   `Error` object, if an error occurred during the seek attempt, else
+ *   `null`.
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
+ * @throws {PermanentError} If the channel has not been subscribed to any
+ *   topics or the partitions are not valid.
+ */
+Channel.prototype.seekToEnd = function (partitions, callback) {
+  if (typeof partitions === 'function') {
+    callback = partitions
+    partitions = null
+  }
+  this._checkSubscribed()
+  partitions = validatePartitions(partitions)
+
+  var channel = this
+  return util.callbackOrPromise(callback, function (callback) {
+    channel._moveTo('positions/end', {partitions: partitions},
+      partitions, null, callback)
+  })
+}
+
+/**
+ * Moves the consumer position for one or more topic partitions to the oldest
+ * record in each partition whose timestamp is at or after the supplied
+ * `timestamp`. See {@link Channel#seek} for more information.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the seek is complete or rejected with the `Error` which
+ * would otherwise have been delivered to the `callback`.
+ * @example
+ * // Reprocess the records from the last hour
+ * channel.seekToTimestamp(Date.now() - 60 * 60 * 1000).then(function () {
+ *   console.log('Seek complete.')
+ * })
+ * @param {(Date|Number)} timestamp - Timestamp to seek to, as a `Date` or a
+ *   number of milliseconds since the epoch.
+ * @param {Array<Object>} [partitions] - Array of objects, each with the
+ *   `topic` and `partition` to seek. If not specified, the position for all
+ *   of the partitions assigned to the consumer is moved.
+ * @param {Function} [callback] - Callback function invoked when the seek
+ *   attempt is complete. The first parameter supplied to the callback is an
+ *   `Error` object, if an error occurred during the seek attempt, else
+ *   `null`.
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
+ * @throws {PermanentError} If the channel has not been subscribed to any
+ *   topics or the timestamp or partitions are not valid.
+ */
+Channel.prototype.seekToTimestamp = function (timestamp, partitions,
+                                              callback) {
+  if (typeof partitions === 'function') {
+    callback = partitions
+    partitions = null
+  }
+  this._checkSubscribed()
+  if (timestamp instanceof Date) {
+    timestamp = timestamp.getTime()
+  }
+  if ((typeof timestamp !== 'number') || isNaN(timestamp)) {
+    throw new PermanentError('Value for timestamp must be a Date or number')
+  }
+  partitions = validatePartitions(partitions)
+
+  var channel = this
+  return util.callbackOrPromise(callback, function (callback) {
+    channel._moveTo('positions/timestamp',
+      {timestamp: timestamp, partitions: partitions},
+      partitions, null, callback)
+  })
+}
+
+/**
+ * Retrieves the offsets most recently committed by the consumer group for
+ * one or more topic partitions. The offsets are requested from the `offsets`
+ * resource of the consumer (the resource to which offsets are committed) via
+ * a `GET` request, with a `partition` query parameter, in the form
+ * `topic:partition`, for each of the `partitions`. The streaming service must
+ * support this request.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved with the committed offsets or rejected with the `Error` which
+ * would otherwise have been delivered to the `callback`.
+ * @param {Array<Object>} [partitions] - Array of objects, each with the
+ *   `topic` and `partition` to retrieve the committed offset for. If not
+ *   specified, the committed offsets for all of the partitions assigned to
+ *   the consumer are retrieved.
+ * @param {Function} [callback] - Callback function invoked when the request
+ *   is complete. The first parameter supplied to the callback is an `Error`
+ *   object, if an error occurred during the request, else `null`. The second
+ *   parameter is an array of objects, each with the `topic`, `partition`,
+ *   and committed `offset` for a partition.
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
+ * @throws {PermanentError} If the channel has not been subscribed to any
+ *   topics or the partitions are not valid.
+ */
+Channel.prototype.committed = function (partitions, callback) {
+  if (typeof partitions === 'function') {
+    callback = partitions
+    partitions = null
+  }
+  this._checkSubscribed()
+  partitions = validatePartitions(partitions)
+
+  var channel = this
+  return util.callbackOrPromise(callback, function (callback) {
+    channel._retryOnFailure(
+      'committed',
       function (retryCallback) {
         var consumerId = channel._consumerId
         channel._sendRequest(
-          channel._request.post,
+          'committed',
+          channel._request.get,
           {
             uri: util.appendUrlSubpath(channel._consumerPathPrefix,
               'consumers/' + consumerId + '/offsets'),
             json: true,
-            body: {offsets: channel._recordsCommitLog}
+            qs: partitions.length ? {
+              partition: partitions.map(function (entry) {
+                return entry.topic + ':' + entry.partition
+              })
+            } : null
           },
-          function () {
-            channel._recordsCommitLog = []
-            retryCallback(null)
+          function (response) {
+            var offsets = (response.body && response.body.offsets) || []
+            retryCallback(null, offsets.map(function (entry) {
+              return {
+                topic: entry.topic,
+                partition: entry.partition,
+                offset: entry.offset
+              }
+            }))
           },
           retryCallback,
           function () {
@@ -911,38 +3324,394 @@ Channel.prototype.commit = function (callback) {
       },
       callback
     )
-  } else {
-    callbackAsync(callback)
+  })
+}
+
+/**
+ * Returns the current position of the consumer for a topic partition: the
+ * offset of the next record expected to be consumed from the partition. The
+ * position is known once a record has been consumed from the partition or
+ * the position has been set via {@link Channel#seek}. After a call to
+ * {@link Channel#seekToBeginning}, {@link Channel#seekToEnd}, or
+ * {@link Channel#seekToTimestamp}, the position is unknown until the next
+ * record is consumed from the partition.
+ * @param {String} topic - Topic of the partition.
+ * @param {Number} partition - The partition.
+ * @returns {(Number|null)} The position, or `null` if it is not known.
+ */
+Channel.prototype.position = function (topic, partition) {
+  var position = this._positions[partitionKey(topic, partition)]
+  return (typeof position === 'number') ? position : null
+}
+
+/**
+ * Pauses consumption of records from one or more topics, for example, to
+ * apply backpressure while a downstream system is saturated. The consumer
+ * and its subscription are kept, so consumption continues from the
+ * committed offsets once the topics are resumed via {@link Channel#resume}.
+ * This can be called while a {@link Channel#run} is in progress, taking
+ * effect from the next consume.
+ *
+ * At the next consume after topics are paused or resumed, the offsets for
+ * the records consumed so far are committed and the subscription sent to
+ * the streaming service is changed to leave out the paused topics, so that
+ * no records are fetched for them. Records from a paused topic which were
+ * delivered but not committed are delivered again after the topic is
+ * resumed. If every subscribed topic is paused, no consume requests are made
+ * and consumes deliver an empty array of records. A consumer which makes no
+ * requests for longer than the session timeout may be removed by the
+ * streaming service, in which case a new consumer is created as needed.
+ *
+ * If the streaming service resolves the patterns in the subscription (see
+ * the `topicPatterns` option for the channel), the paused topics cannot be
+ * left out of the subscription. Records returned for a paused topic are not
+ * delivered. Instead, the consumer position for each affected partition is
+ * moved back so that the records are consumed again after the topic is
+ * resumed, or, if the position cannot be moved back, the records are held
+ * in memory until the topic is resumed.
+ * @example
+ * channel.pause('my-topic')
+ * // ... once the downstream system has recovered
+ * channel.resume('my-topic')
+ * @param {(String|Array<String>)} topics - Topic or array of topics to pause.
+ * @throws {PermanentError} If any of the topics is not a non-empty string.
+ */
+Channel.prototype.pause = function (topics) {
+  var channel = this
+  validateTopics(topics).forEach(function (topic) {
+    if (!channel._isPaused(topic)) {
+      channel._pausedTopics.push(topic)
+    }
+  })
+}
+
+/**
+ * Resumes consumption of records from one or more topics previously paused
+ * via {@link Channel#pause}.
+ * @param {(String|Array<String>)} topics - Topic or array of topics to resume.
+ * @throws {PermanentError} If any of the topics is not a non-empty string.
+ */
+Channel.prototype.resume = function (topics) {
+  topics = validateTopics(topics)
+  this._pausedTopics = this._pausedTopics.filter(function (topic) {
+    return topics.indexOf(topic) < 0
+  })
+}
+
+/**
+ * Returns the topics for which consumption is currently paused.
+ * @returns {Array<String>} Array of paused topics.
+ */
+Channel.prototype.paused = function () {
+  return this._pausedTopics.slice()
+}
+
+/**
+ * Repeatedly consume records from the subscribed topics. The supplied
+ * `processCallback` is an array of payloads (decoded by the channel codec)
+ * from records returned from the server. If the channel was constructed with
+ * the `recordFormat` option set to 'record', the array contains
+ * {@link Record} objects instead. A {@link DecodeError} is included in the
+ * array in place of any record whose payload could not be decoded.
+ *
+ * The `processCallback` should return a value of `true` in order for this
+ * function to continue consuming additional records. For a return value of
+ * `false` or no return value, no additional records will be consumed and this
+ * function will return. The `processCallback` may also return a `Promise` (for
+ * example, by being declared as an `async` function) which resolves to `true`
+ * or `false`.
+ *
+ * Once the `processCallback` has completed, the offsets for the records are
+ * committed before more records are consumed. If the channel `ackMode` is
+ * 'manual', only the offsets of acknowledged records are committed: each
+ * {@link Record} should be acknowledged via {@link Record#ack} once it has
+ * been processed, or negatively acknowledged via {@link Record#nack} to have
+ * it redelivered to a later `processCallback` invocation. Records which are
+ * acknowledged after the `processCallback` has completed are included in the
+ * commit made after the next batch of records is processed (or in an
+ * explicit call to {@link Channel#commit}).
+ *
+ * If the `options.concurrency` is set, the `processCallback` is instead
+ * invoked for each individual payload (or {@link Record}), with up to
+ * `options.concurrency` invocations in progress at a time. The
+ * `processCallback` is supplied the payload and a callback to invoke, with
+ * an `Error` if processing failed, once processing is complete. It may
+ * instead return a `Promise` which settles once processing is complete.
+ * The next batch of records is consumed as soon as fewer than
+ * `options.concurrency` records are waiting to be processed, so the use of
+ * `options.adaptivePolling` is recommended. A commit only includes, for each
+ * topic partition, the offset of the last record in the contiguous run of
+ * processed records which follows the previous commit. When the run is
+ * stopped, records which are being processed are allowed to complete and
+ * their offsets are committed; records which have not yet been processed
+ * are delivered again to the consumer group. If processing of a record
+ * fails, no further records are processed and the run completes with the
+ * `Error`. If the channel `ackMode` is 'manual', a record is acknowledged
+ * once its processing completes, unless it has already been acknowledged or
+ * negatively acknowledged.
+ *
+ * By default, an `Error` thrown from (or delivered by) the `processCallback`
+ * terminates the run. If the `options.deadLetter` is set, processing of a
+ * record which fails is instead attempted again, up to
+ * `options.deadLetter.maxAttempts` times, after which the record is produced
+ * to the `options.deadLetter.topic` (see {@link Channel#event:deadLetter})
+ * and the run continues. Without `options.concurrency`, a batch for which
+ * the `processCallback` fails is processed again one record at a time, with
+ * the `processCallback` invoked with an array containing a single payload,
+ * so that only the records which fail are dead-lettered. The run terminates
+ * with an `Error` if a record cannot be produced to the dead-letter topic.
+ *
+ * If no `options.doneCallback` is supplied, a `Promise` is returned. The
+ * `Promise` is resolved when the run is complete or rejected with the `Error`
+ * which would otherwise have been delivered to the `options.doneCallback`.
+ *
+ * The {@link Channel#stop} method can also be called to halt an execution of
+ * this method.
+ * @example
+ * // Process up to 10 records at a time, in order for each partition
+ * channel.run(function (payload) {
+ *   return handleEvent(payload)
+ * }, {topics: 'my-topic', concurrency: 10, orderBy: 'partition',
+ *   adaptivePolling: true})
+ * @param {Function} processCallback - Callback to invoke with an array
+ *   of payloads from records which have been consumed, or with each
+ *   individual payload if `options.concurrency` is set.
+ * @param {Object} [options] - Options to use for the channel.
+ * @param {Function} [options.doneCallback] - Callback to invoke when the run is
+ *   complete. The first parameter supplied to the callback is an `Error`
+ *   object, if an error occurred during the run, else `null`.
+ * @param {Number} [options.waitBetweenQueries=30] - Number of seconds to wait
+ *   between calls to consume records.
+ * @param {(Boolean|Object)} [options.adaptivePolling=false] - Whether or not
+ *   to adapt the wait between calls to consume records to whether or not
+ *   records are arriving, rather than always waiting for the
+ *   `options.waitBetweenQueries`. If set to `true` or an object with any of
+ *   the settings below, records are consumed again as soon as the
+ *   `processCallback` completes for a non-empty batch. After a call which
+ *   returned no records, the wait starts at `minWait` and is multiplied by
+ *   `factor` for each further call which returned no records, up to
+ *   `maxWait`. This reduces the latency for records which arrive while
+ *   the service is busy without querying an idle service too often. See
+ *   also the `longPollTimeout` option for the channel.
+ * @param {Number} [options.adaptivePolling.minWait=1] - Number of seconds to
+ *   wait after the first call which returned no records.
+ * @param {Number} [options.adaptivePolling.maxWait] - Maximum number of
+ *   seconds to wait between calls. Defaults to the
+ *   `options.waitBetweenQueries`.
+ * @param {Number} [options.adaptivePolling.factor=2] - Factor by which the
+ *   wait is increased after each further call which returned no records.
+ * @param {(String|Array<String>)} [options.topics] - Topic or array of topics.
+ *   If set to a non-empty value, the channel will be subscribed to the
+ *   specified topics. If set to an empty value, the channel will use topics
+ *   previously subscribed via a call to the {@link Channel#subscribe} method.
+ *   The topics can be changed while the run is in progress via the
+ *   {@link Channel#addTopics}, {@link Channel#removeTopics}, and
+ *   {@link Channel#setTopics} methods.
+ * @param {Object} [options.autoCommit] - Policy controlling how often the
+ *   offsets for consumed records are committed. By default, the offsets are
+ *   committed after each invocation of the `processCallback`. If either of
+ *   the settings below is specified, the offsets are instead committed once
+ *   the configured number of records has been consumed or the configured
+ *   interval has elapsed since the previous commit, whichever comes first.
+ *   These conditions are checked each time the `processCallback` completes.
+ *   Any outstanding offsets are also committed when the run completes,
+ *   including when it is halted via {@link Channel#stop} or
+ *   {@link Channel#destroy}. Committing less often reduces the number of
+ *   requests made to the streaming service, at the cost of more records being
+ *   delivered again if the consumer fails.
+ * @param {Number} [options.autoCommit.records] - Number of records consumed
+ *   after which the offsets are committed.
+ * @param {Number} [options.autoCommit.interval] - Number of seconds after the
+ *   previous commit after which the offsets are committed.
+ * @param {Number} [options.concurrency] - Maximum number of records to
+ *   process in parallel. If set, the `processCallback` is invoked for each
+ *   record rather than for each batch of records, as described above.
+ * @param {String} [options.orderBy] - When `options.concurrency` is set,
+ *   'partition' to process the records from each topic partition one at a
+ *   time, in the order in which they were consumed, or 'shardingKey' to do
+ *   so for the records with each sharding key (records without a sharding
+ *   key are processed in any order). If not set, records are processed in
+ *   any order.
+ * @param {Object} [options.deadLetter] - Policy for records which repeatedly
+ *   fail processing, as described above. If not set, a processing failure
+ *   terminates the run.
+ * @param {String} options.deadLetter.topic - Topic to produce records which
+ *   could not be processed to. The produced record has the payload, sharding
+ *   key, and headers of the original record, plus the headers described for
+ *   {@link Channel#event:deadLetter}.
+ * @param {Number} [options.deadLetter.maxAttempts=3] - Number of attempts to
+ *   process a record before it is produced to the dead-letter topic.
+ * @param {Number} [options.deadLetter.retryDelay=0] - Number of seconds to
+ *   wait before each further attempt to process a record. If the run is
+ *   stopped before a further attempt, the record is abandoned without being
+ *   produced to the dead-letter topic or having its offset committed, so it
+ *   is delivered again when consumption resumes.
+ * @fires Channel#consumerCreated
+ * @fires Channel#subscribed
+ * @fires Channel#records
+ * @fires Channel#committed
+ * @fires Channel#consumerLost
+ * @fires Channel#deadLetter
+ * @fires Channel#stopped
+ * @returns {(Promise|undefined)} A `Promise` if no `options.doneCallback`
+ *   was supplied, else `undefined`.
+ * @throws {PermanentError} If a previous run is already in progress, the
+ *   `options.orderBy` is not valid, or the `options.deadLetter.topic` is not
+ *   a non-empty string.
+ * @throws {TypeError} If an `options.autoCommit` setting is not a positive
+ *   number, an `options.adaptivePolling` setting is not valid, the
+ *   `options.concurrency` is not a positive integer, or an
+ *   `options.deadLetter` setting is not valid.
+ */
+Channel.prototype.run = function (processCallback, options) {
+  if (!this._consumerGroup) {
+    throw new PermanentError(
+      "No value specified for 'consumerGroup' option during channel init")
+  }
+
+  options = options || {}
+
+  if (!processCallback) {
+    throw new PermanentError('Value must be specified for processCallback')
+  }
+  if (this._running) {
+    throw new PermanentError('Previous run already in progress')
+  }
+
+  var pollPolicy = new PollPolicy(
+    options.waitBetweenQueries || DEFAULT_WAIT_BETWEEN_QUERIES,
+    options.adaptivePolling)
+  var commitPolicy = new AutoCommitPolicy(options.autoCommit)
+
+  var deadLetterPolicy = null
+  if (options.deadLetter) {
+    deadLetterPolicy = new DeadLetterPolicy(options.deadLetter)
+  }
+
+  var channel = this
+  var dispatcher = null
+  if ((typeof options.concurrency !== 'undefined') &&
+    (options.concurrency !== null)) {
+    var concurrency = Number(options.concurrency)
+    if (isNaN(concurrency) || (concurrency < 1) ||
+      (Math.floor(concurrency) !== concurrency)) {
+      throw new TypeError('concurrency must be a positive integer')
+    }
+    var orderByValues = ['partition', 'shardingKey']
+    if (options.orderBy && orderByValues.indexOf(options.orderBy) < 0) {
+      throw new PermanentError('Value for \'orderBy\' must be one of ' +
+        orderByValues.join(', '))
+    }
+    dispatcher = new RecordDispatcher(function (delivery, done) {
+      channel._processRecord(processCallback, delivery.item, delivery,
+        deadLetterPolicy, function (processError) {
+          done(processError)
+          if (processError) {
+            // Complete the run now rather than after the wait before the
+            // next consume request.
+            channel._wakeRunLoop(processError)
+          }
+        })
+    }, concurrency, options.orderBy)
+  }
+
+  this._requestRunSubscriptions(options.topics)
+
+  this._running = true
+  this._trackCompletions = Boolean(dispatcher)
+
+  var doConsumeLoop = function (processCallback, doneCallback) {
+    // Apply any change made to the topics for the run since the previous
+    // consume before consuming more records.
+    channel._updateRunSubscription(function (subscribeError) {
+      if (subscribeError) {
+        doneCallback(subscribeError)
+        return
+      }
+      channel._consumeForRun(processCallback,
+        function (consumeLoopError, continueRunning) {
+          if (!consumeLoopError && continueRunning) {
+            doConsumeLoop(processCallback, doneCallback)
+          } else {
+            doneCallback(consumeLoopError)
+          }
+        },
+        pollPolicy,
+        commitPolicy,
+        dispatcher,
+        deadLetterPolicy
+      )
+    })
+  }
+
+  var completeRun = function (consumeLoopError, doRun, doneCallback) {
+    if (channel._runAbandoned) {
+      // The consumer is deleted by the shutdown which abandoned the run,
+      // without a final commit.
+      channel._finishRun(consumeLoopError, doneCallback)
+    } else if ((commitPolicy.enabled || dispatcher) && (!consumeLoopError ||
+      consumeLoopError instanceof StopError)) {
+      // Commit any offsets deferred by the auto-commit policy (or for
+      // records whose processing completed after the last commit) before
+      // completing the run.
+      channel._commit(false, function (commitError) {
+        if (commitError instanceof ConsumerError) {
+          channel._consumerLost(commitError)
+        }
+        channel._finishRun(commitError || consumeLoopError, doneCallback)
+      })
+    } else {
+      channel._handleRunError(consumeLoopError, doRun, doneCallback)
+    }
   }
+
+  return util.callbackOrPromise(options.doneCallback, function (doneCallback) {
+    channel._abandonRunFunc = function () {
+      channel._abandonRun(doneCallback)
+    }
+
+    var doRun = function () {
+      channel.subscribe(channel._runTopics, function (subscribeError) {
+        if (subscribeError) {
+          channel._handleRunError(subscribeError, doRun, doneCallback)
+        } else {
+          doConsumeLoop(processCallback,
+            function (consumeLoopError) {
+              if (!dispatcher || (consumeLoopError instanceof ConsumerError)) {
+                completeRun(consumeLoopError, doRun, doneCallback)
+                return
+              }
+              // Wait for the records being processed to complete before
+              // making the final commit.
+              dispatcher.drain(function (workerError) {
+                if (workerError && (!consumeLoopError ||
+                  consumeLoopError instanceof StopError)) {
+                  consumeLoopError = workerError
+                }
+                completeRun(consumeLoopError, doRun, doneCallback)
+              })
+            })
+        }
+      })
+    }
+
+    doRun()
+  })
 }
 
 /**
- * Repeatedly consume records from the subscribed topics. The supplied
- * `processCallback` is an array of payloads (decoded as objects) from records
- * returned from the server.
- *
- * The `processCallback` should return a value of `true` in order for this
- * function to continue consuming additional records. For a return value of
- * `false` or no return value, no additional records will be consumed and this
- * function will return.
- *
- * The {@link Channel#stop} method can also be called to halt an execution of
- * this method.
- * @param {Function} processCallback - Callback to invoke with an array
- *   of payloads from records which have been consumed.
- * @param {Object} [options] - Options to use for the channel.
- * @param {Function} [options.doneCallback] - Callback to invoke when the run is
- *   complete. The first parameter supplied to the callback is an `Error`
- *   object, if an error occurred during the run, else `null`.
- * @param {Number} [options.waitBetweenQueries=30] - Number of seconds to wait
- *   between calls to consume records.
- * @param {(String|Array<String>)} [options.topics] - Topic or array of topics.
- *   If set to a non-empty value, the channel will be subscribed to the
- *   specified topics. If set to an empty value, the channel will use topics
- *   previously subscribed via a call to the {@link Channel#subscribe} method.
- * @throws {PermanentError} If a previous run is already in progress.
+ * Prepare a {@link RecordPuller} for use with {@link Channel#records} or
+ * {@link Channel#createReadStream}.
+ * @param {Object} [options] - Options for the pull.
+ * @param {Boolean} [recordObjects=false] - Whether or not to pull
+ *   {@link Record} objects, whatever the `recordFormat` of the channel.
+ * @returns {RecordPuller} The record puller.
+ * @throws {PermanentError} If a previous run is already in progress or no
+ *   topics are available to subscribe to.
+ * @throws {TypeError} If an `options.adaptivePolling` setting is not valid.
+ * @private
  */
-Channel.prototype.run = function (processCallback, options) {
+Channel.prototype._createRecordPuller = function (options, recordObjects) {
   if (!this._consumerGroup) {
     throw new PermanentError(
       "No value specified for 'consumerGroup' option during channel init")
@@ -950,66 +3719,157 @@ Channel.prototype.run = function (processCallback, options) {
 
   options = options || {}
 
-  if (!processCallback) {
-    throw new PermanentError('Value must be specified for processCallback')
-  }
   if (this._running) {
     throw new PermanentError('Previous run already in progress')
   }
 
-  var doneCallback = options.doneCallback
+  var pollPolicy = new PollPolicy(
+    options.waitBetweenQueries || DEFAULT_WAIT_BETWEEN_QUERIES,
+    options.adaptivePolling)
 
-  var waitBetweenQueries =
-    options.waitBetweenQueries || DEFAULT_WAIT_BETWEEN_QUERIES
+  this._requestRunSubscriptions(options.topics)
+  this._running = true
 
-  var topics = options.topics
-  if (typeof topics === 'string') {
-    topics = [topics]
-  }
-  if (topics) {
-    if (topics.length) {
-      this._requestedSubscriptions = topics
-    } else {
-      throw new PermanentError('At least one topic must be specified')
-    }
-  } else if (!this._activeSubscriptions.length) {
-    throw new PermanentError('Channel is not subscribed to any topic')
+  var puller = new RecordPuller(this, pollPolicy, recordObjects)
+  this._abandonRunFunc = function () {
+    puller._abandon()
   }
+  return puller
+}
 
-  this._running = true
-  var channel = this
-
-  var doConsumeLoop = function (processCallback, doneCallback) {
-    channel._consumeForRun(processCallback,
-      function (consumeLoopError, continueRunning) {
-        if (!consumeLoopError && continueRunning) {
-          doConsumeLoop(processCallback, doneCallback)
-        } else {
-          if (doneCallback) {
-            doneCallback(consumeLoopError)
+/**
+ * Returns an async iterator which yields the payloads of records consumed
+ * from the subscribed topics, for use with `for await`. If the channel was
+ * constructed with the `recordFormat` option set to 'record', {@link Record}
+ * objects are yielded instead. A {@link DecodeError} is yielded in place of
+ * any record whose payload could not be decoded.
+ *
+ * Records are requested from the streaming service in batches. A new batch is
+ * only requested once all of the records from the previous batch have been
+ * pulled from the iterator, at which point the offsets for the previous batch
+ * are committed. If the iteration is ended early, for example via a `break`
+ * out of a `for await` loop, the offsets for a partially pulled batch are not
+ * committed. If the channel `ackMode` is 'manual', only the offsets of records
+ * acknowledged via {@link Record#ack} are committed.
+ *
+ * Iteration counts as an active run: no {@link Channel#run} may be started
+ * until the iteration is complete, and a call to {@link Channel#stop} ends
+ * the iteration.
+ * @example
+ * for await (var payload of channel.records({topics: 'my-topic'})) {
+ *   console.log(payload)
+ * }
+ * @param {Object} [options] - Options to use for the iteration.
+ * @param {Number} [options.waitBetweenQueries=30] - Number of seconds to wait
+ *   before querying the streaming service again after a query which returned
+ *   no records.
+ * @param {(Boolean|Object)} [options.adaptivePolling=false] - Whether or not
+ *   to increase the wait progressively after consecutive queries which
+ *   returned no records, rather than always waiting for the
+ *   `options.waitBetweenQueries`. See {@link Channel#run} for the available
+ *   settings.
+ * @param {(String|Array<String>)} [options.topics] - Topic or array of topics.
+ *   If set to a non-empty value, the channel will be subscribed to the
+ *   specified topics. If set to an empty value, the channel will use topics
+ *   previously subscribed via a call to the {@link Channel#subscribe} method.
+ * @returns {Object} An async iterator. Each call to its `next` method returns
+ *   a `Promise` which is resolved with the next record payload or rejected
+ *   with the `Error` which terminated the iteration.
+ * @throws {PermanentError} If a previous run is already in progress.
+ * @throws {TypeError} If an `options.adaptivePolling` setting is not valid.
+ */
+Channel.prototype.records = function (options) {
+  var puller = this._createRecordPuller(options)
+  var iterator = {
+    next: function () {
+      return new Promise(function (resolve, reject) {
+        puller.pull(function (error, done, record) {
+          if (error) {
+            reject(error)
+          } else {
+            resolve({value: record, done: done})
           }
-        }
-      },
-      waitBetweenQueries
-    )
+        })
+      })
+    },
+    return: function () {
+      return new Promise(function (resolve) {
+        puller.close(function () {
+          resolve({value: undefined, done: true})
+        })
+      })
+    }
   }
-
-  var currentSubscriptions = channel._requestedSubscriptions.slice()
-  var doRun = function () {
-    channel.subscribe(currentSubscriptions, function (subscribeError) {
-      if (subscribeError) {
-        channel._handleRunError(subscribeError, doRun, doneCallback)
-      } else {
-        doConsumeLoop(processCallback,
-          function (consumeLoopError) {
-            currentSubscriptions = channel._requestedSubscriptions.slice()
-            channel._handleRunError(consumeLoopError, doRun, doneCallback)
-          })
-      }
-    })
+  if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+    iterator[Symbol.asyncIterator] = function () {
+      return iterator
+    }
   }
+  return iterator
+}
 
-  doRun()
+/**
+ * Returns an object-mode `Readable` stream of the {@link Record} objects
+ * consumed from the subscribed topics, whatever the `recordFormat` option
+ * for the channel. The decoded payload of each record is available from its
+ * `value` property. Records are delivered rather than payloads since a
+ * payload may be decoded to `null` (for example, by the 'json' codec), which
+ * would otherwise end the stream. A {@link DecodeError} is delivered in place
+ * of any record whose payload could not be decoded.
+ *
+ * Records are requested from the streaming service in batches. A new batch is
+ * only requested once all of the records from the previous batch have been
+ * read from the stream, at which point the offsets for the previous batch are
+ * committed. The stream reads ahead of its consumer by at most
+ * `options.highWaterMark` records. Destroying the stream ends the consumption
+ * without committing the offsets for a partially read batch.
+ *
+ * Reading from the stream counts as an active run: no {@link Channel#run} may
+ * be started until the stream has ended, and a call to {@link Channel#stop}
+ * ends the stream.
+ * @param {Object} [options] - Options to use for the stream.
+ * @param {Number} [options.waitBetweenQueries=30] - Number of seconds to wait
+ *   before querying the streaming service again after a query which returned
+ *   no records.
+ * @param {(Boolean|Object)} [options.adaptivePolling=false] - Whether or not
+ *   to increase the wait progressively after consecutive queries which
+ *   returned no records, rather than always waiting for the
+ *   `options.waitBetweenQueries`. See {@link Channel#run} for the available
+ *   settings.
+ * @param {(String|Array<String>)} [options.topics] - Topic or array of topics.
+ *   If set to a non-empty value, the channel will be subscribed to the
+ *   specified topics. If set to an empty value, the channel will use topics
+ *   previously subscribed via a call to the {@link Channel#subscribe} method.
+ * @param {Number} [options.highWaterMark=1] - Maximum number of records to
+ *   buffer in the stream before they are read.
+ * @returns {stream.Readable} The stream.
+ * @throws {PermanentError} If a previous run is already in progress.
+ * @throws {TypeError} If an `options.adaptivePolling` setting is not valid.
+ */
+Channel.prototype.createReadStream = function (options) {
+  options = options || {}
+  var puller = this._createRecordPuller(options, true)
+  var stream = new Readable({
+    objectMode: true,
+    highWaterMark: options.highWaterMark || 1,
+    read: function () {
+      puller.pull(function (error, done, record) {
+        if (error) {
+          stream.emit('error', error)
+        } else if (done) {
+          stream.push(null)
+        } else {
+          stream.push(record)
+        }
+      })
+    },
+    destroy: function (error, callback) {
+      puller.close(function () {
+        callback(error)
+      })
+    }
+  })
+  return stream
 }
 
 /**
@@ -1017,65 +3877,82 @@ Channel.prototype.run = function (processCallback, options) {
  * supplied callback is invoked immediately. If a run is active, the supplied
  * callback is invoked after the run has been completed.
  *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the run has been stopped.
+ *
  * @param {Function} [callback] - Function to invoke when the run has been
  *   stopped.
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
  */
 Channel.prototype.stop = function (callback) {
-  if (this._running) {
-    this._stopRequested = true
-    if (this._runLoopTimeout) {
-      clearTimeout(this._runLoopTimeout)
-      this._runLoopTimeout = null
-      if (this._runLoopFunc) {
-        callbackAsync(this._runLoopFunc)
-        this._runLoopFunc = null
-      }
-    }
-    if (callback) {
-      this._stopCallbacks.push(callback)
+  var channel = this
+  return util.callbackOrPromise(callback, function (callback) {
+    if (channel._running) {
+      channel._stopRequested = true
+      channel._wakeRunLoop()
+      var retries = channel._processRetries
+      channel._processRetries = []
+      retries.forEach(function (pending) {
+        clearTimeout(pending.timeout)
+        callbackAsync(pending.retry)
+      })
+      channel._stopCallbacks.push(callback)
+    } else {
+      callbackAsync(callback)
     }
-  } else {
-    callbackAsync(callback)
-  }
+  })
 }
 
 /**
  * Deletes the consumer from the consumer group.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the consumer has been deleted or rejected with the `Error`
+ * which would otherwise have been delivered to the `callback`.
  * @param {Function} [callback] - Callback to invoke after the consumer has
  *   been deleted. The first parameter supplied to the callback is an `Error`
  *   object, if an error occurred during the delete, else `null`.
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
  */
 Channel.prototype.delete = function (callback) {
-  var consumerId = this._consumerId
-  if (consumerId) {
-    var channel = this
-    channel._sendRequest(
-      channel._request.delete,
-      util.appendUrlSubpath(channel._consumerPathPrefix, 'consumers/' +
-        consumerId),
-      function () {
-        channel.reset()
-        if (callback) {
+  var channel = this
+  return util.callbackOrPromise(callback, function (callback) {
+    var consumerId = channel._consumerId
+    if (consumerId) {
+      channel._sendRequest(
+        'delete',
+        channel._request.delete,
+        util.appendUrlSubpath(channel._consumerPathPrefix, 'consumers/' +
+          consumerId),
+        function () {
+          channel.reset()
           callback(null)
-        }
-      },
-      callback,
-      function () {
-        channel.reset()
-        if (callback) {
+        },
+        callback,
+        function () {
+          channel.reset()
           callback(new ConsumerError("Consumer with ID '" +
             consumerId +
             "' not found. Resetting consumer anyways."))
         }
-      }
-    )
-  } else {
-    callbackAsync(callback)
-  }
+      )
+    } else {
+      callbackAsync(callback)
+    }
+  })
 }
 
 /**
  * Produces records to the channel.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the records have been produced or rejected with the `Error`
+ * which would otherwise have been delivered to the `callback`.
+ * By default, a failed produce attempt is not retried. Retries can be enabled
+ * via the 'produce' operation settings in the `retryPolicy` option for the
+ * channel.
  * @param {Object} payload - Payload containing the records to be posted to the
  *   channel.
  * @param {Function} [callback] - Function to invoke when the produce has been
@@ -1083,64 +3960,406 @@ Channel.prototype.delete = function (callback) {
  *   object, if an error occurred during the produce, else `null`. The parameter
  *   will be of type {@link PermanentError} if an unsuccessful response is
  *   received from the streaming service for the produce attempt.
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
  */
 Channel.prototype.produce = function (payload, callback) {
-  this._sendRequest(
-    this._request.post,
-    {
-      uri: util.appendUrlSubpath(this._producerPathPrefix, 'produce'),
-      json: true,
-      body: payload,
-      headers: {
-        'Content-Type': 'application/vnd.dxl.intel.records.v1+json'
-      }
-    },
-    function () {
-      if (callback) {
-        callback(null)
-      }
-    },
-    callback
-  )
+  var channel = this
+  return util.callbackOrPromise(callback, function (callback) {
+    channel._retryOnFailure(
+      'produce',
+      function (retryCallback) {
+        channel._sendRequest(
+          'produce',
+          channel._request.post,
+          {
+            uri: util.appendUrlSubpath(channel._producerPathPrefix,
+              'produce'),
+            json: true,
+            body: payload,
+            headers: {
+              'Content-Type': 'application/vnd.dxl.intel.records.v1+json'
+            }
+          },
+          function () {
+            if (channel._metrics) {
+              (payload.records || []).forEach(function (record) {
+                channel._metrics.increment(
+                  'dxlstreaming_records_produced_total',
+                  {topic: (record.routingData || {}).topic})
+              })
+            }
+            retryCallback(null)
+          },
+          retryCallback
+        )
+      },
+      callback
+    )
+  })
+}
+
+/**
+ * Produces a value to a topic. The value is serialized and wrapped in the
+ * records envelope expected by the streaming service. See
+ * {@link Producer#send} for more information.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the record has been produced or rejected with the `Error`
+ * which would otherwise have been delivered to the `callback`.
+ * @example
+ * channel.send('my-topic', {message: 'Hello from OpenDXL'},
+ *   {headers: {sourceId: 'abc'}})
+ * @param {String} topic - Topic to produce the record to.
+ * @param {(String|Buffer|Object)} value - Value for the record payload. The
+ *   value is encoded by the codec configured for the channel.
+ * @param {Object} [options] - Options for the record.
+ * @param {String} [options.shardingKey] - Sharding key for the record.
+ * @param {Object} [options.headers] - Object whose properties are the string
+ *   headers to include with the record.
+ * @param {Function} [callback] - Function to invoke when the produce has
+ *   completed. The first parameter supplied to the callback is an `Error`
+ *   object, if an error occurred during the produce, else `null`.
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
+ * @throws {PermanentError} If the topic, value, sharding key, or headers are
+ *   not valid or the value cannot be encoded.
+ */
+Channel.prototype.send = function (topic, value, options, callback) {
+  if (!this._producer) {
+    this._producer = new Producer(this, this._producerOptions)
+  }
+  return this._producer.send(topic, value, options, callback)
+}
+
+/**
+ * Produces any records which have been accumulated into a batch by previous
+ * calls to {@link Channel#send}. See {@link Producer#flush} for more
+ * information.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when all of the records previously sent have been produced (or
+ * have failed to be produced).
+ * @param {Function} [callback] - Function to invoke when all of the records
+ *   previously sent have been produced (or have failed to be produced).
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
+ */
+Channel.prototype.flush = function (callback) {
+  var channel = this
+  return util.callbackOrPromise(callback, function (callback) {
+    if (channel._producer) {
+      channel._producer.flush(callback)
+    } else {
+      callbackAsync(callback)
+    }
+  })
 }
 
 /**
  * Destroys the channel (releases all associated resources).
  *
+ * Any records which have been accumulated into a batch by previous calls to
+ * {@link Channel#send} are produced before the channel is destroyed.
+ *
  * **NOTE:** Once the method has been invoked, no other calls should be
  * made to the channel.
  *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the channel has been destroyed or rejected with the `Error`
+ * which would otherwise have been delivered to the `callback`.
+ *
  * @param {Function} [callback] - Function to invoke when the channel has been
  *   destroyed. The first parameter supplied to the callback is an `Error`
  *   object, if an error occurred during the destroy, else `null`. The parameter
  *   will be of type {@link TemporaryError} if a consumer has previously been
  *   created for the channel but an attempt to delete the consumer from the
  *   channel fails.
+ * @fires Channel#destroyed
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
  */
 Channel.prototype.destroy = function (callback) {
-  if (this._active) {
-    var channel = this
-    this.stop(function (stopError) {
-      if (stopError) {
-        callback(stopError)
-      } else {
-        channel.delete(function (deleteError) {
-          if (deleteError) {
-            if (callback) {
-              callback(deleteError)
-            }
+  var channel = this
+  return util.callbackOrPromise(callback, function (callback) {
+    if (channel._active) {
+      var closeProducer = callbackAsync
+      if (channel._producer) {
+        closeProducer = channel._producer.close.bind(channel._producer)
+      }
+      closeProducer(function () {
+        channel.stop(function (stopError) {
+          if (stopError) {
+            callback(stopError)
           } else {
-            channel._active = false
-            if (callback) {
-              callback(null)
-            }
+            channel.delete(function (deleteError) {
+              if (deleteError) {
+                callback(deleteError)
+              } else {
+                channel._active = false
+                if (channel._tlsWatcher) {
+                  channel._tlsWatcher.close()
+                }
+                channel._request.close()
+                channel.emit('destroyed')
+                callback(null)
+              }
+            })
+          }
+        })
+      })
+    } else {
+      callbackAsync(callback)
+    }
+  })
+}
+
+/**
+ * Gracefully shuts down the channel (releases all associated resources).
+ *
+ * Any records which have been accumulated into a batch by previous calls to
+ * {@link Channel#send} are produced first. An active {@link Channel#run} (or
+ * record iteration) is then stopped, waiting for the records which are being
+ * processed to complete. Any offsets which have not yet been committed are
+ * committed (if the channel `ackMode` is 'manual', only those of
+ * acknowledged records) before the consumer is deleted.
+ *
+ * If the `options.timeout` elapses before the in-flight work has completed,
+ * the shutdown stops waiting for it and the consumer is deleted without a
+ * final commit. A run which has not stopped by then is completed without an
+ * error. Any processing, consume, or commit still in progress does not
+ * continue the run, and no other run can be started until it has come back.
+ * Records which were not committed are delivered again to the consumer
+ * group.
+ *
+ * **NOTE:** Once the method has been invoked, no other calls should be
+ * made to the channel.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the channel has been shut down or rejected with the
+ * `Error` which would otherwise have been delivered to the `callback`.
+ * @example
+ * channel.shutdown({timeout: 30}).then(function () {
+ *   console.log('Channel shut down')
+ * })
+ * @param {Object} [options] - Options for the shutdown.
+ * @param {Number} [options.timeout] - Maximum number of seconds to wait for
+ *   in-flight work to complete and the final commit to be made. If not set,
+ *   the shutdown waits for as long as is needed.
+ * @param {Function} [callback] - Function to invoke when the channel has been
+ *   shut down. The first parameter supplied to the callback is an `Error`
+ *   object, if an error occurred during the shutdown, else `null`. The
+ *   parameter will be of type {@link TemporaryError} if the `options.timeout`
+ *   elapsed or an attempt to delete the consumer fails.
+ * @fires Channel#destroyed
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
+ * @throws {TypeError} If the `options.timeout` is not a positive number.
+ */
+Channel.prototype.shutdown = function (options, callback) {
+  if (typeof options === 'function') {
+    callback = options
+    options = null
+  }
+  options = options || {}
+
+  var timeout = 0
+  if ((typeof options.timeout !== 'undefined') && (options.timeout !== null)) {
+    timeout = Number(options.timeout)
+    if (isNaN(timeout) || (timeout <= 0)) {
+      throw new TypeError('timeout must be a positive number')
+    }
+  }
+
+  var channel = this
+  return util.callbackOrPromise(callback, function (callback) {
+    if (!channel._active) {
+      callbackAsync(callback)
+      return
+    }
+
+    var finished = false
+    var timer = null
+    var deleteConsumer = function (shutdownError) {
+      if (finished) {
+        return
+      }
+      finished = true
+      if (timer) {
+        clearTimeout(timer)
+      }
+      if (channel._abandonRunFunc) {
+        // Complete a run which has not stopped yet, rather than leaving it
+        // to fail once the consumer has been deleted.
+        channel._abandonRunFunc()
+      }
+      channel.delete(function (deleteError) {
+        if (deleteError) {
+          callback(deleteError)
+        } else {
+          channel._active = false
+          if (channel._tlsWatcher) {
+            channel._tlsWatcher.close()
+          }
+          channel._request.close()
+          channel.emit('destroyed')
+          callback(shutdownError || null)
+        }
+      })
+    }
+
+    if (timeout) {
+      timer = setTimeout(function () {
+        channel._logger.warn({consumerId: channel._consumerId},
+          'Shutdown did not complete within ' + timeout +
+          ' seconds, abandoning run and deleting consumer')
+        deleteConsumer(new TemporaryError('Timed out after ' + timeout +
+          ' seconds waiting for the channel to shut down'))
+      }, timeout * 1000)
+    }
+
+    var closeProducer = callbackAsync
+    if (channel._producer) {
+      closeProducer = channel._producer.close.bind(channel._producer)
+    }
+    closeProducer(function () {
+      channel.stop(function () {
+        if (finished) {
+          return
+        }
+        var commit = channel._consumerId ? channel._commit.bind(channel, false)
+          : callbackAsync
+        commit(function (commitError) {
+          if (commitError) {
+            channel._logger.error({
+              consumerId: channel._consumerId,
+              error: commitError
+            }, 'Unable to commit offsets during shutdown: ' +
+              commitError.message)
           }
+          deleteConsumer(commitError)
         })
+      })
+    })
+  })
+}
+
+/**
+ * Installs handlers which gracefully shut down the supplied channels, via
+ * {@link Channel#shutdown}, when the process receives a termination signal.
+ * The handlers do not exit the process unless the `options.exit` option is
+ * set. Otherwise, the process exits once nothing else keeps it running, or
+ * it can be exited from the `options.onShutdown` function. Once a signal has
+ * been received, the handlers are removed, so that a second signal received
+ * while the channels are being shut down is left to any other handlers for
+ * the signal or, if there are none, to the default behavior of Node.js,
+ * which terminates the process.
+ * @example
+ * Channel.handleSignals([channel], {
+ *   timeout: 30,
+ *   onShutdown: function (error) {
+ *     process.exit(error ? 1 : 0)
+ *   }
+ * })
+ * @param {(Channel|Array<Channel>)} channels - Channel or array of channels
+ *   to shut down.
+ * @param {Object} [options] - Options for the handlers.
+ * @param {Array<String>} [options.signals=['SIGINT', 'SIGTERM']] - Names of
+ *   the signals to handle.
+ * @param {Number} [options.timeout] - Maximum number of seconds to wait for
+ *   each channel to shut down. See {@link Channel#shutdown}.
+ * @param {Boolean} [options.exit=false] - Whether or not to exit the process
+ *   once the channels have been shut down, with an exit code of `0` if all
+ *   of the channels were shut down successfully, else `1`. If set, a second
+ *   signal received while the channels are being shut down exits the process
+ *   immediately with an exit code of `1`.
+ * @param {Function} [options.onShutdown] - Function to invoke once the
+ *   channels have been shut down (before the process exits, if the
+ *   `options.exit` option is set). The first
+ *   parameter supplied to the function is the first `Error` which occurred
+ *   while shutting down the channels, else `null`.
+ * @returns {Function} Function which removes the installed handlers.
+ * @throws {TypeError} If the `options.timeout` is not a positive number.
+ */
+Channel.handleSignals = function (channels, options) {
+  channels = Array.isArray(channels) ? channels : [channels]
+  options = options || {}
+
+  var signals = options.signals || ['SIGINT', 'SIGTERM']
+  var exit = Boolean(options.exit)
+  var shutdownOptions = {timeout: options.timeout}
+  var shuttingDown = false
+
+  // Validate the shutdown options before any signal is received.
+  if ((typeof options.timeout !== 'undefined') && (options.timeout !== null)) {
+    var timeout = Number(options.timeout)
+    if (isNaN(timeout) || (timeout <= 0)) {
+      throw new TypeError('timeout must be a positive number')
+    }
+  }
+
+  var removeHandlers = function () {
+    signals.forEach(function (signal) {
+      process.removeListener(signal, handler)
+    })
+  }
+
+  var handler = function (signal) {
+    if (shuttingDown) {
+      process.exit(1)
+    }
+    shuttingDown = true
+    if (!exit) {
+      // A second signal is left to any other handlers or to the default
+      // behavior, rather than exiting the process here.
+      removeHandlers()
+    }
+    var remaining = channels.length
+    var firstError = null
+    var complete = function () {
+      if (options.onShutdown) {
+        options.onShutdown(firstError)
+      }
+      if (exit) {
+        process.exit(firstError ? 1 : 0)
       }
+    }
+    var channelDone = function (error) {
+      firstError = firstError || error || null
+      remaining--
+      if (!remaining) {
+        complete()
+      }
+    }
+    if (!remaining) {
+      complete()
+      return
+    }
+    channels.forEach(function (channel) {
+      channel._logger.info({consumerId: channel._consumerId, signal: signal},
+        'Received ' + signal + ', shutting down channel')
+      channel.shutdown(shutdownOptions, channelDone)
     })
-  } else {
-    callbackAsync(callback)
   }
+
+  signals.forEach(function (signal) {
+    process.on(signal, handler)
+  })
+  return removeHandlers
+}
+
+/**
+ * Returns the metrics collected for the channel. The returned object can be
+ * rendered in the Prometheus text exposition format via
+ * {@link Metrics#toPrometheus} or converted to a plain object snapshot via
+ * {@link Metrics#toJSON}.
+ * @example
+ * console.log(channel.getMetrics().toPrometheus())
+ * @returns {Metrics} The metrics, or `null` if the channel was not
+ *   constructed with the `metrics` option.
+ */
+Channel.prototype.getMetrics = function () {
+  return this._metrics
 }
 
 module.exports = Channel
@@ -0,0 +1,135 @@
+/**
+ * @module Codecs
+ * @description Registry of the codecs which a {@link Channel} can use to
+ * encode values produced via {@link Channel#send} into record payloads and to
+ * decode the payloads of consumed records.
+ *
+ * The following codecs are built in:
+ *
+ * * `string` (the default) - Payloads are decoded as UTF-8 strings. Strings
+ *   are encoded as UTF-8, `Buffer` objects are used as-is, and any other value
+ *   is serialized as JSON.
+ * * `buffer` - Payloads are delivered as raw `Buffer` objects. Strings are
+ *   encoded as UTF-8 and `Buffer` objects are used as-is.
+ * * `json` - Values are serialized as JSON and payloads are parsed as JSON.
+ *
+ * Custom codecs can be added with the {@link module:Codecs.register} function.
+ * @example
+ * codecs.register('upper', {
+ *   encode: function (value) {
+ *     return Buffer.from(String(value).toUpperCase())
+ *   },
+ *   decode: function (payload) {
+ *     return payload.toString().toLowerCase()
+ *   }
+ * })
+ *
+ * var channel = new Channel('http://channel-server', {codec: 'upper'})
+ */
+
+'use strict'
+
+var Buffer = require('safe-buffer').Buffer
+var PermanentError = require('./permanent-error')
+
+/**
+ * Codec used to encode values into record payloads and decode record payloads
+ * into values.
+ * @typedef {Object} module:Codecs~Codec
+ * @property {Function} encode - Function which is passed a value and returns
+ *   a `Buffer` containing the encoded payload.
+ * @property {Function} decode - Function which is passed a `Buffer` containing
+ *   a record payload and returns the decoded value. The function should throw
+ *   an `Error` if the payload cannot be decoded.
+ */
+
+var registry = {
+  string: {
+    encode: function (value) {
+      if (Buffer.isBuffer(value)) {
+        return value
+      }
+      if (typeof value === 'string') {
+        return Buffer.from(value)
+      }
+      return Buffer.from(JSON.stringify(value))
+    },
+    decode: function (payload) {
+      return payload.toString()
+    }
+  },
+  buffer: {
+    encode: function (value) {
+      if (Buffer.isBuffer(value)) {
+        return value
+      }
+      if (typeof value === 'string') {
+        return Buffer.from(value)
+      }
+      throw new TypeError('Value must be a Buffer or string')
+    },
+    decode: function (payload) {
+      return payload
+    }
+  },
+  json: {
+    encode: function (value) {
+      return Buffer.from(JSON.stringify(value))
+    },
+    decode: function (payload) {
+      return JSON.parse(payload.toString())
+    }
+  }
+}
+
+/**
+ * Determine whether the supplied object can be used as a codec.
+ * @param {Object} codec - The object.
+ * @returns {Boolean} true if the object has `encode` and `decode` functions.
+ * @private
+ */
+function isCodec (codec) {
+  return Boolean(codec) && (typeof codec.encode === 'function') &&
+    (typeof codec.decode === 'function')
+}
+
+module.exports = {
+  /**
+   * Register a custom codec. A codec registered under the same name as an
+   * existing codec replaces the existing codec.
+   * @param {String} name - Name of the codec.
+   * @param {module:Codecs~Codec} codec - The codec.
+   * @throws {PermanentError} If the name is empty or the codec does not have
+   *   `encode` and `decode` functions.
+   */
+  register: function (name, codec) {
+    if (!name) {
+      throw new PermanentError('Value must be specified for name')
+    }
+    if (!isCodec(codec)) {
+      throw new PermanentError('Codec must have encode and decode functions')
+    }
+    registry[name] = codec
+  },
+  /**
+   * Look up a codec.
+   * @param {(String|module:Codecs~Codec)} codec - Name of a registered codec
+   *   or a codec object.
+   * @returns {module:Codecs~Codec} The codec.
+   * @throws {PermanentError} If no codec is registered under the supplied
+   *   name or the supplied codec object does not have `encode` and `decode`
+   *   functions.
+   */
+  get: function (codec) {
+    if (typeof codec === 'string') {
+      if (!registry.hasOwnProperty(codec)) {
+        throw new PermanentError("Unknown codec '" + codec + "'")
+      }
+      return registry[codec]
+    }
+    if (!isCodec(codec)) {
+      throw new PermanentError('Codec must have encode and decode functions')
+    }
+    return codec
+  }
+}
@@ -0,0 +1,77 @@
+'use strict'
+
+var inherits = require('inherits')
+var BaseChannelAuth = require('./base-channel-auth')
+var PermanentError = require('./permanent-error')
+
+/**
+ * @classdesc Authentication class which applies several authentication
+ * objects to each channel request, in order. For example, an
+ * {@link ApiKeyAuth} which identifies the application can be combined with a
+ * {@link ChannelAuth} which identifies the user.
+ * @example
+ * var channel = new Channel(CHANNEL_URL, {
+ *   auth: new CompositeAuth([
+ *     new ApiKeyAuth(API_KEY),
+ *     new ChannelAuth(CHANNEL_URL, USERNAME, PASSWORD)
+ *   ]),
+ *   consumerGroup: 'my-group'
+ * })
+ * @param {Array<BaseChannelAuth>} auths - The authentication objects to
+ *   apply.
+ * @implements {BaseChannelAuth}
+ * @constructor
+ * @throws {PermanentError} If the `auths` is not a non-empty array.
+ */
+function CompositeAuth (auths) {
+  BaseChannelAuth.call(this)
+  if (!Array.isArray(auths) || !auths.length) {
+    throw new PermanentError('Value for auths must be a non-empty array')
+  }
+  this._auths = auths.slice()
+}
+
+inherits(CompositeAuth, BaseChannelAuth)
+
+/**
+ * Authenticate the user for an HTTP channel request. The supplied callback
+ * should be invoked with the results of the authentication attempt. See
+ * {@link BaseChannelAuth~authCallback} for more information on the
+ * content provided to the callback.
+ * @param {Object} requestOptions - Options included in the HTTP channel
+ *   request.
+ * @param {BaseChannelAuth~authCallback} callback - Callback function
+ *   invoked with the results of the authentication attempt. The first error
+ *   from any of the authentication objects is delivered to the callback.
+ */
+CompositeAuth.prototype.authenticate = function (requestOptions, callback) {
+  var auths = this._auths
+  var next = function (index, options) {
+    if (index >= auths.length) {
+      callback(null, options)
+      return
+    }
+    auths[index].authenticate(options, function (authError, authOptions) {
+      if (authError) {
+        callback(authError)
+      } else {
+        next(index + 1, authOptions)
+      }
+    })
+  }
+  next(0, requestOptions)
+}
+
+/**
+ * Purge any credentials cached from a previous authentication by each of the
+ * authentication objects.
+ */
+CompositeAuth.prototype.reset = function () {
+  this._auths.forEach(function (auth) {
+    if (auth.reset) {
+      auth.reset()
+    }
+  })
+}
+
+module.exports = CompositeAuth
@@ -0,0 +1,168 @@
+'use strict'
+
+var url = require('url')
+
+/**
+ * Returns the default path for a cookie set in the response to a request for
+ * the supplied path, as described in RFC 6265, section 5.1.4.
+ * @param {String} requestPath - Path of the request.
+ * @returns {String} The default path.
+ * @private
+ */
+function defaultPath (requestPath) {
+  if (!requestPath || (requestPath.charAt(0) !== '/')) {
+    return '/'
+  }
+  var lastSlash = requestPath.lastIndexOf('/')
+  return lastSlash > 0 ? requestPath.slice(0, lastSlash) : '/'
+}
+
+/**
+ * Returns whether or not a request path matches the path of a cookie.
+ * @param {String} requestPath - Path of the request.
+ * @param {String} cookiePath - Path of the cookie.
+ * @returns {Boolean} Whether or not the paths match.
+ * @private
+ */
+function pathMatches (requestPath, cookiePath) {
+  if (requestPath === cookiePath) {
+    return true
+  }
+  return (requestPath.indexOf(cookiePath) === 0) &&
+    ((cookiePath.slice(-1) === '/') ||
+      (requestPath.charAt(cookiePath.length) === '/'))
+}
+
+/**
+ * Parse a `Set-Cookie` response header.
+ * @param {String} header - The header value.
+ * @param {Object} requestUrl - Parsed URL of the request which the header was
+ *   received in response to.
+ * @returns {Object} The cookie, or `null` if the header could not be parsed
+ *   or names a domain which does not match the request.
+ * @private
+ */
+function parseSetCookie (header, requestUrl) {
+  var parts = String(header).split(';')
+  var nameValue = parts.shift()
+  var separator = nameValue.indexOf('=')
+  if (separator < 1) {
+    return null
+  }
+  var hostname = (requestUrl.hostname || '').toLowerCase()
+  var cookie = {
+    name: nameValue.slice(0, separator).trim(),
+    value: nameValue.slice(separator + 1).trim(),
+    domain: hostname,
+    hostOnly: true,
+    path: defaultPath(requestUrl.pathname),
+    secure: false,
+    expiresAt: null
+  }
+  var maxAge = null
+  parts.forEach(function (part) {
+    var attributeSeparator = part.indexOf('=')
+    var name = (attributeSeparator < 0 ? part
+      : part.slice(0, attributeSeparator)).trim().toLowerCase()
+    var value = attributeSeparator < 0 ? ''
+      : part.slice(attributeSeparator + 1).trim()
+    if (name === 'domain' && value) {
+      cookie.domain = value.replace(/^\./, '').toLowerCase()
+      cookie.hostOnly = false
+    } else if (name === 'path' && (value.charAt(0) === '/')) {
+      cookie.path = value
+    } else if (name === 'secure') {
+      cookie.secure = true
+    } else if (name === 'max-age' && /^-?\d+$/.test(value)) {
+      maxAge = Number(value)
+    } else if (name === 'expires') {
+      var expires = Date.parse(value)
+      if (!isNaN(expires)) {
+        cookie.expiresAt = expires
+      }
+    }
+  })
+  if (maxAge !== null) {
+    cookie.expiresAt = Date.now() + (maxAge * 1000)
+  }
+  if (!cookie.hostOnly && (hostname !== cookie.domain) &&
+    (hostname.slice(-(cookie.domain.length + 1)) !== '.' + cookie.domain)) {
+    return null
+  }
+  return cookie
+}
+
+/**
+ * @classdesc Stores the cookies set by HTTP responses, in order to return them
+ * with subsequent requests. For example, the streaming service may set a
+ * cookie which routes the requests for a consumer to the same server.
+ * @constructor
+ * @private
+ */
+function CookieJar () {
+  /**
+   * Cookies which have been set, keyed by domain, path, and name.
+   * @type {Object}
+   * @private
+   */
+  this._cookies = {}
+}
+
+/**
+ * Store the cookies from the `Set-Cookie` headers of a response. A cookie
+ * which has expired removes any cookie with the same domain, path, and name.
+ * @param {(String|Array<String>)} headers - The `Set-Cookie` header values.
+ * @param {String} requestUrl - URL of the request which the headers were
+ *   received in response to.
+ */
+CookieJar.prototype.setCookies = function (headers, requestUrl) {
+  var jar = this
+  var parsedUrl = url.parse(requestUrl)
+  var now = Date.now()
+  ;[].concat(headers || []).forEach(function (header) {
+    var cookie = parseSetCookie(header, parsedUrl)
+    if (cookie) {
+      var key = cookie.domain + ';' + cookie.path + ';' + cookie.name
+      if ((cookie.expiresAt !== null) && (cookie.expiresAt <= now)) {
+        delete jar._cookies[key]
+      } else {
+        jar._cookies[key] = cookie
+      }
+    }
+  })
+}
+
+/**
+ * Returns the value for the `Cookie` header of a request.
+ * @param {String} requestUrl - URL of the request.
+ * @returns {String} The header value, or an empty string if no cookies apply
+ *   to the request.
+ */
+CookieJar.prototype.getCookieString = function (requestUrl) {
+  var jar = this
+  var parsedUrl = url.parse(requestUrl)
+  var hostname = (parsedUrl.hostname || '').toLowerCase()
+  var requestPath = parsedUrl.pathname || '/'
+  var secure = parsedUrl.protocol === 'https:'
+  var now = Date.now()
+  return Object.keys(this._cookies).map(function (key) {
+    return jar._cookies[key]
+  }).filter(function (cookie) {
+    if ((cookie.expiresAt !== null) && (cookie.expiresAt <= now)) {
+      return false
+    }
+    if (cookie.secure && !secure) {
+      return false
+    }
+    var domainMatches = cookie.hostOnly ? (hostname === cookie.domain)
+      : ((hostname === cookie.domain) ||
+        (hostname.slice(-(cookie.domain.length + 1)) === '.' + cookie.domain))
+    return domainMatches && pathMatches(requestPath, cookie.path)
+  }).sort(function (first, second) {
+    return second.path.length - first.path.length
+  }).map(function (cookie) {
+    return cookie.name + '=' + cookie.value
+  }).join('; ')
+}
+
+module.exports = CookieJar
@@ -0,0 +1,108 @@
+'use strict'
+
+var PermanentError = require('./permanent-error')
+var Producer = require('./producer')
+
+// Prefix for the headers added to a dead-lettered record which describe
+// where the record came from and why it could not be processed
+var HEADER_PREFIX = 'dead-letter-'
+
+/**
+ * @classdesc Policy which controls how a record which repeatedly fails
+ * processing during a {@link Channel#run} is handled. See the `deadLetter`
+ * option for {@link Channel#run} for details on the supported settings.
+ * @param {Object} options - Settings for the policy.
+ * @param {String} options.topic - Topic to produce records which could not be
+ *   processed to.
+ * @param {Number} [options.maxAttempts=3] - Number of attempts to process a
+ *   record before it is produced to the `topic`.
+ * @param {Number} [options.retryDelay=0] - Number of seconds to wait before
+ *   each further attempt to process a record.
+ * @constructor
+ * @private
+ * @throws {PermanentError} If the `topic` is not a non-empty string.
+ * @throws {TypeError} If the `maxAttempts` is not a positive integer or the
+ *   `retryDelay` is not a non-negative number.
+ */
+function DeadLetterPolicy (options) {
+  if (!options.topic || (typeof options.topic !== 'string')) {
+    throw new PermanentError(
+      'Value for deadLetter topic must be a non-empty string')
+  }
+
+  var maxAttempts = 3
+  if ((typeof options.maxAttempts !== 'undefined') &&
+    (options.maxAttempts !== null)) {
+    maxAttempts = Number(options.maxAttempts)
+    if (isNaN(maxAttempts) || (maxAttempts < 1) ||
+      (Math.floor(maxAttempts) !== maxAttempts)) {
+      throw new TypeError('maxAttempts must be a positive integer')
+    }
+  }
+
+  var retryDelay = 0
+  if ((typeof options.retryDelay !== 'undefined') &&
+    (options.retryDelay !== null)) {
+    retryDelay = Number(options.retryDelay)
+    if (isNaN(retryDelay) || (retryDelay < 0)) {
+      throw new TypeError('retryDelay must be a non-negative number')
+    }
+  }
+
+  /**
+   * Topic to produce records which could not be processed to.
+   * @type {String}
+   */
+  this.topic = options.topic
+
+  /**
+   * Number of attempts to process a record before it is dead-lettered.
+   * @type {Number}
+   */
+  this.maxAttempts = maxAttempts
+
+  /**
+   * Number of seconds to wait before each further attempt to process a
+   * record.
+   * @type {Number}
+   */
+  this.retryDelay = retryDelay
+}
+
+/**
+ * Creates the record, in the format expected by the streaming service, to
+ * produce to the dead-letter topic for a record which could not be
+ * processed. The record has the payload and sharding key of the original
+ * record. Its headers are those of the original record plus the following:
+ *
+ * * `dead-letter-topic` - Topic of the original record.
+ * * `dead-letter-partition` - Partition of the original record.
+ * * `dead-letter-offset` - Offset of the original record.
+ * * `dead-letter-error` - Name of the error from the final attempt.
+ * * `dead-letter-error-message` - Message of the error from the final
+ *   attempt.
+ * * `dead-letter-attempts` - Number of attempts made to process the record.
+ * @param {Record} record - The record which could not be processed.
+ * @param {Error} error - The error from the final processing attempt.
+ * @param {Number} attempts - Number of attempts made to process the record.
+ * @returns {Object} The record to produce.
+ */
+DeadLetterPolicy.prototype.createRecord = function (record, error, attempts) {
+  var headers = {}
+  Object.keys(record.headers).forEach(function (header) {
+    headers[header] = String(record.headers[header])
+  })
+  headers[HEADER_PREFIX + 'topic'] = record.topic
+  headers[HEADER_PREFIX + 'partition'] = String(record.partition)
+  headers[HEADER_PREFIX + 'offset'] = String(record.offset)
+  headers[HEADER_PREFIX + 'error'] = (error && error.name) || 'Error'
+  headers[HEADER_PREFIX + 'error-message'] = String(
+    (error && error.message) || error)
+  headers[HEADER_PREFIX + 'attempts'] = String(attempts)
+  return Producer.createRecord(this.topic, record.payload, {
+    shardingKey: record.shardingKey || '',
+    headers: headers
+  }, 'buffer')
+}
+
+module.exports = DeadLetterPolicy
@@ -0,0 +1,33 @@
+'use strict'
+
+var inherits = require('inherits')
+var util = require('./util')
+var PermanentError = require('./permanent-error')
+
+/**
+ * @classdesc Error delivered in place of a consumed record whose payload could
+ * not be decoded by the codec configured for the {@link Channel}. The
+ * remaining records in the same batch are unaffected.
+ * @param {String} message - The error message.
+ * @param {Record} [record] - The record whose payload could not be decoded.
+ * @param {Error} [cause] - The error thrown by the codec.
+ * @constructor
+ */
+function DecodeError (message, record, cause) {
+  util.initializeError(this, message)
+  /**
+   * The record whose payload could not be decoded. The raw payload is
+   * available in the `payload` property of the record.
+   * @type {Record}
+   */
+  this.record = record || null
+  /**
+   * The error thrown by the codec.
+   * @type {Error}
+   */
+  this.cause = cause || null
+}
+
+inherits(DecodeError, PermanentError)
+
+module.exports = DecodeError
@@ -0,0 +1,249 @@
+'use strict'
+
+var querystring = require('querystring')
+var url = require('url')
+var Buffer = require('safe-buffer').Buffer
+var HttpTransport = require('./http-transport')
+var util = require('./util')
+
+/**
+ * Returns whether or not a header is set, ignoring the case of its name.
+ * @param {Object} headers - Object whose properties are the headers.
+ * @param {String} name - Name of the header, in lower case.
+ * @returns {Boolean} Whether or not the header is set.
+ * @private
+ */
+function hasHeader (headers, name) {
+  return Object.keys(headers).some(function (header) {
+    return header.toLowerCase() === name
+  })
+}
+
+/**
+ * @classdesc Makes HTTP requests through a {@link BaseHttpTransport},
+ * handling the parts of a request which do not depend upon the transport:
+ * resolving the URL, encoding JSON and form bodies, decoding JSON responses,
+ * adding authentication headers, and returning cookies set by earlier
+ * responses.
+ * @param {Object} options - Defaults for the requests made by the client,
+ *   plus the options for the {@link HttpTransport} to create if no
+ *   `options.transport` is set.
+ * @param {String} [options.baseUrl] - URL which the `uri` of each request is
+ *   relative to.
+ * @param {String} [options.uri] - URI to request if none is supplied for a
+ *   request.
+ * @param {Object} [options.headers] - Object whose properties are headers to
+ *   include with every request. Headers supplied for a request take
+ *   precedence.
+ * @param {CookieJar} [options.jar] - Jar in which to store cookies set by
+ *   responses, in order to return them with subsequent requests.
+ * @param {BaseHttpTransport} [options.transport] - Transport through which to
+ *   send the requests.
+ * @constructor
+ * @private
+ */
+function HttpClient (options) {
+  this._baseUrl = options.baseUrl || null
+  this._uri = options.uri || null
+  this._headers = options.headers || {}
+  this._jar = options.jar || null
+  this._transport = options.transport || new HttpTransport(options)
+
+  /**
+   * Whether or not the transport was created by the client, rather than
+   * supplied via the `transport` option.
+   * @type {boolean}
+   * @private
+   */
+  this._ownsTransport = !options.transport
+
+  // Bind the methods for each HTTP method, so that they can be supplied as
+  // functions to invoke in order to send a request
+  this.get = this.get.bind(this)
+  this.post = this.post.bind(this)
+  this.delete = this.delete.bind(this)
+}
+
+/**
+ * Callback invoked with the result of a request made via a
+ * {@link HttpClient}.
+ * @callback HttpClient~requestCallback
+ * @param {Error} [error] - An `Error` if no response was received, else
+ *   `null`.
+ * @param {Object} [response] - The response, with `statusCode`, `headers`,
+ *   and `body` properties, or `null` if no response was received.
+ * @param {(Object|String)} [body] - The body of the response. If the `json`
+ *   option was set for the request and the body is valid JSON, this is the
+ *   parsed body.
+ * @private
+ */
+
+/**
+ * Make a `GET` request.
+ * @param {Object} options - Options for the request. See
+ *   {@link HttpClient#request}.
+ * @param {HttpClient~requestCallback} callback - Callback invoked with the
+ *   response.
+ */
+HttpClient.prototype.get = function (options, callback) {
+  this.request('GET', options, callback)
+}
+
+/**
+ * Make a `POST` request.
+ * @param {Object} options - Options for the request. See
+ *   {@link HttpClient#request}.
+ * @param {HttpClient~requestCallback} callback - Callback invoked with the
+ *   response.
+ */
+HttpClient.prototype.post = function (options, callback) {
+  this.request('POST', options, callback)
+}
+
+/**
+ * Make a `DELETE` request.
+ * @param {Object} options - Options for the request. See
+ *   {@link HttpClient#request}.
+ * @param {HttpClient~requestCallback} callback - Callback invoked with the
+ *   response.
+ */
+HttpClient.prototype.delete = function (options, callback) {
+  this.request('DELETE', options, callback)
+}
+
+/**
+ * Close the client. If the client created its transport, the transport is
+ * closed once the requests in progress have completed. A transport supplied
+ * via the `transport` option is left for its owner to close.
+ */
+HttpClient.prototype.close = function () {
+  if (this._ownsTransport) {
+    this._transport.close()
+  }
+}
+
+/**
+ * Make a request.
+ * @param {String} method - HTTP method, for example, 'GET'.
+ * @param {Object} options - Options for the request.
+ * @param {String} [options.uri] - URI to request, relative to the `baseUrl`
+ *   of the client unless it is absolute.
+ * @param {Object} [options.qs] - Object whose properties are the query string
+ *   parameters to append to the URI.
+ * @param {Object} [options.headers] - Object whose properties are headers to
+ *   include with the request.
+ * @param {Boolean} [options.json=false] - Whether or not to send the `body`
+ *   as JSON and to parse the response body as JSON.
+ * @param {(Object|String|Buffer)} [options.body] - Body to send with the
+ *   request.
+ * @param {Object} [options.form] - Object whose properties are sent as a
+ *   URL-encoded form body, in place of the `body`.
+ * @param {Object} [options.auth] - Credentials for the request: either a
+ *   `bearer` token, or a `user` (or `username`) and a `pass` (or `password`)
+ *   for basic authentication.
+ * @param {HttpClient~requestCallback} callback - Callback invoked with the
+ *   response.
+ */
+HttpClient.prototype.request = function (method, options, callback) {
+  var client = this
+  var uri = options.uri || this._uri || ''
+  var requestUrl = uri
+  if (this._baseUrl && !url.parse(uri).protocol) {
+    requestUrl = util.appendUrlSubpath(this._baseUrl, uri)
+  }
+  if (options.qs) {
+    requestUrl += (requestUrl.indexOf('?') < 0 ? '?' : '&') +
+      querystring.stringify(options.qs)
+  }
+
+  var headers = {}
+  ;[this._headers, options.headers || {}].forEach(function (source) {
+    Object.keys(source).forEach(function (name) {
+      headers[name] = source[name]
+    })
+  })
+
+  var body = options.body
+  var contentType = null
+  if (options.form) {
+    body = querystring.stringify(options.form)
+    contentType = 'application/x-www-form-urlencoded'
+  } else if (options.json && (typeof body !== 'undefined')) {
+    body = JSON.stringify(body)
+    contentType = 'application/json'
+  }
+  if (contentType && !hasHeader(headers, 'content-type')) {
+    headers['Content-Type'] = contentType
+  }
+  if (options.json && !hasHeader(headers, 'accept')) {
+    headers.Accept = 'application/json'
+  }
+  if (typeof body !== 'undefined') {
+    body = Buffer.isBuffer(body) ? body : Buffer.from(String(body))
+    headers['Content-Length'] = body.length
+  }
+
+  var auth = options.auth
+  if (auth && auth.bearer) {
+    headers.Authorization = 'Bearer ' + auth.bearer
+  } else if (auth) {
+    headers.Authorization = 'Basic ' + Buffer.from(
+      (auth.user || auth.username || '') + ':' +
+      (auth.pass || auth.password || '')).toString('base64')
+  }
+
+  if (this._jar) {
+    var cookies = this._jar.getCookieString(requestUrl)
+    if (cookies) {
+      headers.Cookie = cookies
+    }
+  }
+
+  var responded = false
+  var responseCallback = function (error, response) {
+    responded = true
+    if (error || !response) {
+      callback(error || new Error('No response received from transport'),
+        null)
+      return
+    }
+    var responseHeaders = response.headers || {}
+    if (client._jar && responseHeaders['set-cookie']) {
+      client._jar.setCookies(responseHeaders['set-cookie'], requestUrl)
+    }
+    var responseBody = response.body
+    if (Buffer.isBuffer(responseBody)) {
+      responseBody = responseBody.toString('utf8')
+    }
+    if (options.json && (typeof responseBody === 'string')) {
+      try {
+        responseBody = JSON.parse(responseBody)
+      } catch (e) {
+        // Not valid JSON, so the body is left as a string
+      }
+    }
+    callback(null, {
+      statusCode: response.statusCode,
+      headers: responseHeaders,
+      body: responseBody
+    }, responseBody)
+  }
+
+  try {
+    this._transport.request({
+      method: method,
+      url: requestUrl,
+      headers: headers,
+      body: body
+    }, responseCallback)
+  } catch (transportError) {
+    if (responded) {
+      throw transportError
+    }
+    process.nextTick(function () {
+      responseCallback(transportError)
+    })
+  }
+}
+
+module.exports = HttpClient
@@ -0,0 +1,343 @@
+'use strict'
+
+var http = require('http')
+var https = require('https')
+var net = require('net')
+var tls = require('tls')
+var url = require('url')
+var inherits = require('inherits')
+var Buffer = require('safe-buffer').Buffer
+var BaseHttpTransport = require('./base-http-transport')
+
+// Names of the options which are applied to the TLS connections made to
+// `https` URLs
+var TLS_OPTIONS = ['key', 'cert', 'ca', 'passphrase', 'rejectUnauthorized',
+  'checkServerIdentity']
+
+/**
+ * Returns a function which invokes the supplied callback on its first call
+ * and ignores any subsequent calls.
+ * @param {Function} callback - The callback.
+ * @returns {Function} The function.
+ * @private
+ */
+function once (callback) {
+  var called = false
+  return function () {
+    if (!called) {
+      called = true
+      callback.apply(null, arguments)
+    }
+  }
+}
+
+/**
+ * Returns the headers for a request to a proxy, including a
+ * `Proxy-Authorization` header if the proxy URL includes credentials.
+ * @param {Object} proxy - Parsed URL of the proxy.
+ * @param {Object} headers - Other headers for the request.
+ * @returns {Object} The headers.
+ * @private
+ */
+function proxyHeaders (proxy, headers) {
+  var result = {}
+  Object.keys(headers).forEach(function (name) {
+    result[name] = headers[name]
+  })
+  if (proxy.auth) {
+    result['Proxy-Authorization'] = 'Basic ' +
+      Buffer.from(decodeURIComponent(proxy.auth)).toString('base64')
+  }
+  return result
+}
+
+/**
+ * @classdesc Default transport for HTTP requests, which uses the Node.js
+ * `http` and `https` modules. Requests to an `https` URL through a proxy are
+ * tunneled through the proxy with an HTTP `CONNECT` request. Redirects are not
+ * followed.
+ *
+ * A `HttpTransport` can be wrapped by a custom transport, for example, to
+ * trace requests:
+ *
+ * ```js
+ * var transport = new HttpTransport({ca: caBundle})
+ * var channel = new Channel(url, {
+ *   transport: {
+ *     request: function (request, callback) {
+ *       console.log(request.method + ' ' + request.url)
+ *       transport.request(request, callback)
+ *     }
+ *   }
+ * })
+ * ```
+ * @param {Object} [options] - Options for the transport.
+ * @param {String} [options.key] - Optional client private keys in PEM format.
+ *   See
+ *   {@link https://nodejs.org/api/tls.html#tls_tls_createsecurecontext_options}.
+ * @param {String} [options.cert] - Optional client cert chains in PEM format.
+ *   See
+ *   {@link https://nodejs.org/api/tls.html#tls_tls_createsecurecontext_options}.
+ * @param {String} [options.ca] - Optionally override the trusted CA
+ *   certificates used to validate the server. Any string can contain multiple
+ *   PEM CAs concatenated together.
+ *   See
+ *   {@link https://nodejs.org/api/tls.html#tls_tls_createsecurecontext_options}.
+ * @param {String} [options.passphrase] - Optional shared passphrase used for a
+ *   single private key. See
+ *   {@link https://nodejs.org/api/tls.html#tls_tls_createsecurecontext_options}.
+ * @param {Boolean} [options.rejectUnauthorized=true] - If not false, the server
+ *   certificate is verified against the list of supplied CAs. See
+ *   {@link https://nodejs.org/api/tls.html#tls_tls_connect_options_callback}.
+ * @param {Function} [options.checkServerIdentity] - A callback function to
+ *   be used when checking the server's hostname against the certificate.
+ *   See
+ *   {@link https://nodejs.org/api/tls.html#tls_tls_connect_options_callback}.
+ * @param {String} [options.proxy] - URL of the HTTP(S) proxy through which to
+ *   make requests.
+ * @param {Object} [options.agent] - `http.Agent` (or `https.Agent`) through
+ *   which to make requests which are not tunneled through a proxy.
+ * @param {Boolean} [options.keepAlive=false] - Whether or not to keep
+ *   connections alive between requests, if no `options.agent` is set.
+ * @param {Number} [options.maxSockets] - Maximum number of concurrent
+ *   connections to each server, if no `options.agent` is set.
+ * @implements {BaseHttpTransport}
+ * @constructor
+ */
+function HttpTransport (options) {
+  BaseHttpTransport.call(this)
+  options = options || {}
+  var transport = this
+
+  /**
+   * Options for the TLS connections made to `https` URLs.
+   * @type {Object}
+   * @private
+   */
+  this._tlsOptions = {}
+  TLS_OPTIONS.forEach(function (name) {
+    if ((typeof options[name] !== 'undefined') && (options[name] !== null)) {
+      transport._tlsOptions[name] = options[name]
+    }
+  })
+
+  /**
+   * Parsed URL of the proxy, or `null` if no proxy is used.
+   * @type {Object}
+   * @private
+   */
+  this._proxy = options.proxy ? url.parse(options.proxy) : null
+
+  this._agent = options.agent || null
+  this._keepAlive = Boolean(options.keepAlive)
+  this._maxSockets = options.maxSockets || null
+
+  /**
+   * Agents created by the transport, keyed by URL protocol.
+   * @type {Object}
+   * @private
+   */
+  this._agents = {}
+
+  /**
+   * Number of requests which are in progress.
+   * @type {Number}
+   * @private
+   */
+  this._pending = 0
+
+  /**
+   * Whether or not the transport has been closed.
+   * @type {boolean}
+   * @private
+   */
+  this._closed = false
+}
+
+inherits(HttpTransport, BaseHttpTransport)
+
+/**
+ * Returns the agent through which to make a request.
+ * @param {String} protocol - Protocol of the URL, for example, 'https:'.
+ * @returns {Object} The agent, or `undefined` if the global agent of the
+ *   `http` or `https` module should be used.
+ * @private
+ */
+HttpTransport.prototype._agentFor = function (protocol) {
+  if (this._agent) {
+    return this._agent
+  }
+  if (!this._keepAlive && !this._maxSockets) {
+    return undefined
+  }
+  if (!this._agents[protocol]) {
+    var agentOptions = {keepAlive: this._keepAlive}
+    if (this._maxSockets) {
+      agentOptions.maxSockets = this._maxSockets
+    }
+    var Agent = (protocol === 'https:') ? https.Agent : http.Agent
+    this._agents[protocol] = new Agent(agentOptions)
+  }
+  return this._agents[protocol]
+}
+
+/**
+ * Send an HTTP request.
+ * @param {Object} request - The request. See
+ *   {@link BaseHttpTransport#request} for details.
+ * @param {BaseHttpTransport~responseCallback} callback - Callback function
+ *   invoked with the response to the request.
+ */
+HttpTransport.prototype.request = function (request, callback) {
+  var transport = this
+  this._pending++
+  var done = once(function () {
+    transport._pending--
+    transport._destroyAgents()
+    callback.apply(null, arguments)
+  })
+  var target = url.parse(request.url)
+  var secure = target.protocol === 'https:'
+  if (!secure && (target.protocol !== 'http:')) {
+    process.nextTick(function () {
+      done(new Error('Unsupported protocol in URL: ' + request.url))
+    })
+    return
+  }
+
+  var requestOptions = {
+    method: request.method,
+    hostname: target.hostname,
+    port: target.port,
+    path: target.path,
+    headers: request.headers || {}
+  }
+  if (secure) {
+    Object.keys(this._tlsOptions).forEach(function (name) {
+      requestOptions[name] = transport._tlsOptions[name]
+    })
+  }
+
+  var proxy = this._proxy
+  if (!proxy) {
+    requestOptions.agent = this._agentFor(target.protocol)
+    this._send(secure ? https : http, requestOptions, request.body, done)
+  } else if (!secure) {
+    // Requests to an `http` URL are forwarded by the proxy
+    requestOptions.hostname = proxy.hostname
+    requestOptions.port = proxy.port
+    requestOptions.path = request.url
+    requestOptions.headers = proxyHeaders(proxy, requestOptions.headers)
+    requestOptions.headers.Host = target.host
+    requestOptions.agent = this._agentFor(proxy.protocol)
+    this._send(proxy.protocol === 'https:' ? https : http, requestOptions,
+      request.body, done)
+  } else {
+    this._tunnel(target, requestOptions, request.body, done)
+  }
+}
+
+/**
+ * Close the transport, destroying the agents which it created once the
+ * requests in progress have completed, so that no connections which were kept
+ * alive remain open. An agent supplied via the `agent` option is not
+ * destroyed.
+ */
+HttpTransport.prototype.close = function () {
+  this._closed = true
+  this._destroyAgents()
+}
+
+/**
+ * Destroy the agents created by the transport if the transport has been
+ * closed and no requests are in progress.
+ * @private
+ */
+HttpTransport.prototype._destroyAgents = function () {
+  if (this._closed && !this._pending) {
+    var agents = this._agents
+    this._agents = {}
+    Object.keys(agents).forEach(function (protocol) {
+      agents[protocol].destroy()
+    })
+  }
+}
+
+/**
+ * Send a request to an `https` URL through a tunnel established with an HTTP
+ * `CONNECT` request to the proxy.
+ * @param {Object} target - Parsed URL of the request.
+ * @param {Object} requestOptions - Options for the request.
+ * @param {Buffer} [body] - Body to send with the request.
+ * @param {BaseHttpTransport~responseCallback} done - Callback function
+ *   invoked with the response to the request.
+ * @private
+ */
+HttpTransport.prototype._tunnel = function (target, requestOptions, body,
+                                            done) {
+  var transport = this
+  var proxy = this._proxy
+  var authority = target.hostname + ':' + (target.port || 443)
+  var connectRequest = (proxy.protocol === 'https:' ? https : http).request({
+    method: 'CONNECT',
+    hostname: proxy.hostname,
+    port: proxy.port,
+    path: authority,
+    headers: proxyHeaders(proxy, {Host: authority}),
+    agent: false
+  })
+  connectRequest.once('connect', function (response, socket) {
+    if (response.statusCode !== 200) {
+      socket.destroy()
+      done(new Error('Proxy responded with status code ' +
+        response.statusCode + ' to CONNECT request for ' + authority))
+      return
+    }
+    requestOptions.createConnection = function () {
+      var connectOptions = {socket: socket, host: target.hostname}
+      if (!net.isIP(target.hostname)) {
+        connectOptions.servername = target.hostname
+      }
+      Object.keys(transport._tlsOptions).forEach(function (name) {
+        connectOptions[name] = transport._tlsOptions[name]
+      })
+      return tls.connect(connectOptions)
+    }
+    transport._send(https, requestOptions, body, done)
+  })
+  connectRequest.once('error', done)
+  connectRequest.end()
+}
+
+/**
+ * Send a request and collect the response.
+ * @param {Object} module - The `http` or `https` module.
+ * @param {Object} requestOptions - Options for the request.
+ * @param {Buffer} [body] - Body to send with the request.
+ * @param {BaseHttpTransport~responseCallback} done - Callback function
+ *   invoked with the response to the request.
+ * @private
+ */
+HttpTransport.prototype._send = function (module, requestOptions, body, done) {
+  var clientRequest = module.request(requestOptions, function (response) {
+    var chunks = []
+    response.on('data', function (chunk) {
+      chunks.push(chunk)
+    })
+    response.once('aborted', function () {
+      done(new Error('Connection closed before the response was complete'))
+    })
+    response.once('error', done)
+    response.once('end', function () {
+      done(null, {
+        statusCode: response.statusCode,
+        headers: response.headers,
+        body: Buffer.concat(chunks)
+      })
+    })
+  })
+  clientRequest.once('error', done)
+  clientRequest.end(body)
+}
+
+module.exports = HttpTransport
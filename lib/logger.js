@@ -0,0 +1,107 @@
+/**
+ * @module Logger
+ * @private
+ */
+
+'use strict'
+
+var LEVELS = ['debug', 'info', 'warn', 'error']
+
+/**
+ * Function which ignores any log message delivered to it.
+ * @private
+ */
+function noop () {}
+
+/**
+ * Logger which writes messages at the `info` level and above to the console,
+ * without any of the structured fields. This matches the output written by
+ * earlier versions of the library.
+ * @private
+ */
+var consoleLogger = {
+  debug: noop,
+  info: function (fields, message) {
+    console.log(message)
+  },
+  warn: function (fields, message) {
+    console.log(message)
+  },
+  error: function (fields, message) {
+    console.log(message)
+  }
+}
+
+/**
+ * Logger which discards all messages.
+ * @private
+ */
+var silentLogger = {
+  debug: noop,
+  info: noop,
+  warn: noop,
+  error: noop
+}
+
+/**
+ * Returns whether or not a logger appears to be a winston logger, which
+ * expects the message string before the structured fields.
+ * @param {Object} logger - The logger.
+ * @returns {Boolean} Whether or not the logger is a winston logger.
+ * @private
+ */
+function isWinston (logger) {
+  return Boolean(logger.transports && logger.levels &&
+    (typeof logger.log === 'function'))
+}
+
+module.exports = {
+  /**
+   * Create a logger from the `logger` option supplied to a {@link Channel} or
+   * {@link ChannelAuth}.
+   *
+   * The returned logger is always invoked with the structured fields as the
+   * first parameter and the message string as the second parameter. By
+   * default, messages are delivered to the supplied logger in the same order,
+   * matching the calling convention used by loggers such as pino and bunyan.
+   * For a winston logger, which expects the message string first and the
+   * structured fields (its "meta" object) second, the order is reversed.
+   * @param {Object} [logger] - Object with `debug`, `info`, `warn`, and
+   *   `error` methods. Any missing methods are treated as discarding messages
+   *   at that level. If `undefined`, messages at the `info` level and above
+   *   are written to the console. If `null` or `false`, all messages are
+   *   discarded.
+   * @param {Boolean} [messageFirst] - Whether or not to deliver the message
+   *   string to the `logger` before the structured fields. Defaults to `true`
+   *   if the `logger` is a winston logger, else `false`.
+   * @returns {Object} The logger, with all four methods present.
+   * @throws {TypeError} If the `logger` is not an object.
+   */
+  create: function (logger, messageFirst) {
+    if (typeof logger === 'undefined') {
+      return consoleLogger
+    }
+    if (!logger) {
+      return silentLogger
+    }
+    if (typeof logger !== 'object') {
+      throw new TypeError('logger must be an object')
+    }
+    if ((typeof messageFirst === 'undefined') || (messageFirst === null)) {
+      messageFirst = isWinston(logger)
+    }
+    var wrapped = {}
+    LEVELS.forEach(function (level) {
+      if (typeof logger[level] !== 'function') {
+        wrapped[level] = noop
+      } else if (messageFirst) {
+        wrapped[level] = function (fields, message) {
+          logger[level](message, fields)
+        }
+      } else {
+        wrapped[level] = logger[level].bind(logger)
+      }
+    })
+    return wrapped
+  }
+}
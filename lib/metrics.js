@@ -0,0 +1,347 @@
+'use strict'
+
+var PermanentError = require('./permanent-error')
+
+// Upper bounds (in seconds) for the buckets of each histogram metric
+var DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+// Definitions for the metrics which are collected
+var DEFINITIONS = {
+  dxlstreaming_requests_total: {
+    type: 'counter',
+    help: 'HTTP requests made to the streaming service, by operation and ' +
+      'response status code (or "error" if no response was received).'
+  },
+  dxlstreaming_request_duration_seconds: {
+    type: 'histogram',
+    help: 'Duration of HTTP requests made to the streaming service, by ' +
+      'operation.'
+  },
+  dxlstreaming_retries_total: {
+    type: 'counter',
+    help: 'Failed operation attempts which were retried, by operation.'
+  },
+  dxlstreaming_operation_failures_total: {
+    type: 'counter',
+    help: 'Operations which failed without being retried further, by ' +
+      'operation.'
+  },
+  dxlstreaming_records_consumed_total: {
+    type: 'counter',
+    help: 'Records consumed, by topic.'
+  },
+  dxlstreaming_empty_polls_total: {
+    type: 'counter',
+    help: 'Consume requests which returned no records.'
+  },
+  dxlstreaming_offsets_committed_total: {
+    type: 'counter',
+    help: 'Record offsets committed.'
+  },
+  dxlstreaming_records_produced_total: {
+    type: 'counter',
+    help: 'Records produced, by topic.'
+  },
+  dxlstreaming_records_dead_lettered_total: {
+    type: 'counter',
+    help: 'Records produced to the dead-letter topic after repeatedly ' +
+      'failing processing, by original topic.'
+  }
+}
+
+/**
+ * Build a key which uniquely identifies a set of label values.
+ * @param {Object} labels - Object whose properties are the label values.
+ * @returns {String} The key.
+ * @private
+ */
+function labelsKey (labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(function (name) {
+    return [name, String(labels[name])]
+  }))
+}
+
+/**
+ * Format label values for the Prometheus text exposition format.
+ * @param {Object} labels - Object whose properties are the label values.
+ * @returns {String} The formatted labels, including the enclosing braces, or
+ *   an empty string if there are no labels.
+ * @private
+ */
+function formatLabels (labels) {
+  var names = Object.keys(labels)
+  if (!names.length) {
+    return ''
+  }
+  return '{' + names.map(function (name) {
+    return name + '="' + String(labels[name])
+      .replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n')
+      .replace(/"/g, '\\"') + '"'
+  }).join(',') + '}'
+}
+
+/**
+ * Copy the properties of the `labels` object into a new object, adding the
+ * supplied extra label.
+ * @param {Object} labels - Object whose properties are the label values.
+ * @param {String} name - Name of the extra label.
+ * @param {String} value - Value of the extra label.
+ * @returns {Object} The new labels object.
+ * @private
+ */
+function withLabel (labels, name, value) {
+  var result = {}
+  Object.keys(labels).forEach(function (label) {
+    result[label] = labels[label]
+  })
+  result[name] = value
+  return result
+}
+
+/**
+ * @classdesc Collection of counters and histograms which record the activity
+ * of one or more {@link Channel} and {@link ChannelAuth} objects. Metrics are
+ * only collected for channel objects constructed with the `metrics` option.
+ *
+ * A single `Metrics` object can be shared between objects by supplying it
+ * as the `metrics` option for each of them.
+ * @example
+ * var metrics = new Metrics()
+ * var channel = new Channel('http://channel-server', {
+ *   auth: new ChannelAuth('http://channel-server', 'user', 'password',
+ *     {metrics: metrics}),
+ *   consumerGroup: 'thegroup',
+ *   metrics: metrics
+ * })
+ *
+ * // Later, for example, in response to a scrape from a Prometheus server
+ * var text = channel.getMetrics().toPrometheus()
+ * @param {Object} [options] - Options for the metrics.
+ * @param {Array<Number>} [options.buckets] - Upper bounds, in seconds, for
+ *   the buckets of the histogram metrics. Defaults to
+ *   `[0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]`.
+ * @constructor
+ */
+function Metrics (options) {
+  options = options || {}
+  this._buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort(
+    function (a, b) {
+      return a - b
+    }
+  )
+  this.reset()
+}
+
+/**
+ * Resolve the value supplied for the `metrics` option of a channel object.
+ * @param {(Boolean|Metrics)} [metrics] - `true` to collect metrics into a new
+ *   `Metrics` object, a `Metrics` object to collect metrics into, or a falsy
+ *   value to disable metric collection.
+ * @returns {Metrics} The `Metrics` object, or `null` if metric collection is
+ *   disabled.
+ * @throws {PermanentError} If the value is not a boolean or `Metrics` object.
+ * @private
+ */
+Metrics.fromOption = function (metrics) {
+  if (!metrics) {
+    return null
+  }
+  if (metrics === true) {
+    return new Metrics()
+  }
+  if (!(metrics instanceof Metrics)) {
+    throw new PermanentError(
+      "Value for 'metrics' must be a boolean or Metrics object")
+  }
+  return metrics
+}
+
+/**
+ * Discard all of the values collected for the metrics.
+ */
+Metrics.prototype.reset = function () {
+  /**
+   * Collected values, keyed by metric name and then by label key.
+   * @type {Object}
+   * @private
+   */
+  this._values = {}
+}
+
+/**
+ * Increment a counter metric.
+ * @param {String} name - Name of the metric.
+ * @param {Object} [labels] - Object whose properties are the label values.
+ * @param {Number} [value=1] - Amount to increment the counter by.
+ * @private
+ */
+Metrics.prototype.increment = function (name, labels, value) {
+  var series = this._series(name, labels || {})
+  series.value += (typeof value === 'undefined') ? 1 : value
+}
+
+/**
+ * Record an observation for a histogram metric.
+ * @param {String} name - Name of the metric.
+ * @param {Object} [labels] - Object whose properties are the label values.
+ * @param {Number} value - The observed value.
+ * @private
+ */
+Metrics.prototype.observe = function (name, labels, value) {
+  var series = this._series(name, labels || {})
+  for (var i = 0; i < this._buckets.length; i++) {
+    if (value <= this._buckets[i]) {
+      series.buckets[i]++
+    }
+  }
+  series.sum += value
+  series.count++
+}
+
+/**
+ * Start a timer for a histogram metric.
+ * @param {String} name - Name of the metric.
+ * @param {Object} [labels] - Object whose properties are the label values.
+ * @returns {Function} Function to invoke when the timed activity is complete.
+ *   The number of seconds elapsed since the timer was started is recorded as
+ *   an observation for the metric.
+ * @private
+ */
+Metrics.prototype.startTimer = function (name, labels) {
+  var metrics = this
+  var start = process.hrtime()
+  return function () {
+    var elapsed = process.hrtime(start)
+    metrics.observe(name, labels, elapsed[0] + (elapsed[1] / 1e9))
+  }
+}
+
+/**
+ * Start tracking an HTTP request made to the streaming service.
+ * @param {String} operation - Name of the operation that the request is made
+ *   for, for example, 'consume'.
+ * @returns {Function} Function to invoke with the `Error` (or `null`) and
+ *   HTTP response object (if any) from the request once it is complete. The
+ *   duration and status of the request are recorded.
+ * @private
+ */
+Metrics.prototype.startRequest = function (operation) {
+  var metrics = this
+  var stopTimer = this.startTimer('dxlstreaming_request_duration_seconds',
+    {operation: operation})
+  return function (error, response) {
+    stopTimer()
+    metrics.increment('dxlstreaming_requests_total', {
+      operation: operation,
+      status: (error || !response) ? 'error' : String(response.statusCode)
+    })
+  }
+}
+
+/**
+ * Look up (or create) the series of values for a metric and set of labels.
+ * @param {String} name - Name of the metric.
+ * @param {Object} labels - Object whose properties are the label values.
+ * @returns {Object} The series.
+ * @private
+ */
+Metrics.prototype._series = function (name, labels) {
+  var definition = DEFINITIONS[name]
+  if (!definition) {
+    throw new PermanentError("Unknown metric '" + name + "'")
+  }
+  var metric = this._values[name] = this._values[name] || {}
+  var key = labelsKey(labels)
+  if (!metric[key]) {
+    if (definition.type === 'histogram') {
+      metric[key] = {
+        labels: labels,
+        buckets: this._buckets.map(function () {
+          return 0
+        }),
+        sum: 0,
+        count: 0
+      }
+    } else {
+      metric[key] = {labels: labels, value: 0}
+    }
+  }
+  return metric[key]
+}
+
+/**
+ * Returns a snapshot of the collected values. The snapshot is an object whose
+ * property names are the names of the metrics for which values have been
+ * collected. Each property value is an object with `type`, `help`, and
+ * `values` properties. Each entry in the `values` array has a `labels`
+ * object and, for a counter, a `value` or, for a histogram, `buckets` (an
+ * object mapping each bucket upper bound to its cumulative count), `sum`, and
+ * `count` properties.
+ * @returns {Object} The snapshot.
+ */
+Metrics.prototype.toJSON = function () {
+  var metrics = this
+  var snapshot = {}
+  Object.keys(this._values).sort().forEach(function (name) {
+    var definition = DEFINITIONS[name]
+    var metric = metrics._values[name]
+    snapshot[name] = {
+      type: definition.type,
+      help: definition.help,
+      values: Object.keys(metric).sort().map(function (key) {
+        var series = metric[key]
+        if (definition.type !== 'histogram') {
+          return {labels: series.labels, value: series.value}
+        }
+        var buckets = {}
+        metrics._buckets.forEach(function (bound, i) {
+          buckets[bound] = series.buckets[i]
+        })
+        return {
+          labels: series.labels,
+          buckets: buckets,
+          sum: series.sum,
+          count: series.count
+        }
+      })
+    }
+  })
+  return snapshot
+}
+
+/**
+ * Renders the collected values in the Prometheus text exposition format.
+ * @returns {String} The rendered metrics.
+ */
+Metrics.prototype.toPrometheus = function () {
+  var metrics = this
+  var lines = []
+  var snapshot = this.toJSON()
+  Object.keys(snapshot).forEach(function (name) {
+    var metric = snapshot[name]
+    lines.push('# HELP ' + name + ' ' + metric.help)
+    lines.push('# TYPE ' + name + ' ' + metric.type)
+    metric.values.forEach(function (series) {
+      if (metric.type === 'histogram') {
+        metrics._buckets.forEach(function (bound) {
+          lines.push(name + '_bucket' +
+            formatLabels(withLabel(series.labels, 'le', String(bound))) +
+            ' ' + series.buckets[bound])
+        })
+        lines.push(name + '_bucket' +
+          formatLabels(withLabel(series.labels, 'le', '+Inf')) + ' ' +
+          series.count)
+        lines.push(name + '_sum' + formatLabels(series.labels) + ' ' +
+          series.sum)
+        lines.push(name + '_count' + formatLabels(series.labels) + ' ' +
+          series.count)
+      } else {
+        lines.push(name + formatLabels(series.labels) + ' ' + series.value)
+      }
+    })
+  })
+  return lines.length ? lines.join('\n') + '\n' : ''
+}
+
+module.exports = Metrics
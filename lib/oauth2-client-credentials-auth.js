@@ -0,0 +1,230 @@
+'use strict'
+
+var inherits = require('inherits')
+var CachedTokenAuth = require('./cached-token-auth')
+var HttpClient = require('./http-client')
+var Metrics = require('./metrics')
+var PermanentAuthenticationError = require('./permanent-authentication-error')
+var PermanentError = require('./permanent-error')
+var TemporaryAuthenticationError = require('./temporary-authentication-error')
+var TlsFileWatcher = require('./tls-file-watcher')
+var util = require('./util')
+
+// Ways in which the client credentials can be supplied to the token endpoint
+var CLIENT_AUTH_METHODS = ['basic', 'body']
+
+/**
+ * @classdesc Authentication class which acquires bearer tokens for channel
+ * requests from an OAuth 2.0 token endpoint, using the client credentials
+ * grant. The token is cached until shortly before it expires, based on the
+ * `expires_in` from the token response.
+ * @example
+ * var channel = new Channel(CHANNEL_URL, {
+ *   auth: new OAuth2ClientCredentialsAuth(TOKEN_URL, CLIENT_ID,
+ *     CLIENT_SECRET, {scope: 'events.read'}),
+ *   consumerGroup: 'my-group'
+ * })
+ * @param {String} tokenUrl - URL of the token endpoint.
+ * @param {String} clientId - Client identifier.
+ * @param {String} clientSecret - Client secret.
+ * @param {Object} [options] - Additional options for token requests.
+ * @param {(String|Array<String>)} [options.scope] - Scope, or array of scopes,
+ *   to request for the token.
+ * @param {Object} [options.params] - Object whose properties are additional
+ *   form parameters to include in token requests, for example, an
+ *   `audience`.
+ * @param {String} [options.clientAuthMethod=basic] - 'basic' to supply the
+ *   client credentials via HTTP basic authentication, or 'body' to supply
+ *   them as the `client_id` and `client_secret` form parameters.
+ * @param {Object} [options.logger] - Logger to which diagnostic messages are
+ *   written. See the `logger` option for the {@link Channel} constructor for
+ *   details.
+ * @param {Boolean} [options.logMessageFirst] - Whether or not to invoke the
+ *   `options.logger` methods with the message string first. See the
+ *   {@link Channel} constructor for details.
+ * @param {(Boolean|Metrics)} [options.metrics=false] - Whether or not to
+ *   collect metrics for the token requests made by the object, under the
+ *   'login' operation. See the `metrics` option for the {@link Channel}
+ *   constructor for details.
+ * @param {Number} [options.tokenTtl] - Number of seconds for which a token is
+ *   valid, if the token response has no `expires_in`. See
+ *   {@link ChannelAuth}.
+ * @param {Number} [options.refreshAhead=60] - Number of seconds before a
+ *   token expires at which a new token is requested. See
+ *   {@link ChannelAuth}.
+ * @param {String} [options.key] - Optional client private keys in PEM format.
+ *   See {@link ChannelAuth}.
+ * @param {String} [options.cert] - Optional client cert chains in PEM format.
+ *   See {@link ChannelAuth}.
+ * @param {String} [options.ca] - Optionally override the trusted CA
+ *   certificates used to validate the token endpoint. See
+ *   {@link ChannelAuth}.
+ * @param {String} [options.passphrase] - Optional shared passphrase used for a
+ *   single private key. See {@link ChannelAuth}.
+ * @param {Boolean} [options.rejectUnauthorized=true] - If not false, the
+ *   server certificate is verified against the list of supplied CAs. See
+ *   {@link ChannelAuth}.
+ * @param {Function} [options.checkServerIdentity] - A callback function to
+ *   be used when checking the server's hostname against the certificate.
+ *   See {@link ChannelAuth}.
+ * @param {String} [options.keyFile] - Path to a file containing the client
+ *   private key in PEM format, used in place of the `options.key`. See
+ *   {@link ChannelAuth}.
+ * @param {String} [options.certFile] - Path to a file containing the client
+ *   cert chain in PEM format, used in place of the `options.cert`.
+ * @param {String} [options.caFile] - Path to a file containing the trusted
+ *   CA certificates in PEM format, used in place of the `options.ca`.
+ * @param {Number} [options.tlsWatchInterval=10] - Number of seconds between
+ *   checks for changes to the TLS files. Use {@link OAuth2ClientCredentialsAuth#close} to stop
+ *   watching the files.
+ * @param {String} [options.proxy] - URL of the HTTP(S) proxy through which to
+ *   make token requests. See the `proxy` option for the {@link Channel}
+ *   constructor.
+ * @param {(String|Array<String>)} [options.noProxy] - Hosts for which the
+ *   proxy should not be used. See {@link Channel}.
+ * @param {Boolean} [options.useEnvProxy=false] - Whether or not to use the
+ *   proxy environment variables if no `options.proxy` is set. See
+ *   {@link Channel}.
+ * @param {Object} [options.agent] - `http.Agent` (or `https.Agent`) through
+ *   which to make token requests.
+ * @param {Boolean} [options.keepAlive=false] - Whether or not to keep
+ *   connections alive between token requests.
+ * @param {Number} [options.maxSockets] - Maximum number of concurrent
+ *   connections for token requests.
+ * @param {Object} [options.headers] - Object whose properties are headers to
+ *   include with every token request.
+ * @param {BaseHttpTransport} [options.transport] - Transport through which to
+ *   send token requests. If supplied, the TLS, proxy, agent, and connection pool
+ *   options are not used. See the `transport` option for the {@link Channel}
+ *   constructor.
+ * @augments CachedTokenAuth
+ * @constructor
+ * @throws {PermanentError} If the `tokenUrl`, `clientId`, or `clientSecret`
+ *   is not specified, the `options.clientAuthMethod` is not valid, or the TLS
+ *   files cannot be loaded.
+ * @throws {TypeError} If the `options.tokenTtl`, `options.refreshAhead`,
+ *   `options.tlsWatchInterval`, or an HTTP connection option is not valid.
+ */
+function OAuth2ClientCredentialsAuth (tokenUrl, clientId, clientSecret,
+                                      options) {
+  CachedTokenAuth.call(this, options)
+  options = options || {}
+
+  if (!tokenUrl) {
+    throw new PermanentError('Value must be specified for tokenUrl')
+  }
+  if (!clientId) {
+    throw new PermanentError('Value must be specified for clientId')
+  }
+  if (!clientSecret) {
+    throw new PermanentError('Value must be specified for clientSecret')
+  }
+  var clientAuthMethod = options.clientAuthMethod || 'basic'
+  if (CLIENT_AUTH_METHODS.indexOf(clientAuthMethod) < 0) {
+    throw new PermanentError('Value for \'clientAuthMethod\' must be one of ' +
+      CLIENT_AUTH_METHODS.join(', '))
+  }
+
+  var auth = this
+  var createTokenRequest = function (tlsOptions) {
+    var previousRequest = auth._tokenRequest
+    auth._tokenRequest = new HttpClient(
+      util.addTlsOptions(
+        util.addHttpOptions({uri: tokenUrl}, options, tokenUrl), tlsOptions)
+    )
+    if (previousRequest) {
+      previousRequest.close()
+    }
+  }
+  this._tlsWatcher = options.transport ? null
+    : TlsFileWatcher.fromOptions(options, this._logger)
+  if (this._tlsWatcher) {
+    createTokenRequest(this._tlsWatcher.tlsOptions())
+    this._tlsWatcher.watch(createTokenRequest)
+  } else {
+    createTokenRequest(options)
+  }
+  this._clientId = clientId
+  this._clientSecret = clientSecret
+  this._clientAuthMethod = clientAuthMethod
+
+  var scope = options.scope
+  this._scope = Array.isArray(scope) ? scope.join(' ') : scope
+  this._params = options.params || {}
+
+  /**
+   * Metrics collected for token requests, or `null` if metric collection is
+   * disabled.
+   * @type {Metrics}
+   * @private
+   */
+  this._metrics = Metrics.fromOption(options.metrics)
+}
+
+inherits(OAuth2ClientCredentialsAuth, CachedTokenAuth)
+
+/**
+ * Make a token request to acquire a new token.
+ * @param {Function} callback - Callback to invoke with an `Error` if no token
+ *   could be acquired, else `null`, the token, and the number of seconds for
+ *   which the token is valid.
+ * @private
+ */
+OAuth2ClientCredentialsAuth.prototype._acquireToken = function (callback) {
+  var that = this
+  var form = {grant_type: 'client_credentials'}
+  Object.keys(this._params).forEach(function (name) {
+    form[name] = that._params[name]
+  })
+  if (this._scope) {
+    form.scope = this._scope
+  }
+  var requestOptions = {form: form, json: true}
+  if (this._clientAuthMethod === 'basic') {
+    requestOptions.auth = {user: this._clientId, pass: this._clientSecret}
+  } else {
+    form.client_id = this._clientId
+    form.client_secret = this._clientSecret
+  }
+
+  this._logger.debug({}, 'Requesting OAuth 2.0 access token')
+  var requestComplete = this._metrics && this._metrics.startRequest('login')
+  this._tokenRequest.post(requestOptions, function (error, response, body) {
+    if (requestComplete) {
+      requestComplete(error, response)
+    }
+    var authError = null
+    if (error) {
+      authError = new TemporaryAuthenticationError(
+        'Unexpected error: ' + error.message
+      )
+    } else if (response.statusCode === 200) {
+      if (body && body.access_token) {
+        callback(null, body.access_token, Number(body.expires_in) || null)
+      } else {
+        authError = new PermanentAuthenticationError(
+          'Unable to locate access_token in token response'
+        )
+      }
+    } else if ([400, 401, 403].indexOf(response.statusCode) >= 0) {
+      authError = new PermanentAuthenticationError(
+        'Unauthorized ' + response.statusCode + ': ' + JSON.stringify(body)
+      )
+    } else {
+      authError = new TemporaryAuthenticationError(
+        'Unexpected status code ' + response.statusCode + ': ' +
+        JSON.stringify(body)
+      )
+    }
+    if (authError) {
+      if (response) {
+        authError.statusCode = response.statusCode
+      }
+      that._logger.debug({statusCode: authError.statusCode,
+        error: authError}, 'OAuth 2.0 access token request failed')
+      callback(authError)
+    }
+  })
+}
+
+module.exports = OAuth2ClientCredentialsAuth
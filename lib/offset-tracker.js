@@ -0,0 +1,164 @@
+'use strict'
+
+/**
+ * @classdesc Tracks the acknowledgement state of the records consumed by a
+ * {@link Channel} in the 'manual' `ackMode`. For each topic partition, only
+ * the offset of the last record in the contiguous run of acknowledged records
+ * from the oldest outstanding record is reported as committable, so that a
+ * record which has not been acknowledged is never skipped by a commit.
+ * @constructor
+ * @private
+ */
+function OffsetTracker () {
+  /**
+   * Outstanding records for each topic partition, keyed by a string
+   * containing the topic and partition. Each value has the `topic`,
+   * `partition`, and an array of `entries`, ordered by offset.
+   * @type {Object}
+   * @private
+   */
+  this._partitions = {}
+
+  /**
+   * Counter incremented each time the tracker is reset. Entries created
+   * before the most recent reset are ignored.
+   * @type {Number}
+   * @private
+   */
+  this._generation = 0
+}
+
+/**
+ * Start tracking a consumed record.
+ * @param {String} topic - Topic that the record was consumed from.
+ * @param {Number} partition - Partition that the record was consumed from.
+ * @param {Number} offset - Offset of the record within its partition.
+ * @returns {Object} Entry for the record, to be supplied to
+ *   {@link OffsetTracker#ack}. If the record is already being tracked, the
+ *   existing entry is returned.
+ */
+OffsetTracker.prototype.track = function (topic, partition, offset) {
+  var key = JSON.stringify([topic, partition])
+  var tracked = this._partitions[key]
+  if (!tracked) {
+    tracked = this._partitions[key] = {
+      topic: topic,
+      partition: partition,
+      entries: []
+    }
+  }
+  var entries = tracked.entries
+  var index = entries.length
+  while (index > 0 && entries[index - 1].offset >= offset) {
+    index--
+    if (entries[index].offset === offset) {
+      return entries[index]
+    }
+  }
+  var entry = {offset: offset, acked: false, generation: this._generation}
+  entries.splice(index, 0, entry)
+  return entry
+}
+
+/**
+ * Returns whether or not an entry was created since the tracker was last
+ * reset.
+ * @param {Object} entry - Entry returned from {@link OffsetTracker#track}.
+ * @returns {Boolean} Whether or not the entry is current.
+ */
+OffsetTracker.prototype.isCurrent = function (entry) {
+  return entry.generation === this._generation
+}
+
+/**
+ * Mark a record as acknowledged.
+ * @param {Object} entry - Entry returned from {@link OffsetTracker#track}.
+ */
+OffsetTracker.prototype.ack = function (entry) {
+  if (this.isCurrent(entry)) {
+    entry.acked = true
+  }
+}
+
+/**
+ * Returns the offsets which can be committed: for each topic partition with
+ * at least one acknowledged record at the start of its outstanding records,
+ * the offset of the last record in that contiguous acknowledged run.
+ * @returns {Array<Object>} Array of objects, each with `topic`, `partition`,
+ *   and `offset` properties.
+ */
+OffsetTracker.prototype.committable = function () {
+  var partitions = this._partitions
+  var offsets = []
+  Object.keys(partitions).forEach(function (key) {
+    var tracked = partitions[key]
+    var last = null
+    for (var i = 0; i < tracked.entries.length && tracked.entries[i].acked;
+      i++) {
+      last = tracked.entries[i]
+    }
+    if (last) {
+      offsets.push({
+        topic: tracked.topic,
+        partition: tracked.partition,
+        offset: last.offset
+      })
+    }
+  })
+  return offsets
+}
+
+/**
+ * Stop tracking the records covered by committed offsets.
+ * @param {Array<Object>} offsets - Offsets, as returned from
+ *   {@link OffsetTracker#committable}, which have been committed.
+ */
+OffsetTracker.prototype.committed = function (offsets) {
+  var partitions = this._partitions
+  offsets.forEach(function (committed) {
+    var key = JSON.stringify([committed.topic, committed.partition])
+    var tracked = partitions[key]
+    if (tracked) {
+      tracked.entries = tracked.entries.filter(function (entry) {
+        return entry.offset > committed.offset
+      })
+      if (!tracked.entries.length) {
+        delete partitions[key]
+      }
+    }
+  })
+}
+
+/**
+ * Stop tracking the records from a topic partition, for example, after the
+ * consumer position for the partition has been moved. The entries for the
+ * records are no longer current, so later acknowledgements for them are
+ * ignored.
+ * @param {String} topic - Topic of the partition.
+ * @param {Number} [partition] - The partition. If not specified, the records
+ *   from all partitions of the topic are no longer tracked.
+ */
+OffsetTracker.prototype.forget = function (topic, partition) {
+  var partitions = this._partitions
+  Object.keys(partitions).forEach(function (key) {
+    var tracked = partitions[key]
+    if ((tracked.topic === topic) && ((typeof partition === 'undefined') ||
+      (tracked.partition === partition))) {
+      tracked.entries.forEach(function (entry) {
+        entry.generation = -1
+      })
+      delete partitions[key]
+    }
+  })
+}
+
+/**
+ * Stop tracking all records. Entries created before the reset are no longer
+ * current, so later acknowledgements for them are ignored.
+ */
+OffsetTracker.prototype.reset = function () {
+  this._partitions = {}
+  this._generation++
+}
+
+module.exports = OffsetTracker
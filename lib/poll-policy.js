@@ -0,0 +1,103 @@
+'use strict'
+
+/**
+ * Validate that the named setting, if set, is a number which is no less than
+ * the supplied minimum.
+ * @param {Object} options - Settings object.
+ * @param {String} name - Name of the setting.
+ * @param {Number} minimum - Minimum allowed value for the setting.
+ * @param {Number} defaultValue - Value to use if the setting is not set.
+ * @returns {Number} The setting value.
+ * @throws {TypeError} If the setting is set to a value which is not a number
+ *   or is less than the `minimum`.
+ * @private
+ */
+function numberSetting (options, name, minimum, defaultValue) {
+  if ((typeof options[name] === 'undefined') || (options[name] === null)) {
+    return defaultValue
+  }
+  var value = Number(options[name])
+  if (isNaN(value) || (value < minimum)) {
+    throw new TypeError(name + ' must be a number no less than ' + minimum)
+  }
+  return value
+}
+
+/**
+ * @classdesc Policy which controls how long to wait between the consume
+ * requests made during a {@link Channel#run} (or record iteration). See the
+ * `adaptivePolling` option for {@link Channel#run} for details on the
+ * supported settings.
+ *
+ * If adaptive polling is not enabled, the policy waits for the fixed
+ * `waitBetweenQueries` between consume requests.
+ * @param {Number} waitBetweenQueries - Number of seconds to wait between
+ *   consume requests when adaptive polling is not enabled.
+ * @param {(Boolean|Object)} [adaptive] - `true` or an object with settings
+ *   to enable adaptive polling, else a falsy value.
+ * @param {Number} [adaptive.minWait=1] - Number of seconds to wait after the
+ *   first consume request which returned no records.
+ * @param {Number} [adaptive.maxWait] - Maximum number of seconds to wait
+ *   between consume requests. Defaults to `waitBetweenQueries`.
+ * @param {Number} [adaptive.factor=2] - Factor by which the wait is
+ *   increased after each further consume request which returned no records.
+ * @constructor
+ * @private
+ */
+function PollPolicy (waitBetweenQueries, adaptive) {
+  var settings = (adaptive && (typeof adaptive === 'object')) ? adaptive : {}
+
+  this._waitBetweenQueries = waitBetweenQueries
+  this._minWait = numberSetting(settings, 'minWait', 0, 1)
+  this._maxWait = numberSetting(settings, 'maxWait', 0, waitBetweenQueries)
+  this._factor = numberSetting(settings, 'factor', 1, 2)
+
+  /**
+   * Whether or not the wait between consume requests adapts to whether or
+   * not records were returned.
+   * @type {boolean}
+   */
+  this.adaptive = Boolean(adaptive)
+
+  /**
+   * Number of consecutive consume requests which returned no records.
+   * @type {Number}
+   * @private
+   */
+  this._emptyPolls = 0
+}
+
+/**
+ * Record the result of a consume request.
+ * @param {Number} count - Number of records returned by the request.
+ */
+PollPolicy.prototype.recordsConsumed = function (count) {
+  if (count) {
+    this._emptyPolls = 0
+  } else {
+    this._emptyPolls++
+  }
+}
+
+/**
+ * Determine how long to wait before making the next consume request.
+ * @returns {Number} Number of seconds to wait: `0` if adaptive polling is
+ *   enabled and the previous consume request returned records, else an
+ *   interval which starts at the configured `minWait` and is increased by the
+ *   configured `factor` for each consecutive consume request which returned
+ *   no records, up to the configured `maxWait`. If adaptive polling is not
+ *   enabled, the `waitBetweenQueries` is returned.
+ */
+PollPolicy.prototype.wait = function () {
+  if (!this.adaptive) {
+    return this._waitBetweenQueries
+  }
+  if (!this._emptyPolls) {
+    return 0
+  }
+  return Math.min(
+    this._minWait * Math.pow(this._factor, this._emptyPolls - 1),
+    this._maxWait)
+}
+
+module.exports = PollPolicy
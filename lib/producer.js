@@ -0,0 +1,370 @@
+'use strict'
+
+var Buffer = require('safe-buffer').Buffer
+var codecs = require('./codecs')
+var util = require('./util')
+var PermanentError = require('./permanent-error')
+
+/**
+ * Validate that the named option, if set, is a non-negative number.
+ * @param {Object} options - Options object.
+ * @param {String} name - Name of the option.
+ * @returns {Number} The option value, or `0` if the option is not set.
+ * @throws {TypeError} If the option is set to a value which is not a
+ *   non-negative number.
+ * @private
+ */
+function nonNegativeNumberOption (options, name) {
+  if ((typeof options[name] === 'undefined') || (options[name] === null)) {
+    return 0
+  }
+  var value = Number(options[name])
+  if (isNaN(value) || (value < 0)) {
+    throw new TypeError(name + ' must be a non-negative number')
+  }
+  return value
+}
+
+/**
+ * @classdesc The `Producer` class builds the records envelope expected by the
+ * streaming service and produces records through a {@link Channel}.
+ *
+ * By default, each call to {@link Producer#send} results in a separate
+ * produce request being made to the streaming service. If any of the
+ * `options.lingerMs`, `options.maxBatchRecords`, or `options.maxBatchBytes`
+ * options are specified, records are instead accumulated into batches. A
+ * batch is produced when it reaches the configured record count or byte size,
+ * when the configured linger time has elapsed since the first record was
+ * added to it, or when {@link Producer#flush} is called. The delivery result
+ * for a batch is reported to each of the callers whose record was included in
+ * the batch.
+ *
+ * The example below demonstrates producing an object to a topic.
+ * @example
+ * var producer = new Producer(channel)
+ * producer.send('my-topic', {message: 'Hello from OpenDXL'},
+ *   function (error) {
+ *     console.log(error ? 'Error: ' + error : 'Succeeded.')
+ *   })
+ * @param {Channel} channel - Channel to produce records through.
+ * @param {Object} [options] - Options to use for the producer.
+ * @param {(String|module:Codecs~Codec)} [options.codec] - Codec used to encode
+ *   values into record payloads. Defaults to the codec configured for the
+ *   `channel`. See {@link module:Codecs}.
+ * @param {Number} [options.lingerMs=0] - Maximum number of milliseconds to
+ *   wait, after the first record has been added to a batch, before producing
+ *   the batch.
+ * @param {Number} [options.maxBatchRecords] - Maximum number of records to
+ *   include in a batch. If not specified, the number of records in a batch is
+ *   not limited.
+ * @param {Number} [options.maxBatchBytes] - Maximum size, in bytes, of the
+ *   serialized records in a batch. A record which is larger than this size is
+ *   produced in a batch by itself. If not specified, the size of a batch is
+ *   not limited.
+ * @constructor
+ */
+function Producer (channel, options) {
+  if (!channel) {
+    throw new PermanentError('Value must be specified for channel')
+  }
+  this._channel = channel
+
+  options = options || {}
+
+  /**
+   * Codec used to encode values into record payloads.
+   * @type {module:Codecs~Codec}
+   * @private
+   */
+  this._codec = codecs.get(options.codec || channel._codec || 'string')
+
+  this._lingerMs = nonNegativeNumberOption(options, 'lingerMs')
+  this._maxBatchRecords = nonNegativeNumberOption(options, 'maxBatchRecords')
+  this._maxBatchBytes = nonNegativeNumberOption(options, 'maxBatchBytes')
+
+  /**
+   * Whether or not records are accumulated into batches before being
+   * produced.
+   * @type {boolean}
+   * @private
+   */
+  this._batching = ['lingerMs', 'maxBatchRecords', 'maxBatchBytes'].some(
+    function (name) {
+      return (typeof options[name] !== 'undefined') && (options[name] !== null)
+    }
+  )
+
+  /**
+   * Entries for the records in the batch which has not yet been produced.
+   * Each entry includes the `record`, its serialized `size`, and the
+   * `callback` to invoke with the delivery result.
+   * @type {Array<Object>}
+   * @private
+   */
+  this._batch = []
+
+  /**
+   * Serialized size, in bytes, of the records in the current batch.
+   * @type {Number}
+   * @private
+   */
+  this._batchBytes = 0
+
+  /**
+   * Timeout object for producing the current batch once the linger time has
+   * elapsed.
+   * @private
+   */
+  this._lingerTimeout = null
+
+  /**
+   * Entries for the produce requests which are in progress. Each entry
+   * includes the `flushes` which are waiting for the request to complete.
+   * @type {Array<Object>}
+   * @private
+   */
+  this._inFlight = []
+
+  /**
+   * Whether or not the producer has been closed.
+   * @type {boolean}
+   * @private
+   */
+  this._closed = false
+}
+
+/**
+ * Creates a record, in the format expected by the streaming service, for the
+ * supplied topic and value.
+ * @param {String} topic - Topic to produce the record to.
+ * @param {(String|Buffer|Object)} value - Value for the record payload.
+ * @param {Object} [options] - Options for the record.
+ * @param {String} [options.shardingKey] - Sharding key for the record.
+ * @param {Object} [options.headers] - Object whose properties are the string
+ *   headers to include with the record.
+ * @param {(String|module:Codecs~Codec)} [codec=string] - Codec used to encode
+ *   the value into the record payload. See {@link module:Codecs}.
+ * @returns {Object} The record.
+ * @throws {PermanentError} If the topic, value, sharding key, or headers are
+ *   not valid or the value cannot be encoded.
+ */
+Producer.createRecord = function (topic, value, options, codec) {
+  if (!topic || (typeof topic !== 'string')) {
+    throw new PermanentError('Value for topic must be a non-empty string')
+  }
+  if (typeof value === 'undefined') {
+    throw new PermanentError('Value must be specified for value')
+  }
+
+  options = options || {}
+
+  var shardingKey = options.shardingKey || ''
+  if (typeof shardingKey !== 'string') {
+    throw new PermanentError('Value for shardingKey must be a string')
+  }
+
+  var headers = options.headers || {}
+  if ((typeof headers !== 'object') || Array.isArray(headers)) {
+    throw new PermanentError('Value for headers must be an object')
+  }
+  Object.keys(headers).forEach(function (header) {
+    if (typeof headers[header] !== 'string') {
+      throw new PermanentError("Value for header '" + header +
+        "' must be a string")
+    }
+  })
+
+  var payload
+  try {
+    payload = codecs.get(codec || 'string').encode(value)
+  } catch (encodeError) {
+    throw new PermanentError('Unable to encode value: ' + encodeError.message)
+  }
+  if (!Buffer.isBuffer(payload)) {
+    throw new PermanentError('Codec did not encode value to a Buffer')
+  }
+
+  return {
+    routingData: {
+      topic: topic,
+      shardingKey: shardingKey
+    },
+    message: {
+      headers: headers,
+      payload: payload.toString('base64')
+    }
+  }
+}
+
+/**
+ * Produces a value to a topic. If batching is enabled for the producer, the
+ * record is added to the current batch and the `callback` is invoked once
+ * the batch has been produced.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the record has been produced or rejected with the `Error`
+ * which would otherwise have been delivered to the `callback`.
+ * @param {String} topic - Topic to produce the record to.
+ * @param {(String|Buffer|Object)} value - Value for the record payload. The
+ *   value is encoded by the codec configured for the producer.
+ * @param {Object} [options] - Options for the record.
+ * @param {String} [options.shardingKey] - Sharding key for the record.
+ * @param {Object} [options.headers] - Object whose properties are the string
+ *   headers to include with the record.
+ * @param {Function} [callback] - Function to invoke when the produce has
+ *   completed. The first parameter supplied to the callback is an `Error`
+ *   object, if an error occurred during the produce, else `null`.
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
+ * @throws {PermanentError} If the topic, value, sharding key, or headers are
+ *   not valid, the value cannot be encoded, or the producer has been closed.
+ */
+Producer.prototype.send = function (topic, value, options, callback) {
+  if (typeof options === 'function') {
+    callback = options
+    options = null
+  }
+  if (this._closed) {
+    throw new PermanentError('Producer has been closed')
+  }
+  var record = Producer.createRecord(topic, value, options, this._codec)
+  var producer = this
+  return util.callbackOrPromise(callback, function (callback) {
+    if (producer._batching) {
+      producer._enqueue(record, callback)
+    } else {
+      producer._produce([record], callback)
+    }
+  })
+}
+
+/**
+ * Produces any records which have been accumulated into the current batch.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when all of the records sent to the producer before the flush
+ * have been produced (or have failed to be produced).
+ * @param {Function} [callback] - Function to invoke when all of the records
+ *   sent to the producer before the flush have been produced (or have failed
+ *   to be produced). Delivery errors are reported to the callers of
+ *   {@link Producer#send}, not to this callback.
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
+ */
+Producer.prototype.flush = function (callback) {
+  var producer = this
+  return util.callbackOrPromise(callback, function (callback) {
+    producer._sendBatch()
+    var flush = {remaining: producer._inFlight.length, callback: callback}
+    if (flush.remaining) {
+      producer._inFlight.forEach(function (entry) {
+        entry.flushes.push(flush)
+      })
+    } else {
+      setImmediate(function () {
+        callback(null)
+      })
+    }
+  })
+}
+
+/**
+ * Flushes any accumulated records and closes the producer. Once the producer
+ * has been closed, further calls to {@link Producer#send} throw a
+ * {@link PermanentError}.
+ *
+ * If no `callback` is supplied, a `Promise` is returned instead. The `Promise`
+ * is resolved when the producer has been closed.
+ * @param {Function} [callback] - Function to invoke when the producer has
+ *   been closed.
+ * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+ *   else `undefined`.
+ */
+Producer.prototype.close = function (callback) {
+  this._closed = true
+  return this.flush(callback)
+}
+
+/**
+ * Add a record to the current batch, producing the batch if it has reached
+ * its size limits.
+ * @param {Object} record - The record.
+ * @param {Function} callback - Function to invoke with the delivery result
+ *   for the record.
+ * @private
+ */
+Producer.prototype._enqueue = function (record, callback) {
+  var size = Buffer.byteLength(JSON.stringify(record))
+  if (this._maxBatchBytes && this._batch.length &&
+    (this._batchBytes + size > this._maxBatchBytes)) {
+    this._sendBatch()
+  }
+
+  this._batch.push({record: record, size: size, callback: callback})
+  this._batchBytes += size
+
+  if ((this._maxBatchRecords &&
+    (this._batch.length >= this._maxBatchRecords)) ||
+    (this._maxBatchBytes && (this._batchBytes >= this._maxBatchBytes))) {
+    this._sendBatch()
+  } else if (!this._lingerTimeout) {
+    this._lingerTimeout = setTimeout(this._sendBatch.bind(this),
+      this._lingerMs)
+  }
+}
+
+/**
+ * Produce the records in the current batch, if any.
+ * @private
+ */
+Producer.prototype._sendBatch = function () {
+  if (this._lingerTimeout) {
+    clearTimeout(this._lingerTimeout)
+    this._lingerTimeout = null
+  }
+  if (!this._batch.length) {
+    return
+  }
+
+  var batch = this._batch
+  this._batch = []
+  this._batchBytes = 0
+
+  this._produce(
+    batch.map(function (entry) {
+      return entry.record
+    }),
+    function (error) {
+      batch.forEach(function (entry) {
+        entry.callback(error || null)
+      })
+    }
+  )
+}
+
+/**
+ * Make a produce request for records, tracking the request as in progress
+ * until it has completed.
+ * @param {Array<Object>} records - The records.
+ * @param {Function} callback - Function to invoke with the delivery result
+ *   for the records.
+ * @private
+ */
+Producer.prototype._produce = function (records, callback) {
+  var producer = this
+  var entry = {flushes: []}
+  this._inFlight.push(entry)
+
+  this._channel.produce({records: records}, function (error) {
+    producer._inFlight.splice(producer._inFlight.indexOf(entry), 1)
+    callback(error || null)
+    entry.flushes.forEach(function (flush) {
+      flush.remaining--
+      if (!flush.remaining) {
+        flush.callback(null)
+      }
+    })
+  })
+}
+
+module.exports = Producer
@@ -0,0 +1,231 @@
+'use strict'
+
+/**
+ * @classdesc Dispatches records consumed during a {@link Channel#run} to a
+ * worker function, processing up to a configured number of records in
+ * parallel. See the `concurrency` option for {@link Channel#run} for details.
+ * @param {Function} worker - Function to invoke for each record. The worker
+ *   is invoked with the delivery for the record and a callback, which the
+ *   worker must invoke once the record has been processed. The first
+ *   parameter supplied to the callback is an `Error` if processing failed,
+ *   else `null`.
+ * @param {Number} concurrency - Maximum number of records to process in
+ *   parallel.
+ * @param {String} [orderBy] - 'partition' to process the records from each
+ *   topic partition one at a time, in order, or 'shardingKey' to do so for
+ *   the records with each sharding key. If not set, records are processed in
+ *   any order.
+ * @constructor
+ * @private
+ */
+function RecordDispatcher (worker, concurrency, orderBy) {
+  this._worker = worker
+  this._concurrency = concurrency
+  this._orderBy = orderBy
+
+  /**
+   * Deliveries which have not yet been dispatched to the worker.
+   * @type {Array<Object>}
+   * @private
+   */
+  this._queue = []
+
+  /**
+   * Number of records currently being processed by the worker.
+   * @type {Number}
+   * @private
+   */
+  this._active = 0
+
+  /**
+   * Ordering keys of the records currently being processed by the worker.
+   * @type {Object}
+   * @private
+   */
+  this._activeKeys = {}
+
+  /**
+   * First error delivered by the worker, if any.
+   * @type {Error}
+   * @private
+   */
+  this._error = null
+
+  /**
+   * Whether or not dispatching has been stopped via
+   * {@link RecordDispatcher#drain}.
+   * @type {boolean}
+   * @private
+   */
+  this._draining = false
+
+  /**
+   * Callback to invoke when the dispatcher is next able to accept records,
+   * registered via {@link RecordDispatcher#whenReady}.
+   * @type {Function}
+   * @private
+   */
+  this._readyCallback = null
+
+  /**
+   * Callback to invoke when the records being processed have completed,
+   * registered via {@link RecordDispatcher#drain}.
+   * @type {Function}
+   * @private
+   */
+  this._drainCallback = null
+}
+
+/**
+ * Queue records for dispatch to the worker.
+ * @param {Array<Object>} deliveries - The records to dispatch, each an object
+ *   with the `item` delivered for the record, the {@link Record} itself, and a
+ *   `complete` function to invoke once the record has been processed
+ *   successfully.
+ */
+RecordDispatcher.prototype.dispatch = function (deliveries) {
+  if (!this._draining && !this._error) {
+    this._queue = this._queue.concat(deliveries)
+    this._pump()
+  }
+}
+
+/**
+ * Wait until the dispatcher is able to accept more records: when fewer than
+ * the configured concurrency of records are waiting to be dispatched.
+ * @param {Function} callback - Callback to invoke when the dispatcher is
+ *   ready. The first parameter supplied to the callback is the `Error` from
+ *   the worker, if the worker failed, else `null`.
+ */
+RecordDispatcher.prototype.whenReady = function (callback) {
+  this._readyCallback = callback
+  this._checkReady()
+}
+
+/**
+ * Stop dispatching records and wait for the records which are being
+ * processed to complete. Records which have not yet been dispatched are
+ * discarded.
+ * @param {Function} callback - Callback to invoke once no records are being
+ *   processed. The first parameter supplied to the callback is the `Error`
+ *   from the worker, if the worker failed, else `null`.
+ */
+RecordDispatcher.prototype.drain = function (callback) {
+  this._draining = true
+  this._queue = []
+  this._drainCallback = callback
+  this._checkDrained()
+}
+
+/**
+ * Returns the key which determines the order in which a record must be
+ * processed relative to other records.
+ * @param {Object} delivery - The record.
+ * @returns {String} The key, or `null` if the record may be processed in
+ *   any order.
+ * @private
+ */
+RecordDispatcher.prototype._key = function (delivery) {
+  var record = delivery.record
+  if (this._orderBy === 'partition') {
+    return JSON.stringify([record.topic, record.partition])
+  }
+  if (this._orderBy === 'shardingKey' && record.shardingKey) {
+    return JSON.stringify([record.topic, record.shardingKey])
+  }
+  return null
+}
+
+/**
+ * Dispatch as many of the queued records to the worker as the concurrency
+ * and ordering constraints allow.
+ * @private
+ */
+RecordDispatcher.prototype._pump = function () {
+  var dispatcher = this
+  var blockedKeys = {}
+  this._queue = this._queue.filter(function (delivery) {
+    if (dispatcher._active >= dispatcher._concurrency || dispatcher._error) {
+      return true
+    }
+    var key = dispatcher._key(delivery)
+    if (key !== null) {
+      if (blockedKeys[key] || dispatcher._activeKeys[key]) {
+        // A record with the same key is being processed or is ahead in the
+        // queue, so this record has to wait for it.
+        blockedKeys[key] = true
+        return true
+      }
+      dispatcher._activeKeys[key] = true
+    }
+    dispatcher._start(delivery, key)
+    return false
+  })
+  this._checkReady()
+}
+
+/**
+ * Invoke the worker for a record.
+ * @param {Object} delivery - The record.
+ * @param {String} key - Ordering key for the record, or `null`.
+ * @private
+ */
+RecordDispatcher.prototype._start = function (delivery, key) {
+  var dispatcher = this
+  var finished = false
+  var done = function (error) {
+    if (finished) {
+      return
+    }
+    finished = true
+    dispatcher._active--
+    if (key !== null) {
+      delete dispatcher._activeKeys[key]
+    }
+    if (error) {
+      dispatcher._error = dispatcher._error || error
+      dispatcher._queue = []
+    } else {
+      delivery.complete()
+    }
+    dispatcher._checkDrained()
+    dispatcher._pump()
+  }
+  this._active++
+  // Invoke the worker asynchronously so that a worker which completes
+  // synchronously does not recurse through the dispatch of the queue.
+  setImmediate(function () {
+    dispatcher._worker(delivery, done)
+  })
+}
+
+/**
+ * Invoke the callback registered via {@link RecordDispatcher#whenReady} if
+ * the dispatcher is ready to accept more records.
+ * @private
+ */
+RecordDispatcher.prototype._checkReady = function () {
+  var callback = this._readyCallback
+  if (callback && (this._error || (this._queue.length < this._concurrency))) {
+    this._readyCallback = null
+    callback(this._error)
+  }
+}
+
+/**
+ * Invoke the callback registered via {@link RecordDispatcher#drain} if no
+ * records are being processed.
+ * @private
+ */
+RecordDispatcher.prototype._checkDrained = function () {
+  var callback = this._drainCallback
+  var error = this._error
+  if (callback && !this._active) {
+    this._drainCallback = null
+    setImmediate(function () {
+      callback(error)
+    })
+  }
+}
+
+module.exports = RecordDispatcher
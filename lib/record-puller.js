@@ -0,0 +1,261 @@
+'use strict'
+
+var ConsumerError = require('./consumer-error')
+var DecodeError = require('./decode-error')
+var StopError = require('./stop-error')
+
+/**
+ * @classdesc Pulls records, one at a time, from a {@link Channel} on demand.
+ * This is the engine behind {@link Channel#records} and
+ * {@link Channel#createReadStream}.
+ *
+ * A new batch of records is only requested from the streaming service when
+ * all of the records from the previous batch have been pulled. The offsets
+ * for the previous batch are committed just before the next batch is
+ * requested. A change made to the topics via {@link Channel#setTopics} is
+ * applied just before the next batch is requested, after the offsets for the
+ * previous batch have been committed.
+ * @param {Channel} channel - Channel to pull records from. The channel must
+ *   already have the topics for the run set.
+ * @param {PollPolicy} pollPolicy - Policy controlling how long to wait before
+ *   querying the streaming service again after a query which returned no
+ *   records.
+ * @param {Boolean} [recordObjects=false] - Whether or not to pull
+ *   {@link Record} objects (or a {@link DecodeError} for a record whose
+ *   payload could not be decoded), whatever the `recordFormat` of the
+ *   channel, rather than the items delivered by {@link Channel#consume}.
+ * @constructor
+ * @private
+ */
+function RecordPuller (channel, pollPolicy, recordObjects) {
+  this._channel = channel
+  this._pollPolicy = pollPolicy
+  this._recordObjects = Boolean(recordObjects)
+
+  /**
+   * Records from the current batch which have not yet been pulled.
+   * @type {Array}
+   * @private
+   */
+  this._buffer = []
+
+  /**
+   * Callbacks for pull requests which have not yet been satisfied.
+   * @type {Array<Function>}
+   * @private
+   */
+  this._pending = []
+
+  /**
+   * Whether or not a pull request is currently being processed.
+   * @type {boolean}
+   * @private
+   */
+  this._pulling = false
+
+  /**
+   * Whether or not pulling has been completed.
+   * @type {boolean}
+   * @private
+   */
+  this._done = false
+
+  /**
+   * Error which terminated the pulling, if any.
+   * @type {Error}
+   * @private
+   */
+  this._error = null
+}
+
+/**
+ * Pull the next record from the channel.
+ * @param {Function} callback - Callback to invoke with the result of the
+ *   pull. The first parameter delivered to the callback is an `Error` object,
+ *   if an error occurred, else `null`. The second parameter is a `boolean`
+ *   which is `true` if no more records will be delivered. The third parameter
+ *   is the record which was pulled.
+ */
+RecordPuller.prototype.pull = function (callback) {
+  this._pending.push(callback)
+  this._processPending()
+}
+
+/**
+ * Stop pulling records. The offsets for a batch which has been completely
+ * pulled are committed. Offsets for records from a batch which has only been
+ * partially pulled are discarded.
+ * @param {Function} [callback] - Callback to invoke once pulling has been
+ *   stopped.
+ */
+RecordPuller.prototype.close = function (callback) {
+  var puller = this
+  var channel = this._channel
+  if (this._done) {
+    if (callback) {
+      setImmediate(callback)
+    }
+  } else {
+    if (callback) {
+      channel._stopCallbacks.push(callback)
+    }
+    if (this._buffer.length) {
+      this._buffer = []
+      channel._recordsCommitLog = []
+    }
+    if (this._pulling) {
+      channel.stop()
+    } else {
+      channel.commit(function (commitError) {
+        puller._finish(commitError)
+      })
+    }
+  }
+}
+
+/**
+ * Satisfy the oldest outstanding pull request, if no other pull request is
+ * already in progress.
+ * @private
+ */
+RecordPuller.prototype._processPending = function () {
+  var puller = this
+  if (this._pulling || !this._pending.length) {
+    return
+  }
+  var callback = this._pending.shift()
+  if (this._done) {
+    var error = this._error
+    // Only deliver the terminating error to the first request made after
+    // pulling has completed.
+    this._error = null
+    setImmediate(function () {
+      callback(error, true)
+      puller._processPending()
+    })
+  } else if (this._channel._stopRequested) {
+    this._pending.unshift(callback)
+    this._finish(null)
+  } else if (this._buffer.length) {
+    var record = this._buffer.shift()
+    setImmediate(function () {
+      callback(null, false, record)
+      puller._processPending()
+    })
+  } else {
+    this._pulling = true
+    this._fetch(function (error) {
+      puller._pulling = false
+      puller._pending.unshift(callback)
+      if (puller._done) {
+        // Pulling was abandoned by a shutdown while the records were being
+        // fetched, so the channel can now be marked as no longer running.
+        puller._channel._finishRun(error)
+        puller._processPending()
+      } else if (error) {
+        puller._finish(error)
+      } else {
+        puller._processPending()
+      }
+    })
+  }
+}
+
+/**
+ * Apply any change to the topics for the run, commit the offsets for the
+ * previous batch, and consume the next non-empty batch of records into the
+ * buffer.
+ * @param {Function} callback - Callback to invoke when the buffer has been
+ *   filled or an error occurs.
+ * @private
+ */
+RecordPuller.prototype._fetch = function (callback) {
+  var puller = this
+  var channel = this._channel
+  var retryAfterConsumerError = function (error) {
+    if (error instanceof ConsumerError) {
+      channel._consumerLost(error)
+      puller._fetch(callback)
+    } else {
+      callback(error)
+    }
+  }
+  channel._updateRunSubscription(function (subscribeError) {
+    if (subscribeError) {
+      retryAfterConsumerError(subscribeError)
+      return
+    }
+    channel.commit(function (commitError) {
+      if (commitError) {
+        retryAfterConsumerError(commitError)
+        return
+      }
+      var deliveries = puller._recordObjects ? [] : null
+      channel._consume(deliveries, function (consumeError, records) {
+        if (consumeError) {
+          retryAfterConsumerError(consumeError)
+          return
+        }
+        if (deliveries) {
+          records = deliveries.map(function (delivery) {
+            return (delivery.item instanceof DecodeError) ? delivery.item
+              : delivery.record
+          })
+        }
+        puller._pollPolicy.recordsConsumed(records.length)
+        if (records.length) {
+          puller._buffer = records
+          callback(null)
+        } else {
+          channel._runLoopFunc = function () {
+            channel._runLoopFunc = null
+            channel._runLoopTimeout = null
+            if (channel._stopRequested) {
+              callback(new StopError())
+            } else {
+              puller._fetch(callback)
+            }
+          }
+          channel._runLoopTimeout = setTimeout(channel._runLoopFunc,
+            puller._pollPolicy.wait() * 1000)
+        }
+      })
+    })
+  })
+}
+
+/**
+ * Complete pulling without waiting for records which are being fetched, as
+ * when a {@link Channel#shutdown} times out.
+ * @private
+ */
+RecordPuller.prototype._abandon = function () {
+  var puller = this
+  if (!this._pulling) {
+    this._finish(null)
+    return
+  }
+  this._done = true
+  this._buffer = []
+  this._channel._abandonRun(function (error) {
+    puller._error = error
+    puller._processPending()
+  })
+}
+
+/**
+ * Complete pulling, failing any outstanding pull requests.
+ * @param {Error} [error] - The error which terminated pulling, if any.
+ * @private
+ */
+RecordPuller.prototype._finish = function (error) {
+  var puller = this
+  this._done = true
+  this._buffer = []
+  this._channel._finishRun(error, function (error) {
+    puller._error = error
+    puller._processPending()
+  })
+}
+
+module.exports = RecordPuller
@@ -0,0 +1,134 @@
+'use strict'
+
+var Buffer = require('safe-buffer').Buffer
+var PermanentError = require('./permanent-error')
+
+/**
+ * @classdesc A record consumed from the streaming service. Instances of this
+ * class are delivered by the {@link Channel} consume methods when the channel
+ * is constructed with the `recordFormat` option set to `record` or the
+ * `ackMode` option set to `manual`.
+ * @param {Object} rawRecord - Record, as returned in the body of a consume
+ *   response from the streaming service.
+ * @constructor
+ */
+function Record (rawRecord) {
+  var routingData = rawRecord.routingData || {}
+  var message = rawRecord.message || {}
+
+  /**
+   * Topic that the record was consumed from.
+   * @type {String}
+   */
+  this.topic = routingData.topic
+
+  /**
+   * Sharding key that the record was produced with.
+   * @type {String}
+   */
+  this.shardingKey = routingData.shardingKey
+
+  /**
+   * Partition that the record was consumed from.
+   * @type {Number}
+   */
+  this.partition = rawRecord.partition
+
+  /**
+   * Offset of the record within its partition.
+   * @type {Number}
+   */
+  this.offset = rawRecord.offset
+
+  /**
+   * Headers included with the record message.
+   * @type {Object}
+   */
+  this.headers = message.headers || {}
+
+  /**
+   * Raw (base64-decoded) payload of the record message.
+   * @type {Buffer}
+   */
+  this.payload = Buffer.from(message.payload || '', 'base64')
+
+  /**
+   * Payload of the record message, decoded by the codec configured for the
+   * channel.
+   * @type {*}
+   */
+  this.value = undefined
+
+  /**
+   * Number of times that the record has been delivered by the channel. This
+   * is incremented each time the record is redelivered after a call to
+   * {@link Record#nack}.
+   * @type {Number}
+   */
+  this.deliveryCount = 1
+
+  /**
+   * Function invoked with `true` when the record is acknowledged or `false`
+   * when it is negatively acknowledged. Set by the channel when it is
+   * constructed with the `ackMode` option set to `manual`.
+   * @type {Function}
+   * @private
+   */
+  this._settle = null
+
+  /**
+   * Whether or not the record has been acknowledged (or negatively
+   * acknowledged) since it was last delivered.
+   * @type {boolean}
+   * @private
+   */
+  this._settled = false
+}
+
+/**
+ * Acknowledges that the record has been processed. Once this record and all
+ * of the records consumed before it from the same topic partition have been
+ * acknowledged, the offset of this record is included in the next commit made
+ * by the channel. Calls made after the record has already been acknowledged
+ * (or negatively acknowledged) are ignored.
+ * @throws {PermanentError} If the channel which consumed the record was not
+ *   constructed with the `ackMode` option set to `manual`.
+ */
+Record.prototype.ack = function () {
+  this._settleOnce(true)
+}
+
+/**
+ * Negatively acknowledges the record, indicating that it could not be
+ * processed. The record is redelivered, with an incremented
+ * {@link Record#deliveryCount}, at the start of the next batch of records
+ * consumed from the channel. Calls made after the record has already been
+ * acknowledged (or negatively acknowledged) are ignored.
+ * @throws {PermanentError} If the channel which consumed the record was not
+ *   constructed with the `ackMode` option set to `manual`.
+ */
+Record.prototype.nack = function () {
+  this._settleOnce(false)
+}
+
+/**
+ * Deliver the acknowledgement result for the record to the channel, unless
+ * one has already been delivered since the record was last delivered.
+ * @param {Boolean} ack - `true` to acknowledge the record, `false` to
+ *   negatively acknowledge it.
+ * @throws {PermanentError} If the channel which consumed the record was not
+ *   constructed with the `ackMode` option set to `manual`.
+ * @private
+ */
+Record.prototype._settleOnce = function (ack) {
+  if (!this._settle) {
+    throw new PermanentError(
+      "Records can only be acknowledged when the channel 'ackMode' is 'manual'")
+  }
+  if (!this._settled) {
+    this._settled = true
+    this._settle(ack)
+  }
+}
+
+module.exports = Record
@@ -0,0 +1,138 @@
+'use strict'
+
+var retry = require('retry')
+var ConsumerError = require('./consumer-error')
+var PermanentError = require('./permanent-error')
+
+// Names of the channel operations which can be configured in a retry policy
+var OPERATIONS = ['create', 'subscribe', 'consume', 'commit', 'committed',
+  'seek', 'listTopics', 'produce']
+
+// Settings applied to every operation unless overridden
+var DEFAULT_SETTINGS = {
+  maxAttempts: 0,
+  maxElapsedTime: 0,
+  minTimeout: 1,
+  maxTimeout: 10,
+  factor: 2,
+  jitter: false,
+  shouldRetry: null
+}
+
+// Settings applied to specific operations unless overridden in the
+// `operations` property of the policy. Produce attempts are not retried
+// by default since a retried produce could result in duplicate records.
+var DEFAULT_OPERATION_SETTINGS = {
+  produce: {maxAttempts: 1}
+}
+
+/**
+ * Copy recognized settings from the `source` object into the `target` object,
+ * validating each value.
+ * @param {Object} target - Object to copy settings into.
+ * @param {Object} [source] - Object to copy settings from.
+ * @returns {Object} The `target` object.
+ * @throws {TypeError} If a numeric setting is not a non-negative number or
+ *   the `shouldRetry` setting is not a function.
+ * @private
+ */
+function copySettings (target, source) {
+  if (source) {
+    Object.keys(DEFAULT_SETTINGS).forEach(function (name) {
+      var value = source[name]
+      if ((typeof value === 'undefined') || (value === null)) {
+        return
+      }
+      if (name === 'jitter') {
+        value = Boolean(value)
+      } else if (name === 'shouldRetry') {
+        if (typeof value !== 'function') {
+          throw new TypeError('shouldRetry must be a function')
+        }
+      } else {
+        value = Number(value)
+        if (isNaN(value) || (value < 0)) {
+          throw new TypeError(name + ' must be a non-negative number')
+        }
+      }
+      target[name] = value
+    })
+  }
+  return target
+}
+
+/**
+ * @classdesc Policy which controls how the channel operations which fail due
+ * to a temporary error are retried. See the `retryPolicy` option for the
+ * {@link Channel} constructor for details on the supported settings.
+ * @param {Object} [options] - Settings for the policy.
+ * @constructor
+ * @private
+ */
+function RetryPolicy (options) {
+  options = options || {}
+
+  var baseSettings = copySettings(copySettings({}, DEFAULT_SETTINGS), options)
+  var operationOverrides = options.operations || {}
+  Object.keys(operationOverrides).forEach(function (operation) {
+    if (OPERATIONS.indexOf(operation) < 0) {
+      throw new PermanentError("Unknown operation '" + operation +
+        "' in retry policy. Must be one of " + OPERATIONS.join(', '))
+    }
+  })
+
+  /**
+   * Resolved settings for each operation.
+   * @type {Object}
+   * @private
+   */
+  this._settings = {}
+
+  var policy = this
+  OPERATIONS.forEach(function (operation) {
+    var settings = copySettings(copySettings({}, baseSettings),
+      DEFAULT_OPERATION_SETTINGS[operation])
+    copySettings(settings, operationOverrides[operation])
+    if (settings.minTimeout > settings.maxTimeout) {
+      throw new PermanentError('minTimeout for ' + operation +
+        ' must not be greater than maxTimeout')
+    }
+    policy._settings[operation] = settings
+  })
+}
+
+/**
+ * Create a retry operation for the named channel operation.
+ * @param {String} operation - Name of the channel operation.
+ * @returns {Object} The retry operation, from the `retry` package.
+ */
+RetryPolicy.prototype.createOperation = function (operation) {
+  var settings = this._settings[operation]
+  return retry.operation({
+    factor: settings.factor,
+    forever: !settings.maxAttempts,
+    retries: settings.maxAttempts ? settings.maxAttempts - 1 : 10,
+    minTimeout: settings.minTimeout * 1000,
+    maxTimeout: settings.maxTimeout * 1000,
+    randomize: settings.jitter,
+    maxRetryTime: settings.maxElapsedTime * 1000 || undefined
+  })
+}
+
+/**
+ * Determine whether an error delivered for a channel operation should be
+ * retried. A {@link ConsumerError} is never retried since recovering from it
+ * requires a new consumer to be created.
+ * @param {String} operation - Name of the channel operation.
+ * @param {Error} error - The error.
+ * @returns {Boolean} Whether or not the error should be retried.
+ */
+RetryPolicy.prototype.shouldRetry = function (operation, error) {
+  if (error instanceof ConsumerError) {
+    return false
+  }
+  var shouldRetry = this._settings[operation].shouldRetry
+  return shouldRetry ? Boolean(shouldRetry(error, operation)) : true
+}
+
+module.exports = RetryPolicy
@@ -0,0 +1,242 @@
+'use strict'
+
+var fs = require('fs')
+var tls = require('tls')
+var PermanentError = require('./permanent-error')
+
+// Names of the TLS options which can be loaded from files, mapped to the
+// name of the option which holds the path to the file
+var FILE_OPTIONS = {
+  key: 'keyFile',
+  cert: 'certFile',
+  ca: 'caFile'
+}
+
+// Names of the TLS options which are passed through unchanged
+var PASSTHROUGH_OPTIONS = ['key', 'cert', 'ca', 'passphrase',
+  'rejectUnauthorized', 'checkServerIdentity']
+
+// Default number of seconds between checks for changes to the TLS files
+var DEFAULT_WATCH_INTERVAL = 10
+
+// Number of milliseconds to wait after a change to a TLS file before
+// reloading the files, so that related files which are replaced together
+// (for example, a key and certificate) are reloaded together
+var RELOAD_DELAY = 1000
+
+/**
+ * @classdesc Loads TLS credentials from the files named in the `keyFile`,
+ * `certFile`, and `caFile` options and watches the files for changes, so
+ * that rotated credentials can be applied to subsequent requests. The
+ * reloaded credentials are only applied if they form a valid TLS context;
+ * otherwise, the previous credentials remain in use.
+ * @param {Object} options - Options supplied to the owner of the watcher.
+ *   Any of the `key`, `cert`, `ca`, `passphrase`, `rejectUnauthorized`, and
+ *   `checkServerIdentity` options are included in the TLS options, with the
+ *   content of the files taking the place of the `key`, `cert`, and `ca`.
+ * @param {Object} logger - Logger to which diagnostic messages are written.
+ * @constructor
+ * @private
+ * @throws {PermanentError} If a file cannot be read or the files do not
+ *   form a valid TLS context.
+ * @throws {TypeError} If the `tlsWatchInterval` option is not a positive
+ *   number.
+ */
+function TlsFileWatcher (options, logger) {
+  var watcher = this
+  this._logger = logger
+
+  /**
+   * Path of each file to load, keyed by TLS option name.
+   * @type {Object}
+   * @private
+   */
+  this._files = {}
+  Object.keys(FILE_OPTIONS).forEach(function (name) {
+    if (options[FILE_OPTIONS[name]]) {
+      watcher._files[name] = options[FILE_OPTIONS[name]]
+    }
+  })
+
+  var interval = DEFAULT_WATCH_INTERVAL
+  if ((typeof options.tlsWatchInterval !== 'undefined') &&
+    (options.tlsWatchInterval !== null)) {
+    interval = Number(options.tlsWatchInterval)
+    if (isNaN(interval) || (interval <= 0)) {
+      throw new TypeError('tlsWatchInterval must be a positive number')
+    }
+  }
+  this._interval = interval
+
+  /**
+   * TLS options which are not loaded from files.
+   * @type {Object}
+   * @private
+   */
+  this._baseOptions = {}
+  PASSTHROUGH_OPTIONS.forEach(function (name) {
+    if (options.hasOwnProperty(name)) {
+      watcher._baseOptions[name] = options[name]
+    }
+  })
+
+  /**
+   * Current TLS options, including the content of the files.
+   * @type {Object}
+   * @private
+   */
+  this._tlsOptions = this._load()
+
+  /**
+   * Listener registered via `fs.watchFile` for each file, or `null` if the
+   * files are not being watched.
+   * @type {Function}
+   * @private
+   */
+  this._listener = null
+
+  /**
+   * Timeout for a pending reload of the files, or `null` if no reload is
+   * pending.
+   * @type {Object}
+   * @private
+   */
+  this._reloadTimeout = null
+}
+
+/**
+ * Create a watcher if any TLS files are named in the supplied options.
+ * @param {Object} [options] - Options supplied to the owner of the watcher.
+ * @param {Object} logger - Logger to which diagnostic messages are written.
+ * @returns {TlsFileWatcher} The watcher, or `null` if no TLS files are named
+ *   in the options.
+ * @throws {PermanentError} If a file cannot be read or the files do not
+ *   form a valid TLS context.
+ * @throws {TypeError} If the `tlsWatchInterval` option is not valid.
+ */
+TlsFileWatcher.fromOptions = function (options, logger) {
+  options = options || {}
+  var hasFiles = Object.keys(FILE_OPTIONS).some(function (name) {
+    return Boolean(options[FILE_OPTIONS[name]])
+  })
+  return hasFiles ? new TlsFileWatcher(options, logger) : null
+}
+
+/**
+ * Read the TLS files and validate the resulting TLS options.
+ * @returns {Object} The TLS options.
+ * @throws {PermanentError} If a file cannot be read or the files do not form
+ *   a valid TLS context.
+ * @private
+ */
+TlsFileWatcher.prototype._load = function () {
+  var files = this._files
+  var tlsOptions = {}
+  Object.keys(this._baseOptions).forEach(function (name) {
+    tlsOptions[name] = this._baseOptions[name]
+  }, this)
+  Object.keys(files).forEach(function (name) {
+    try {
+      tlsOptions[name] = fs.readFileSync(files[name])
+    } catch (readError) {
+      throw new PermanentError('Unable to read TLS ' + FILE_OPTIONS[name] +
+        ' ' + files[name] + ': ' + readError.message)
+    }
+  })
+  try {
+    tls.createSecureContext({
+      key: tlsOptions.key,
+      cert: tlsOptions.cert,
+      ca: tlsOptions.ca,
+      passphrase: tlsOptions.passphrase
+    })
+  } catch (contextError) {
+    throw new PermanentError('Invalid TLS credentials: ' +
+      contextError.message)
+  }
+  return tlsOptions
+}
+
+/**
+ * Returns the current TLS options, suitable for supplying to
+ * `util.addTlsOptions`.
+ * @returns {Object} The TLS options.
+ */
+TlsFileWatcher.prototype.tlsOptions = function () {
+  return this._tlsOptions
+}
+
+/**
+ * Start watching the TLS files for changes.
+ * @param {Function} onReload - Function to invoke with the new TLS options
+ *   each time the files have been reloaded successfully.
+ */
+TlsFileWatcher.prototype.watch = function (onReload) {
+  var watcher = this
+  if (this._listener) {
+    return
+  }
+  this._listener = function (current, previous) {
+    if ((current.mtime.getTime() === previous.mtime.getTime()) &&
+      (current.size === previous.size)) {
+      return
+    }
+    if (watcher._reloadTimeout) {
+      clearTimeout(watcher._reloadTimeout)
+    }
+    watcher._reloadTimeout = setTimeout(function () {
+      watcher._reloadTimeout = null
+      watcher._reload(onReload)
+    }, RELOAD_DELAY)
+    if (watcher._reloadTimeout.unref) {
+      watcher._reloadTimeout.unref()
+    }
+  }
+  Object.keys(this._files).forEach(function (name) {
+    fs.watchFile(watcher._files[name], {
+      persistent: false,
+      interval: watcher._interval * 1000
+    }, watcher._listener)
+  })
+}
+
+/**
+ * Reload the TLS files, keeping the current TLS options if the files cannot
+ * be loaded.
+ * @param {Function} onReload - Function to invoke with the new TLS options
+ *   if the files were reloaded successfully.
+ * @private
+ */
+TlsFileWatcher.prototype._reload = function (onReload) {
+  var tlsOptions
+  try {
+    tlsOptions = this._load()
+  } catch (loadError) {
+    this._logger.warn({error: loadError},
+      'Unable to reload TLS files, keeping current credentials: ' +
+      loadError.message)
+    return
+  }
+  this._tlsOptions = tlsOptions
+  this._logger.info({files: this._files}, 'Reloaded TLS files')
+  onReload(tlsOptions)
+}
+
+/**
+ * Stop watching the TLS files for changes.
+ */
+TlsFileWatcher.prototype.close = function () {
+  var watcher = this
+  if (this._reloadTimeout) {
+    clearTimeout(this._reloadTimeout)
+    this._reloadTimeout = null
+  }
+  if (this._listener) {
+    Object.keys(this._files).forEach(function (name) {
+      fs.unwatchFile(watcher._files[name], watcher._listener)
+    })
+    this._listener = null
+  }
+}
+
+module.exports = TlsFileWatcher
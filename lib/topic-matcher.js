@@ -0,0 +1,132 @@
+'use strict'
+
+/**
+ * Convert a glob pattern into the source for an equivalent regular
+ * expression. In the pattern, `*` matches any sequence of characters and `?`
+ * matches any single character.
+ * @param {String} glob - The glob pattern.
+ * @returns {String} The regular expression source.
+ * @private
+ */
+function globSource (glob) {
+  return glob.split('').map(function (character) {
+    if (character === '*') {
+      return '.*'
+    }
+    if (character === '?') {
+      return '.'
+    }
+    return character.replace(/[\\^$.|+()[\]{}]/g, '\\$&')
+  }).join('')
+}
+
+/**
+ * @classdesc Matches topic names against the topics supplied for a
+ * subscription. Each topic may be a literal topic name, a glob pattern (a
+ * string containing a `*` or `?`, neither of which can appear in a literal
+ * topic name), or a `RegExp`. A pattern must match the whole of a topic name.
+ * Any flags set for a `RegExp` are ignored.
+ * @param {Array<(String|RegExp)>} topics - The topics for the subscription.
+ * @constructor
+ * @private
+ */
+function TopicMatcher (topics) {
+  var matcher = this
+
+  /**
+   * Literal topic names from the subscription.
+   * @type {Array<String>}
+   * @private
+   */
+  this._literals = []
+
+  /**
+   * Source for the regular expression which each pattern in the
+   * subscription is converted to.
+   * @type {Array<String>}
+   * @private
+   */
+  this._patternSources = []
+
+  topics.forEach(function (topic) {
+    if (topic instanceof RegExp) {
+      matcher._patternSources.push(topic.source)
+    } else if (TopicMatcher.isPattern(topic)) {
+      matcher._patternSources.push(globSource(topic))
+    } else {
+      matcher._literals.push(topic)
+    }
+  })
+
+  /**
+   * Regular expression which matches any of the patterns in the
+   * subscription, or `null` if there are no patterns.
+   * @type {RegExp}
+   * @private
+   */
+  this._regExp = null
+  if (this._patternSources.length) {
+    this._regExp = new RegExp('^(?:' + this._patternSources.join('|') + ')$')
+  }
+}
+
+/**
+ * Returns whether or not a topic supplied for a subscription is a pattern
+ * rather than a literal topic name.
+ * @param {(String|RegExp)} topic - The topic.
+ * @returns {Boolean} Whether or not the topic is a pattern.
+ */
+TopicMatcher.isPattern = function (topic) {
+  return (topic instanceof RegExp) || /[*?]/.test(topic)
+}
+
+/**
+ * Returns a key which can be used to compare a topic supplied for a
+ * subscription with another. A `RegExp` is compared by its source and flags
+ * rather than by identity.
+ * @param {(String|RegExp)} topic - The topic.
+ * @returns {String} The key.
+ */
+TopicMatcher.key = function (topic) {
+  return (topic instanceof RegExp) ? String(topic) : topic
+}
+
+/**
+ * Returns whether or not the subscription includes any patterns.
+ * @returns {Boolean} Whether or not there are any patterns.
+ */
+TopicMatcher.prototype.hasPatterns = function () {
+  return Boolean(this._regExp)
+}
+
+/**
+ * Resolve the subscription against the topics which are available.
+ * @param {Array<String>} availableTopics - Names of the available topics.
+ * @returns {Array<String>} The literal topic names from the subscription,
+ *   followed by the available topics matched by the patterns in the
+ *   subscription, in sorted order.
+ */
+TopicMatcher.prototype.resolve = function (availableTopics) {
+  var literals = this._literals
+  var regExp = this._regExp
+  var matched = regExp ? availableTopics.filter(function (topic) {
+    return regExp.test(topic) && (literals.indexOf(topic) < 0)
+  }).sort() : []
+  return literals.concat(matched.filter(function (topic, index) {
+    return matched.indexOf(topic) === index
+  }))
+}
+
+/**
+ * Returns the source for a single regular expression which matches all of
+ * the topics in the subscription, for a streaming service which resolves
+ * topic patterns itself.
+ * @returns {String} The regular expression source.
+ */
+TopicMatcher.prototype.toPatternSource = function () {
+  return this._literals.map(function (topic) {
+    return globSource(topic)
+  }).concat(this._patternSources).join('|')
+}
+
+module.exports = TopicMatcher
@@ -5,6 +5,65 @@
 
 'use strict'
 
+var url = require('url')
+
+/**
+ * Returns whether or not the host of a URL matches an entry in a list of
+ * hosts for which no proxy should be used. An entry matches the host itself
+ * and any of its subdomains, and may include a port. An entry of `*` matches
+ * all hosts.
+ * @param {String} requestUrl - The URL.
+ * @param {(String|Array<String>)} noProxy - Comma-separated list (or array)
+ *   of hosts.
+ * @returns {Boolean} Whether or not the host matches.
+ */
+function matchesNoProxy (requestUrl, noProxy) {
+  var parsed = url.parse(requestUrl)
+  var hostname = (parsed.hostname || '').toLowerCase()
+  var port = parsed.port || (parsed.protocol === 'https:' ? '443' : '80')
+  var entries = [].concat(noProxy).join(',').split(',')
+  return entries.some(function (entry) {
+    entry = String(entry).trim().toLowerCase()
+    if (entry === '*') {
+      return true
+    }
+    var match = entry.match(/^(.*?)(?::(\d+))?$/)
+    var host = match[1].replace(/^\*?\./, '')
+    if (!host || (match[2] && (match[2] !== port))) {
+      return false
+    }
+    return (hostname === host) ||
+      (hostname.slice(-(host.length + 1)) === '.' + host)
+  })
+}
+
+/**
+ * Determine the proxy to use for requests to a URL.
+ * @param {Object} httpOptions - HTTP options, as described for
+ *   {@link module:Util.addHttpOptions}.
+ * @param {String} requestUrl - The URL.
+ * @returns {String} URL of the proxy, or `null` if no proxy should be used.
+ */
+function resolveProxy (httpOptions, requestUrl) {
+  var env = process.env
+  var proxy = httpOptions.proxy || null
+  var noProxy = httpOptions.noProxy ? [].concat(httpOptions.noProxy) : []
+  if (!proxy && httpOptions.useEnvProxy) {
+    if (url.parse(requestUrl).protocol === 'https:') {
+      proxy = env.HTTPS_PROXY || env.https_proxy || null
+    }
+    proxy = proxy || env.HTTP_PROXY || env.http_proxy || null
+    var envNoProxy = env.NO_PROXY || env.no_proxy
+    if (envNoProxy) {
+      noProxy = noProxy.concat(envNoProxy)
+    }
+  }
+  if (proxy && noProxy.length && matchesNoProxy(requestUrl, noProxy)) {
+    proxy = null
+  }
+  return proxy
+}
+
 module.exports = {
   /**
    * Initialize the supplied object with the standard information which appears
@@ -38,6 +97,42 @@ module.exports = {
   appendUrlSubpath: function (url, subpath) {
     return url.replace(/\/$/, '') + '/' + subpath.replace(/^\//, '')
   },
+  /**
+   * Invoke an asynchronous operation which delivers its result to a
+   * Node-style callback. If a `callback` is supplied, it is passed through to
+   * the operation and `undefined` is returned. If no `callback` is supplied, a
+   * `Promise` is returned instead. The `Promise` is rejected with the `Error`
+   * delivered by the operation, if any, or resolved with the operation result.
+   * A rejection of a `Promise` which the caller ignores is not reported as an
+   * unhandled rejection, so that a call made without a callback can still be
+   * used in a fire-and-forget manner, as before `Promise` support was added.
+   * @param {Function} [callback] - Callback supplied by the caller.
+   * @param {Function} operation - Function which performs the operation. The
+   *   first parameter delivered to the `operation` is the callback to invoke
+   *   when the operation is complete.
+   * @returns {(Promise|undefined)} A `Promise` if no `callback` was supplied,
+   *   else `undefined`.
+   */
+  callbackOrPromise: function (callback, operation) {
+    if (callback) {
+      operation(callback)
+      return undefined
+    }
+    var promise = new Promise(function (resolve, reject) {
+      operation(function (error, result) {
+        if (error) {
+          reject(error)
+        } else {
+          resolve(result)
+        }
+      })
+    })
+    // A caller which awaits the `Promise` (or attaches its own handlers) still
+    // receives the rejection. Without this handler, an ignored rejection would
+    // terminate the process on Node.js 15 and later.
+    promise.catch(function () {})
+    return promise
+  },
   /**
    * Add properties from the `tlsOptions` object into the `options` object.
    * @param options
@@ -90,5 +185,77 @@ module.exports = {
       }
     }
     return options
+  },
+  /**
+   * Append the HTTP connection options recognized by the library onto the
+   * supplied `options` object. If neither a `proxy` nor the `useEnvProxy`
+   * option is set, no proxy is used, even if proxy environment variables are
+   * set.
+   * @param {Object} options - The options to append onto.
+   * @param {Object} [httpOptions] - The HTTP options.
+   * @param {String} [httpOptions.proxy] - URL of the HTTP(S) proxy through
+   *   which to make requests.
+   * @param {(String|Array<String>)} [httpOptions.noProxy] - Comma-separated
+   *   list (or array) of hosts for which the proxy should not be used.
+   * @param {Boolean} [httpOptions.useEnvProxy=false] - Whether or not to use
+   *   the proxy named in the `HTTPS_PROXY` (for `https` URLs) or `HTTP_PROXY`
+   *   environment variable, and the hosts named in the `NO_PROXY` environment
+   *   variable, if no `proxy` is set.
+   * @param {Object} [httpOptions.agent] - `http.Agent` (or `https.Agent`)
+   *   through which to make requests.
+   * @param {Boolean} [httpOptions.keepAlive=false] - Whether or not to keep
+   *   connections alive between requests, if no `agent` is set.
+   * @param {Number} [httpOptions.maxSockets] - Maximum number of concurrent
+   *   connections to the server, if no `agent` is set.
+   * @param {Object} [httpOptions.headers] - Object whose properties are the
+   *   headers to include with every request.
+   * @param {BaseHttpTransport} [httpOptions.transport] - Transport through
+   *   which to send requests. If set, the proxy and connection options are not
+   *   used.
+   * @param {String} requestUrl - URL to which the requests are made, used to
+   *   determine whether or not to use the proxy.
+   * @returns {Object} The `options` object, with the HTTP options appended.
+   * @throws {TypeError} If any of the HTTP options is not valid.
+   */
+  addHttpOptions: function (options, httpOptions, requestUrl) {
+    httpOptions = httpOptions || {}
+    var transport = httpOptions.transport
+    if (transport && (typeof transport.request !== 'function')) {
+      throw new TypeError('transport must have a request function')
+    }
+    if (httpOptions.proxy && (typeof httpOptions.proxy !== 'string')) {
+      throw new TypeError('proxy must be a string')
+    }
+    var headers = httpOptions.headers
+    if (headers && ((typeof headers !== 'object') || Array.isArray(headers))) {
+      throw new TypeError('headers must be an object')
+    }
+    var maxSockets = httpOptions.maxSockets
+    if ((typeof maxSockets !== 'undefined') && (maxSockets !== null) &&
+      ((typeof maxSockets !== 'number') || (maxSockets < 1) ||
+        (Math.floor(maxSockets) !== maxSockets))) {
+      throw new TypeError('maxSockets must be a positive integer')
+    }
+
+    if (transport) {
+      options.transport = transport
+    } else {
+      options.proxy = resolveProxy(httpOptions, requestUrl)
+      if (httpOptions.agent) {
+        options.agent = httpOptions.agent
+      } else {
+        options.keepAlive = Boolean(httpOptions.keepAlive)
+        if (maxSockets) {
+          options.maxSockets = maxSockets
+        }
+      }
+    }
+    if (headers) {
+      options.headers = {}
+      Object.keys(headers).forEach(function (name) {
+        options.headers[name] = headers[name]
+      })
+    }
+    return options
   }
 }
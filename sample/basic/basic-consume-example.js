@@ -75,10 +75,19 @@ channel.run(
       function (runError) {
         if (runError) {
           console.log('Run error, exiting: ' + runError.message)
-          channel.destroy()
+          channel.destroy(function (destroyError) {
+            if (destroyError) {
+              console.log('Error destroying channel: ' +
+                destroyError.message)
+            }
+          })
         }
       },
     waitBetweenQueries: WAIT_BETWEEN_QUERIES,
     topics: CHANNEL_TOPIC_SUBSCRIPTIONS
   }
 )
+
+// Gracefully shut down the channel, committing the offsets for any records
+// which have been processed, if the process is interrupted
+Channel.handleSignals(channel, {timeout: 30})
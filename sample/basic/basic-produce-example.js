@@ -2,7 +2,6 @@
 
 var fs = require('fs')
 var common = require('../common')
-var Buffer = common.require('safe-buffer').Buffer
 var client = common.require('@opendxl/dxl-streaming-client')
 var Channel = client.Channel
 var ChannelAuth = client.ChannelAuth
@@ -43,24 +42,6 @@ var messagePayload = {
   message: 'Hello from OpenDXL'
 }
 
-// Create the full payload with records to produce to the channel
-var channelPayload = {
-  records: [
-    {
-      routingData: {
-        topic: CHANNEL_TOPIC,
-        shardingKey: ''
-      },
-      message: {
-        headers: {},
-        // Convert the message payload from an object to a base64-encoded
-        // string.
-        payload: Buffer.from(JSON.stringify(messagePayload)).toString('base64')
-      }
-    }
-  ]
-}
-
 // Create a new channel object
 var channel = new Channel(CHANNEL_URL,
   addTlsOptions({
@@ -69,15 +50,21 @@ var channel = new Channel(CHANNEL_URL,
   })
 )
 
-// Produce the payload records to the channel
-channel.produce(
-  channelPayload,
+// Produce the message payload to the channel. The payload is serialized as
+// JSON and wrapped in the records envelope expected by the streaming service.
+channel.send(
+  CHANNEL_TOPIC,
+  messagePayload,
   function (error) {
-    channel.destroy()
     if (error) {
       console.log('Error : ' + error)
     } else {
       console.log('Succeeded.')
     }
+    channel.destroy(function (destroyError) {
+      if (destroyError) {
+        console.log('Error destroying channel: ' + destroyError.message)
+      }
+    })
   }
 )
@@ -0,0 +1,139 @@
+'use strict'
+
+var url = require('url')
+var Buffer = require('safe-buffer').Buffer
+
+/**
+ * Transport which answers the requests made by a {@link Channel} in place of
+ * the streaming service, for use via the `transport` option of the channel.
+ * Each consume request returns the next batch from `batches`. Handlers added
+ * via {@link MockTransport#handle} take precedence over the default
+ * responses.
+ * @constructor
+ */
+function MockTransport () {
+  this.requests = []
+  this.batches = []
+  this.commits = []
+  this.produced = []
+  this._handlers = []
+  this._consumers = 0
+}
+
+/**
+ * Add a handler for requests.
+ * @param {String} method - HTTP method of the requests to handle.
+ * @param {RegExp} pattern - Pattern which the path of the requests must
+ *   match.
+ * @param {Function} handler - Function invoked with each matching request,
+ *   which returns the response (an object with `statusCode`, `body`, and
+ *   optional `headers` and `delay` properties), or `undefined` to leave the
+ *   request to the default responses.
+ */
+MockTransport.prototype.handle = function (method, pattern, handler) {
+  this._handlers.unshift({method: method, pattern: pattern, handler: handler})
+}
+
+/**
+ * Returns the requests made to paths which match a pattern.
+ * @param {RegExp} pattern - The pattern.
+ * @returns {Array<Object>} The requests.
+ */
+MockTransport.prototype.requestsTo = function (pattern) {
+  return this.requests.filter(function (request) {
+    return pattern.test(request.path)
+  })
+}
+
+MockTransport.prototype.request = function (request, callback) {
+  var parsed = url.parse(request.url, true)
+  var body = request.body ? request.body.toString() : ''
+  try {
+    body = body ? JSON.parse(body) : null
+  } catch (e) {
+    // Not JSON, for example, a form body
+  }
+  var received = {
+    method: request.method,
+    path: parsed.pathname,
+    query: parsed.query,
+    headers: request.headers,
+    body: body
+  }
+  this.requests.push(received)
+
+  var response = null
+  for (var i = 0; !response && (i < this._handlers.length); i++) {
+    var entry = this._handlers[i]
+    if ((entry.method === received.method) &&
+      entry.pattern.test(received.path)) {
+      response = entry.handler(received)
+    }
+  }
+  response = response || this._defaultResponse(received)
+  setTimeout(function () {
+    callback(null, {
+      statusCode: response.statusCode,
+      headers: response.headers || {},
+      body: Buffer.from(typeof response.body === 'undefined' ? ''
+        : JSON.stringify(response.body))
+    })
+  }, response.delay || 0)
+}
+
+MockTransport.prototype._defaultResponse = function (request) {
+  var path = request.path
+  var method = request.method
+  if ((method === 'POST') && /\/consumers$/.test(path)) {
+    this._consumers++
+    return {
+      statusCode: 200,
+      body: {consumerInstanceId: 'consumer' + this._consumers}
+    }
+  }
+  if ((method === 'GET') && /\/records$/.test(path)) {
+    return {statusCode: 200, body: {records: this.batches.shift() || []}}
+  }
+  if ((method === 'POST') && /\/offsets$/.test(path)) {
+    this.commits.push(request.body.offsets)
+    return {statusCode: 204}
+  }
+  if ((method === 'GET') && /\/offsets$/.test(path)) {
+    return {statusCode: 200, body: {offsets: []}}
+  }
+  if ((method === 'POST') && /\/produce$/.test(path)) {
+    this.produced.push(request.body)
+    return {statusCode: 204}
+  }
+  if (((method === 'POST') && /\/(subscription|positions.*)$/.test(path)) ||
+    ((method === 'DELETE') && /\/consumers\/[^/]+$/.test(path))) {
+    return {statusCode: 204}
+  }
+  return {statusCode: 404, body: {}}
+}
+
+/**
+ * Returns a record as returned by the streaming service in the body of a
+ * consume response.
+ * @param {String} topic - Topic of the record.
+ * @param {Number} partition - Partition of the record.
+ * @param {Number} offset - Offset of the record.
+ * @param {String} payload - Payload of the record.
+ * @param {Object} [extra] - Optional `shardingKey` and `headers` for the
+ *   record.
+ * @returns {Object} The record.
+ */
+MockTransport.record = function (topic, partition, offset, payload, extra) {
+  extra = extra || {}
+  return {
+    routingData: {topic: topic, shardingKey: extra.shardingKey || ''},
+    message: {
+      headers: extra.headers || {},
+      payload: Buffer.from(payload).toString('base64')
+    },
+    partition: partition,
+    offset: offset
+  }
+}
+
+module.exports = MockTransport
@@ -0,0 +1,198 @@
+'use strict'
+
+var expect = require('chai').expect
+var ApiKeyAuth = require('../../lib/api-key-auth')
+var BearerTokenAuth = require('../../lib/bearer-token-auth')
+var CallbackAuth = require('../../lib/callback-auth')
+var Channel = require('../../lib/channel')
+var CompositeAuth = require('../../lib/composite-auth')
+var PermanentAuthenticationError =
+  require('../../lib/permanent-authentication-error')
+var PermanentError = require('../../lib/permanent-error')
+var TemporaryAuthenticationError =
+  require('../../lib/temporary-authentication-error')
+var MockTransport = require('../mock-transport')
+
+describe('Authentication strategies', function () {
+  var transport = null
+
+  beforeEach(function () {
+    transport = new MockTransport()
+  })
+
+  /**
+   * Produce a record through a channel which uses an authentication object.
+   * @param {BaseChannelAuth} auth - The authentication object.
+   * @returns {Promise} A promise resolved with the headers of the produce
+   *   request once the record has been produced.
+   */
+  function produceWith (auth) {
+    var channel = new Channel('http://streaming-service', {
+      consumerGroup: 'group',
+      logger: null,
+      transport: transport,
+      auth: auth
+    })
+    return channel.produce({records: [
+      {routingData: {topic: 'topic1'}, message: {payload: ''}}
+    ]}).then(function () {
+      var requests = transport.requestsTo(/\/produce$/)
+      return requests[requests.length - 1].headers
+    })
+  }
+
+  describe('BearerTokenAuth', function () {
+    it('sends the token with requests', function () {
+      return produceWith(new BearerTokenAuth('token1')).then(
+        function (headers) {
+          expect(headers.Authorization).to.equal('Bearer token1')
+        })
+    })
+
+    it('requires a token', function () {
+      expect(function () {
+        return new BearerTokenAuth('')
+      }).to.throw(PermanentError, 'Value for token must be a non-empty string')
+    })
+  })
+
+  describe('ApiKeyAuth', function () {
+    it('sends the API key in a header', function () {
+      return produceWith(new ApiKeyAuth('key1')).then(function (headers) {
+        expect(headers['X-API-Key']).to.equal('key1')
+        expect(headers.Authorization).to.equal(undefined)
+      })
+    })
+
+    it('sends the API key in a configured header with a prefix', function () {
+      return produceWith(new ApiKeyAuth('key1', {
+        header: 'Authorization',
+        prefix: 'ApiKey '
+      })).then(function (headers) {
+        expect(headers.Authorization).to.equal('ApiKey key1')
+      })
+    })
+
+    it('requires an API key', function () {
+      expect(function () {
+        return new ApiKeyAuth(null)
+      }).to.throw(PermanentError, 'Value for apiKey must be a non-empty string')
+    })
+  })
+
+  describe('CallbackAuth', function () {
+    it('sends the token supplied to the callback', function () {
+      var calls = 0
+      var auth = new CallbackAuth(function (callback) {
+        calls++
+        callback(null, 'token' + calls, 3600)
+      }, {logger: null})
+      return produceWith(auth).then(function (headers) {
+        expect(headers.Authorization).to.equal('Bearer token1')
+        return produceWith(auth)
+      }).then(function (headers) {
+        expect(headers.Authorization).to.equal('Bearer token1')
+        expect(calls).to.equal(1)
+        auth.reset()
+        return produceWith(auth)
+      }).then(function (headers) {
+        expect(headers.Authorization).to.equal('Bearer token2')
+      })
+    })
+
+    it('sends the token resolved by a returned promise', function () {
+      var auth = new CallbackAuth(function () {
+        return Promise.resolve({token: 'token1', expiresIn: 3600})
+      }, {logger: null})
+      return produceWith(auth).then(function (headers) {
+        expect(headers.Authorization).to.equal('Bearer token1')
+        expect(auth.getTokenState().expiresAt).to.be.an.instanceof(Date)
+      })
+    })
+
+    it('delivers a failure to acquire a token as a temporary error',
+      function () {
+        var auth = new CallbackAuth(function () {
+          return Promise.reject(new Error('Vault unavailable'))
+        }, {logger: null})
+        return produceWith(auth).then(function () {
+          throw new Error('Expected the produce to fail')
+        }, function (error) {
+          expect(error).to.be.an.instanceof(TemporaryAuthenticationError)
+          expect(error.message).to.equal(
+            'Unable to acquire token: Vault unavailable')
+          expect(transport.requestsTo(/\/produce$/)).to.deep.equal([])
+        })
+      })
+
+    it('keeps a permanent authentication error from the callback',
+      function () {
+        var authError = new PermanentAuthenticationError('Revoked')
+        var auth = new CallbackAuth(function (callback) {
+          callback(authError)
+        }, {logger: null})
+        return produceWith(auth).then(function () {
+          throw new Error('Expected the produce to fail')
+        }, function (error) {
+          expect(error).to.equal(authError)
+        })
+      })
+
+    it('requires a function', function () {
+      expect(function () {
+        return new CallbackAuth('token')
+      }).to.throw(PermanentError, 'Value for getToken must be a function')
+    })
+  })
+
+  describe('CompositeAuth', function () {
+    it('applies each authentication object to requests', function () {
+      return produceWith(new CompositeAuth([
+        new ApiKeyAuth('key1'),
+        new BearerTokenAuth('token1')
+      ])).then(function (headers) {
+        expect(headers['X-API-Key']).to.equal('key1')
+        expect(headers.Authorization).to.equal('Bearer token1')
+      })
+    })
+
+    it('resets each authentication object', function () {
+      var resets = 0
+      var auth = new CallbackAuth(function (callback) {
+        callback(null, 'token1')
+      }, {logger: null})
+      auth.reset = function () {
+        resets++
+        CallbackAuth.prototype.reset.call(this)
+      }
+      new CompositeAuth([new ApiKeyAuth('key1'), auth]).reset()
+      expect(resets).to.equal(1)
+    })
+
+    it('delivers the first error from the authentication objects',
+      function () {
+        var authError = new PermanentAuthenticationError('Revoked')
+        var calls = 0
+        return produceWith(new CompositeAuth([
+          new CallbackAuth(function (callback) {
+            callback(authError)
+          }, {logger: null}),
+          new CallbackAuth(function (callback) {
+            calls++
+            callback(null, 'token1')
+          }, {logger: null})
+        ])).then(function () {
+          throw new Error('Expected the produce to fail')
+        }, function (error) {
+          expect(error).to.equal(authError)
+          expect(calls).to.equal(0)
+        })
+      })
+
+    it('requires authentication objects', function () {
+      expect(function () {
+        return new CompositeAuth([])
+      }).to.throw(PermanentError, 'Value for auths must be a non-empty array')
+    })
+  })
+})
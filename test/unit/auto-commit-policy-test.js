@@ -0,0 +1,98 @@
+'use strict'
+
+var expect = require('chai').expect
+var AutoCommitPolicy = require('../../lib/auto-commit-policy')
+var Channel = require('../../lib/channel')
+var MockTransport = require('../mock-transport')
+
+var record = MockTransport.record
+
+describe('AutoCommitPolicy', function () {
+  it('is due after every batch if it is disabled', function () {
+    var policy = new AutoCommitPolicy()
+    expect(policy.enabled).to.equal(false)
+    expect(policy.due()).to.equal(true)
+  })
+
+  it('is due once the record count has been reached', function () {
+    var policy = new AutoCommitPolicy({records: 3})
+    expect(policy.enabled).to.equal(true)
+    policy.recordsConsumed(2)
+    expect(policy.due()).to.equal(false)
+    policy.recordsConsumed(1)
+    expect(policy.due()).to.equal(true)
+    policy.committed()
+    expect(policy.due()).to.equal(false)
+  })
+
+  it('is due once the interval has elapsed', function (done) {
+    var policy = new AutoCommitPolicy({interval: 0.02})
+    expect(policy.due()).to.equal(false)
+    setTimeout(function () {
+      expect(policy.due()).to.equal(true)
+      done()
+    }, 30)
+  })
+
+  it('rejects invalid settings', function () {
+    expect(function () {
+      return new AutoCommitPolicy({records: 0})
+    }).to.throw(TypeError, 'records must be a positive number')
+    expect(function () {
+      return new AutoCommitPolicy({interval: 'soon'})
+    }).to.throw(TypeError, 'interval must be a positive number')
+  })
+
+  describe('configured for a run', function () {
+    var transport = null
+    var channel = null
+
+    beforeEach(function () {
+      transport = new MockTransport()
+      channel = new Channel('http://streaming-service', {
+        consumerGroup: 'group',
+        logger: null,
+        transport: transport
+      })
+      for (var i = 0; i < 5; i++) {
+        transport.batches.push([
+          record('topic1', 0, 2 * i, 'a'),
+          record('topic1', 0, 2 * i + 1, 'b')
+        ])
+      }
+    })
+
+    /**
+     * Run the channel until the records in the queued batches have been
+     * processed.
+     * @param {Object} autoCommit - Settings for the auto-commit policy.
+     * @returns {Promise} A promise resolved when the run has completed.
+     */
+    function runUntilConsumed (autoCommit) {
+      var processed = 0
+      return channel.run(function (payloads) {
+        processed += payloads.length
+        if (processed === 10) {
+          channel.stop()
+        }
+        return true
+      }, {topics: 'topic1', waitBetweenQueries: 0.01, autoCommit: autoCommit})
+    }
+
+    it('commits once the record count has been reached', function () {
+      return runUntilConsumed({records: 4}).then(function () {
+        expect(transport.commits.map(function (offsets) {
+          return offsets[offsets.length - 1].offset
+        })).to.deep.equal([3, 7, 9])
+      })
+    })
+
+    it('commits after every batch by default', function () {
+      return runUntilConsumed().then(function () {
+        expect(transport.commits.slice(0, 4).map(function (offsets) {
+          return offsets[offsets.length - 1].offset
+        })).to.deep.equal([1, 3, 5, 7])
+      })
+    })
+  })
+})
@@ -0,0 +1,196 @@
+'use strict'
+
+var expect = require('chai').expect
+var inherits = require('inherits')
+var CachedTokenAuth = require('../../lib/cached-token-auth')
+
+/**
+ * Token cache whose token requests are completed by the test.
+ * @param {Object} [options] - Options for the {@link CachedTokenAuth}.
+ * @constructor
+ */
+function TestAuth (options) {
+  CachedTokenAuth.call(this, options)
+  this.requests = []
+  this.throwError = null
+}
+
+inherits(TestAuth, CachedTokenAuth)
+
+TestAuth.prototype._acquireToken = function (callback) {
+  if (this.throwError) {
+    throw this.throwError
+  }
+  this.requests.push(callback)
+}
+
+/**
+ * Returns a JSON Web Token with the supplied `exp` claim.
+ * @param {Number} exp - Expiry time, in seconds since the epoch.
+ * @returns {String} The token.
+ */
+function jwt (exp) {
+  var encode = function (value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64')
+  }
+  return encode({alg: 'none'}) + '.' + encode({exp: exp}) + '.signature'
+}
+
+describe('CachedTokenAuth', function () {
+  var auth = null
+
+  beforeEach(function () {
+    auth = new TestAuth({logger: null})
+  })
+
+  it('adds the acquired token to requests', function (done) {
+    auth.authenticate({}, function (error, requestOptions) {
+      expect(error).to.equal(null)
+      expect(requestOptions.auth).to.deep.equal({bearer: 'token1'})
+      done()
+    })
+    auth.requests[0](null, 'token1')
+  })
+
+  it('reuses the cached token', function (done) {
+    auth.authenticate({}, function () {
+      auth.authenticate({}, function (error, requestOptions) {
+        expect(error).to.equal(null)
+        expect(requestOptions.auth).to.deep.equal({bearer: 'token1'})
+        expect(auth.requests.length).to.equal(1)
+        done()
+      })
+    })
+    auth.requests[0](null, 'token1')
+  })
+
+  it('shares a single token request between concurrent authentications',
+    function () {
+      var tokens = []
+      var collect = function (error, requestOptions) {
+        expect(error).to.equal(null)
+        tokens.push(requestOptions.auth.bearer)
+      }
+      auth.authenticate({}, collect)
+      auth.authenticate({}, collect)
+      expect(auth.requests.length).to.equal(1)
+      expect(auth.getTokenState().refreshing).to.equal(true)
+      auth.requests[0](null, 'token1')
+      expect(tokens).to.deep.equal(['token1', 'token1'])
+      expect(auth.getTokenState().refreshing).to.equal(false)
+    })
+
+  it('delivers an error from the token request to each authentication',
+    function () {
+      var errors = []
+      var collect = function (error) {
+        errors.push(error)
+      }
+      var tokenError = new Error('Unauthorized')
+      auth.authenticate({}, collect)
+      auth.authenticate({}, collect)
+      auth.requests[0](tokenError)
+      expect(errors).to.deep.equal([tokenError, tokenError])
+      expect(auth.getTokenState().hasToken).to.equal(false)
+    })
+
+  it('delivers an error thrown by the token request to each authentication',
+    function (done) {
+      var tokenError = new Error('Unable to read credentials')
+      var errors = []
+      var collect = function (error) {
+        errors.push(error)
+        if (errors.length === 2) {
+          expect(errors).to.deep.equal([tokenError, tokenError])
+          expect(auth.getTokenState().refreshing).to.equal(false)
+          done()
+        }
+      }
+      auth.throwError = tokenError
+      auth.authenticate({}, collect)
+      auth.authenticate({}, collect)
+    })
+
+  it('requests a new token once the token has expired', function (done) {
+    auth.authenticate({}, function () {
+      expect(auth.getTokenState().expired).to.equal(true)
+      auth.authenticate({}, function (error, requestOptions) {
+        expect(error).to.equal(null)
+        expect(requestOptions.auth).to.deep.equal({bearer: 'token2'})
+        done()
+      })
+      auth.requests[1](null, 'token2')
+    })
+    auth.requests[0](null, jwt(Math.floor(Date.now() / 1000) - 10))
+  })
+
+  it('refreshes the token in the background ahead of its expiry',
+    function (done) {
+      auth.authenticate({}, function () {
+        var state = auth.getTokenState()
+        expect(state.refreshAt.getTime()).to.be.below(
+          state.expiresAt.getTime())
+        setTimeout(function () {
+          auth.authenticate({}, function (error, requestOptions) {
+            expect(error).to.equal(null)
+            expect(requestOptions.auth).to.deep.equal({bearer: 'token1'})
+            expect(auth.requests.length).to.equal(2)
+            auth.requests[1](null, 'token2', 60)
+            auth.authenticate({}, function (error, requestOptions) {
+              expect(error).to.equal(null)
+              expect(requestOptions.auth).to.deep.equal({bearer: 'token2'})
+              done()
+            })
+          })
+        }, 60)
+      })
+      auth.requests[0](null, 'token1', 0.1)
+    })
+
+  it('uses the tokenTtl option if the token lifetime is not known',
+    function () {
+      auth = new TestAuth({logger: null, tokenTtl: 120, refreshAhead: 30})
+      auth.authenticate({}, function () {})
+      auth.requests[0](null, 'token1')
+      var state = auth.getTokenState()
+      expect(state.expiresAt.getTime() - state.refreshAt.getTime()).to.equal(
+        30000)
+    })
+
+  it('discards a token requested before the credentials were reset',
+    function () {
+      var tokens = []
+      auth.authenticate({}, function (error, requestOptions) {
+        expect(error).to.equal(null)
+        tokens.push(requestOptions.auth.bearer)
+      })
+      auth.reset()
+      auth.requests[0](null, 'stale')
+      expect(auth.getTokenState().hasToken).to.equal(false)
+      expect(auth.requests.length).to.equal(2)
+      auth.requests[1](null, 'fresh')
+      expect(tokens).to.deep.equal(['fresh'])
+    })
+
+  it('purges the cached token on reset', function () {
+    auth.authenticate({}, function () {})
+    auth.requests[0](null, 'token1')
+    auth.reset()
+    expect(auth.getTokenState()).to.deep.equal({
+      hasToken: false,
+      expiresAt: null,
+      refreshAt: null,
+      expired: false,
+      refreshing: false
+    })
+  })
+
+  it('rejects invalid options', function () {
+    expect(function () {
+      return new TestAuth({tokenTtl: 0})
+    }).to.throw(TypeError, 'tokenTtl must be a positive number')
+    expect(function () {
+      return new TestAuth({refreshAhead: -1})
+    }).to.throw(TypeError, 'refreshAhead must be a non-negative number')
+  })
+})
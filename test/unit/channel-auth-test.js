@@ -0,0 +1,133 @@
+'use strict'
+
+var expect = require('chai').expect
+var Buffer = require('safe-buffer').Buffer
+var Channel = require('../../lib/channel')
+var ChannelAuth = require('../../lib/channel-auth')
+var PermanentAuthenticationError =
+  require('../../lib/permanent-authentication-error')
+var MockTransport = require('../mock-transport')
+
+/**
+ * Returns a JSON Web Token with the supplied `exp` claim.
+ * @param {Number} exp - Expiry time, in seconds since the epoch.
+ * @returns {String} The token.
+ */
+function jwt (exp) {
+  var encode = function (value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64')
+  }
+  return encode({alg: 'none'}) + '.' + encode({exp: exp}) + '.signature'
+}
+
+describe('ChannelAuth', function () {
+  var transport = null
+  var tokens = null
+  var auth = null
+  var channel = null
+
+  beforeEach(function () {
+    transport = new MockTransport()
+    tokens = ['token1', 'token2', 'token3']
+    transport.handle('GET', /\/identity\/v1\/login$/, function () {
+      return {statusCode: 200, body: {AuthorizationToken: tokens.shift()}}
+    })
+    auth = new ChannelAuth('http://streaming-service', 'me', 'secret', {
+      logger: null,
+      transport: transport
+    })
+    channel = new Channel('http://streaming-service', {
+      consumerGroup: 'group',
+      logger: null,
+      transport: transport,
+      auth: auth
+    })
+  })
+
+  /**
+   * Produce a record to a topic.
+   * @returns {Promise} A promise resolved once the record has been produced.
+   */
+  function produce () {
+    return channel.produce({records: [
+      {routingData: {topic: 'topic1'}, message: {payload: ''}}
+    ]})
+  }
+
+  /**
+   * Returns the Authorization header sent with each produce request.
+   * @returns {Array<String>} The headers.
+   */
+  function produceAuthorization () {
+    return transport.requestsTo(/\/produce$/).map(function (request) {
+      return request.headers.Authorization
+    })
+  }
+
+  it('logs in with the credentials and sends the token with requests',
+    function () {
+      return produce().then(function () {
+        var logins = transport.requestsTo(/\/login$/)
+        expect(logins.length).to.equal(1)
+        expect(logins[0].headers.Authorization).to.equal(
+          'Basic ' + Buffer.from('me:secret').toString('base64'))
+        expect(produceAuthorization()).to.deep.equal(['Bearer token1'])
+        expect(auth.getTokenState().hasToken).to.equal(true)
+      })
+    })
+
+  it('shares a single login between concurrent requests', function () {
+    return Promise.all([produce(), produce(), produce()]).then(function () {
+      expect(transport.requestsTo(/\/login$/).length).to.equal(1)
+      expect(produceAuthorization()).to.deep.equal(
+        ['Bearer token1', 'Bearer token1', 'Bearer token1'])
+    })
+  })
+
+  it('logs in again once the token has expired', function () {
+    tokens = [jwt(Math.floor(Date.now() / 1000) - 10), 'token2']
+    return produce().then(function () {
+      expect(auth.getTokenState().expired).to.equal(true)
+      return produce()
+    }).then(function () {
+      expect(transport.requestsTo(/\/login$/).length).to.equal(2)
+      expect(produceAuthorization()[1]).to.equal('Bearer token2')
+    })
+  })
+
+  it('logs in again after the service rejects the token', function () {
+    var resets = []
+    channel.on('authReset', function (event) {
+      resets.push(event.statusCode)
+    })
+    transport.handle('POST', /\/produce$/, function (request) {
+      if (request.headers.Authorization === 'Bearer token1') {
+        return {statusCode: 401, body: 'Unauthorized'}
+      }
+    })
+    return produce().then(function () {
+      throw new Error('Expected the produce to fail')
+    }, function (error) {
+      expect(error.statusCode).to.equal(401)
+      expect(resets).to.deep.equal([401])
+      expect(auth.getTokenState().hasToken).to.equal(false)
+      return produce()
+    }).then(function () {
+      expect(produceAuthorization()).to.deep.equal(
+        ['Bearer token1', 'Bearer token2'])
+    })
+  })
+
+  it('fails requests if the credentials are rejected', function () {
+    transport.handle('GET', /\/identity\/v1\/login$/, function () {
+      return {statusCode: 401, body: 'Bad credentials'}
+    })
+    return produce().then(function () {
+      throw new Error('Expected the produce to fail')
+    }, function (error) {
+      expect(error).to.be.an.instanceof(PermanentAuthenticationError)
+      expect(error.statusCode).to.equal(401)
+      expect(transport.requestsTo(/\/produce$/)).to.deep.equal([])
+    })
+  })
+})
@@ -0,0 +1,192 @@
+'use strict'
+
+var expect = require('chai').expect
+var Channel = require('../../lib/channel')
+var TemporaryError = require('../../lib/temporary-error')
+var MockTransport = require('../mock-transport')
+
+var record = MockTransport.record
+
+function sleep (milliseconds) {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, milliseconds)
+  })
+}
+
+describe('Channel#shutdown', function () {
+  var transport = null
+  var channel = null
+
+  beforeEach(function () {
+    transport = new MockTransport()
+    channel = new Channel('http://streaming-service', {
+      consumerGroup: 'group',
+      logger: null,
+      transport: transport
+    })
+  })
+
+  it('stops the run, commits the offsets and deletes the consumer',
+    function () {
+      transport.batches.push([record('topic1', 0, 5, 'a')])
+      var run = channel.run(function () {
+        return true
+      }, {topics: 'topic1', waitBetweenQueries: 0.05})
+      return sleep(30).then(function () {
+        return channel.shutdown({timeout: 5})
+      }).then(function () {
+        return run
+      }).then(function () {
+        expect(transport.commits).to.deep.equal([
+          [{topic: 'topic1', partition: 0, offset: 5}]
+        ])
+        expect(transport.requestsTo(/\/consumers\/consumer1$/)[0].method)
+          .to.equal('DELETE')
+      })
+    })
+
+  describe('when the timeout elapses', function () {
+    var processed = null
+    var run = null
+
+    beforeEach(function () {
+      processed = []
+      transport.batches.push([record('topic1', 0, 5, 'slow')])
+      for (var i = 0; i < 5; i++) {
+        transport.batches.push([record('topic1', 0, 6 + i, 'next')])
+      }
+      run = channel.run(function (payloads) {
+        processed.push(payloads)
+        return sleep(150).then(function () {
+          return true
+        })
+      }, {topics: 'topic1', waitBetweenQueries: 0.01})
+      return sleep(30)
+    })
+
+    it('completes the run and deletes the consumer without a commit',
+      function () {
+        var stopped = 0
+        channel.on('stopped', function () {
+          stopped++
+        })
+        var shutdownError = null
+        return channel.shutdown({timeout: 0.05}).catch(function (error) {
+          shutdownError = error
+        }).then(function () {
+          return run
+        }).then(function (runResult) {
+          expect(runResult).to.equal(undefined)
+          expect(shutdownError).to.be.an.instanceof(TemporaryError)
+          expect(transport.requestsTo(/\/consumers\/consumer1$/).length)
+            .to.equal(1)
+          return sleep(250)
+        }).then(function () {
+          expect(processed.length).to.equal(1)
+          expect(transport.requestsTo(/\/records$/).length).to.equal(1)
+          expect(transport.commits).to.deep.equal([])
+          expect(stopped).to.equal(1)
+        })
+      })
+
+    it('does not continue the run if the consumer cannot be deleted',
+      function () {
+        transport.handle('DELETE', /\/consumers\//, function () {
+          return {statusCode: 500, body: {}}
+        })
+        var shutdownError = null
+        return channel.shutdown({timeout: 0.05}).catch(function (error) {
+          shutdownError = error
+        }).then(function () {
+          return run
+        }).then(function () {
+          expect(shutdownError.statusCode).to.equal(500)
+          expect(function () {
+            channel.run(function () {})
+          }).to.throw('Previous run already in progress')
+          return sleep(250)
+        }).then(function () {
+          expect(processed.length).to.equal(1)
+          expect(transport.requestsTo(/\/records$/).length).to.equal(1)
+          expect(transport.commits).to.deep.equal([])
+          // Once the processing which was in progress has come back, the
+          // channel can run again.
+          var secondRun = channel.run(function (payloads) {
+            processed.push(payloads)
+            channel.stop()
+            return true
+          }, {topics: 'topic1'})
+          return secondRun
+        }).then(function () {
+          expect(processed).to.deep.equal([['slow'], ['next']])
+          return channel.destroy().catch(function () {})
+        })
+      })
+  })
+})
+
+describe('Channel.handleSignals', function () {
+  var exit = process.exit
+  var exitCodes = null
+  var remove = null
+  var channel = null
+
+  beforeEach(function () {
+    exitCodes = []
+    process.exit = function (code) {
+      exitCodes.push(code)
+    }
+    channel = new Channel('http://streaming-service', {
+      consumerGroup: 'group',
+      logger: null,
+      transport: new MockTransport()
+    })
+  })
+
+  afterEach(function () {
+    process.exit = exit
+    if (remove) {
+      remove()
+      remove = null
+    }
+  })
+
+  it('shuts down the channels without exiting the process', function (done) {
+    var listeners = process.listenerCount('SIGUSR2')
+    remove = Channel.handleSignals(channel, {
+      signals: ['SIGUSR2'],
+      onShutdown: function (error) {
+        expect(error).to.equal(null)
+        expect(channel._active).to.equal(false)
+        setImmediate(function () {
+          expect(exitCodes).to.deep.equal([])
+          done()
+        })
+      }
+    })
+    expect(process.listenerCount('SIGUSR2')).to.equal(listeners + 1)
+    process.emit('SIGUSR2', 'SIGUSR2')
+    // A second signal is left to other handlers
+    expect(process.listenerCount('SIGUSR2')).to.equal(listeners)
+  })
+
+  it('exits the process if the exit option is set', function (done) {
+    remove = Channel.handleSignals([channel], {
+      signals: ['SIGUSR2'],
+      exit: true,
+      onShutdown: function () {
+        setImmediate(function () {
+          expect(exitCodes).to.deep.equal([0])
+          done()
+        })
+      }
+    })
+    process.emit('SIGUSR2', 'SIGUSR2')
+  })
+
+  it('rejects an invalid timeout', function () {
+    expect(function () {
+      Channel.handleSignals(channel, {timeout: 0})
+    }).to.throw(TypeError, 'timeout must be a positive number')
+  })
+})
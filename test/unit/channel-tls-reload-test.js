@@ -0,0 +1,106 @@
+'use strict'
+
+var fs = require('fs')
+var http = require('http')
+var os = require('os')
+var path = require('path')
+var expect = require('chai').expect
+var Channel = require('../../lib/channel')
+
+// Self-signed certificate for the CA file which is watched for changes
+var CA_CERT = [
+  '-----BEGIN CERTIFICATE-----',
+  'MIIDBzCCAe+gAwIBAgIUOwhJAinp2hc2e5YjVkGv6ud0knswDQYJKoZIhvcNAQEL',
+  'BQAwEjEQMA4GA1UEAwwHVGVzdCBDQTAgFw0yNjEwMTkxNjE2NTJaGA8yMTI2MDky',
+  'NTE2MTY1MlowEjEQMA4GA1UEAwwHVGVzdCBDQTCCASIwDQYJKoZIhvcNAQEBBQAD',
+  'ggEPADCCAQoCggEBAKaL1wfGuRKMJBGvAlBNzPLqp1rKCU7kxKFx1k71NuAAIOpx',
+  'G53jBdsy8MrjxMlIlJIFifvcPbpeP4KO3WqkFPE+Q9jI80uju78Bv81cZNlEysFr',
+  '99QbWIACgC7DUZSIj3nGLxQgS974exSZfWdP5toeSGyRXeG/xLGXKWxbs9CcEMPP',
+  'sBS2Ch6IdlgArLmAX8Ab/udv+Y73rGYVR9UJFGYdF2hdl07TKXt8AO0yPFntFdNi',
+  'YjM85QFcKNwou7pSZXV6b1gY2NllbMKOJuFDwh2jmDCoOEleswiT7BB6/GuzyDhR',
+  'V/MiIcxQ5GCeaIinZIbXDXOuxbhhk36a+PPTbPECAwEAAaNTMFEwHQYDVR0OBBYE',
+  'FFz5joyDrIEauC4pTW28pz7oAccOMB8GA1UdIwQYMBaAFFz5joyDrIEauC4pTW28',
+  'pz7oAccOMA8GA1UdEwEB/wQFMAMBAf8wDQYJKoZIhvcNAQELBQADggEBAFxXSkaa',
+  'KZyef9ayxicfN6JSXbK/Hwn2bO9Y2BbKKs1374rt3spWN+wjp4fSyEwc24wDPece',
+  '/G59/ELucFJOQ9l9Rj2fkLAlAbT9LbtxTZp5Z0vXnHLnZ51QCRokSaivQK3/u2EV',
+  '7hsYSw34/04vR6G6qzxMGf7xvz6SESaQy+oONqyu9r1/5wy41TmWbc3zfXvwx3JR',
+  'zrBh1ezKUfxxBBwMGrwScn+dLY2/npDvZQwHt49jDh8h1KQSKoZbpajxXyYq0kK1',
+  'hmbx8k2lQYUteNNLPSbyPPvaR0aWA5PeE/q2Uiv22yKuk2YE841D/r+SbwyiojUL',
+  'o9/MhGCzIskXIBQ=',
+  '-----END CERTIFICATE-----'
+].join('\n') + '\n'
+
+describe('Channel TLS file reload', function () {
+  var server = null
+  var baseUrl = null
+  var connections = null
+  var caFile = null
+  var channel = null
+
+  this.timeout(5000)
+
+  before(function (done) {
+    server = http.createServer(function (request, response) {
+      request.resume()
+      request.on('end', function () {
+        response.writeHead(204)
+        response.end()
+      })
+    })
+    server.on('connection', function (socket) {
+      connections.push(socket)
+      socket.on('close', function () {
+        connections.splice(connections.indexOf(socket), 1)
+      })
+    })
+    server.listen(0, '127.0.0.1', function () {
+      baseUrl = 'http://127.0.0.1:' + server.address().port
+      done()
+    })
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  beforeEach(function () {
+    connections = []
+    caFile = path.join(os.tmpdir(), 'streaming-client-test-ca-' +
+      process.pid + '.crt')
+    fs.writeFileSync(caFile, CA_CERT)
+    channel = new Channel(baseUrl, {
+      logger: null,
+      caFile: caFile,
+      tlsWatchInterval: 0.05,
+      keepAlive: true
+    })
+  })
+
+  afterEach(function () {
+    channel._tlsWatcher.close()
+    channel._request.close()
+    fs.unlinkSync(caFile)
+  })
+
+  it('closes the connections kept alive for the replaced client',
+    function (done) {
+      channel.produce({records: []}, function (error) {
+        expect(error).to.equal(null)
+        expect(connections.length).to.equal(1)
+        var previousRequest = channel._request
+        channel.on('tlsReloaded', function () {
+          expect(channel._request).to.not.equal(previousRequest)
+          setTimeout(function () {
+            expect(connections.length).to.equal(0)
+            // Requests made after the reload use the new client
+            channel.produce({records: []}, function (error) {
+              expect(error).to.equal(null)
+              expect(connections.length).to.equal(1)
+              done()
+            })
+          }, 50)
+        })
+        fs.appendFileSync(caFile, '\n')
+      })
+    })
+})
@@ -0,0 +1,62 @@
+'use strict'
+
+var expect = require('chai').expect
+var Channel = require('../../lib/channel')
+var MockTransport = require('../mock-transport')
+
+describe('Channel transport option', function () {
+  var transport = null
+  var channel = null
+
+  beforeEach(function () {
+    transport = new MockTransport()
+    channel = new Channel('http://streaming-service', {
+      consumerGroup: 'group',
+      logger: null,
+      transport: transport
+    })
+  })
+
+  it('sends the requests for the channel through the transport',
+    function () {
+      return channel.subscribe('topic1').then(function () {
+        var request = transport.requests[0]
+        expect(request.method).to.equal('POST')
+        expect(request.path).to.equal(
+          '/databus/consumer-service/v1/consumers')
+        expect(request.headers['Content-Type']).to.equal('application/json')
+        expect(request.body).to.deep.include({consumerGroup: 'group'})
+        expect(transport.requestsTo(/\/subscription$/).length).to.equal(1)
+      })
+    })
+
+  it('returns cookies set by the service with later requests', function () {
+    transport.handle('POST', /\/consumers$/, function () {
+      return {
+        statusCode: 200,
+        headers: {'set-cookie': ['route=server1; Path=/databus']},
+        body: {consumerInstanceId: 'consumer1'}
+      }
+    })
+    return channel.subscribe('topic1').then(function () {
+      return channel.produce({records: [
+        {routingData: {topic: 'topic1'}, message: {payload: ''}}
+      ]})
+    }).then(function () {
+      var cookies = transport.requests.map(function (request) {
+        return request.headers.Cookie
+      })
+      expect(cookies).to.deep.equal(
+        [undefined, 'route=server1', 'route=server1'])
+    })
+  })
+
+  it('rejects a transport without a request function', function () {
+    expect(function () {
+      return new Channel('http://streaming-service', {
+        consumerGroup: 'group',
+        transport: {}
+      })
+    }).to.throw(TypeError, 'transport must have a request function')
+  })
+})
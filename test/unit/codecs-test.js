@@ -0,0 +1,141 @@
+'use strict'
+
+var expect = require('chai').expect
+var Channel = require('../../lib/channel')
+var codecs = require('../../lib/codecs')
+var DecodeError = require('../../lib/decode-error')
+var PermanentError = require('../../lib/permanent-error')
+var MockTransport = require('../mock-transport')
+
+var record = MockTransport.record
+
+describe('Codecs', function () {
+  describe('string', function () {
+    var codec = codecs.get('string')
+
+    it('encodes strings, buffers, and other values', function () {
+      expect(codec.encode('héllo').toString()).to.equal('héllo')
+      expect(codec.encode(Buffer.from('raw')).toString()).to.equal('raw')
+      expect(codec.encode({a: 1}).toString()).to.equal('{"a":1}')
+    })
+
+    it('decodes payloads as UTF-8 strings', function () {
+      expect(codec.decode(Buffer.from('héllo'))).to.equal('héllo')
+    })
+  })
+
+  describe('buffer', function () {
+    var codec = codecs.get('buffer')
+
+    it('delivers payloads as buffers', function () {
+      var payload = Buffer.from([0, 1, 2])
+      expect(codec.decode(payload)).to.equal(payload)
+    })
+
+    it('rejects values which are not a buffer or string', function () {
+      expect(codec.encode('abc').toString()).to.equal('abc')
+      expect(function () {
+        codec.encode({a: 1})
+      }).to.throw(TypeError, 'Value must be a Buffer or string')
+    })
+  })
+
+  describe('json', function () {
+    var codec = codecs.get('json')
+
+    it('serializes and parses JSON', function () {
+      var payload = codec.encode({a: [1, 'two']})
+      expect(payload.toString()).to.equal('{"a":[1,"two"]}')
+      expect(codec.decode(payload)).to.deep.equal({a: [1, 'two']})
+    })
+  })
+
+  describe('.register', function () {
+    it('adds a codec which can be looked up by name', function () {
+      var upper = {
+        encode: function (value) {
+          return Buffer.from(String(value).toUpperCase())
+        },
+        decode: function (payload) {
+          return payload.toString().toLowerCase()
+        }
+      }
+      codecs.register('test-upper', upper)
+      expect(codecs.get('test-upper')).to.equal(upper)
+    })
+
+    it('rejects an object without encode and decode functions', function () {
+      expect(function () {
+        codecs.register('test-invalid', {encode: function () {}})
+      }).to.throw(PermanentError,
+        'Codec must have encode and decode functions')
+      expect(function () {
+        codecs.register('', codecs.get('json'))
+      }).to.throw(PermanentError, 'Value must be specified for name')
+    })
+  })
+
+  describe('.get', function () {
+    it('returns a codec object supplied in place of a name', function () {
+      var codec = {encode: function () {}, decode: function () {}}
+      expect(codecs.get(codec)).to.equal(codec)
+    })
+
+    it('rejects an unknown codec name', function () {
+      expect(function () {
+        codecs.get('avro')
+      }).to.throw(PermanentError, "Unknown codec 'avro'")
+    })
+  })
+
+  describe('configured for a channel', function () {
+    var transport = null
+    var channel = null
+
+    beforeEach(function () {
+      transport = new MockTransport()
+      channel = new Channel('http://streaming-service', {
+        consumerGroup: 'group',
+        logger: null,
+        transport: transport,
+        codec: 'json'
+      })
+    })
+
+    it('decodes consumed payloads', function () {
+      transport.batches.push([
+        record('topic1', 0, 10, '{"id":1}'),
+        record('topic1', 0, 11, 'not json'),
+        record('topic1', 0, 12, '{"id":3}')
+      ])
+      return channel.subscribe('topic1').then(function () {
+        return channel.consume()
+      }).then(function (payloads) {
+        expect(payloads[0]).to.deep.equal({id: 1})
+        expect(payloads[1]).to.be.an.instanceof(DecodeError)
+        expect(payloads[1].record.offset).to.equal(11)
+        expect(payloads[1].record.payload.toString()).to.equal('not json')
+        expect(payloads[1].cause).to.be.an.instanceof(SyntaxError)
+        expect(payloads[2]).to.deep.equal({id: 3})
+      })
+    })
+
+    it('encodes sent values', function () {
+      return channel.send('topic1', {id: 1}).then(function () {
+        var payload = transport.produced[0].records[0].message.payload
+        expect(Buffer.from(payload, 'base64').toString()).to.equal('{"id":1}')
+      })
+    })
+
+    it('rejects a value which cannot be encoded', function () {
+      channel = new Channel('http://streaming-service', {
+        logger: null,
+        transport: transport,
+        codec: 'buffer'
+      })
+      expect(function () {
+        channel.send('topic1', 42)
+      }).to.throw(PermanentError, 'Unable to encode value')
+    })
+  })
+})
@@ -0,0 +1,182 @@
+'use strict'
+
+var expect = require('chai').expect
+var Channel = require('../../lib/channel')
+var MockTransport = require('../mock-transport')
+
+var record = MockTransport.record
+
+function sleep (milliseconds) {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, milliseconds)
+  })
+}
+
+describe('Channel run concurrency', function () {
+  var transport = null
+  var channel = null
+
+  beforeEach(function () {
+    transport = new MockTransport()
+    channel = new Channel('http://streaming-service', {
+      consumerGroup: 'group',
+      logger: null,
+      transport: transport
+    })
+  })
+
+  /**
+   * Run the channel with per-record processing until a number of records
+   * have been processed.
+   * @param {Number} count - Number of records to process before stopping.
+   * @param {Function} process - Function invoked with each payload, which
+   *   returns a promise settled once the payload has been processed.
+   * @param {Object} options - Options for the run.
+   * @returns {Promise} A promise resolved when the run has completed.
+   */
+  function runFor (count, process, options) {
+    var processed = 0
+    options.topics = 'topic1'
+    options.waitBetweenQueries = 0.01
+    return channel.run(function (payload) {
+      return process(payload).then(function () {
+        processed++
+        if (processed === count) {
+          channel.stop()
+        }
+      })
+    }, options)
+  }
+
+  it('processes up to the configured number of records at a time',
+    function () {
+      transport.batches.push([0, 1, 2, 3, 4, 5].map(function (offset) {
+        return record('topic1', offset % 2, offset, String(offset))
+      }))
+      var active = 0
+      var maxActive = 0
+      var processed = []
+      return runFor(6, function (payload) {
+        active++
+        maxActive = Math.max(maxActive, active)
+        return sleep(payload === '0' ? 40 : 10).then(function () {
+          active--
+          processed.push(payload)
+        })
+      }, {concurrency: 3}).then(function () {
+        expect(maxActive).to.equal(3)
+        expect(processed.sort()).to.deep.equal(['0', '1', '2', '3', '4', '5'])
+        var committed = {}
+        transport.commits.forEach(function (offsets) {
+          offsets.forEach(function (offset) {
+            committed[offset.partition] = offset.offset
+          })
+        })
+        expect(committed).to.deep.equal({0: 4, 1: 5})
+      })
+    })
+
+  it('commits only the contiguous processed records', function () {
+    transport.batches.push([
+      record('topic1', 0, 10, 'slow'),
+      record('topic1', 0, 11, 'fast')
+    ])
+    var committedWhileSlow = null
+    return runFor(2, function (payload) {
+      if (payload === 'fast') {
+        return Promise.resolve()
+      }
+      return sleep(60).then(function () {
+        committedWhileSlow = transport.commits.slice()
+      })
+    }, {concurrency: 2, adaptivePolling: {minWait: 0.01}}).then(function () {
+      // No offset can be committed while the earliest record is processing
+      committedWhileSlow.forEach(function (offsets) {
+        expect(offsets).to.deep.equal([])
+      })
+      var last = transport.commits[transport.commits.length - 1]
+      expect(last).to.deep.equal([{topic: 'topic1', partition: 0, offset: 11}])
+    })
+  })
+
+  it('processes the records of a partition in order', function () {
+    transport.batches.push([
+      record('topic1', 0, 1, 'p0-1'),
+      record('topic1', 1, 1, 'p1-1'),
+      record('topic1', 0, 2, 'p0-2'),
+      record('topic1', 1, 2, 'p1-2'),
+      record('topic1', 0, 3, 'p0-3')
+    ])
+    var events = []
+    return runFor(5, function (payload) {
+      events.push('start ' + payload)
+      // Earlier records take longer, so they would finish last if records
+      // from the same partition were processed in parallel
+      var delay = payload === 'p0-1' ? 30 : 5
+      return sleep(delay).then(function () {
+        events.push('end ' + payload)
+      })
+    }, {concurrency: 4, orderBy: 'partition'}).then(function () {
+      var partition0 = events.filter(function (event) {
+        return event.indexOf('p0-') >= 0
+      })
+      expect(partition0).to.deep.equal([
+        'start p0-1', 'end p0-1',
+        'start p0-2', 'end p0-2',
+        'start p0-3', 'end p0-3'
+      ])
+      expect(events.indexOf('start p1-1')).to.be.below(
+        events.indexOf('end p0-1'))
+    })
+  })
+
+  it('processes the records with a sharding key in order', function () {
+    transport.batches.push([
+      record('topic1', 0, 1, 'a1', {shardingKey: 'a'}),
+      record('topic1', 1, 1, 'a2', {shardingKey: 'a'}),
+      record('topic1', 2, 1, 'b1', {shardingKey: 'b'})
+    ])
+    var events = []
+    return runFor(3, function (payload) {
+      events.push('start ' + payload)
+      return sleep(payload === 'a1' ? 30 : 5).then(function () {
+        events.push('end ' + payload)
+      })
+    }, {concurrency: 3, orderBy: 'shardingKey'}).then(function () {
+      expect(events.indexOf('start a2')).to.be.above(events.indexOf('end a1'))
+      expect(events.indexOf('start b1')).to.be.below(events.indexOf('end a1'))
+    })
+  })
+
+  it('completes the run with a processing error', function () {
+    transport.batches.push([
+      record('topic1', 0, 1, 'good'),
+      record('topic1', 0, 2, 'bad')
+    ])
+    var failure = new Error('Unable to process')
+    return channel.run(function (payload, callback) {
+      setTimeout(function () {
+        callback(payload === 'bad' ? failure : null)
+      }, 5)
+    }, {topics: 'topic1', concurrency: 2}).then(function () {
+      throw new Error('Expected the run to fail')
+    }, function (error) {
+      expect(error).to.equal(failure)
+      transport.commits.forEach(function (offsets) {
+        offsets.forEach(function (offset) {
+          expect(offset.offset).to.not.equal(2)
+        })
+      })
+    })
+  })
+
+  it('rejects invalid options', function () {
+    expect(function () {
+      channel.run(function () {}, {topics: 'topic1', concurrency: 1.5})
+    }).to.throw(TypeError)
+    expect(function () {
+      channel.run(function () {},
+        {topics: 'topic1', concurrency: 2, orderBy: 'topic'})
+    }).to.throw(Error, 'orderBy')
+  })
+})
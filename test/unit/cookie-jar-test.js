@@ -0,0 +1,66 @@
+'use strict'
+
+var expect = require('chai').expect
+var CookieJar = require('../../lib/cookie-jar')
+
+describe('CookieJar', function () {
+  var jar = null
+
+  beforeEach(function () {
+    jar = new CookieJar()
+  })
+
+  it('returns a cookie for requests to the host which set it', function () {
+    jar.setCookies('route=server1', 'http://service/databus/consumers')
+    expect(jar.getCookieString('http://service/databus/records')).to.equal(
+      'route=server1')
+    expect(jar.getCookieString('http://other/databus/records')).to.equal('')
+    expect(jar.getCookieString('http://sub.service/databus')).to.equal('')
+  })
+
+  it('returns a domain cookie for requests to its subdomains', function () {
+    jar.setCookies(['route=server1; Domain=.example.com; Path=/'],
+      'http://streaming.example.com/login')
+    expect(jar.getCookieString('http://example.com/')).to.equal(
+      'route=server1')
+    expect(jar.getCookieString('http://other.example.com/records')).to.equal(
+      'route=server1')
+    expect(jar.getCookieString('http://example.org/')).to.equal('')
+  })
+
+  it('ignores a cookie for a domain which does not match the request',
+    function () {
+      jar.setCookies('route=server1; Domain=example.org',
+        'http://example.com/')
+      expect(jar.getCookieString('http://example.org/')).to.equal('')
+    })
+
+  it('matches the path of a cookie', function () {
+    jar.setCookies([
+      'general=1; Path=/databus',
+      'specific=2; Path=/databus/consumers'
+    ], 'http://service/')
+    expect(jar.getCookieString('http://service/databus/consumers/1'))
+      .to.equal('specific=2; general=1')
+    expect(jar.getCookieString('http://service/databus/produce')).to.equal(
+      'general=1')
+    expect(jar.getCookieString('http://service/databusextra')).to.equal('')
+  })
+
+  it('returns a secure cookie only for https requests', function () {
+    jar.setCookies('route=server1; Secure', 'https://service/')
+    expect(jar.getCookieString('http://service/')).to.equal('')
+    expect(jar.getCookieString('https://service/')).to.equal('route=server1')
+  })
+
+  it('replaces and removes cookies', function () {
+    jar.setCookies('route=server1; Path=/', 'http://service/')
+    jar.setCookies('route=server2; Path=/', 'http://service/')
+    expect(jar.getCookieString('http://service/')).to.equal('route=server2')
+    jar.setCookies('route=gone; Path=/; Max-Age=0', 'http://service/')
+    expect(jar.getCookieString('http://service/')).to.equal('')
+    jar.setCookies('session=1; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT',
+      'http://service/')
+    expect(jar.getCookieString('http://service/')).to.equal('')
+  })
+})
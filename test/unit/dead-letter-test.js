@@ -0,0 +1,197 @@
+'use strict'
+
+var expect = require('chai').expect
+var Buffer = require('safe-buffer').Buffer
+var Channel = require('../../lib/channel')
+var Metrics = require('../../lib/metrics')
+var PermanentError = require('../../lib/permanent-error')
+var MockTransport = require('../mock-transport')
+
+var record = MockTransport.record
+
+describe('Channel dead-lettering', function () {
+  var transport = null
+  var channel = null
+
+  beforeEach(function () {
+    transport = new MockTransport()
+    channel = new Channel('http://streaming-service', {
+      consumerGroup: 'group',
+      logger: null,
+      transport: transport,
+      retryOnFail: false,
+      metrics: new Metrics()
+    })
+  })
+
+  /**
+   * Returns the offsets committed for each partition of a topic, keyed by
+   * partition, as of the last commit which included the partition.
+   * @returns {Object} The offsets.
+   */
+  function committedOffsets () {
+    var committed = {}
+    transport.commits.forEach(function (offsets) {
+      offsets.forEach(function (offset) {
+        committed[offset.partition] = offset.offset
+      })
+    })
+    return committed
+  }
+
+  it('produces a record which repeatedly fails to the dead-letter topic',
+    function () {
+      transport.batches.push([
+        record('topic1', 0, 1, 'good'),
+        record('topic1', 0, 2, 'bad', {
+          shardingKey: 'key',
+          headers: {source: 'test'}
+        })
+      ])
+      transport.batches.push([record('topic1', 0, 3, 'after')])
+      var attempts = []
+      var events = []
+      channel.on('deadLetter', function (event) {
+        events.push(event)
+      })
+      return channel.run(function (payloads) {
+        attempts.push(payloads)
+        if (payloads.indexOf('bad') >= 0) {
+          throw new PermanentError('Unable to process')
+        }
+        if (payloads.indexOf('after') >= 0) {
+          channel.stop()
+        }
+        return true
+      }, {
+        topics: 'topic1',
+        waitBetweenQueries: 0.01,
+        deadLetter: {topic: 'topic1-dead', maxAttempts: 2}
+      }).then(function () {
+        // The batch fails as a whole, so each record is then processed on
+        // its own
+        expect(attempts).to.deep.equal([
+          ['good', 'bad'], ['good'], ['bad'], ['bad'], ['after']
+        ])
+        expect(transport.produced.length).to.equal(1)
+        var produced = transport.produced[0].records[0]
+        expect(produced.routingData).to.deep.equal(
+          {topic: 'topic1-dead', shardingKey: 'key'})
+        expect(produced.message.headers).to.deep.equal({
+          'source': 'test',
+          'dead-letter-topic': 'topic1',
+          'dead-letter-partition': '0',
+          'dead-letter-offset': '2',
+          'dead-letter-error': 'PermanentError',
+          'dead-letter-error-message': 'Unable to process',
+          'dead-letter-attempts': '2'
+        })
+        expect(Buffer.from(produced.message.payload, 'base64').toString())
+          .to.equal('bad')
+        expect(events.length).to.equal(1)
+        expect(events[0].record.offset).to.equal(2)
+        expect(events[0].error.message).to.equal('Unable to process')
+        expect(events[0].attempts).to.equal(2)
+        expect(events[0].topic).to.equal('topic1-dead')
+        expect(committedOffsets()).to.deep.equal({0: 2})
+        var deadLettered = channel.getMetrics().toJSON()
+          .dxlstreaming_records_dead_lettered_total
+        expect(deadLettered.values).to.deep.equal([
+          {labels: {topic: 'topic1'}, value: 1}
+        ])
+      })
+    })
+
+  it('dead-letters records which fail during concurrent processing',
+    function () {
+      transport.batches.push([
+        record('topic1', 0, 1, 'bad'),
+        record('topic1', 1, 1, 'good')
+      ])
+      transport.batches.push([record('topic1', 0, 2, 'after')])
+      var attempts = {}
+      return channel.run(function (payload, callback) {
+        attempts[payload] = (attempts[payload] || 0) + 1
+        if (payload === 'after') {
+          channel.stop()
+        }
+        setImmediate(function () {
+          callback(payload === 'bad' ? new Error('Unable to process') : null)
+        })
+      }, {
+        topics: 'topic1',
+        waitBetweenQueries: 0.01,
+        concurrency: 2,
+        deadLetter: {topic: 'topic1-dead'}
+      }).then(function () {
+        expect(attempts).to.deep.equal({bad: 3, good: 1, after: 1})
+        expect(transport.produced.length).to.equal(1)
+        var headers = transport.produced[0].records[0].message.headers
+        expect(headers['dead-letter-attempts']).to.equal('3')
+        expect(committedOffsets()).to.deep.equal({0: 2, 1: 1})
+      })
+    })
+
+  it('abandons a record awaiting a retry when the run is stopped',
+    function () {
+      transport.batches.push([record('topic1', 0, 1, 'bad')])
+      var attempts = 0
+      var started = Date.now()
+      return channel.run(function () {
+        attempts++
+        setTimeout(function () {
+          channel.stop()
+        }, 10)
+        throw new Error('Unable to process')
+      }, {
+        topics: 'topic1',
+        waitBetweenQueries: 0.01,
+        deadLetter: {topic: 'topic1-dead', maxAttempts: 3, retryDelay: 30}
+      }).then(function () {
+        expect(Date.now() - started).to.be.below(1000)
+        // One attempt for the batch and one for the record on its own
+        expect(attempts).to.equal(2)
+        expect(transport.produced).to.deep.equal([])
+        expect(committedOffsets()).to.deep.equal({})
+      })
+    })
+
+  it('fails the run if a record cannot be dead-lettered', function () {
+    transport.batches.push([record('topic1', 0, 1, 'bad')])
+    transport.handle('POST', /\/produce$/, function () {
+      return {statusCode: 500, body: {}}
+    })
+    var events = 0
+    channel.on('deadLetter', function () {
+      events++
+    })
+    return channel.run(function () {
+      throw new Error('Unable to process')
+    }, {
+      topics: 'topic1',
+      waitBetweenQueries: 0.01,
+      deadLetter: {topic: 'topic1-dead', maxAttempts: 1}
+    }).then(function () {
+      throw new Error('Expected the run to fail')
+    }, function (error) {
+      expect(error.statusCode).to.equal(500)
+      expect(events).to.equal(0)
+      expect(committedOffsets()).to.deep.equal({})
+    })
+  })
+
+  it('rejects invalid settings', function () {
+    expect(function () {
+      channel.run(function () {}, {topics: 'topic1', deadLetter: {topic: ''}})
+    }).to.throw(PermanentError,
+      'Value for deadLetter topic must be a non-empty string')
+    expect(function () {
+      channel.run(function () {},
+        {topics: 'topic1', deadLetter: {topic: 'dead', maxAttempts: 0}})
+    }).to.throw(TypeError, 'maxAttempts must be a positive integer')
+    expect(function () {
+      channel.run(function () {},
+        {topics: 'topic1', deadLetter: {topic: 'dead', retryDelay: -1}})
+    }).to.throw(TypeError, 'retryDelay must be a non-negative number')
+  })
+})
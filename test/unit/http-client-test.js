@@ -0,0 +1,158 @@
+'use strict'
+
+var http = require('http')
+var expect = require('chai').expect
+var CookieJar = require('../../lib/cookie-jar')
+var HttpClient = require('../../lib/http-client')
+
+describe('HttpClient', function () {
+  var server = null
+  var baseUrl = null
+  var requests = []
+  var handler = null
+
+  before(function (done) {
+    server = http.createServer(function (request, response) {
+      var chunks = []
+      request.on('data', function (chunk) {
+        chunks.push(chunk)
+      })
+      request.on('end', function () {
+        var received = {
+          method: request.method,
+          url: request.url,
+          headers: request.headers,
+          body: Buffer.concat(chunks).toString()
+        }
+        requests.push(received)
+        handler(received, response)
+      })
+    })
+    server.listen(0, '127.0.0.1', function () {
+      baseUrl = 'http://127.0.0.1:' + server.address().port
+      done()
+    })
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  beforeEach(function () {
+    requests = []
+    handler = function (request, response) {
+      response.writeHead(204)
+      response.end()
+    }
+  })
+
+  it('returns cookies set by a response with subsequent requests',
+    function (done) {
+      handler = function (request, response) {
+        response.writeHead(200, {'Set-Cookie': 'route=server1; Path=/'})
+        response.end()
+      }
+      var client = new HttpClient({baseUrl: baseUrl, jar: new CookieJar()})
+      client.get({uri: '/consumers'}, function (firstError) {
+        expect(firstError).to.equal(null)
+        client.post({uri: '/consumers/1/offsets'}, function (secondError) {
+          expect(secondError).to.equal(null)
+          expect(requests[0].headers.cookie).to.equal(undefined)
+          expect(requests[1].headers.cookie).to.equal('route=server1')
+          done()
+        })
+      })
+    })
+
+  it('sends and parses JSON content', function (done) {
+    handler = function (request, response) {
+      response.writeHead(200, {'Content-Type': 'application/json'})
+      response.end(JSON.stringify({received: JSON.parse(request.body)}))
+    }
+    var client = new HttpClient({baseUrl: baseUrl})
+    client.post({uri: '/records', json: true, body: {records: [1, 2]}},
+      function (error, response, body) {
+        expect(error).to.equal(null)
+        expect(requests[0].headers['content-type']).to.equal(
+          'application/json')
+        expect(requests[0].headers.accept).to.equal('application/json')
+        expect(response.statusCode).to.equal(200)
+        expect(body).to.deep.equal({received: {records: [1, 2]}})
+        expect(response.body).to.deep.equal(body)
+        done()
+      })
+  })
+
+  it('leaves a response body which is not valid JSON as a string',
+    function (done) {
+      handler = function (request, response) {
+        response.writeHead(200)
+        response.end('not json')
+      }
+      var client = new HttpClient({baseUrl: baseUrl})
+      client.get({uri: '/records', json: true}, function (error, response) {
+        expect(error).to.equal(null)
+        expect(response.body).to.equal('not json')
+        done()
+      })
+    })
+
+  it('delivers a non-2xx response without an error', function (done) {
+    handler = function (request, response) {
+      response.writeHead(503, {'Content-Type': 'application/json'})
+      response.end(JSON.stringify({message: 'Unavailable'}))
+    }
+    var client = new HttpClient({baseUrl: baseUrl})
+    client.delete({uri: '/consumers/1', json: true},
+      function (error, response) {
+        expect(error).to.equal(null)
+        expect(requests[0].method).to.equal('DELETE')
+        expect(response.statusCode).to.equal(503)
+        expect(response.body).to.deep.equal({message: 'Unavailable'})
+        done()
+      })
+  })
+
+  it('appends query string parameters to the URL', function (done) {
+    var client = new HttpClient({baseUrl: baseUrl})
+    client.get({uri: '/consumers/1/offsets', qs: {partition: ['a:0', 'b:1']}},
+      function (error) {
+        expect(error).to.equal(null)
+        expect(requests[0].url).to.equal(
+          '/consumers/1/offsets?partition=a%3A0&partition=b%3A1')
+        done()
+      })
+  })
+
+  it('sends form content and basic authentication', function (done) {
+    var client = new HttpClient({baseUrl: baseUrl})
+    client.post({
+      uri: '/login',
+      form: {grant_type: 'client_credentials'},
+      auth: {user: 'me', password: 'secret'}
+    }, function (error) {
+      expect(error).to.equal(null)
+      expect(requests[0].headers['content-type']).to.equal(
+        'application/x-www-form-urlencoded')
+      expect(requests[0].headers.authorization).to.equal(
+        'Basic ' + Buffer.from('me:secret').toString('base64'))
+      expect(requests[0].body).to.equal('grant_type=client_credentials')
+      done()
+    })
+  })
+
+  it('delivers an error if no response is received', function (done) {
+    var closed = http.createServer()
+    closed.listen(0, '127.0.0.1', function () {
+      var closedUrl = 'http://127.0.0.1:' + closed.address().port
+      closed.close(function () {
+        var client = new HttpClient({baseUrl: closedUrl})
+        client.get({uri: '/consumers'}, function (error, response) {
+          expect(error).to.be.an.instanceof(Error)
+          expect(response).to.equal(null)
+          done()
+        })
+      })
+    })
+  })
+})
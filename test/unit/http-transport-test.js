@@ -0,0 +1,92 @@
+'use strict'
+
+var http = require('http')
+var expect = require('chai').expect
+var HttpTransport = require('../../lib/http-transport')
+
+describe('HttpTransport', function () {
+  var server = null
+  var baseUrl = null
+  var connections = null
+  var delay = 0
+
+  before(function (done) {
+    server = http.createServer(function (request, response) {
+      request.resume()
+      setTimeout(function () {
+        response.writeHead(200)
+        response.end('ok')
+      }, delay)
+    })
+    server.on('connection', function (socket) {
+      connections.push(socket)
+      socket.on('close', function () {
+        connections.splice(connections.indexOf(socket), 1)
+      })
+    })
+    server.listen(0, '127.0.0.1', function () {
+      baseUrl = 'http://127.0.0.1:' + server.address().port
+      done()
+    })
+  })
+
+  after(function (done) {
+    server.close(done)
+  })
+
+  beforeEach(function () {
+    connections = []
+    delay = 0
+  })
+
+  describe('#close', function () {
+    it('closes the connections kept alive by the transport',
+      function (done) {
+        var transport = new HttpTransport({keepAlive: true})
+        transport.request({method: 'GET', url: baseUrl + '/', headers: {}},
+          function (error, response) {
+            expect(error).to.equal(null)
+            expect(response.body.toString()).to.equal('ok')
+            setTimeout(function () {
+              expect(connections.length).to.equal(1)
+              transport.close()
+              setTimeout(function () {
+                expect(connections.length).to.equal(0)
+                done()
+              }, 50)
+            }, 50)
+          })
+      })
+
+    it('waits for the requests in progress to complete', function (done) {
+      delay = 50
+      var transport = new HttpTransport({keepAlive: true})
+      transport.request({method: 'GET', url: baseUrl + '/', headers: {}},
+        function (error, response) {
+          expect(error).to.equal(null)
+          expect(response.statusCode).to.equal(200)
+          setTimeout(function () {
+            expect(connections.length).to.equal(0)
+            done()
+          }, 50)
+        })
+      transport.close()
+    })
+
+    it('does not destroy an agent supplied to the transport',
+      function (done) {
+        var agent = new http.Agent({keepAlive: true})
+        var transport = new HttpTransport({agent: agent})
+        transport.request({method: 'GET', url: baseUrl + '/', headers: {}},
+          function (error) {
+            expect(error).to.equal(null)
+            transport.close()
+            setTimeout(function () {
+              expect(connections.length).to.equal(1)
+              agent.destroy()
+              done()
+            }, 50)
+          })
+      })
+  })
+})
@@ -0,0 +1,109 @@
+'use strict'
+
+var expect = require('chai').expect
+var Channel = require('../../lib/channel')
+var PermanentError = require('../../lib/permanent-error')
+var MockTransport = require('../mock-transport')
+
+var record = MockTransport.record
+
+describe('Channel manual acknowledgement', function () {
+  var transport = null
+  var channel = null
+
+  beforeEach(function () {
+    transport = new MockTransport()
+    channel = new Channel('http://streaming-service', {
+      consumerGroup: 'group',
+      logger: null,
+      transport: transport,
+      ackMode: 'manual'
+    })
+  })
+
+  /**
+   * Subscribe the channel to a topic and consume the first batch of records.
+   * @returns {Promise} A promise resolved with the consumed records.
+   */
+  function subscribeAndConsume () {
+    return channel.subscribe('topic1').then(function () {
+      return channel.consume()
+    })
+  }
+
+  it('commits the offsets of the contiguous acknowledged records',
+    function () {
+      transport.batches.push([
+        record('topic1', 0, 10, 'a'),
+        record('topic1', 0, 11, 'b'),
+        record('topic1', 0, 12, 'c'),
+        record('topic1', 1, 20, 'd')
+      ])
+      var records = null
+      return subscribeAndConsume().then(function (consumed) {
+        records = consumed
+        records[0].ack()
+        records[2].ack()
+        records[3].ack()
+        return channel.commit()
+      }).then(function () {
+        expect(transport.commits).to.deep.equal([[
+          {topic: 'topic1', partition: 0, offset: 10},
+          {topic: 'topic1', partition: 1, offset: 20}
+        ]])
+        records[1].ack()
+        return channel.commit()
+      }).then(function () {
+        expect(transport.commits[1]).to.deep.equal([
+          {topic: 'topic1', partition: 0, offset: 12}
+        ])
+      })
+    })
+
+  it('does not make a commit request if no records are acknowledged',
+    function () {
+      transport.batches.push([record('topic1', 0, 10, 'a')])
+      return subscribeAndConsume().then(function () {
+        return channel.commit()
+      }).then(function () {
+        expect(transport.requestsTo(/\/offsets$/)).to.deep.equal([])
+      })
+    })
+
+  it('redelivers a negatively acknowledged record with the next batch',
+    function () {
+      transport.batches.push([
+        record('topic1', 0, 10, 'a'),
+        record('topic1', 0, 11, 'b')
+      ])
+      transport.batches.push([record('topic1', 0, 12, 'c')])
+      return subscribeAndConsume().then(function (records) {
+        records[0].nack()
+        records[1].ack()
+        // Later calls for a record which has been settled are ignored
+        records[0].ack()
+        return channel.consume()
+      }).then(function (records) {
+        expect(records.map(function (consumed) {
+          return [consumed.offset, consumed.deliveryCount]
+        })).to.deep.equal([[10, 2], [12, 1]])
+        records[0].ack()
+        return channel.commit()
+      }).then(function () {
+        expect(transport.commits).to.deep.equal([[
+          {topic: 'topic1', partition: 0, offset: 11}
+        ]])
+      })
+    })
+
+  it('requires records to be delivered as Record objects', function () {
+    expect(function () {
+      return new Channel('http://streaming-service', {
+        logger: null,
+        ackMode: 'manual',
+        recordFormat: 'payload'
+      })
+    }).to.throw(PermanentError,
+      "Value for 'recordFormat' must be 'record' when 'ackMode'")
+  })
+})
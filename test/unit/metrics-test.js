@@ -0,0 +1,148 @@
+'use strict'
+
+var expect = require('chai').expect
+var Channel = require('../../lib/channel')
+var Metrics = require('../../lib/metrics')
+var PermanentError = require('../../lib/permanent-error')
+var MockTransport = require('../mock-transport')
+
+var record = MockTransport.record
+
+/**
+ * Returns the values collected for a counter metric, keyed by the JSON
+ * representation of their labels.
+ * @param {Metrics} metrics - The metrics.
+ * @param {String} name - Name of the metric.
+ * @returns {Object} The values.
+ */
+function counterValues (metrics, name) {
+  var values = {}
+  var metric = metrics.toJSON()[name]
+  if (metric) {
+    metric.values.forEach(function (series) {
+      values[JSON.stringify(series.labels)] = series.value
+    })
+  }
+  return values
+}
+
+describe('Metrics', function () {
+  var transport = null
+  var channel = null
+  var metrics = null
+
+  beforeEach(function () {
+    transport = new MockTransport()
+    channel = new Channel('http://streaming-service', {
+      consumerGroup: 'group',
+      logger: null,
+      transport: transport,
+      metrics: new Metrics({buckets: [1, 0.1]})
+    })
+    metrics = channel.getMetrics()
+  })
+
+  it('counts the requests made and records consumed and produced',
+    function () {
+      transport.batches.push([
+        record('topic1', 0, 10, 'one'),
+        record('topic2', 0, 20, 'two'),
+        record('topic1', 0, 11, 'three')
+      ])
+      return channel.subscribe(['topic1', 'topic2']).then(function () {
+        return channel.consume()
+      }).then(function () {
+        return channel.consume()
+      }).then(function () {
+        return channel.commit()
+      }).then(function () {
+        return channel.produce({records: [
+          {routingData: {topic: 'topic3'}, message: {payload: ''}}
+        ]})
+      }).then(function () {
+        expect(counterValues(metrics, 'dxlstreaming_requests_total'))
+          .to.deep.equal({
+            '{"operation":"create","status":"200"}': 1,
+            '{"operation":"subscribe","status":"204"}': 1,
+            '{"operation":"consume","status":"200"}': 2,
+            '{"operation":"commit","status":"204"}': 1,
+            '{"operation":"produce","status":"204"}': 1
+          })
+        expect(counterValues(metrics, 'dxlstreaming_records_consumed_total'))
+          .to.deep.equal({'{"topic":"topic1"}': 2, '{"topic":"topic2"}': 1})
+        expect(counterValues(metrics, 'dxlstreaming_empty_polls_total'))
+          .to.deep.equal({'{}': 1})
+        expect(counterValues(metrics, 'dxlstreaming_offsets_committed_total'))
+          .to.deep.equal({'{}': 3})
+        expect(counterValues(metrics, 'dxlstreaming_records_produced_total'))
+          .to.deep.equal({'{"topic":"topic3"}': 1})
+        var durations = metrics.toJSON().dxlstreaming_request_duration_seconds
+        var consume = durations.values.filter(function (series) {
+          return series.labels.operation === 'consume'
+        })[0]
+        expect(consume.count).to.equal(2)
+        expect(consume.buckets).to.deep.equal({'0.1': 2, '1': 2})
+      })
+    })
+
+  it('counts retries and failures', function () {
+    channel = new Channel('http://streaming-service', {
+      consumerGroup: 'group',
+      logger: null,
+      transport: transport,
+      metrics: true,
+      retryPolicy: {maxAttempts: 2, minTimeout: 0.01, maxTimeout: 0.01}
+    })
+    transport.handle('POST', /\/consumers$/, function () {
+      return {statusCode: 503, body: {}}
+    })
+    return channel.create().then(function () {
+      throw new Error('Expected the create to fail')
+    }, function () {
+      metrics = channel.getMetrics()
+      expect(counterValues(metrics, 'dxlstreaming_requests_total'))
+        .to.deep.equal({'{"operation":"create","status":"503"}': 2})
+      expect(counterValues(metrics, 'dxlstreaming_retries_total'))
+        .to.deep.equal({'{"operation":"create"}': 1})
+      expect(counterValues(metrics, 'dxlstreaming_operation_failures_total'))
+        .to.deep.equal({'{"operation":"create"}': 1})
+    })
+  })
+
+  it('renders the metrics in the Prometheus text format', function () {
+    return channel.create().then(function () {
+      var lines = metrics.toPrometheus().split('\n')
+      expect(lines).to.include.members([
+        '# TYPE dxlstreaming_requests_total counter',
+        'dxlstreaming_requests_total{operation="create",status="200"} 1',
+        '# TYPE dxlstreaming_request_duration_seconds histogram',
+        'dxlstreaming_request_duration_seconds_bucket' +
+          '{operation="create",le="0.1"} 1',
+        'dxlstreaming_request_duration_seconds_bucket' +
+          '{operation="create",le="1"} 1',
+        'dxlstreaming_request_duration_seconds_bucket' +
+          '{operation="create",le="+Inf"} 1',
+        'dxlstreaming_request_duration_seconds_count{operation="create"} 1'
+      ])
+      expect(lines[lines.length - 1]).to.equal('')
+    })
+  })
+
+  it('discards the collected values on reset', function () {
+    return channel.create().then(function () {
+      metrics.reset()
+      expect(metrics.toJSON()).to.deep.equal({})
+      expect(metrics.toPrometheus()).to.equal('')
+    })
+  })
+
+  it('is not collected unless the metrics option is set', function () {
+    expect(new Channel('http://streaming-service', {logger: null})
+      .getMetrics()).to.equal(null)
+    expect(function () {
+      return new Channel('http://streaming-service',
+        {logger: null, metrics: {}})
+    }).to.throw(PermanentError,
+      "Value for 'metrics' must be a boolean or Metrics object")
+  })
+})
@@ -0,0 +1,136 @@
+'use strict'
+
+var expect = require('chai').expect
+var querystring = require('querystring')
+var Buffer = require('safe-buffer').Buffer
+var Channel = require('../../lib/channel')
+var OAuth2ClientCredentialsAuth =
+  require('../../lib/oauth2-client-credentials-auth')
+var PermanentAuthenticationError =
+  require('../../lib/permanent-authentication-error')
+var PermanentError = require('../../lib/permanent-error')
+var MockTransport = require('../mock-transport')
+
+var TOKEN_URL = 'https://auth-service/oauth2/token'
+
+describe('OAuth2ClientCredentialsAuth', function () {
+  var transport = null
+  var tokenResponses = null
+
+  beforeEach(function () {
+    transport = new MockTransport()
+    tokenResponses = [
+      {statusCode: 200, body: {access_token: 'token1', expires_in: 3600}}
+    ]
+    transport.handle('POST', /\/oauth2\/token$/, function () {
+      return tokenResponses.shift()
+    })
+  })
+
+  /**
+   * Create a channel which authenticates with the client credentials.
+   * @param {Object} [options] - Additional options for the authentication.
+   * @returns {Channel} The channel.
+   */
+  function createChannel (options) {
+    options = options || {}
+    options.logger = null
+    options.transport = transport
+    return new Channel('http://streaming-service', {
+      consumerGroup: 'group',
+      logger: null,
+      transport: transport,
+      auth: new OAuth2ClientCredentialsAuth(TOKEN_URL, 'client', 'secret',
+        options)
+    })
+  }
+
+  /**
+   * Produce a record to a topic.
+   * @param {Channel} channel - Channel through which to produce the record.
+   * @returns {Promise} A promise resolved once the record has been produced.
+   */
+  function produce (channel) {
+    return channel.produce({records: [
+      {routingData: {topic: 'topic1'}, message: {payload: ''}}
+    ]})
+  }
+
+  it('requests a token with the client credentials', function () {
+    var channel = createChannel({scope: ['events.read', 'events.write']})
+    return produce(channel).then(function () {
+      var tokenRequests = transport.requestsTo(/\/oauth2\/token$/)
+      expect(tokenRequests.length).to.equal(1)
+      expect(tokenRequests[0].headers.Authorization).to.equal(
+        'Basic ' + Buffer.from('client:secret').toString('base64'))
+      expect(querystring.parse(tokenRequests[0].body)).to.deep.equal({
+        grant_type: 'client_credentials',
+        scope: 'events.read events.write'
+      })
+      var produceRequest = transport.requestsTo(/\/produce$/)[0]
+      expect(produceRequest.headers.Authorization).to.equal('Bearer token1')
+      return produce(channel)
+    }).then(function () {
+      expect(transport.requestsTo(/\/oauth2\/token$/).length).to.equal(1)
+    })
+  })
+
+  it('supplies the client credentials in the body if configured',
+    function () {
+      var channel = createChannel({
+        clientAuthMethod: 'body',
+        params: {audience: 'streaming'}
+      })
+      return produce(channel).then(function () {
+        var tokenRequest = transport.requestsTo(/\/oauth2\/token$/)[0]
+        expect(tokenRequest.headers.Authorization).to.equal(undefined)
+        expect(querystring.parse(tokenRequest.body)).to.deep.equal({
+          grant_type: 'client_credentials',
+          audience: 'streaming',
+          client_id: 'client',
+          client_secret: 'secret'
+        })
+      })
+    })
+
+  it('requests a new token once the token has expired', function () {
+    tokenResponses = [
+      {statusCode: 200, body: {access_token: 'token1', expires_in: 0.05}},
+      {statusCode: 200, body: {access_token: 'token2', expires_in: 3600}}
+    ]
+    var channel = createChannel({refreshAhead: 0})
+    return produce(channel).then(function () {
+      return new Promise(function (resolve) {
+        setTimeout(resolve, 100)
+      })
+    }).then(function () {
+      return produce(channel)
+    }).then(function () {
+      var authorization = transport.requestsTo(/\/produce$/).map(
+        function (request) {
+          return request.headers.Authorization
+        })
+      expect(authorization).to.deep.equal(['Bearer token1', 'Bearer token2'])
+    })
+  })
+
+  it('fails requests if the client credentials are rejected', function () {
+    tokenResponses = [{statusCode: 400, body: {error: 'invalid_client'}}]
+    return produce(createChannel()).then(function () {
+      throw new Error('Expected the produce to fail')
+    }, function (error) {
+      expect(error).to.be.an.instanceof(PermanentAuthenticationError)
+      expect(error.statusCode).to.equal(400)
+    })
+  })
+
+  it('rejects invalid settings', function () {
+    expect(function () {
+      return new OAuth2ClientCredentialsAuth(TOKEN_URL, '', 'secret')
+    }).to.throw(PermanentError, 'Value must be specified for clientId')
+    expect(function () {
+      return new OAuth2ClientCredentialsAuth(TOKEN_URL, 'client', 'secret',
+        {clientAuthMethod: 'header', transport: transport})
+    }).to.throw(PermanentError, 'clientAuthMethod')
+  })
+})
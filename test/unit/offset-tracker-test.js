@@ -0,0 +1,108 @@
+'use strict'
+
+var expect = require('chai').expect
+var OffsetTracker = require('../../lib/offset-tracker')
+
+describe('OffsetTracker', function () {
+  var tracker = null
+
+  beforeEach(function () {
+    tracker = new OffsetTracker()
+  })
+
+  it('reports no offsets until a record is acknowledged', function () {
+    tracker.track('topic1', 0, 10)
+    expect(tracker.committable()).to.deep.equal([])
+  })
+
+  it('reports the last offset of the contiguous acknowledged records',
+    function () {
+      var first = tracker.track('topic1', 0, 10)
+      var second = tracker.track('topic1', 0, 11)
+      tracker.track('topic1', 0, 12)
+      var fourth = tracker.track('topic1', 0, 13)
+      tracker.ack(first)
+      tracker.ack(second)
+      tracker.ack(fourth)
+      expect(tracker.committable()).to.deep.equal([
+        {topic: 'topic1', partition: 0, offset: 11}
+      ])
+    })
+
+  it('does not report offsets past an unacknowledged record',
+    function () {
+      tracker.track('topic1', 0, 10)
+      tracker.ack(tracker.track('topic1', 0, 11))
+      expect(tracker.committable()).to.deep.equal([])
+    })
+
+  it('tracks records consumed out of order by offset', function () {
+    var later = tracker.track('topic1', 0, 12)
+    var earlier = tracker.track('topic1', 0, 11)
+    tracker.ack(later)
+    expect(tracker.committable()).to.deep.equal([])
+    tracker.ack(earlier)
+    expect(tracker.committable()).to.deep.equal([
+      {topic: 'topic1', partition: 0, offset: 12}
+    ])
+  })
+
+  it('returns the existing entry for a record which is tracked again',
+    function () {
+      var entry = tracker.track('topic1', 0, 10)
+      expect(tracker.track('topic1', 0, 10)).to.equal(entry)
+    })
+
+  it('reports the offsets for each topic partition separately', function () {
+    tracker.ack(tracker.track('topic1', 0, 10))
+    tracker.ack(tracker.track('topic1', 1, 20))
+    tracker.track('topic2', 0, 30)
+    expect(tracker.committable()).to.deep.equal([
+      {topic: 'topic1', partition: 0, offset: 10},
+      {topic: 'topic1', partition: 1, offset: 20}
+    ])
+  })
+
+  it('stops tracking the records covered by committed offsets', function () {
+    tracker.ack(tracker.track('topic1', 0, 10))
+    var next = tracker.track('topic1', 0, 11)
+    tracker.committed(tracker.committable())
+    expect(tracker.committable()).to.deep.equal([])
+    tracker.ack(next)
+    expect(tracker.committable()).to.deep.equal([
+      {topic: 'topic1', partition: 0, offset: 11}
+    ])
+  })
+
+  it('ignores acknowledgements for forgotten partitions', function () {
+    var forgotten = tracker.track('topic1', 0, 10)
+    var kept = tracker.track('topic1', 1, 20)
+    tracker.forget('topic1', 0)
+    expect(tracker.isCurrent(forgotten)).to.equal(false)
+    expect(tracker.isCurrent(kept)).to.equal(true)
+    tracker.ack(forgotten)
+    tracker.ack(kept)
+    expect(tracker.committable()).to.deep.equal([
+      {topic: 'topic1', partition: 1, offset: 20}
+    ])
+  })
+
+  it('forgets all partitions of a topic if no partition is supplied',
+    function () {
+      var first = tracker.track('topic1', 0, 10)
+      var second = tracker.track('topic1', 1, 20)
+      tracker.forget('topic1')
+      tracker.ack(first)
+      tracker.ack(second)
+      expect(tracker.committable()).to.deep.equal([])
+    })
+
+  it('ignores acknowledgements for records tracked before a reset',
+    function () {
+      var entry = tracker.track('topic1', 0, 10)
+      tracker.reset()
+      tracker.ack(entry)
+      expect(tracker.isCurrent(entry)).to.equal(false)
+      expect(tracker.committable()).to.deep.equal([])
+    })
+})
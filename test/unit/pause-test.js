@@ -0,0 +1,101 @@
+'use strict'
+
+var expect = require('chai').expect
+var Channel = require('../../lib/channel')
+var MockTransport = require('../mock-transport')
+
+var record = MockTransport.record
+
+describe('Channel pause and resume', function () {
+  var transport = null
+  var channel = null
+
+  beforeEach(function () {
+    transport = new MockTransport()
+    channel = new Channel('http://streaming-service', {
+      consumerGroup: 'group',
+      logger: null,
+      transport: transport,
+      retryOnFail: false
+    })
+    return channel.subscribe(['topic1', 'topic2'])
+  })
+
+  /**
+   * Returns the topics sent in each subscription request.
+   * @returns {Array<Array<String>>} The topics.
+   */
+  function subscribedTopics () {
+    return transport.requestsTo(/\/subscription$/).map(function (request) {
+      return request.body.topics
+    })
+  }
+
+  it('removes a paused topic from the subscription until it is resumed',
+    function () {
+      channel.pause('topic1')
+      expect(channel.paused()).to.deep.equal(['topic1'])
+      return channel.consume().then(function () {
+        expect(subscribedTopics()).to.deep.equal([
+          ['topic1', 'topic2'],
+          ['topic2']
+        ])
+        channel.resume('topic1')
+        expect(channel.paused()).to.deep.equal([])
+        return channel.consume()
+      }).then(function () {
+        expect(subscribedTopics()[2]).to.deep.equal(['topic1', 'topic2'])
+        expect(transport.requestsTo(/\/records$/).length).to.equal(2)
+      })
+    })
+
+  it('rewinds the position for records returned for a paused topic',
+    function () {
+      return channel.consume().then(function () {
+        channel.pause('topic1')
+        transport.batches.push([
+          record('topic1', 0, 6, 'late'),
+          record('topic1', 0, 5, 'paused'),
+          record('topic2', 0, 7, 'delivered')
+        ])
+        return channel.consume()
+      }).then(function (payloads) {
+        expect(payloads).to.deep.equal(['delivered'])
+        expect(transport.requestsTo(/\/positions$/)[0].body).to.deep.equal(
+          {offsets: [{topic: 'topic1', partition: 0, offset: 5}]})
+        expect(channel.position('topic1', 0)).to.equal(5)
+      })
+    })
+
+  it('holds back the records for a paused topic if it cannot rewind',
+    function () {
+      transport.handle('POST', /\/positions$/, function () {
+        return {statusCode: 500, body: {}}
+      })
+      return channel.consume().then(function () {
+        channel.pause('topic1')
+        transport.batches.push([
+          record('topic1', 0, 5, 'held'),
+          record('topic2', 0, 7, 'delivered')
+        ])
+        return channel.consume()
+      }).then(function (payloads) {
+        expect(payloads).to.deep.equal(['delivered'])
+        return channel.consume()
+      }).then(function (payloads) {
+        expect(payloads).to.deep.equal([])
+        channel.resume('topic1')
+        return channel.consume()
+      }).then(function (payloads) {
+        expect(payloads).to.deep.equal(['held'])
+      })
+    })
+
+  it('does not consume while every topic is paused', function () {
+    channel.pause(['topic1', 'topic2'])
+    return channel.consume().then(function (payloads) {
+      expect(payloads).to.deep.equal([])
+      expect(transport.requestsTo(/\/records$/)).to.deep.equal([])
+    })
+  })
+})
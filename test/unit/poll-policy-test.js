@@ -0,0 +1,98 @@
+'use strict'
+
+var expect = require('chai').expect
+var Channel = require('../../lib/channel')
+var PollPolicy = require('../../lib/poll-policy')
+var MockTransport = require('../mock-transport')
+
+var record = MockTransport.record
+
+describe('PollPolicy', function () {
+  it('waits for the fixed interval unless adaptive', function () {
+    var policy = new PollPolicy(30)
+    expect(policy.adaptive).to.equal(false)
+    policy.recordsConsumed(0)
+    expect(policy.wait()).to.equal(30)
+    policy.recordsConsumed(5)
+    expect(policy.wait()).to.equal(30)
+  })
+
+  it('backs off after empty polls up to the maximum wait', function () {
+    var policy = new PollPolicy(30, true)
+    expect(policy.wait()).to.equal(0)
+    var waits = []
+    for (var i = 0; i < 7; i++) {
+      policy.recordsConsumed(0)
+      waits.push(policy.wait())
+    }
+    expect(waits).to.deep.equal([1, 2, 4, 8, 16, 30, 30])
+    policy.recordsConsumed(1)
+    expect(policy.wait()).to.equal(0)
+  })
+
+  it('applies the adaptive settings', function () {
+    var policy = new PollPolicy(30, {minWait: 0.5, maxWait: 5, factor: 3})
+    var waits = []
+    for (var i = 0; i < 4; i++) {
+      policy.recordsConsumed(0)
+      waits.push(policy.wait())
+    }
+    expect(waits).to.deep.equal([0.5, 1.5, 4.5, 5])
+  })
+
+  it('rejects invalid settings', function () {
+    expect(function () {
+      return new PollPolicy(30, {minWait: -1})
+    }).to.throw(TypeError, 'minWait must be a number no less than 0')
+    expect(function () {
+      return new PollPolicy(30, {factor: 0.5})
+    }).to.throw(TypeError, 'factor must be a number no less than 1')
+  })
+
+  describe('configured for a run', function () {
+    var transport = null
+    var channel = null
+
+    beforeEach(function () {
+      transport = new MockTransport()
+      channel = new Channel('http://streaming-service', {
+        consumerGroup: 'group',
+        logger: null,
+        transport: transport,
+        longPollTimeout: 2
+      })
+    })
+
+    it('consumes again without waiting while records are returned',
+      function () {
+        transport.batches.push([record('topic1', 0, 1, 'a')])
+        transport.batches.push([record('topic1', 0, 2, 'b')])
+        transport.batches.push([record('topic1', 0, 3, 'c')])
+        var started = Date.now()
+        var processed = []
+        return channel.run(function (payloads) {
+          processed = processed.concat(payloads)
+          if (processed.length === 3) {
+            channel.stop()
+          }
+          return true
+        }, {
+          topics: 'topic1',
+          waitBetweenQueries: 10,
+          adaptivePolling: true
+        }).then(function () {
+          expect(processed).to.deep.equal(['a', 'b', 'c'])
+          expect(Date.now() - started).to.be.below(1000)
+        })
+      })
+
+    it('asks the service to hold consume requests open', function () {
+      return channel.subscribe('topic1').then(function () {
+        return channel.consume()
+      }).then(function () {
+        expect(transport.requestsTo(/\/records$/)[0].query).to.deep.equal(
+          {timeout: '2000'})
+      })
+    })
+  })
+})
@@ -0,0 +1,183 @@
+'use strict'
+
+var expect = require('chai').expect
+var Channel = require('../../lib/channel')
+var PermanentError = require('../../lib/permanent-error')
+var Producer = require('../../lib/producer')
+var MockTransport = require('../mock-transport')
+
+/**
+ * Returns the payloads, decoded as strings, of the records in each produce
+ * request made to the transport.
+ * @param {MockTransport} transport - The transport.
+ * @returns {Array<Array<String>>} The payloads.
+ */
+function producedPayloads (transport) {
+  return transport.produced.map(function (body) {
+    return body.records.map(function (record) {
+      return Buffer.from(record.message.payload, 'base64').toString()
+    })
+  })
+}
+
+describe('Producer', function () {
+  var transport = null
+  var channel = null
+
+  beforeEach(function () {
+    transport = new MockTransport()
+    channel = new Channel('http://streaming-service', {
+      logger: null,
+      transport: transport
+    })
+  })
+
+  it('produces each record separately if batching is not enabled',
+    function () {
+      var producer = new Producer(channel)
+      return Promise.all([
+        producer.send('topic1', 'one', {shardingKey: 'key1'}),
+        producer.send('topic1', 'two', {headers: {source: 'test'}})
+      ]).then(function () {
+        expect(producedPayloads(transport)).to.deep.equal([['one'], ['two']])
+        var records = transport.produced[1].records
+        expect(records[0].routingData).to.deep.equal(
+          {topic: 'topic1', shardingKey: ''})
+        expect(records[0].message.headers).to.deep.equal({source: 'test'})
+      })
+    })
+
+  it('produces a batch once it reaches the maximum number of records',
+    function () {
+      var producer = new Producer(channel,
+        {maxBatchRecords: 2, lingerMs: 10000})
+      return Promise.all([
+        producer.send('topic1', 'one'),
+        producer.send('topic1', 'two')
+      ]).then(function () {
+        expect(producedPayloads(transport)).to.deep.equal([['one', 'two']])
+      })
+    })
+
+  it('produces a batch before it exceeds the maximum number of bytes',
+    function () {
+      var size = Buffer.byteLength(JSON.stringify(
+        Producer.createRecord('topic1', 'one')))
+      var producer = new Producer(channel,
+        {maxBatchBytes: size + 1, lingerMs: 10000})
+      producer.send('topic1', 'one')
+      producer.send('topic1', 'two')
+      return producer.flush().then(function () {
+        expect(producedPayloads(transport)).to.deep.equal([['one'], ['two']])
+      })
+    })
+
+  it('produces a batch once the linger time has elapsed', function () {
+    var producer = new Producer(channel, {lingerMs: 20})
+    var sent = producer.send('topic1', 'one')
+    expect(transport.produced).to.deep.equal([])
+    return sent.then(function () {
+      expect(producedPayloads(transport)).to.deep.equal([['one']])
+    })
+  })
+
+  it('reports a failed produce to each sender in the batch', function () {
+    transport.handle('POST', /\/produce$/, function () {
+      return {statusCode: 400, body: {}}
+    })
+    var producer = new Producer(channel, {lingerMs: 10000})
+    var errors = []
+    var collect = function (error) {
+      errors.push(error)
+    }
+    producer.send('topic1', 'one', collect)
+    producer.send('topic1', 'two', collect)
+    return producer.flush().then(function () {
+      expect(errors.length).to.equal(2)
+      expect(errors[0].statusCode).to.equal(400)
+      expect(errors[1]).to.equal(errors[0])
+    })
+  })
+
+  describe('#flush', function () {
+    it('waits for the records sent before the flush to be produced',
+      function () {
+        transport.handle('POST', /\/produce$/, function (request) {
+          transport.produced.push(request.body)
+          return {statusCode: 204, delay: 20}
+        })
+        var producer = new Producer(channel, {lingerMs: 10000})
+        var delivered = []
+        producer.send('topic1', 'one', function () {
+          delivered.push('one')
+        })
+        return producer.flush().then(function () {
+          expect(delivered).to.deep.equal(['one'])
+        })
+      })
+
+    it('is not held up by records sent after the flush', function () {
+      transport.handle('POST', /\/produce$/, function (request) {
+        transport.produced.push(request.body)
+        return {statusCode: 204, delay: 20}
+      })
+      var producer = new Producer(channel, {maxBatchRecords: 1})
+      var sending = true
+      var sendMore = function () {
+        if (sending) {
+          producer.send('topic1', 'more', function () {})
+          setTimeout(sendMore, 5)
+        }
+      }
+      producer.send('topic1', 'one', function () {})
+      sendMore()
+      return producer.flush().then(function () {
+        sending = false
+        expect(producedPayloads(transport)[0]).to.deep.equal(['one'])
+      })
+    })
+
+    it('waits for records in flight if batching is not enabled',
+      function () {
+        transport.handle('POST', /\/produce$/, function (request) {
+          transport.produced.push(request.body)
+          return {statusCode: 204, delay: 20}
+        })
+        var producer = new Producer(channel)
+        var delivered = []
+        producer.send('topic1', 'one', function () {
+          delivered.push('one')
+        })
+        return producer.flush().then(function () {
+          expect(delivered).to.deep.equal(['one'])
+        })
+      })
+
+    it('completes immediately if no records are pending', function () {
+      return new Producer(channel, {lingerMs: 10}).flush()
+    })
+  })
+
+  describe('#close', function () {
+    it('produces the pending records and rejects further sends',
+      function () {
+        var producer = new Producer(channel, {lingerMs: 10000})
+        producer.send('topic1', 'one', function () {})
+        return producer.close().then(function () {
+          expect(producedPayloads(transport)).to.deep.equal([['one']])
+          expect(function () {
+            producer.send('topic1', 'two')
+          }).to.throw(PermanentError, 'Producer has been closed')
+        })
+      })
+  })
+
+  it('rejects invalid options', function () {
+    expect(function () {
+      return new Producer(channel, {lingerMs: -1})
+    }).to.throw(TypeError, 'lingerMs must be a non-negative number')
+    expect(function () {
+      return new Producer(null)
+    }).to.throw(PermanentError, 'Value must be specified for channel')
+  })
+})
@@ -0,0 +1,203 @@
+'use strict'
+
+var http = require('http')
+var expect = require('chai').expect
+var Buffer = require('safe-buffer').Buffer
+var Channel = require('../../lib/channel')
+var ChannelAuth = require('../../lib/channel-auth')
+
+/**
+ * Start an HTTP server on an ephemeral port of the loopback interface.
+ * @param {Array<Object>} requests - Array to which the method, URL, and
+ *   headers of each request received by the server are added.
+ * @param {Function} callback - Callback invoked with the server and its URL
+ *   once it is listening.
+ */
+function startServer (requests, callback) {
+  var server = http.createServer(function (request, response) {
+    request.resume()
+    requests.push({
+      method: request.method,
+      url: request.url,
+      headers: request.headers
+    })
+    var body = /\/login$/.test(request.url)
+      ? JSON.stringify({AuthorizationToken: 'token1'}) : ''
+    response.writeHead(body ? 200 : 204,
+      body ? {'Content-Type': 'application/json'} : {})
+    response.end(body)
+  })
+  server.listen(0, '127.0.0.1', function () {
+    callback(server, 'http://127.0.0.1:' + server.address().port)
+  })
+}
+
+describe('Channel proxy options', function () {
+  var service = null
+  var serviceUrl = null
+  var serviceRequests = null
+  var proxy = null
+  var proxyUrl = null
+  var proxyRequests = null
+  var channel = null
+  var connects = null
+  var savedEnv = null
+
+  before(function (done) {
+    serviceRequests = []
+    proxyRequests = []
+    startServer(serviceRequests, function (server, url) {
+      service = server
+      serviceUrl = url
+      startServer(proxyRequests, function (server, url) {
+        proxy = server
+        proxyUrl = url
+        // Refuse each tunnel requested through the proxy
+        proxy.on('connect', function (request, socket) {
+          connects.push({url: request.url, headers: request.headers})
+          socket.end('HTTP/1.1 407 Proxy Authentication Required\r\n\r\n')
+        })
+        done()
+      })
+    })
+  })
+
+  after(function (done) {
+    service.close(function () {
+      proxy.close(done)
+    })
+  })
+
+  beforeEach(function () {
+    serviceRequests.length = 0
+    proxyRequests.length = 0
+    connects = []
+    savedEnv = {
+      HTTP_PROXY: process.env.HTTP_PROXY,
+      NO_PROXY: process.env.NO_PROXY
+    }
+  })
+
+  afterEach(function () {
+    Object.keys(savedEnv).forEach(function (name) {
+      if (typeof savedEnv[name] === 'undefined') {
+        delete process.env[name]
+      } else {
+        process.env[name] = savedEnv[name]
+      }
+    })
+    if (channel) {
+      channel.destroy()
+      channel = null
+    }
+  })
+
+  /**
+   * Produce a record to a topic.
+   * @param {Object} options - Options for the channel.
+   * @returns {Promise} A promise resolved once the record has been produced.
+   */
+  function produce (options) {
+    options.consumerGroup = 'group'
+    options.logger = null
+    channel = new Channel(serviceUrl, options)
+    return channel.produce({records: [
+      {routingData: {topic: 'topic1'}, message: {payload: ''}}
+    ]})
+  }
+
+  it('sends requests through the proxy', function () {
+    return produce({
+      proxy: proxyUrl.replace('//', '//user:p%40ss@'),
+      headers: {'X-Client': 'test'}
+    }).then(function () {
+      expect(serviceRequests).to.deep.equal([])
+      expect(proxyRequests.length).to.equal(1)
+      var request = proxyRequests[0]
+      expect(request.url).to.equal(
+        serviceUrl + '/databus/cloudproxy/v1/produce')
+      expect(request.headers['proxy-authorization']).to.equal(
+        'Basic ' + Buffer.from('user:p@ss').toString('base64'))
+      expect(request.headers['x-client']).to.equal('test')
+    })
+  })
+
+  it('sends requests directly to a host excluded from the proxy',
+    function () {
+      return produce({
+        proxy: proxyUrl,
+        noProxy: ['localhost', '127.0.0.1:' + service.address().port]
+      }).then(function () {
+        expect(proxyRequests).to.deep.equal([])
+        expect(serviceRequests.length).to.equal(1)
+        expect(serviceRequests[0].url).to.equal(
+          '/databus/cloudproxy/v1/produce')
+      })
+    })
+
+  it('uses the proxy environment variables only if opted in', function () {
+    process.env.HTTP_PROXY = proxyUrl
+    delete process.env.NO_PROXY
+    return produce({}).then(function () {
+      expect(proxyRequests).to.deep.equal([])
+      channel.destroy()
+      return produce({useEnvProxy: true})
+    }).then(function () {
+      expect(proxyRequests.length).to.equal(1)
+      channel.destroy()
+      process.env.NO_PROXY = 'example.com,127.0.0.1'
+      return produce({useEnvProxy: true})
+    }).then(function () {
+      expect(proxyRequests.length).to.equal(1)
+      expect(serviceRequests.length).to.equal(2)
+    })
+  })
+
+  it('sends login requests through the proxy', function () {
+    return produce({
+      proxy: proxyUrl,
+      auth: new ChannelAuth(serviceUrl, 'me', 'secret', {
+        logger: null,
+        proxy: proxyUrl
+      })
+    }).then(function () {
+      expect(serviceRequests).to.deep.equal([])
+      expect(proxyRequests.map(function (request) {
+        return request.url
+      })).to.deep.equal([
+        serviceUrl + '/identity/v1/login',
+        serviceUrl + '/databus/cloudproxy/v1/produce'
+      ])
+      expect(proxyRequests[1].headers.authorization).to.equal(
+        'Bearer token1')
+    })
+  })
+
+  it('tunnels requests to an https URL through the proxy', function () {
+    channel = new Channel('https://streaming-service:8443', {
+      consumerGroup: 'group',
+      logger: null,
+      proxy: proxyUrl,
+      retryOnFail: false
+    })
+    return channel.produce({records: [
+      {routingData: {topic: 'topic1'}, message: {payload: ''}}
+    ]}).then(function () {
+      throw new Error('Expected the produce to fail')
+    }, function (error) {
+      expect(error.message).to.contain('Proxy responded with status code ' +
+        '407 to CONNECT request for streaming-service:8443')
+      expect(connects.length).to.equal(1)
+      expect(connects[0].url).to.equal('streaming-service:8443')
+    })
+  })
+
+  it('rejects invalid options', function () {
+    expect(function () {
+      return new Channel(serviceUrl, {consumerGroup: 'group', proxy: 8080})
+    }).to.throw(TypeError, 'proxy must be a string')
+    expect(function () {
+      return new Channel(serviceUrl, {consumerGroup: 'group', maxSockets: 0})
+    }).to.throw(TypeError, 'maxSockets must be a positive integer')
+  })
+})
@@ -0,0 +1,90 @@
+'use strict'
+
+var expect = require('chai').expect
+var Channel = require('../../lib/channel')
+var PermanentError = require('../../lib/permanent-error')
+var Record = require('../../lib/record')
+var MockTransport = require('../mock-transport')
+
+var record = MockTransport.record
+
+describe('Record', function () {
+  it('exposes the metadata of a consumed record', function () {
+    var consumed = new Record(record('topic1', 2, 15, 'hello',
+      {shardingKey: 'key1', headers: {source: 'test'}}))
+    expect(consumed.topic).to.equal('topic1')
+    expect(consumed.shardingKey).to.equal('key1')
+    expect(consumed.partition).to.equal(2)
+    expect(consumed.offset).to.equal(15)
+    expect(consumed.headers).to.deep.equal({source: 'test'})
+    expect(consumed.payload.toString()).to.equal('hello')
+    expect(consumed.deliveryCount).to.equal(1)
+  })
+
+  it('defaults the headers and payload of an empty message', function () {
+    var consumed = new Record({routingData: {topic: 'topic1'}})
+    expect(consumed.headers).to.deep.equal({})
+    expect(consumed.payload.length).to.equal(0)
+  })
+
+  it('cannot be acknowledged unless the channel ackMode is manual',
+    function () {
+      var consumed = new Record(record('topic1', 0, 1, 'hello'))
+      expect(function () {
+        consumed.ack()
+      }).to.throw(PermanentError, "'ackMode' is 'manual'")
+    })
+
+  describe('consumed from a channel', function () {
+    var transport = null
+
+    beforeEach(function () {
+      transport = new MockTransport()
+      transport.batches.push([
+        record('topic1', 0, 10, 'one', {shardingKey: 'key1'}),
+        record('topic1', 1, 20, 'two', {headers: {source: 'test'}})
+      ])
+    })
+
+    /**
+     * Subscribe a channel to a topic and consume the first batch of records.
+     * @param {Object} options - Options for the channel.
+     * @returns {Promise} A promise resolved with the consumed records.
+     */
+    function consume (options) {
+      options.consumerGroup = 'group'
+      options.logger = null
+      options.transport = transport
+      var channel = new Channel('http://streaming-service', options)
+      return channel.subscribe('topic1').then(function () {
+        return channel.consume()
+      })
+    }
+
+    it('is delivered if the recordFormat is record', function () {
+      return consume({recordFormat: 'record'}).then(function (records) {
+        expect(records.length).to.equal(2)
+        expect(records[0]).to.be.an.instanceof(Record)
+        expect(records[0].value).to.equal('one')
+        expect(records[0].shardingKey).to.equal('key1')
+        expect(records[1].partition).to.equal(1)
+        expect(records[1].offset).to.equal(20)
+        expect(records[1].headers).to.deep.equal({source: 'test'})
+      })
+    })
+
+    it('is delivered as its payload by default', function () {
+      return consume({}).then(function (records) {
+        expect(records).to.deep.equal(['one', 'two'])
+      })
+    })
+
+    it('rejects an unknown recordFormat', function () {
+      expect(function () {
+        return new Channel('http://streaming-service',
+          {recordFormat: 'raw', logger: null})
+      }).to.throw(PermanentError,
+        "Value for 'recordFormat' must be one of payload, record")
+    })
+  })
+})
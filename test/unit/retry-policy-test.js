@@ -0,0 +1,155 @@
+'use strict'
+
+var expect = require('chai').expect
+var Channel = require('../../lib/channel')
+var ConsumerError = require('../../lib/consumer-error')
+var PermanentError = require('../../lib/permanent-error')
+var RetryPolicy = require('../../lib/retry-policy')
+var TemporaryError = require('../../lib/temporary-error')
+var MockTransport = require('../mock-transport')
+
+describe('RetryPolicy', function () {
+  it('never retries a consumer error', function () {
+    var policy = new RetryPolicy({
+      shouldRetry: function () {
+        return true
+      }
+    })
+    expect(policy.shouldRetry('consume', new ConsumerError('Gone')))
+      .to.equal(false)
+    expect(policy.shouldRetry('consume', new TemporaryError('Unavailable')))
+      .to.equal(true)
+  })
+
+  it('consults the shouldRetry setting', function () {
+    var calls = []
+    var policy = new RetryPolicy({
+      shouldRetry: function (error, operation) {
+        calls.push([error.statusCode, operation])
+        return error.statusCode !== 400
+      }
+    })
+    var badRequest = new TemporaryError('Bad request')
+    badRequest.statusCode = 400
+    expect(policy.shouldRetry('commit', badRequest)).to.equal(false)
+    expect(calls).to.deep.equal([[400, 'commit']])
+  })
+
+  it('rejects invalid settings', function () {
+    expect(function () {
+      return new RetryPolicy({maxAttempts: -1})
+    }).to.throw(TypeError, 'maxAttempts must be a non-negative number')
+    expect(function () {
+      return new RetryPolicy({shouldRetry: true})
+    }).to.throw(TypeError, 'shouldRetry must be a function')
+    expect(function () {
+      return new RetryPolicy({operations: {fetch: {}}})
+    }).to.throw(PermanentError, "Unknown operation 'fetch' in retry policy")
+    expect(function () {
+      return new RetryPolicy({minTimeout: 5, maxTimeout: 1})
+    }).to.throw(PermanentError,
+      'minTimeout for create must not be greater than maxTimeout')
+  })
+
+  describe('configured for a channel', function () {
+    var transport = null
+    var attempts = null
+
+    beforeEach(function () {
+      transport = new MockTransport()
+      attempts = 0
+      transport.handle('POST', /\/consumers$/, function () {
+        attempts++
+        if (attempts < 3) {
+          return {statusCode: 503, body: {}}
+        }
+      })
+    })
+
+    /**
+     * Returns a channel whose retries are made after a short delay.
+     * @param {Object} retryPolicy - Settings for the retry policy.
+     * @returns {Channel} The channel.
+     */
+    function createChannel (retryPolicy) {
+      retryPolicy.minTimeout = 0.01
+      retryPolicy.maxTimeout = 0.01
+      return new Channel('http://streaming-service', {
+        consumerGroup: 'group',
+        logger: null,
+        transport: transport,
+        retryPolicy: retryPolicy
+      })
+    }
+
+    it('retries a failed operation', function () {
+      var channel = createChannel({})
+      var retries = []
+      channel.on('retry', function (event) {
+        retries.push([event.operation, event.attempt])
+      })
+      return channel.create().then(function () {
+        expect(attempts).to.equal(3)
+        expect(retries).to.deep.equal([['create', 1], ['create', 2]])
+      })
+    })
+
+    it('gives up once the maximum number of attempts is reached',
+      function () {
+        var channel = createChannel({maxAttempts: 2})
+        return channel.create().then(function () {
+          throw new Error('Expected the create to fail')
+        }, function (error) {
+          expect(error).to.be.an.instanceof(TemporaryError)
+          expect(error.statusCode).to.equal(503)
+          expect(attempts).to.equal(2)
+        })
+      })
+
+    it('applies operation settings over the base settings', function () {
+      var channel = createChannel({
+        maxAttempts: 1,
+        operations: {create: {maxAttempts: 3}}
+      })
+      return channel.create().then(function () {
+        expect(attempts).to.equal(3)
+      })
+    })
+
+    it('does not retry a produce unless configured to', function () {
+      var produceAttempts = 0
+      transport.handle('POST', /\/produce$/, function () {
+        produceAttempts++
+        return {statusCode: 503, body: {}}
+      })
+      var channel = createChannel({maxAttempts: 4})
+      return channel.produce({records: []}).then(function () {
+        throw new Error('Expected the produce to fail')
+      }, function (error) {
+        expect(error.statusCode).to.equal(503)
+        expect(produceAttempts).to.equal(1)
+        channel = createChannel({operations: {produce: {maxAttempts: 2}}})
+        return channel.produce({records: []})
+      }).then(function () {
+        throw new Error('Expected the produce to fail')
+      }, function (error) {
+        expect(error.statusCode).to.equal(503)
+        expect(produceAttempts).to.equal(3)
+      })
+    })
+
+    it('does not retry an error rejected by shouldRetry', function () {
+      var channel = createChannel({
+        shouldRetry: function () {
+          return false
+        }
+      })
+      return channel.create().then(function () {
+        throw new Error('Expected the create to fail')
+      }, function (error) {
+        expect(error.statusCode).to.equal(503)
+        expect(attempts).to.equal(1)
+      })
+    })
+  })
+})
@@ -0,0 +1,141 @@
+'use strict'
+
+var expect = require('chai').expect
+var Channel = require('../../lib/channel')
+var ConsumerError = require('../../lib/consumer-error')
+var PermanentError = require('../../lib/permanent-error')
+var MockTransport = require('../mock-transport')
+
+var record = MockTransport.record
+
+describe('Channel seek', function () {
+  var transport = null
+  var channel = null
+
+  beforeEach(function () {
+    transport = new MockTransport()
+    channel = new Channel('http://streaming-service', {
+      consumerGroup: 'group',
+      logger: null,
+      transport: transport,
+      retryOnFail: false
+    })
+    transport.batches.push([
+      record('topic1', 0, 10, 'a'),
+      record('topic1', 1, 20, 'b')
+    ])
+  })
+
+  /**
+   * Subscribe the channel to a topic and consume the first batch of records.
+   * @returns {Promise} A promise resolved once the records are consumed.
+   */
+  function subscribeAndConsume () {
+    return channel.subscribe('topic1').then(function () {
+      return channel.consume()
+    })
+  }
+
+  it('tracks the position of each consumed partition', function () {
+    return subscribeAndConsume().then(function () {
+      expect(channel.position('topic1', 0)).to.equal(11)
+      expect(channel.position('topic1', 1)).to.equal(21)
+      expect(channel.position('topic2', 0)).to.equal(null)
+    })
+  })
+
+  it('moves a partition to an offset', function () {
+    return subscribeAndConsume().then(function () {
+      return channel.seek('topic1', 0, 5)
+    }).then(function () {
+      var request = transport.requestsTo(/\/positions$/)[0]
+      expect(request.path).to.equal(
+        '/databus/consumer-service/v1/consumers/consumer1/positions')
+      expect(request.body).to.deep.equal(
+        {offsets: [{topic: 'topic1', partition: 0, offset: 5}]})
+      expect(channel.position('topic1', 0)).to.equal(5)
+      expect(channel.position('topic1', 1)).to.equal(21)
+      return channel.commit()
+    }).then(function () {
+      // Records consumed from the moved partition before the seek are
+      // consumed again, so their offsets are not committed
+      expect(transport.commits).to.deep.equal([
+        [{topic: 'topic1', partition: 1, offset: 20}]
+      ])
+    })
+  })
+
+  it('moves partitions to the beginning, end, or a timestamp', function () {
+    var timestamp = new Date(1500000000000)
+    return subscribeAndConsume().then(function () {
+      return channel.seekToBeginning([{topic: 'topic1', partition: 0}])
+    }).then(function () {
+      return channel.seekToEnd()
+    }).then(function () {
+      return channel.seekToTimestamp(timestamp,
+        [{topic: 'topic1', partition: 1}])
+    }).then(function () {
+      expect(transport.requestsTo(/\/positions\//).map(function (request) {
+        return [request.path.split('/').pop(), request.body]
+      })).to.deep.equal([
+        ['beginning', {partitions: [{topic: 'topic1', partition: 0}]}],
+        ['end', {partitions: []}],
+        ['timestamp', {
+          timestamp: 1500000000000,
+          partitions: [{topic: 'topic1', partition: 1}]
+        }]
+      ])
+      expect(channel.position('topic1', 0)).to.equal(null)
+      expect(channel.position('topic1', 1)).to.equal(null)
+    })
+  })
+
+  it('returns the committed offsets', function () {
+    transport.handle('GET', /\/offsets$/, function () {
+      return {
+        statusCode: 200,
+        body: {offsets: [{topic: 'topic1', partition: 0, offset: 9}]}
+      }
+    })
+    return subscribeAndConsume().then(function () {
+      return channel.committed([{topic: 'topic1', partition: 0}])
+    }).then(function (offsets) {
+      expect(offsets).to.deep.equal([
+        {topic: 'topic1', partition: 0, offset: 9}
+      ])
+      expect(transport.requestsTo(/\/offsets$/)[0].query).to.deep.equal(
+        {partition: 'topic1:0'})
+    })
+  })
+
+  it('delivers a consumer error if the consumer no longer exists',
+    function () {
+      transport.handle('POST', /\/positions$/, function () {
+        return {statusCode: 404, body: {}}
+      })
+      return subscribeAndConsume().then(function () {
+        return channel.seek('topic1', 0, 5)
+      }).then(function () {
+        throw new Error('Expected the seek to fail')
+      }, function (error) {
+        expect(error).to.be.an.instanceof(ConsumerError)
+        expect(channel.position('topic1', 0)).to.equal(11)
+      })
+    })
+
+  it('rejects invalid arguments', function () {
+    expect(function () {
+      channel.seek('topic1', 0, 5)
+    }).to.throw(PermanentError)
+    return channel.subscribe('topic1').then(function () {
+      expect(function () {
+        channel.seek('topic1', 0, -1)
+      }).to.throw(PermanentError,
+        'Value for offset must be a non-negative number')
+      expect(function () {
+        channel.seekToTimestamp('yesterday')
+      }).to.throw(PermanentError,
+        'Value for timestamp must be a Date or number')
+    })
+  })
+})
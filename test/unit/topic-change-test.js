@@ -0,0 +1,94 @@
+'use strict'
+
+var expect = require('chai').expect
+var Channel = require('../../lib/channel')
+var PermanentError = require('../../lib/permanent-error')
+var MockTransport = require('../mock-transport')
+
+var record = MockTransport.record
+
+describe('Channel topic changes', function () {
+  var transport = null
+  var channel = null
+
+  beforeEach(function () {
+    transport = new MockTransport()
+    channel = new Channel('http://streaming-service', {
+      consumerGroup: 'group',
+      logger: null,
+      transport: transport
+    })
+  })
+
+  /**
+   * Returns the topics sent in each subscription request.
+   * @returns {Array<Array<String>>} The topics.
+   */
+  function subscribedTopics () {
+    return transport.requestsTo(/\/subscription$/).map(function (request) {
+      return request.body.topics
+    })
+  }
+
+  it('commits and resubscribes when not running', function () {
+    transport.batches.push([record('topic1', 0, 10, 'a')])
+    return channel.subscribe('topic1').then(function () {
+      return channel.consume()
+    }).then(function () {
+      return channel.addTopics(['topic2', 'topic1'])
+    }).then(function () {
+      expect(transport.commits).to.deep.equal([
+        [{topic: 'topic1', partition: 0, offset: 10}]
+      ])
+      return channel.removeTopics('topic1')
+    }).then(function () {
+      return channel.setTopics(['topic3'])
+    }).then(function () {
+      expect(subscribedTopics()).to.deep.equal([
+        ['topic1'],
+        ['topic1', 'topic2'],
+        ['topic2'],
+        ['topic3']
+      ])
+    })
+  })
+
+  it('applies a change made during a run between batches', function () {
+    transport.batches.push([record('topic1', 0, 10, 'a')])
+    transport.batches.push([record('topic2', 0, 20, 'b')])
+    var changed = null
+    var batches = []
+    var run = channel.run(function (payloads) {
+      batches.push(payloads)
+      if (batches.length === 1) {
+        changed = channel.addTopics('topic2')
+      } else {
+        channel.stop()
+      }
+      return true
+    }, {topics: 'topic1', waitBetweenQueries: 0.01})
+    return run.then(function () {
+      return changed
+    }).then(function () {
+      expect(batches).to.deep.equal([['a'], ['b']])
+      expect(subscribedTopics()).to.deep.equal([
+        ['topic1'],
+        ['topic1', 'topic2']
+      ])
+      expect(transport.commits[0]).to.deep.equal([
+        {topic: 'topic1', partition: 0, offset: 10}
+      ])
+    })
+  })
+
+  it('requires a topic to remain subscribed', function () {
+    return channel.subscribe('topic1').then(function () {
+      expect(function () {
+        channel.removeTopics('topic1')
+      }).to.throw(PermanentError, 'At least one topic must remain subscribed')
+      expect(function () {
+        channel.setTopics([])
+      }).to.throw(PermanentError, 'At least one topic must be specified')
+    })
+  })
+})
@@ -0,0 +1,99 @@
+'use strict'
+
+var expect = require('chai').expect
+var Channel = require('../../lib/channel')
+var TopicMatcher = require('../../lib/topic-matcher')
+var MockTransport = require('../mock-transport')
+
+describe('TopicMatcher', function () {
+  it('matches glob and RegExp patterns against whole topic names',
+    function () {
+      var matcher = new TopicMatcher(['orders', 'events.*', /audit-\d+/])
+      expect(matcher.hasPatterns()).to.equal(true)
+      expect(matcher.resolve([
+        'audit-2', 'events.b', 'orders', 'events.a', 'audit-x', 'my-events.a'
+      ])).to.deep.equal(['orders', 'audit-2', 'events.a', 'events.b'])
+    })
+
+  it('matches a single character for a question mark', function () {
+    var matcher = new TopicMatcher(['topic?'])
+    expect(matcher.resolve(['topic1', 'topic12', 'topic'])).to.deep.equal(
+      ['topic1'])
+  })
+
+  it('keeps literal topics which are not available', function () {
+    var matcher = new TopicMatcher(['orders'])
+    expect(matcher.hasPatterns()).to.equal(false)
+    expect(matcher.resolve([])).to.deep.equal(['orders'])
+  })
+
+  it('combines the topics into a single pattern source', function () {
+    var matcher = new TopicMatcher(['my.orders', 'events.*', /audit-\d+/])
+    expect(matcher.toPatternSource()).to.equal(
+      'my\\.orders|events\\..*|audit-\\d+')
+  })
+
+  it('compares RegExp topics by their source and flags', function () {
+    expect(TopicMatcher.key(/a.*/i)).to.equal(TopicMatcher.key(/a.*/i))
+    expect(TopicMatcher.key(/a.*/i)).to.not.equal(TopicMatcher.key(/a.*/))
+    expect(TopicMatcher.isPattern('events.*')).to.equal(true)
+    expect(TopicMatcher.isPattern('events')).to.equal(false)
+  })
+
+  describe('subscribing a channel to patterns', function () {
+    var transport = null
+    var availableTopics = null
+
+    beforeEach(function () {
+      transport = new MockTransport()
+      availableTopics = ['events.a', 'orders']
+      transport.handle('GET', /\/topics$/, function () {
+        return {statusCode: 200, body: availableTopics}
+      })
+    })
+
+    /**
+     * Returns the bodies of the subscription requests.
+     * @returns {Array<Object>} The bodies.
+     */
+    function subscriptions () {
+      return transport.requestsTo(/\/subscription$/).map(function (request) {
+        return request.body
+      })
+    }
+
+    it('subscribes to the available topics which match', function () {
+      var channel = new Channel('http://streaming-service', {
+        consumerGroup: 'group',
+        logger: null,
+        transport: transport
+      })
+      return channel.subscribe('events.*').then(function () {
+        availableTopics.push('events.b')
+        return channel.refreshTopics()
+      }).then(function () {
+        return channel.refreshTopics()
+      }).then(function () {
+        expect(subscriptions()).to.deep.equal([
+          {topics: ['events.a']},
+          {topics: ['events.a', 'events.b']}
+        ])
+      })
+    })
+
+    it('sends the patterns to a service which resolves them', function () {
+      var channel = new Channel('http://streaming-service', {
+        consumerGroup: 'group',
+        logger: null,
+        transport: transport,
+        topicPatterns: 'service'
+      })
+      return channel.subscribe(['orders', /events\..*/]).then(function () {
+        expect(subscriptions()).to.deep.equal([
+          {topic_pattern: 'orders|events\\..*'}
+        ])
+        expect(transport.requestsTo(/\/topics$/)).to.deep.equal([])
+      })
+    })
+  })
+})